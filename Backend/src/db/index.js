@@ -1,10 +1,13 @@
 // Database connection setup using Drizzle ORM
 // This file establishes the connection to PostgreSQL database
+// In demo mode an in-memory database is used instead
 
 import { drizzle } from "drizzle-orm/node-postgres";
 import pg from "pg";
 import dotenv from "dotenv";
 import * as schema from "./schema.js";
+import { createMemoryDb } from "./memory.js";
+import { DEMO_MODE } from "../demo.js";
 
 // Load environment variables
 dotenv.config();
@@ -14,27 +17,35 @@ const { Pool } = pg;
 /**
  * Create PostgreSQL connection pool
  * The pool manages multiple database connections for better performance
+ * @returns {pg.Pool} - Connection pool
  */
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+function createPool() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+  });
+
+  // Test database connection
+  pool.on("connect", () => {
+    console.log("✅ Connected to PostgreSQL database");
+  });
+
+  pool.on("error", (err) => {
+    console.error("❌ Unexpected error on idle client", err);
+    process.exit(-1);
+  });
+
+  return pool;
+}
 
 /**
- * Test database connection
+ * Connection pool, or null in demo mode
  */
-pool.on("connect", () => {
-  console.log("✅ Connected to PostgreSQL database");
-});
-
-pool.on("error", (err) => {
-  console.error("❌ Unexpected error on idle client", err);
-  process.exit(-1);
-});
+const pool = DEMO_MODE ? null : createPool();
 
 /**
  * Initialize Drizzle ORM with the connection pool and schema
  */
-export const db = drizzle(pool, { schema });
+export const db = DEMO_MODE ? createMemoryDb() : drizzle(pool, { schema });
 
 /**
  * Export pool for custom queries if needed
@@ -0,0 +1,288 @@
+// In-memory database used in demo mode
+// Implements the part of the Drizzle query builder the routes use:
+//   db.insert(table).values(row).returning()
+//   db.insert(table).values(row).onConflictDoUpdate({ target: [column, ...], set: values })
+//   db.select().from(table).where(eq(column, value)).orderBy(column).limit(n)
+//   db.update(table).set(values).where(eq(column, value)).returning()
+//   db.delete(table).where(eq(column, value))
+// Conditions may combine eq(), gt(), gte(), lt() and lte() calls with and()
+
+import {
+  Column,
+  Param,
+  SQL,
+  StringChunk,
+  getTableColumns,
+  getTableName,
+  is,
+} from "drizzle-orm";
+
+// Comparisons supported in conditions, by their SQL operator
+const COMPARISONS = {
+  "=": (a, b) => a === b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+const UNSUPPORTED_CONDITION =
+  "Demo storage only supports eq(), gt(), gte(), lt(), lte() and and() conditions";
+
+/**
+ * Find the property name a table uses for a column
+ * @param {Object} table - Drizzle table
+ * @param {Object} column - Drizzle column
+ * @returns {string} - Property name of the column in rows
+ */
+function getColumnKey(table, column) {
+  const entry = Object.entries(getTableColumns(table)).find(
+    ([, tableColumn]) => tableColumn === column
+  );
+  if (!entry) {
+    throw new Error(`Column ${column.name} is not part of ${getTableName(table)}`);
+  }
+  return entry[0];
+}
+
+/**
+ * Get the text of the SQL fragments around a condition's column and value
+ * @param {Object} condition - Drizzle SQL object
+ * @returns {string} - Operator text, e.g. "=" or "desc"
+ */
+function getOperator(condition) {
+  return condition.queryChunks
+    .filter((chunk) => is(chunk, StringChunk))
+    .map((chunk) => chunk.value.join(""))
+    .join("")
+    .trim();
+}
+
+/**
+ * Turn a comparison such as eq(column, value), or an and() of them, into a row filter
+ * @param {Object} table - Table being queried
+ * @param {Object} condition - Drizzle condition
+ * @returns {Function} - Returns true for matching rows
+ */
+function toFilter(table, condition) {
+  const chunks = condition?.queryChunks || [];
+
+  // and() wraps its conditions in parentheses and joins them with "and"
+  const nested = chunks.filter((chunk) => is(chunk, SQL));
+  if (nested.length > 0) {
+    const operator = getOperator(condition).replace(/[()]/g, "").trim();
+    if (operator.split(/\s+/).some((word) => word && word !== "and")) {
+      throw new Error(UNSUPPORTED_CONDITION);
+    }
+
+    const filters = nested.map((part) => toFilter(table, part));
+    return (row) => filters.every((filter) => filter(row));
+  }
+
+  const column = chunks.find((chunk) => is(chunk, Column));
+  const param = chunks.find((chunk) => is(chunk, Param));
+
+  const compare = COMPARISONS[getOperator(condition)];
+
+  if (!column || !param || !compare) {
+    throw new Error(UNSUPPORTED_CONDITION);
+  }
+
+  const key = getColumnKey(table, column);
+  // Dates are compared by time, and NULL is never greater or less than anything
+  const value = (v) => (v instanceof Date ? v.getTime() : v);
+  return (row) =>
+    (row[key] !== null || compare === COMPARISONS["="]) &&
+    compare(value(row[key]), value(param.value));
+}
+
+/**
+ * Turn an orderBy() argument into a sort comparator
+ * @param {Object} table - Table being queried
+ * @param {Object} order - Column, or asc(column) / desc(column)
+ * @returns {Function} - Comparator for Array.sort
+ */
+function toComparator(table, order) {
+  const column = is(order, Column)
+    ? order
+    : order?.queryChunks?.find((chunk) => is(chunk, Column));
+  if (!column) {
+    throw new Error("Demo storage only supports ordering by a column");
+  }
+
+  const key = getColumnKey(table, column);
+  const direction = !is(order, Column) && getOperator(order) === "desc" ? -1 : 1;
+
+  return (a, b) => {
+    if (a[key] === b[key]) return 0;
+    return (a[key] > b[key] ? 1 : -1) * direction;
+  };
+}
+
+/**
+ * Chainable query, run when it is awaited like a Drizzle query
+ */
+class MemoryQuery {
+  constructor(table, run) {
+    this.table = table;
+    this.run = run;
+    this.filter = () => true;
+    this.comparator = null;
+    this.maxRows = Infinity;
+    this.data = null;
+    this.conflict = null;
+    this.returnRows = false;
+  }
+
+  from(table) {
+    this.table = table;
+    return this;
+  }
+
+  where(condition) {
+    this.filter = toFilter(this.table, condition);
+    return this;
+  }
+
+  orderBy(order) {
+    this.comparator = toComparator(this.table, order);
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  values(data) {
+    this.data = data;
+    return this;
+  }
+
+  set(data) {
+    this.data = data;
+    return this;
+  }
+
+  onConflictDoUpdate({ target, set }) {
+    const columns = Array.isArray(target) ? target : [target];
+    this.conflict = {
+      keys: columns.map((column) => getColumnKey(this.table, column)),
+      set,
+    };
+    return this;
+  }
+
+  returning() {
+    this.returnRows = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.run(this))
+      .then(resolve, reject);
+  }
+}
+
+/**
+ * Create an empty in-memory database
+ * @returns {Object} - Object with the insert, select, update and delete builders of a Drizzle db
+ */
+export function createMemoryDb() {
+  // Table name -> { rows, nextId }
+  const tables = new Map();
+
+  const getTable = (table) => {
+    const name = getTableName(table);
+    if (!tables.has(name)) tables.set(name, { rows: [], nextId: 1 });
+    return tables.get(name);
+  };
+
+  // Copies keep stored rows safe from changes made by callers
+  const copy = (rows) => rows.map((row) => structuredClone(row));
+
+  // Fill in defaults and check constraints, like PostgreSQL would
+  const createRow = (table, values) => {
+    const store = getTable(table);
+    const row = {};
+
+    for (const [key, column] of Object.entries(getTableColumns(table))) {
+      let value = values[key];
+
+      if (value === undefined) {
+        if (column.columnType === "PgSerial") {
+          value = store.nextId++;
+        } else if (column.columnType === "PgTimestamp" && column.hasDefault) {
+          value = new Date();
+        } else if (column.hasDefault && !is(column.default, SQL)) {
+          value = structuredClone(column.default);
+        } else {
+          value = null;
+        }
+      }
+
+      if (value === null && column.notNull) {
+        throw new Error(
+          `null value in column "${column.name}" of relation "${getTableName(table)}" violates not-null constraint`
+        );
+      }
+
+      if (
+        column.isUnique &&
+        value !== null &&
+        store.rows.some((existing) => existing[key] === value)
+      ) {
+        throw new Error(
+          `duplicate key value violates unique constraint on "${getTableName(table)}.${column.name}"`
+        );
+      }
+
+      row[key] = value;
+    }
+
+    return row;
+  };
+
+  return {
+    insert: (table) =>
+      new MemoryQuery(table, (query) => {
+        const store = getTable(table);
+        const rows = (Array.isArray(query.data) ? query.data : [query.data]).map((values) => {
+          // An upsert updates the row holding the same target values instead
+          const { conflict } = query;
+          const existing =
+            conflict &&
+            store.rows.find((row) => conflict.keys.every((key) => row[key] === values[key]));
+          if (existing) return Object.assign(existing, structuredClone(conflict.set));
+
+          const row = createRow(table, structuredClone(values));
+          store.rows.push(row);
+          return row;
+        });
+        return query.returnRows ? copy(rows) : [];
+      }),
+
+    select: () =>
+      new MemoryQuery(null, (query) => {
+        let rows = getTable(query.table).rows.filter(query.filter);
+        if (query.comparator) rows = [...rows].sort(query.comparator);
+        return copy(rows.slice(0, query.maxRows));
+      }),
+
+    update: (table) =>
+      new MemoryQuery(table, (query) => {
+        const rows = getTable(table).rows.filter(query.filter);
+        rows.forEach((row) => Object.assign(row, structuredClone(query.data)));
+        return query.returnRows ? copy(rows) : [];
+      }),
+
+    delete: (table) =>
+      new MemoryQuery(table, (query) => {
+        const store = getTable(table);
+        const deleted = store.rows.filter(query.filter);
+        store.rows = store.rows.filter((row) => !query.filter(row));
+        return query.returnRows ? copy(deleted) : [];
+      }),
+  };
+}
@@ -8,6 +8,9 @@ import {
   timestamp,
   integer,
   jsonb,
+  date,
+  unique,
+  boolean,
 } from "drizzle-orm/pg-core";
 
 /**
@@ -50,3 +53,51 @@ export const sessionHistory = pgTable("session_history", {
   screenSteps: jsonb("screen_steps"),
   updatedAt: timestamp("updated_at").defaultNow(),
 });
+
+/**
+ * Daily Usage table
+ * Counts AI requests per user per UTC day, so quotas survive restarts
+ * userKey is "user:<id>" for identified users or "ip:<address>" otherwise
+ */
+export const dailyUsage = pgTable(
+  "daily_usage",
+  {
+    id: serial("id").primaryKey(),
+    userKey: text("user_key").notNull(),
+    // UTC day as YYYY-MM-DD
+    day: date("day", { mode: "string" }).notNull(),
+    requests: integer("requests").notNull().default(0),
+    updatedAt: timestamp("updated_at").defaultNow(),
+  },
+  (table) => ({
+    userDay: unique("daily_usage_user_day").on(table.userKey, table.day),
+  })
+);
+
+/**
+ * AI Usage table
+ * One row per model call, with token counts and latency for cost reports
+ * Calls from a live session are linked to the saved session once it is saved
+ */
+export const aiUsage = pgTable("ai_usage", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").references(() => users.id),
+  sessionId: integer("session_id").references(() => sessions.id),
+  // WebSocket session ID, or the sessionId sent to the REST API
+  liveSessionId: text("live_session_id"),
+  provider: text("provider").notNull(),
+  model: text("model").notNull(),
+  // What the call was for: chat, guidance, frame, plan, progress, verify, title or summary
+  task: text("task"),
+  // Prompt template and version the call was made with, e.g. "guidance@1" (see utils/prompts.js)
+  promptVersion: text("prompt_version"),
+  promptTokens: integer("prompt_tokens").notNull().default(0),
+  responseTokens: integer("response_tokens").notNull().default(0),
+  // True when the provider reported no counts and they were estimated from text length
+  tokensEstimated: boolean("tokens_estimated").notNull().default(false),
+  imageCount: integer("image_count").notNull().default(0),
+  latencyMs: integer("latency_ms").notNull(),
+  // Error code of a failed call, null on success
+  error: text("error"),
+  createdAt: timestamp("created_at").defaultNow(),
+});
@@ -0,0 +1,109 @@
+// Usage accounting queries
+// Reads and writes the daily AI request counts behind per-user quotas,
+// and the per-call token usage behind cost reports
+
+import { and, eq, gte, lt } from "drizzle-orm";
+import { db } from "./index.js";
+import { users, dailyUsage, aiUsage } from "./schema.js";
+
+/**
+ * Get how many AI requests a user has made on a given day
+ * @param {string} userKey - "user:<id>" or "ip:<address>"
+ * @param {string} day - UTC day as YYYY-MM-DD
+ * @returns {Promise<number>} - Request count, 0 if none were recorded
+ */
+export async function loadDailyUsage(userKey, day) {
+  const [row] = await db
+    .select()
+    .from(dailyUsage)
+    .where(and(eq(dailyUsage.userKey, userKey), eq(dailyUsage.day, day)))
+    .limit(1);
+
+  return row ? row.requests : 0;
+}
+
+/**
+ * Store a user's request count for a given day
+ * @param {string} userKey - "user:<id>" or "ip:<address>"
+ * @param {string} day - UTC day as YYYY-MM-DD
+ * @param {number} requests - Total requests made that day
+ * @returns {Promise<void>}
+ */
+export async function saveDailyUsage(userKey, day, requests) {
+  // One statement, so two servers writing the first count of a day cannot both insert
+  await db
+    .insert(dailyUsage)
+    .values({ userKey, day, requests })
+    .onConflictDoUpdate({
+      target: [dailyUsage.userKey, dailyUsage.day],
+      set: { requests, updatedAt: new Date() },
+    });
+}
+
+/**
+ * Check that a user ID sent by a client belongs to a registered user
+ * Looked up once per WebSocket session or REST request, not for every call recorded
+ * @param {number} userId - Claimed user ID
+ * @returns {Promise<number|null>} - The ID if the user exists, otherwise null
+ */
+export async function findUserId(userId) {
+  const [user] = await db.select().from(users).where(eq(users.id, userId)).limit(1);
+  return user ? user.id : null;
+}
+
+/**
+ * Store the token usage of one model call
+ * @param {Object} usage - Row for the ai_usage table (see schema.js), with a userId checked by findUserId
+ * @returns {Promise<void>}
+ */
+export async function recordAIUsage(usage) {
+  await db.insert(aiUsage).values(usage);
+}
+
+/**
+ * Link the calls made by a live session to the session saved from it
+ * @param {string} liveSessionId - WebSocket session ID
+ * @param {number} sessionId - Saved session ID
+ * @returns {Promise<void>}
+ */
+export async function linkUsageToSession(liveSessionId, sessionId) {
+  await db
+    .update(aiUsage)
+    .set({ sessionId })
+    .where(eq(aiUsage.liveSessionId, liveSessionId));
+}
+
+/**
+ * Keep the usage of a deleted session in its user's totals
+ * @param {number} sessionId - Saved session ID
+ * @returns {Promise<void>}
+ */
+export async function unlinkUsageFromSession(sessionId) {
+  await db
+    .update(aiUsage)
+    .set({ sessionId: null })
+    .where(eq(aiUsage.sessionId, sessionId));
+}
+
+/**
+ * Get the model calls of a user or session made in a time range
+ * @param {Object} filter - Exactly one of userId, sessionId or liveSessionId, and the range
+ * @param {number} filter.userId - User ID
+ * @param {number} filter.sessionId - Saved session ID
+ * @param {string} filter.liveSessionId - WebSocket session ID
+ * @param {Date} filter.from - Start of the range (inclusive)
+ * @param {Date} filter.to - End of the range (exclusive)
+ * @returns {Promise<Array<Object>>} - ai_usage rows
+ */
+export async function getAIUsage({ userId, sessionId, liveSessionId, from, to }) {
+  let owner;
+  if (userId !== undefined) owner = eq(aiUsage.userId, userId);
+  else if (sessionId !== undefined) owner = eq(aiUsage.sessionId, sessionId);
+  else owner = eq(aiUsage.liveSessionId, liveSessionId);
+
+  return db
+    .select()
+    .from(aiUsage)
+    .where(and(owner, gte(aiUsage.createdAt, from), lt(aiUsage.createdAt, to)))
+    .orderBy(aiUsage.createdAt);
+}
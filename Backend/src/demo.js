@@ -0,0 +1,6 @@
+// Demo mode
+// `npm run demo` (node src/server.js --demo) runs the backend offline: AI answers come
+// from the scripted mock provider and data is kept in memory instead of PostgreSQL
+
+export const DEMO_MODE =
+  process.argv.includes("--demo") || process.env.DEMO_MODE === "true";
@@ -0,0 +1,127 @@
+// Google Gemini provider
+// Uses the @google/genai SDK, which is only set up on first use
+
+import { GoogleGenAI } from "@google/genai";
+import dotenv from "dotenv";
+import { createAbortError, reportUsage } from "./shared.js";
+
+dotenv.config();
+
+/**
+ * Get Gemini model name
+ * Using gemini-2.5-flash for fast responses, it supports both text and vision
+ * @returns {string} - Model name from GEMINI_MODEL, or the default
+ */
+export function getGeminiModelName() {
+  return process.env.GEMINI_MODEL || "gemini-2.5-flash";
+}
+
+/**
+ * Reject as soon as the signal aborts, even if the SDK call is still running
+ * @param {Promise} promise - Pending SDK call
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise} - Settles with the call or rejects with an AbortError
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Build the parts of one turn
+ * @param {string} text - Turn text
+ * @param {Array<Object>} [images] - Images as { data, mimeType }
+ * @returns {Array<Object>} - Gemini content parts
+ */
+function toParts(text, images = []) {
+  return [{ text }, ...images.map((image) => ({ inlineData: image }))];
+}
+
+/**
+ * Create the Gemini provider
+ * @param {Object} options - Optional settings
+ * @param {string} options.apiKey - API key (defaults to GEMINI_API_KEY)
+ * @param {string} options.model - Model name (defaults to getGeminiModelName())
+ * @returns {Object} - Provider
+ */
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = getGeminiModelName(),
+} = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new GoogleGenAI({ apiKey });
+    return client;
+  };
+
+  return {
+    name: "gemini",
+    model,
+    capabilities: { vision: true, streaming: true, json: true },
+
+    /**
+     * Generate text, streaming partial text when a chunk callback is given
+     * @param {Object} request - Normalised generation request (see providers/index.js)
+     * @returns {Promise<string>} - Full response text
+     */
+    async generate({ prompt, images = [], history = [], json = false, onChunk, onUsage, signal }) {
+      const request = {
+        model,
+        contents: [
+          ...history.map((turn) => ({
+            role: turn.role === "assistant" ? "model" : "user",
+            parts: toParts(turn.text, turn.images),
+          })),
+          { role: "user", parts: toParts(prompt, images) },
+        ],
+      };
+
+      // Ask for raw JSON instead of prose
+      if (json) {
+        request.config = { responseMimeType: "application/json" };
+      }
+
+      if (!onChunk) {
+        const response = await abortable(
+          getClient().models.generateContent(request),
+          signal
+        );
+        reportUsage(onUsage, response.usageMetadata, "promptTokenCount", "candidatesTokenCount");
+        return response.text;
+      }
+
+      const stream = await abortable(
+        getClient().models.generateContentStream(request),
+        signal
+      );
+
+      let fullText = "";
+      let usageMetadata = null;
+      for await (const chunk of stream) {
+        // Stop reading the stream once the request is cancelled
+        if (signal?.aborted) throw createAbortError();
+
+        // Each chunk carries the running totals, the last one counts
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+
+        const text = chunk.text;
+        if (!text) continue;
+
+        fullText += text;
+        onChunk(text);
+      }
+
+      reportUsage(onUsage, usageMetadata, "promptTokenCount", "candidatesTokenCount");
+      return fullText;
+    },
+  };
+}
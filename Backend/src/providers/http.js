@@ -0,0 +1,73 @@
+// HTTP helpers shared by the providers that talk to a REST API
+
+/**
+ * Read a Retry-After header
+ * @param {string|null} value - Delay in seconds, or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if there is none
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * POST a JSON body and fail on error statuses
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} options - Optional settings
+ * @param {Object} options.headers - Extra request headers
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Response>} - Successful response
+ * @throws {Error} - With "status" and "retryAfterMs" properties if the server answers with an error
+ */
+export async function postJSON(url, body, { headers = {}, signal } = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => "");
+    // Mention rate limits in words, like the Gemini SDK does
+    const hint = response.status === 429 ? " (rate limit exceeded)" : "";
+    const error = new Error(
+      `${url} responded with ${response.status}${hint}: ${details.substring(0, 200)}`
+    );
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Read a streamed response body line by line
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} - Non-empty, trimmed lines
+ */
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  for await (const bytes of body) {
+    buffered += decoder.decode(bytes, { stream: true });
+
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+
+  buffered += decoder.decode();
+  if (buffered.trim()) yield buffered.trim();
+}
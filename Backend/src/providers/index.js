@@ -0,0 +1,96 @@
+// AI provider registry
+// Every model call goes through a provider, chosen per deployment or per session
+//
+// A provider is an object with:
+//   name          - Registry name ("gemini", "openai", "ollama", "mock")
+//   model         - Model used for requests
+//   capabilities  - { vision, streaming, json }
+//   generate(request) - Resolves with the full response text, where request is
+//     { prompt, images: [{ data, mimeType }], history, json, onChunk, onUsage, signal, task, context }
+//     history holds earlier turns, [{ role: "user" | "assistant", text, images }], oldest first;
+//     prompt and images form the final user turn
+//     task and context ({ goal, message, step }) say what the prompt is for;
+//     only the scripted mock provider looks at them
+//     onUsage is called with { promptTokens, responseTokens } when the API reports them
+
+import dotenv from "dotenv";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createMockProvider } from "./mock.js";
+import { withResilience } from "./resilience.js";
+import { DEMO_MODE } from "../demo.js";
+
+dotenv.config();
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+// Provider selection, configured through .env
+export const PROVIDER_CONFIG = {
+  // Provider used unless a session picks another one, demo mode always uses the script
+  defaultProvider: DEMO_MODE ? "mock" : process.env.AI_PROVIDER || "gemini",
+  // Other providers sessions may pick in their handshake
+  sessionProviders: (process.env.AI_SESSION_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
+};
+
+// Providers are created on first use so unused ones need no configuration
+const providers = new Map();
+
+/**
+ * Get a provider by name
+ * Calls are timed out, retried and guarded by a circuit breaker (see resilience.js)
+ * @param {string} [name] - Provider name, defaults to the deployment's provider
+ * @returns {Object} - Provider
+ * @throws {Error} - If there is no provider with that name
+ */
+export function getProvider(name = PROVIDER_CONFIG.defaultProvider) {
+  if (!providers.has(name)) {
+    const createProvider = PROVIDER_FACTORIES[name];
+    if (!createProvider) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+    providers.set(name, withResilience(createProvider()));
+  }
+
+  return providers.get(name);
+}
+
+/**
+ * Check whether a session may use a provider
+ * @param {string} name - Provider name
+ * @returns {boolean} - True for the default provider and those in AI_SESSION_PROVIDERS
+ */
+export function isSelectableProvider(name) {
+  return (
+    Boolean(PROVIDER_FACTORIES[name]) &&
+    (name === PROVIDER_CONFIG.defaultProvider ||
+      PROVIDER_CONFIG.sessionProviders.includes(name))
+  );
+}
+
+/**
+ * Get a provider's current trouble, if any
+ * @param {string} [name] - Provider name, defaults to the deployment's provider
+ * @returns {Object|null} - Last "degraded" event (see resilience.js), or null while it is healthy
+ */
+export function getProviderStatus(name) {
+  return getProvider(name).breaker.status;
+}
+
+/**
+ * Describe a provider for clients
+ * @param {string} [name] - Provider name, defaults to the deployment's provider
+ * @returns {{name: string, model: string, capabilities: Object}}
+ */
+export function describeProvider(name) {
+  const { name: providerName, model, capabilities } = getProvider(name);
+  return { name: providerName, model, capabilities };
+}
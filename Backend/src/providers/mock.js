@@ -0,0 +1,218 @@
+// Scripted mock provider
+// Answers from a script file instead of a model, so the app runs offline with reproducible answers
+//
+// A script is a JSON file:
+//   {
+//     "delayMs": 40,
+//     "rules": [
+//       { "task": "plan", "goal": "weather", "response": { "goal": "...", "steps": [...] } },
+//       { "task": "verify", "step": "Chrome", "response": [{ "completed": false }, { "completed": true }] },
+//       { "frameHash": "3b7e0c1d", "response": "Click the search box in the center of the page." }
+//     ],
+//     "defaults": { "text": "..." }
+//   }
+//
+// The first rule whose conditions all match answers the request:
+//   task      - What the prompt is for ("chat", "guidance", "frame", "plan", "progress", "verify", "title", "summary")
+//   goal, message, step - Case-insensitive text the request's goal, message or plan step contains
+//   frameHash - Start of the SHA-256 hash of the screen capture (logged for captures no rule matches)
+// A response is a string or a JSON value; a list of responses is used in turn, repeating the last one.
+// Requests no rule matches get the script's default for their task, or a built-in one.
+
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Script used unless MOCK_SCRIPT points to another one
+const DEFAULT_SCRIPT_PATH = fileURLToPath(
+  new URL("../../demo/mock-script.json", import.meta.url)
+);
+
+// Answers for requests no rule matches, by task ("text" covers every free-text task)
+const DEFAULT_RESPONSES = {
+  plan: {
+    goal: "Demo task",
+    steps: [
+      {
+        instruction: "Click anywhere on the screen.",
+        expectedOutcome: "The screen has changed.",
+      },
+    ],
+  },
+  progress: { stepCompleted: false, revisedSteps: null, reason: "No scripted answer." },
+  verify: { completed: false, reason: "No scripted answer." },
+  title: "Demo Session",
+  summary: "The user is working through a demo task.",
+  text: "This is a scripted demo answer. Add a rule to the mock script to change it.",
+};
+
+// Start of the line naming the UI element guidance points at (see utils/gemini.js)
+const TARGET_MARKER = "TARGET:";
+
+/**
+ * Read and check a script file
+ * @param {string} scriptPath - Path to the JSON script
+ * @returns {{delayMs: number, rules: Array<Object>, defaults: Object}} - Script
+ * @throws {Error} - If the file cannot be read or is not a valid script
+ */
+function loadScript(scriptPath) {
+  let script;
+  try {
+    script = JSON.parse(readFileSync(scriptPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot load mock script ${scriptPath}: ${error.message}`);
+  }
+
+  if (!script || !Array.isArray(script.rules)) {
+    throw new Error(`Invalid mock script ${scriptPath}: "rules" must be a list`);
+  }
+
+  return {
+    delayMs: Number(script.delayMs) || 0,
+    rules: script.rules,
+    defaults: script.defaults || {},
+  };
+}
+
+/**
+ * Hash a screen capture so scripts can recognise it
+ * @param {string} base64Image - Base64-encoded image
+ * @returns {string} - Hex SHA-256 hash of the image bytes
+ */
+export function hashFrame(base64Image) {
+  return createHash("sha256").update(Buffer.from(base64Image, "base64")).digest("hex");
+}
+
+/**
+ * Check whether a rule applies to a request
+ * @param {Object} rule - Script rule
+ * @param {string} task - Request task
+ * @param {Object} context - Request context ({ goal, message, step })
+ * @param {string|null} frameHash - Hash of the request's screen capture
+ * @returns {boolean} - True if every condition of the rule matches
+ */
+function matchesRule(rule, task, context, frameHash) {
+  if (rule.task && rule.task !== task) return false;
+
+  if (
+    rule.frameHash &&
+    !(frameHash && frameHash.startsWith(String(rule.frameHash).toLowerCase()))
+  ) {
+    return false;
+  }
+
+  return ["goal", "message", "step"].every(
+    (field) =>
+      !rule[field] ||
+      String(context[field] || "")
+        .toLowerCase()
+        .includes(String(rule[field]).toLowerCase())
+  );
+}
+
+/**
+ * Wait between streamed chunks
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} - Resolves after the delay, rejects with an AbortError when cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      const error = new Error("AI request was cancelled");
+      error.name = "AbortError";
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) return abort();
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Create the scripted mock provider
+ * @param {Object} options - Optional settings
+ * @param {string} options.scriptPath - Script file (defaults to MOCK_SCRIPT, or demo/mock-script.json)
+ * @returns {Object} - Provider
+ */
+export function createMockProvider({
+  scriptPath = process.env.MOCK_SCRIPT
+    ? path.resolve(process.env.MOCK_SCRIPT)
+    : DEFAULT_SCRIPT_PATH,
+} = {}) {
+  const script = loadScript(scriptPath);
+
+  // How many times each rule has answered, to step through response lists
+  const answerCounts = new Map();
+
+  // Pick the scripted answer for a request
+  const getResponse = (task, context, frameHash) => {
+    const rule = script.rules.find((candidate) =>
+      matchesRule(candidate, task, context, frameHash)
+    );
+
+    if (!rule) {
+      console.log(
+        `🎭 [Mock] No rule for ${task || "unlabelled"} request${frameHash ? ` (frame ${frameHash})` : ""}`
+      );
+      return (
+        script.defaults[task] ??
+        DEFAULT_RESPONSES[task] ??
+        script.defaults.text ??
+        DEFAULT_RESPONSES.text
+      );
+    }
+
+    if (!Array.isArray(rule.response)) return rule.response;
+
+    const count = answerCounts.get(rule) || 0;
+    answerCounts.set(rule, count + 1);
+    return rule.response[Math.min(count, rule.response.length - 1)];
+  };
+
+  return {
+    name: "mock",
+    model: path.basename(scriptPath),
+    capabilities: { vision: true, streaming: true, json: true },
+
+    /**
+     * Answer from the script, streaming it word by word when a chunk callback is given
+     * @param {Object} request - Normalised generation request (see providers/index.js)
+     * @returns {Promise<string>} - Full response text
+     */
+    async generate({ prompt = "", images = [], onChunk, signal, task, context = {} }) {
+      const frameHash = images.length > 0 ? hashFrame(images[0].data) : null;
+      const response = getResponse(task, context, frameHash);
+      let text = typeof response === "string" ? response : JSON.stringify(response);
+
+      // Like a model, only name a target when the prompt asks for one
+      const markerIndex = text.indexOf(TARGET_MARKER);
+      if (markerIndex !== -1 && !prompt.includes(TARGET_MARKER)) {
+        text = text.slice(0, markerIndex).trimEnd();
+      }
+
+      if (!onChunk) {
+        if (script.delayMs > 0) await wait(script.delayMs, signal);
+        return text;
+      }
+
+      // Words keep their trailing whitespace, so the chunks add up to the text
+      for (const word of text.split(/(?<=\s)/)) {
+        if (script.delayMs > 0) await wait(script.delayMs, signal);
+        onChunk(word);
+      }
+
+      return text;
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// Local model provider
+// Talks to an Ollama server, so the assistant can run without internet access
+
+import dotenv from "dotenv";
+import { postJSON, readLines } from "./http.js";
+import { reportUsage } from "./shared.js";
+
+dotenv.config();
+
+/**
+ * Build one chat message, with images as plain base64
+ * @param {string} role - "user" or "assistant"
+ * @param {string} content - Message text
+ * @param {Array<Object>} [images] - Images as { data, mimeType }
+ * @returns {Object} - Ollama chat message
+ */
+function toMessage(role, content, images = []) {
+  const message = { role, content };
+  if (images.length > 0) {
+    message.images = images.map((image) => image.data);
+  }
+  return message;
+}
+
+/**
+ * Create a provider for a locally hosted model served by Ollama
+ * @param {Object} options - Optional settings
+ * @param {string} options.baseUrl - Server URL (defaults to OLLAMA_BASE_URL)
+ * @param {string} options.model - Model name (defaults to OLLAMA_MODEL)
+ * @param {boolean} options.vision - Whether the model accepts images (OLLAMA_VISION=false turns it off)
+ * @returns {Object} - Provider
+ */
+export function createOllamaProvider({
+  baseUrl = process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+  model = process.env.OLLAMA_MODEL || "llava",
+  vision = process.env.OLLAMA_VISION !== "false",
+} = {}) {
+  const url = `${baseUrl.replace(/\/$/, "")}/api/chat`;
+
+  return {
+    name: "ollama",
+    model,
+    capabilities: { vision, streaming: true, json: true },
+
+    /**
+     * Generate text, streaming partial text when a chunk callback is given
+     * @param {Object} request - Normalised generation request (see providers/index.js)
+     * @returns {Promise<string>} - Full response text
+     */
+    async generate({ prompt, images = [], history = [], json = false, onChunk, onUsage, signal }) {
+      const body = {
+        model,
+        messages: [
+          ...history.map((turn) =>
+            toMessage(turn.role === "assistant" ? "assistant" : "user", turn.text, turn.images)
+          ),
+          toMessage("user", prompt, images),
+        ],
+        stream: Boolean(onChunk),
+      };
+
+      // Ask for raw JSON instead of prose
+      if (json) {
+        body.format = "json";
+      }
+
+      const response = await postJSON(url, body, { signal });
+
+      if (!onChunk) {
+        const data = await response.json();
+        reportUsage(onUsage, data, "prompt_eval_count", "eval_count");
+        return data.message?.content || "";
+      }
+
+      // One JSON object per line, the last one has "done": true
+      let fullText = "";
+      for await (const line of readLines(response.body)) {
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`Ollama error: ${data.error}`);
+
+        const text = data.message?.content;
+        if (text) {
+          fullText += text;
+          onChunk(text);
+        }
+
+        if (data.done) {
+          reportUsage(onUsage, data, "prompt_eval_count", "eval_count");
+          break;
+        }
+      }
+
+      return fullText;
+    },
+  };
+}
@@ -0,0 +1,111 @@
+// OpenAI-compatible provider
+// Works with any server exposing /chat/completions, including llama.cpp's built-in server
+
+import dotenv from "dotenv";
+import { postJSON, readLines } from "./http.js";
+import { reportUsage } from "./shared.js";
+
+dotenv.config();
+
+/**
+ * Build the content of one message, a plain string unless it has images
+ * @param {string} text - Message text
+ * @param {Array<Object>} [images] - Images as { data, mimeType }
+ * @returns {string|Array<Object>} - Chat completion message content
+ */
+function toContent(text, images = []) {
+  if (images.length === 0) return text;
+
+  return [
+    { type: "text", text },
+    ...images.map((image) => ({
+      type: "image_url",
+      image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+    })),
+  ];
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions API
+ * @param {Object} options - Optional settings
+ * @param {string} options.baseUrl - API base URL (defaults to OPENAI_BASE_URL)
+ * @param {string} options.apiKey - API key (defaults to OPENAI_API_KEY, optional for local servers)
+ * @param {string} options.model - Model name (defaults to OPENAI_MODEL)
+ * @param {boolean} options.vision - Whether the model accepts images (OPENAI_VISION=false turns it off)
+ * @returns {Object} - Provider
+ */
+export function createOpenAIProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+  vision = process.env.OPENAI_VISION !== "false",
+} = {}) {
+  const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: "openai",
+    model,
+    capabilities: { vision, streaming: true, json: true },
+
+    /**
+     * Generate text, streaming partial text when a chunk callback is given
+     * @param {Object} request - Normalised generation request (see providers/index.js)
+     * @returns {Promise<string>} - Full response text
+     */
+    async generate({ prompt, images = [], history = [], json = false, onChunk, onUsage, signal }) {
+      const body = {
+        model,
+        messages: [
+          ...history.map((turn) => ({
+            role: turn.role === "assistant" ? "assistant" : "user",
+            content: toContent(turn.text, turn.images),
+          })),
+          { role: "user", content: toContent(prompt, images) },
+        ],
+        stream: Boolean(onChunk),
+      };
+
+      // Streams only report token counts when asked to
+      if (onChunk) {
+        body.stream_options = { include_usage: true };
+      }
+
+      // Ask for raw JSON instead of prose
+      if (json) {
+        body.response_format = { type: "json_object" };
+      }
+
+      const response = await postJSON(url, body, { headers, signal });
+
+      if (!onChunk) {
+        const data = await response.json();
+        reportUsage(onUsage, data.usage, "prompt_tokens", "completion_tokens");
+        return data.choices[0].message.content || "";
+      }
+
+      // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+      let fullText = "";
+      let usage = null;
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith("data:")) continue;
+
+        const data = line.slice("data:".length).trim();
+        if (data === "[DONE]") break;
+
+        const event = JSON.parse(data);
+        // The token counts come in a last event without choices
+        if (event.usage) usage = event.usage;
+
+        const text = event.choices?.[0]?.delta?.content;
+        if (!text) continue;
+
+        fullText += text;
+        onChunk(text);
+      }
+
+      reportUsage(onUsage, usage, "prompt_tokens", "completion_tokens");
+      return fullText;
+    },
+  };
+}
@@ -0,0 +1,423 @@
+// Resilient provider calls
+// Every provider call gets a timeout, jittered exponential retry on transient errors,
+// and a per-provider circuit breaker that fails fast while the provider keeps failing
+
+import { EventEmitter } from "events";
+import dotenv from "dotenv";
+import { createAbortError } from "./shared.js";
+
+dotenv.config();
+
+// Retry and circuit breaker settings, configured through .env
+export const RESILIENCE_CONFIG = {
+  // Time allowed for one attempt, unless the task or the call sets its own
+  timeoutMs: Number(process.env.AI_TIMEOUT_MS) || 30000,
+  // Quick checks give up sooner than full answers
+  taskTimeoutsMs: {
+    verify: Number(process.env.AI_VERIFY_TIMEOUT_MS) || 15000,
+    title: 10000,
+    // A summary holds up the answer it is made for
+    summary: 15000,
+  },
+  // Extra attempts after a retryable failure
+  maxRetries: Number(process.env.AI_MAX_RETRIES ?? 2),
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 8000,
+  // Consecutive failed attempts that open the circuit
+  failureThreshold: Number(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+  // How long an open circuit fails fast before letting a trial call through
+  cooldownMs: Number(process.env.AI_CIRCUIT_COOLDOWN_MS) || 30000,
+};
+
+// Why a provider call failed
+export const ProviderErrorCodes = {
+  TIMEOUT: "timeout",
+  RATE_LIMITED: "rate_limited",
+  UNAVAILABLE: "unavailable",
+  AUTH_FAILED: "auth_failed",
+  INVALID_REQUEST: "invalid_request",
+  CIRCUIT_OPEN: "circuit_open",
+  FAILED: "failed",
+};
+
+// Network errors worth another attempt
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+];
+
+/**
+ * Error thrown by resilient provider calls
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of ProviderErrorCodes
+   * @param {string} details.provider - Provider name
+   * @param {boolean} details.retryable - Whether another attempt may succeed
+   * @param {number|null} details.retryAfterMs - How long to wait before trying again, if known
+   * @param {Error} details.cause - Original error
+   */
+  constructor(message, { code, provider, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ProviderError";
+    this.code = code || ProviderErrorCodes.FAILED;
+    this.provider = provider;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Emits "degraded" and "recovered" events as providers start and stop failing
+ * degraded: { provider, state: "retrying" | "unavailable", message, retryAfterMs }
+ * recovered: { provider }
+ */
+export const providerHealth = new EventEmitter();
+
+/**
+ * Get the HTTP status of a provider error
+ * @param {Error} error - Error thrown by a provider
+ * @returns {number|null} - Status code, read from the error or its message
+ */
+function getStatus(error) {
+  if (typeof error.status === "number") return error.status;
+
+  // The Gemini SDK only puts the status in the message
+  const match = /got status: (\d{3})/.exec(error.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Turn any provider failure into a ProviderError
+ * @param {Error} error - Error thrown by a provider
+ * @param {string} provider - Provider name
+ * @returns {ProviderError} - Classified error
+ */
+export function classifyProviderError(error, provider) {
+  if (error instanceof ProviderError) return error;
+
+  const status = getStatus(error);
+  const message = error.message || "";
+  const networkCode = error.cause?.code || error.code;
+  const details = { provider, cause: error, retryAfterMs: error.retryAfterMs ?? null };
+
+  if (status === 401 || status === 403 || /API key/i.test(message)) {
+    return new ProviderError(`The ${provider} provider rejected its credentials`, {
+      ...details,
+      code: ProviderErrorCodes.AUTH_FAILED,
+    });
+  }
+
+  if (status === 429 || /RESOURCE_EXHAUSTED|quota|rate limit/i.test(message)) {
+    return new ProviderError(`The ${provider} provider is rate limiting requests`, {
+      ...details,
+      code: ProviderErrorCodes.RATE_LIMITED,
+      retryable: true,
+    });
+  }
+
+  if (
+    status === 408 ||
+    status >= 500 ||
+    RETRYABLE_NETWORK_CODES.includes(networkCode) ||
+    (error.name === "TypeError" && message === "fetch failed") ||
+    /UNAVAILABLE|overloaded/i.test(message)
+  ) {
+    return new ProviderError(`The ${provider} provider is unavailable: ${message}`, {
+      ...details,
+      code: ProviderErrorCodes.UNAVAILABLE,
+      retryable: true,
+    });
+  }
+
+  if (status >= 400) {
+    return new ProviderError(`The ${provider} provider rejected the request: ${message}`, {
+      ...details,
+      code: ProviderErrorCodes.INVALID_REQUEST,
+    });
+  }
+
+  return new ProviderError(`The ${provider} provider failed: ${message}`, details);
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} - Resolves after the delay, rejects with an AbortError when cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) return abort();
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Run one attempt, aborting it if it takes too long
+ * @param {Function} run - Starts the attempt with an AbortSignal
+ * @param {number} timeoutMs - Time allowed
+ * @param {string} provider - Provider name
+ * @param {AbortSignal} [signal] - Caller's cancellation signal
+ * @returns {Promise<string>} - Result of the attempt
+ */
+function withTimeout(run, timeoutMs, provider, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(
+        new ProviderError(`The ${provider} provider did not answer within ${timeoutMs}ms`, {
+          code: ProviderErrorCodes.TIMEOUT,
+          provider,
+          retryable: true,
+        })
+      );
+      controller.abort();
+    }, timeoutMs);
+  });
+
+  return Promise.race([run(controller.signal), timeout]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter, or the provider's Retry-After
+ * @param {number} attempt - Number of failed attempts so far, from 1
+ * @param {number|null} retryAfterMs - Delay asked for by the provider
+ * @param {Object} config - Resilience settings
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(attempt, retryAfterMs, config = RESILIENCE_CONFIG) {
+  const backoff = Math.min(
+    config.retryBaseDelayMs * 2 ** (attempt - 1),
+    config.retryMaxDelayMs
+  );
+  // Half fixed, half random, so clients that failed together retry apart
+  const jittered = backoff / 2 + Math.random() * (backoff / 2);
+
+  return Math.round(Math.max(jittered, retryAfterMs || 0));
+}
+
+/**
+ * Circuit breaker tracking one provider's health
+ * closed: calls go through; open: calls fail fast; half-open: one trial call is let through
+ */
+export class CircuitBreaker {
+  constructor(provider, config = RESILIENCE_CONFIG) {
+    this.provider = provider;
+    this.config = config;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    // Last "degraded" event, until the provider recovers
+    this.status = null;
+  }
+
+  /**
+   * Check whether a call may go through, moving an open circuit to half-open after its cooldown
+   * @returns {boolean} - False while the circuit fails fast
+   */
+  allowRequest() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open" && this.getRetryAfterMs() === 0) {
+      this.state = "half-open";
+      return true;
+    }
+
+    // Only one trial call at a time while half-open
+    return false;
+  }
+
+  /**
+   * Time left until a trial call is let through
+   * @returns {number} - Milliseconds, 0 once the cooldown is over
+   */
+  getRetryAfterMs() {
+    if (this.state === "closed") return 0;
+    return Math.max(this.openedAt + this.config.cooldownMs - Date.now(), 0);
+  }
+
+  /**
+   * Give up a trial call that said nothing about the provider's health, so the next call can try
+   */
+  cancelTrial() {
+    if (this.state === "half-open") {
+      this.state = "open";
+      this.openedAt = Date.now() - this.config.cooldownMs;
+    }
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+
+    if (this.status) {
+      this.status = null;
+      console.warn(`✅ [${this.provider}] Provider recovered`);
+      providerHealth.emit("recovered", { provider: this.provider });
+    }
+  }
+
+  /**
+   * Count a failed attempt, opening the circuit once there are too many in a row
+   * @param {ProviderError} error - Classified failure
+   */
+  recordFailure(error) {
+    this.failures++;
+
+    const wasOpen = this.state !== "closed";
+    if (this.state === "half-open" || this.failures >= this.config.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+
+    if (this.state === "open" && !wasOpen) {
+      console.error(
+        `🔌 [${this.provider}] Circuit opened after ${this.failures} failures: ${error.message}`
+      );
+      this.reportDegraded(
+        "unavailable",
+        `The AI service is not responding. Trying again in ${Math.ceil(this.config.cooldownMs / 1000)} seconds.`,
+        this.config.cooldownMs
+      );
+    }
+  }
+
+  /**
+   * Tell listeners about a retry, unless they already know the provider is struggling
+   * @param {ProviderError} error - Failure being retried
+   * @param {number} delayMs - Delay before the retry
+   */
+  recordRetry(error, delayMs) {
+    if (this.status) return;
+
+    const reason =
+      error.code === ProviderErrorCodes.RATE_LIMITED
+        ? "The AI service is busy"
+        : "The AI service is slow to respond";
+    this.reportDegraded("retrying", `${reason}, retrying...`, delayMs);
+  }
+
+  reportDegraded(state, message, retryAfterMs) {
+    this.status = { provider: this.provider, state, message, retryAfterMs };
+    providerHealth.emit("degraded", this.status);
+  }
+}
+
+/**
+ * Wrap a provider so every call is timed out, retried and guarded by a circuit breaker
+ * A call that already streamed text to the user is not retried, since the text cannot be taken back
+ * @param {Object} provider - Provider (see providers/index.js)
+ * @param {Object} config - Resilience settings (defaults to RESILIENCE_CONFIG)
+ * @returns {Object} - Provider with the same name, model and capabilities
+ */
+export function withResilience(provider, config = RESILIENCE_CONFIG) {
+  const breaker = new CircuitBreaker(provider.name, config);
+
+  /**
+   * Generate text through the wrapped provider
+   * @param {Object} request - Normalised generation request, optionally with its own timeoutMs
+   * @returns {Promise<string>} - Full response text
+   * @throws {ProviderError} - Once the call has failed for good
+   */
+  const generate = async ({ timeoutMs, ...request }) => {
+    const { signal, onChunk } = request;
+    const attemptTimeoutMs =
+      timeoutMs ?? config.taskTimeoutsMs[request.task] ?? config.timeoutMs;
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) throw createAbortError();
+
+      if (!breaker.allowRequest()) {
+        const retryAfterMs = breaker.getRetryAfterMs();
+        throw new ProviderError(
+          `The ${provider.name} provider is unavailable, try again in ${Math.ceil(retryAfterMs / 1000)}s`,
+          {
+            code: ProviderErrorCodes.CIRCUIT_OPEN,
+            provider: provider.name,
+            retryAfterMs,
+          }
+        );
+      }
+
+      let streamed = false;
+      try {
+        const text = await withTimeout(
+          (attemptSignal) =>
+            provider.generate({
+              ...request,
+              signal: attemptSignal,
+              onChunk:
+                onChunk &&
+                ((chunk) => {
+                  streamed = true;
+                  onChunk(chunk);
+                }),
+            }),
+          attemptTimeoutMs,
+          provider.name,
+          signal
+        );
+
+        breaker.recordSuccess();
+        return text;
+      } catch (error) {
+        // Cancelled by the caller - not the provider's fault
+        if (signal?.aborted) {
+          breaker.cancelTrial();
+          throw createAbortError();
+        }
+
+        const failure = classifyProviderError(error, provider.name);
+        if (failure.code === ProviderErrorCodes.INVALID_REQUEST) {
+          breaker.cancelTrial();
+        } else {
+          breaker.recordFailure(failure);
+        }
+
+        const delayMs = getRetryDelay(attempt, failure.retryAfterMs, config);
+        if (
+          !failure.retryable ||
+          streamed ||
+          attempt > config.maxRetries ||
+          breaker.state !== "closed" ||
+          delayMs > config.retryMaxDelayMs
+        ) {
+          throw failure;
+        }
+
+        console.warn(
+          `🔁 [${provider.name}] ${failure.message} - retrying in ${delayMs}ms (attempt ${attempt + 1}/${config.maxRetries + 1})`
+        );
+        breaker.recordRetry(failure, delayMs);
+        await wait(delayMs, signal);
+      }
+    }
+  };
+
+  return { ...provider, breaker, generate };
+}
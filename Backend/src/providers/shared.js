@@ -0,0 +1,27 @@
+// Helpers shared by every provider and the resilience wrapper
+
+/**
+ * Create the error thrown when a request is cancelled through its AbortSignal
+ * @returns {Error} - Error named "AbortError"
+ */
+export function createAbortError() {
+  const error = new Error("AI request was cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Pass the token counts of a response to the usage callback
+ * @param {Function} [onUsage] - Usage callback
+ * @param {Object} [usage] - Provider usage object, skipped when missing
+ * @param {string} promptField - Field holding the prompt token count
+ * @param {string} responseField - Field holding the response token count
+ */
+export function reportUsage(onUsage, usage, promptField, responseField) {
+  if (!onUsage || !usage || usage[promptField] === undefined) return;
+
+  onUsage({
+    promptTokens: usage[promptField] || 0,
+    responseTokens: usage[responseField] || 0,
+  });
+}
@@ -3,9 +3,97 @@
 
 import express from "express";
 import { sendChatMessage, getContextualResponse } from "../utils/gemini.js";
+import { ProviderError, ProviderErrorCodes } from "../providers/resilience.js";
+import { consumeAIRequest } from "../utils/rateLimiter.js";
+import { findUserId } from "../db/usage.js";
+import { normalizeLanguage } from "../utils/language.js";
+import { getRedactionRules, redactFrame } from "../utils/redaction.js";
+import { DETAIL_LEVELS, DEFAULT_DETAIL_LEVEL, DEFAULT_LANGUAGE } from "../../../shared/protocol.js";
 
 const router = express.Router();
 
+// HTTP status for each kind of provider failure
+const PROVIDER_ERROR_STATUSES = {
+  [ProviderErrorCodes.RATE_LIMITED]: 429,
+  [ProviderErrorCodes.TIMEOUT]: 504,
+  [ProviderErrorCodes.UNAVAILABLE]: 503,
+  [ProviderErrorCodes.CIRCUIT_OPEN]: 503,
+};
+
+/**
+ * Send a failed AI request as an error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the AI utilities
+ * @param {string} message - Error summary for the client
+ */
+function sendAIError(res, error, message) {
+  const status =
+    (error instanceof ProviderError && PROVIDER_ERROR_STATUSES[error.code]) || 500;
+
+  if (error.retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Get who a request's token usage is recorded for
+ * The user is looked up once per request, and unknown users are recorded as no user
+ * @param {Object} body - Request body with optional userId and sessionId
+ * @returns {Promise<{userId: number|null, sessionId: string|null}>}
+ */
+async function getUsageOwner({ userId, sessionId } = {}) {
+  const id = Number(userId);
+  let owner = null;
+  if (userId !== undefined && Number.isInteger(id)) {
+    owner = await findUserId(id).catch((error) => {
+      console.error("⚠️ Failed to look up user for AI usage:", error.message);
+      return null;
+    });
+  }
+
+  return {
+    userId: owner,
+    sessionId: sessionId ? String(sessionId) : null,
+  };
+}
+
+/**
+ * Count an AI request against the caller's rate limits and daily quota
+ * Called once the body is known to be valid, so rejected requests never use up the quota
+ * Callers are identified by body.userId, or by IP address without one, and the
+ * IP address is always limited as well; body.sessionId gets its own session limit
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response, answered with a 429 when the request is refused
+ * @returns {Promise<boolean>} - Whether the request may call the model
+ */
+async function reserveAIRequest(req, res) {
+  const { userId, sessionId } = req.body;
+
+  const result = await consumeAIRequest({
+    sessionId: sessionId ? `rest:${sessionId}` : null,
+    userKey: userId ? `user:${userId}` : `ip:${req.ip}`,
+    ipKey: `ip:${req.ip}`,
+  });
+
+  if (result.allowed) return true;
+
+  res.set("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+  res.status(429).json({
+    success: false,
+    error: "rate_limited",
+    message: result.message,
+    scope: result.scope,
+    retryAfterMs: result.retryAfterMs,
+  });
+  return false;
+}
+
 /**
  * POST /chat
  * Send a chat message and receive AI response
@@ -14,16 +102,23 @@ const router = express.Router();
  * {
  *   message: string (required) - The user's message
  *   sessionId: string (optional) - Session identifier for context
+ *   userId: string|number (optional) - User to count the request against
  *   conversationHistory: array (optional) - Previous messages for context
  *   userGoal: string (optional) - User's current goal
  *   includeScreen: boolean (optional) - Whether to include screen context
  *   screenFrame: string (optional) - Base64 encoded screen image
+ *   redactRegions: array (optional) - Screen areas to mask, as fractions (0-1) of the screen
+ *   activeWindowTitle: string (optional) - Title of the captured window; blocklisted windows are not sent
+ *   detailLevel: string (optional) - "quick_tip", "step_by_step" (default) or "teach_me"
+ *   language: string (optional) - BCP 47 tag of the language to answer in, e.g. "es" (default "en")
  * }
  *
  * Response:
  * {
  *   success: boolean
  *   response: string - AI response text
+ *   promptVersion: string - Prompt template version behind the response
+ *   screenHidden: boolean - True when the screen frame was withheld for privacy
  *   timestamp: string
  * }
  */
@@ -36,7 +131,11 @@ router.post("/", async (req, res) => {
       userGoal,
       includeScreen = false,
       screenFrame,
+      redactRegions,
+      activeWindowTitle,
+      detailLevel = DEFAULT_DETAIL_LEVEL,
     } = req.body;
+    const language = normalizeLanguage(req.body.language ?? DEFAULT_LANGUAGE);
 
     // Validate required fields
     if (!message || typeof message !== "string") {
@@ -46,41 +145,100 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (screenFrame !== undefined && typeof screenFrame !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "screenFrame must be a string",
+      });
+    }
+
+    if (activeWindowTitle !== undefined && typeof activeWindowTitle !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "activeWindowTitle must be a string",
+      });
+    }
+
+    if (!DETAIL_LEVELS.includes(detailLevel)) {
+      return res.status(400).json({
+        success: false,
+        error: `detailLevel must be one of: ${DETAIL_LEVELS.join(", ")}`,
+      });
+    }
+
+    if (!language) {
+      return res.status(400).json({
+        success: false,
+        error: "language must be a language tag such as \"en\" or \"pt-BR\"",
+      });
+    }
+
     // Get AI response based on whether screen context is included
     let responseText;
+    let promptVersion = null;
+    const onPromptVersion = (version) => {
+      promptVersion = version;
+    };
 
+    // Mask sensitive regions before the frame reaches the model, as for WebSocket frames
+    let frame = null;
     if (includeScreen && screenFrame) {
-      // Get contextual response with screen image
       let base64Image = screenFrame;
       if (base64Image.includes("base64,")) {
         base64Image = base64Image.split("base64,")[1];
       }
+      const imageFormat = screenFrame.startsWith("data:image/png") ? "png" : "jpeg";
+
+      try {
+        frame = await redactFrame(
+          base64Image,
+          imageFormat,
+          getRedactionRules({ redactRegions, activeWindowTitle })
+        );
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: "screenFrame must be a valid image",
+        });
+      }
+    }
+
+    if (!(await reserveAIRequest(req, res))) return;
 
+    if (frame && !frame.blocked) {
+      // Get contextual response with screen image
       responseText = await getContextualResponse({
         message,
-        base64Image,
+        base64Image: frame.base64Image,
+        imageFormat: frame.imageFormat,
         conversationHistory,
         userGoal,
+        detailLevel,
+        language,
+        usage: await getUsageOwner(req.body),
+        onPromptVersion,
       });
     } else {
-      // Get text-only response
-      responseText = await sendChatMessage(message, conversationHistory);
+      // Get text-only response, also used when the screen is hidden for privacy
+      responseText = await sendChatMessage(message, conversationHistory, {
+        usage: await getUsageOwner(req.body),
+        onPromptVersion,
+        language,
+      });
     }
 
     // Send successful response
     res.json({
       success: true,
       response: responseText,
+      promptVersion,
+      screenHidden: Boolean(frame?.blocked),
       sessionId: sessionId || null,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     console.error("Error in /chat endpoint:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to process chat message",
-      message: error.message,
-    });
+    sendAIError(res, error, "Failed to process chat message");
   }
 });
 
@@ -92,6 +250,8 @@ router.post("/", async (req, res) => {
  * {
  *   content: string (required) - Content to analyze
  *   analysisType: string (optional) - Type of analysis requested
+ *   userId: string|number (optional) - User to count the request against
+ *   sessionId: string (optional) - Session to record the token usage for
  * }
  */
 router.post("/analyze", async (req, res) => {
@@ -105,8 +265,12 @@ router.post("/analyze", async (req, res) => {
       });
     }
 
+    if (!(await reserveAIRequest(req, res))) return;
+
     const prompt = `Analyze the following content and provide insights (${analysisType} analysis):\n\n${content}`;
-    const analysis = await sendChatMessage(prompt);
+    const analysis = await sendChatMessage(prompt, [], {
+      usage: await getUsageOwner(req.body),
+    });
 
     res.json({
       success: true,
@@ -116,11 +280,7 @@ router.post("/analyze", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /chat/analyze endpoint:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to analyze content",
-      message: error.message,
-    });
+    sendAIError(res, error, "Failed to analyze content");
   }
 });
 
@@ -6,6 +6,8 @@ import { db } from "../db/index.js";
 import { users, sessions, sessionHistory } from "../db/schema.js";
 import { eq } from "drizzle-orm";
 import { generateSessionTitle } from "../utils/gemini.js";
+import { linkUsageToSession, unlinkUsageFromSession } from "../db/usage.js";
+import { normalizeLanguage } from "../utils/language.js";
 
 const router = express.Router();
 
@@ -19,6 +21,9 @@ const router = express.Router();
  *   title: string (optional) - Session title (auto-generated if not provided)
  *   messages: array (required) - Conversation messages
  *   screenSteps: array (optional) - Screen analysis steps
+ *   liveSessionId: string (optional) - WebSocket session the conversation happened in,
+ *     its recorded AI usage is linked to the saved session
+ *   language: string (optional) - Language tag the generated title is written in
  * }
  *
  * Response:
@@ -30,10 +35,12 @@ const router = express.Router();
  */
 router.post("/save-session", async (req, res) => {
   try {
-    const { userId, title, messages, screenSteps = [] } = req.body;
+    const { title, messages, screenSteps = [], liveSessionId, language } = req.body;
+    // Clients may send the ID as a string
+    const userId = Number(req.body.userId);
 
     // Validate required fields
-    if (!userId || !messages || !Array.isArray(messages)) {
+    if (!Number.isInteger(userId) || userId <= 0 || !messages || !Array.isArray(messages)) {
       return res.status(400).json({
         success: false,
         error: "userId and messages array are required",
@@ -44,7 +51,11 @@ router.post("/save-session", async (req, res) => {
     let sessionTitle = title;
     if (!sessionTitle && messages.length > 0) {
       try {
-        sessionTitle = await generateSessionTitle(messages);
+        sessionTitle = await generateSessionTitle(messages, {
+          usage: { userId, sessionId: liveSessionId },
+          // An unknown tag only costs the title its language
+          language: normalizeLanguage(language),
+        });
       } catch (error) {
         console.error("Failed to generate title:", error);
         sessionTitle = `Session ${new Date().toLocaleDateString()}`;
@@ -69,6 +80,10 @@ router.post("/save-session", async (req, res) => {
       screenSteps: screenSteps,
     });
 
+    if (liveSessionId) {
+      await linkUsageToSession(liveSessionId, newSession.id);
+    }
+
     res.json({
       success: true,
       sessionId: newSession.id,
@@ -263,6 +278,7 @@ router.delete("/sessions/:id", async (req, res) => {
     await db
       .delete(sessionHistory)
       .where(eq(sessionHistory.sessionId, sessionId));
+    await unlinkUsageFromSession(sessionId);
 
     // Delete session
     await db.delete(sessions).where(eq(sessions.id, sessionId));
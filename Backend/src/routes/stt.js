@@ -0,0 +1,98 @@
+// Speech-to-text API routes
+// Turns push-to-talk recordings into text for the chat
+
+import express from "express";
+import {
+  STT_CONFIG,
+  getTranscriber,
+  isSpeechInputEnabled,
+} from "../stt/index.js";
+import { normalizeLanguage } from "../utils/language.js";
+
+const router = express.Router();
+
+/**
+ * POST /stt
+ * Transcribe a recording
+ *
+ * Request body: the raw recording, sent with an audio/* Content-Type (16 kHz mono WAV works everywhere)
+ *
+ * Query parameters:
+ * {
+ *   language: string (optional) - BCP 47 tag of the spoken language, detected when left out
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean
+ *   transcript: string - Recognised text, empty when nothing was said
+ *   provider: string - Transcriber that produced it
+ *   timestamp: string
+ * }
+ */
+router.post(
+  "/",
+  express.raw({ type: "audio/*", limit: STT_CONFIG.maxAudioBytes }),
+  async (req, res) => {
+    if (!isSpeechInputEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: "Speech input is not enabled on this server",
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Request body must be an audio recording with an audio/* Content-Type",
+      });
+    }
+
+    let language = null;
+    if (req.query.language) {
+      language = normalizeLanguage(String(req.query.language));
+      if (!language) {
+        return res.status(400).json({
+          success: false,
+          error: "language must be a language tag such as \"en\" or \"pt-BR\"",
+        });
+      }
+    }
+
+    try {
+      const transcriber = getTranscriber();
+      const transcript = await transcriber.transcribe({
+        audio: req.body,
+        mimeType: req.get("Content-Type"),
+        language,
+        signal: AbortSignal.timeout(STT_CONFIG.timeoutMs),
+      });
+
+      res.json({
+        success: true,
+        transcript: transcript.trim(),
+        provider: transcriber.name,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error in /stt endpoint:", error);
+      res.status(error.name === "AbortError" ? 504 : 500).json({
+        success: false,
+        error: "Failed to transcribe recording",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Recordings over STT_MAX_AUDIO_BYTES are refused before they reach the transcriber
+router.use((err, req, res, next) => {
+  if (err.type !== "entity.too.large") return next(err);
+
+  res.status(413).json({
+    success: false,
+    error: `Recording is larger than ${STT_CONFIG.maxAudioBytes} bytes`,
+  });
+});
+
+export default router;
@@ -0,0 +1,124 @@
+// Usage API routes
+// Reports AI token usage and estimated cost per user and per session
+
+import express from "express";
+import { getAIUsage } from "../db/usage.js";
+import { summarizeUsage } from "../utils/pricing.js";
+
+const router = express.Router();
+
+// Range reported when the request gives no "from"
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the date range of a usage request
+ * A date without a time in "to" includes that whole day
+ * @param {Object} query - Query string with optional from and to (ISO dates)
+ * @returns {{from: Date, to: Date}|{error: string}}
+ */
+function parseRange({ from, to }) {
+  let end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end = new Date(end.getTime() + DAY_MS);
+  }
+
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: "from and to must be ISO dates" };
+  }
+  if (start >= end) {
+    return { error: "from must be before to" };
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Send the usage totals for one user or session
+ * @param {Object} res - Express response
+ * @param {Object} filter - Owner of the usage (see getAIUsage)
+ * @param {Object} query - Request query string
+ */
+async function sendUsage(res, filter, query) {
+  const range = parseRange(query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  const rows = await getAIUsage({ ...filter, ...range });
+
+  res.json({
+    success: true,
+    ...filter,
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    usage: summarizeUsage(rows),
+  });
+}
+
+/**
+ * GET /usage/users/:userId
+ * Token usage and estimated cost of a user's AI requests
+ *
+ * Query:
+ *   from: ISO date (optional) - Start of the range, defaults to 30 days before "to"
+ *   to: ISO date (optional) - End of the range, defaults to now
+ *
+ * Response:
+ * {
+ *   success: boolean
+ *   userId: number
+ *   from, to: string - Range covered
+ *   usage: object - Requests, tokens, images, latency and estimatedCost, with a byModel breakdown
+ * }
+ */
+router.get("/users/:userId", async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID",
+      });
+    }
+
+    await sendUsage(res, { userId }, req.query);
+  } catch (error) {
+    console.error("Error retrieving user usage:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve usage",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /usage/sessions/:id
+ * Token usage and estimated cost of a session's AI requests
+ * A numeric ID is a saved session, anything else a live WebSocket or REST session ID
+ *
+ * Query and response as for /usage/users/:userId, with sessionId or liveSessionId
+ */
+router.get("/sessions/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const filter = /^\d+$/.test(id)
+      ? { sessionId: parseInt(id) }
+      : { liveSessionId: id };
+
+    await sendUsage(res, filter, req.query);
+  } catch (error) {
+    console.error("Error retrieving session usage:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve usage",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -9,6 +9,11 @@ import http from "http";
 import { initializeWebSocket, getAllActiveSessions } from "./wsHandler.js";
 import chatRouter from "./routes/chat.js";
 import sessionRouter from "./routes/session.js";
+import usageRouter from "./routes/usage.js";
+import sttRouter from "./routes/stt.js";
+import { DEMO_MODE } from "./demo.js";
+import { describeProvider } from "./providers/index.js";
+import { getPromptTemplates } from "./utils/prompts.js";
 
 // Load environment variables
 dotenv.config();
@@ -33,6 +38,7 @@ app.get("/", (req, res) => {
     message: "Real-Time AI Voice Assistant Backend",
     status: "running",
     version: "1.0.0",
+    demo: DEMO_MODE,
     endpoints: {
       chat: "/chat",
       saveSession: "/save-session",
@@ -40,6 +46,9 @@ app.get("/", (req, res) => {
       getUserSessions: "/sessions/user/:userId",
       createUser: "/users",
       getUser: "/users/:id",
+      userUsage: "/usage/users/:userId",
+      sessionUsage: "/usage/sessions/:id",
+      speechToText: "/stt",
       websocket: "ws://localhost:" + PORT + "/ws",
     },
   });
@@ -48,6 +57,8 @@ app.get("/", (req, res) => {
 // API Routes
 app.use("/chat", chatRouter);
 app.use("/", sessionRouter); // Session routes are at root level
+app.use("/usage", usageRouter);
+app.use("/stt", sttRouter);
 
 // Status endpoint to check active WebSocket connections
 app.get("/status", (req, res) => {
@@ -94,9 +105,22 @@ initializeWebSocket(wss);
 // Start server only if run directly
 import { fileURLToPath } from "url";
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  // Load the prompt templates now, so a broken override stops the server instead of a request
+  const promptOverrides = [...getPromptTemplates().values()]
+    .filter((template) => template.source === "override")
+    .map((template) => `${template.name}@${template.version}`);
+
   server.listen(PORT, () => {
     console.log(`HTTP Server running on: http://localhost:${PORT}`);
     console.log(`WebSocket Server running on: ws://localhost:${PORT}/ws`);
+    if (DEMO_MODE) {
+      console.log(
+        `🎭 Demo mode: scripted answers from ${describeProvider().model}, in-memory storage`
+      );
+    }
+    if (promptOverrides.length > 0) {
+      console.log(`📝 Prompt overrides: ${promptOverrides.join(", ")}`);
+    }
   });
 }
 
@@ -0,0 +1,72 @@
+// Speech-to-text registry
+// Push-to-talk recordings are turned into text by a transcriber, chosen per deployment
+//
+// A transcriber is an object with:
+//   name   - Registry name ("whisper", "stub")
+//   model  - Model used for transcription
+//   transcribe(request) - Resolves with the transcript, where request is
+//     { audio, mimeType, language, signal }
+//     audio is a Buffer holding the recording (16 kHz mono WAV from the app)
+//     language is a BCP 47 tag, or null to let the transcriber detect it
+
+import dotenv from "dotenv";
+import { createWhisperTranscriber } from "./whisper.js";
+import { createStubTranscriber } from "./stub.js";
+import { DEMO_MODE } from "../demo.js";
+
+dotenv.config();
+
+const TRANSCRIBER_FACTORIES = {
+  whisper: createWhisperTranscriber,
+  stub: createStubTranscriber,
+};
+
+// Speech input settings, configured through .env
+export const STT_CONFIG = {
+  // Transcriber for voice input, none disables it; demo mode always uses the stub
+  provider: DEMO_MODE ? "stub" : process.env.STT_PROVIDER || null,
+  // Largest recording accepted, in bytes (10 MB is about five minutes of 16 kHz WAV)
+  maxAudioBytes: parseInt(process.env.STT_MAX_AUDIO_BYTES) || 10 * 1024 * 1024,
+  // How long a transcription may take before it is abandoned
+  timeoutMs: parseInt(process.env.STT_TIMEOUT_MS) || 30000,
+};
+
+// Transcribers are created on first use so unused ones need no configuration
+const transcribers = new Map();
+
+/**
+ * Check whether voice input is turned on
+ * @returns {boolean} - True when STT_PROVIDER names a transcriber
+ */
+export function isSpeechInputEnabled() {
+  return Boolean(STT_CONFIG.provider);
+}
+
+/**
+ * Get a transcriber by name
+ * @param {string} [name] - Transcriber name, defaults to the deployment's transcriber
+ * @returns {Object} - Transcriber
+ * @throws {Error} - If there is no transcriber with that name
+ */
+export function getTranscriber(name = STT_CONFIG.provider) {
+  if (!transcribers.has(name)) {
+    const createTranscriber = TRANSCRIBER_FACTORIES[name];
+    if (!createTranscriber) {
+      throw new Error(`Unknown speech-to-text provider: ${name}`);
+    }
+    transcribers.set(name, createTranscriber());
+  }
+
+  return transcribers.get(name);
+}
+
+/**
+ * Describe the deployment's transcriber for clients
+ * @returns {{name: string, model: string, maxAudioBytes: number}|null} - Null while voice input is off
+ */
+export function describeTranscriber() {
+  if (!isSpeechInputEnabled()) return null;
+
+  const { name, model } = getTranscriber();
+  return { name, model, maxAudioBytes: STT_CONFIG.maxAudioBytes };
+}
@@ -0,0 +1,29 @@
+// Stub transcriber
+// Answers every recording with the same text, for demo mode and tests
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Create a transcriber that ignores the audio
+ * @param {Object} options - Optional settings
+ * @param {string} options.transcript - Text returned for every recording (defaults to STT_STUB_TRANSCRIPT)
+ * @returns {Object} - Transcriber
+ */
+export function createStubTranscriber({
+  transcript = process.env.STT_STUB_TRANSCRIPT || "What should I do next?",
+} = {}) {
+  return {
+    name: "stub",
+    model: "stub",
+
+    /**
+     * Return the configured transcript
+     * @returns {Promise<string>} - Transcript
+     */
+    async transcribe() {
+      return transcript;
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// Local Whisper transcriber
+// Runs a whisper.cpp style command line tool on each recording, so audio never leaves the machine
+
+import { execFile } from "child_process";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Run a command and collect its output
+ * @param {string} file - Program to run
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - execFile options (signal)
+ * @returns {Promise<string>} - Standard output
+ */
+function run(file, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { ...options, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${path.basename(file)} failed: ${stderr.trim() || error.message}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Create a transcriber backed by a local Whisper binary
+ * The binary is called as `<binary> -m <model> -f <wav> -l <language> -nt -np`
+ * and must print the transcript on standard output
+ * @param {Object} options - Optional settings
+ * @param {string} options.binary - Program to run (defaults to STT_WHISPER_BINARY, or "whisper-cli")
+ * @param {string} options.model - Model file (defaults to STT_WHISPER_MODEL)
+ * @returns {Object} - Transcriber
+ */
+export function createWhisperTranscriber({
+  binary = process.env.STT_WHISPER_BINARY || "whisper-cli",
+  model = process.env.STT_WHISPER_MODEL,
+} = {}) {
+  if (!model) {
+    throw new Error("STT_WHISPER_MODEL must point to a Whisper model file");
+  }
+
+  return {
+    name: "whisper",
+    model: path.basename(model),
+
+    /**
+     * Transcribe a recording
+     * @param {Object} request - Transcription request (see stt/index.js)
+     * @returns {Promise<string>} - Transcript
+     */
+    async transcribe({ audio, language, signal }) {
+      // Whisper reads files, so the recording goes to a private temporary directory
+      const directory = await mkdtemp(path.join(os.tmpdir(), "stt-"));
+      const audioPath = path.join(directory, "recording.wav");
+
+      try {
+        await writeFile(audioPath, audio);
+
+        // Whisper takes plain language codes ("pt", not "pt-BR")
+        const languageCode = language ? language.split("-")[0].toLowerCase() : "auto";
+        const output = await run(
+          binary,
+          ["-m", model, "-f", audioPath, "-l", languageCode, "-nt", "-np"],
+          { signal }
+        );
+
+        return output.replace(/\s+/g, " ").trim();
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,75 @@
+// Text-to-speech registry
+// Responses can be spoken by the server instead of the client's system voices, chosen per deployment
+//
+// A synthesizer is an object with:
+//   name   - Registry name ("piper", "stub")
+//   model  - Voice used by default
+//   ssml   - Optional, true if synthesize() takes SSML rather than plain speech text
+//   supportsLanguage(language) - Whether it has a voice for a BCP 47 tag
+//   synthesize(request) - Resolves with { audio, mimeType }, where request is
+//     { text, ssml, language, signal }, text having been prepared for speech (see shared/rendering.js)
+//     audio is a Buffer holding the spoken text (WAV from the built-in synthesizers)
+
+import dotenv from "dotenv";
+import { createPiperSynthesizer } from "./piper.js";
+import { createStubSynthesizer } from "./stub.js";
+
+dotenv.config();
+
+const SYNTHESIZER_FACTORIES = {
+  piper: createPiperSynthesizer,
+  stub: createStubSynthesizer,
+};
+
+// Speech output settings, configured through .env
+export const TTS_CONFIG = {
+  // Synthesizer for spoken responses, none leaves speech to the client
+  provider: process.env.TTS_PROVIDER || null,
+};
+
+// Synthesizers are created on first use so unused ones need no configuration
+const synthesizers = new Map();
+
+/**
+ * Check whether the server speaks responses
+ * @returns {boolean} - True when TTS_PROVIDER names a synthesizer
+ */
+export function isSpeechOutputEnabled() {
+  return Boolean(TTS_CONFIG.provider);
+}
+
+/**
+ * Get a synthesizer by name
+ * @param {string} [name] - Synthesizer name, defaults to the deployment's synthesizer
+ * @returns {Object} - Synthesizer
+ * @throws {Error} - If there is no synthesizer with that name
+ */
+export function getSynthesizer(name = TTS_CONFIG.provider) {
+  if (!synthesizers.has(name)) {
+    const createSynthesizer = SYNTHESIZER_FACTORIES[name];
+    if (!createSynthesizer) {
+      throw new Error(`Unknown text-to-speech provider: ${name}`);
+    }
+    synthesizers.set(name, createSynthesizer());
+  }
+
+  return synthesizers.get(name);
+}
+
+/**
+ * Check whether responses in a language can be spoken by the server
+ * @param {string} language - BCP 47 tag
+ * @returns {boolean} - True when speech output is on and has a voice for the language
+ */
+export function canSpeak(language) {
+  return isSpeechOutputEnabled() && getSynthesizer().supportsLanguage(language);
+}
+
+/**
+ * Describe the deployment's synthesizer for clients
+ * @returns {{name: string, model: string}}
+ */
+export function describeSynthesizer() {
+  const { name, model } = getSynthesizer();
+  return { name, model };
+}
@@ -0,0 +1,112 @@
+// Local Piper synthesizer
+// Runs a Piper style command line tool for each sentence, so spoken responses sound the same on every desktop
+
+import { execFile } from "child_process";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Read the voices a deployment has installed
+ * TTS_PIPER_VOICES maps language tags to voice models, TTS_PIPER_MODEL is the English voice
+ * @returns {Object} - Voice model path by lower-case language tag
+ */
+function loadVoices() {
+  const voices = {};
+
+  if (process.env.TTS_PIPER_MODEL) {
+    voices.en = process.env.TTS_PIPER_MODEL;
+  }
+
+  if (process.env.TTS_PIPER_VOICES) {
+    try {
+      for (const [language, model] of Object.entries(JSON.parse(process.env.TTS_PIPER_VOICES))) {
+        voices[language.toLowerCase()] = model;
+      }
+    } catch (error) {
+      throw new Error(`TTS_PIPER_VOICES must be a JSON object of language tags and voice models: ${error.message}`);
+    }
+  }
+
+  return voices;
+}
+
+/**
+ * Run a command with text on its standard input
+ * @param {string} file - Program to run
+ * @param {Array<string>} args - Arguments
+ * @param {string} input - Text for standard input
+ * @param {Object} options - execFile options (signal)
+ * @returns {Promise<void>} - Resolves when the command succeeds
+ */
+function run(file, args, input, options) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(file, args, options, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${path.basename(file)} failed: ${stderr.trim() || error.message}`;
+        return reject(error);
+      }
+      resolve();
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Create a synthesizer backed by a local Piper binary
+ * The binary is called as `<binary> --model <voice> --output_file <wav>` with the text on standard input
+ * @param {Object} options - Optional settings
+ * @param {string} options.binary - Program to run (defaults to TTS_PIPER_BINARY, or "piper")
+ * @param {Object} options.voices - Voice model by language tag (defaults to TTS_PIPER_MODEL and TTS_PIPER_VOICES)
+ * @returns {Object} - Synthesizer
+ */
+export function createPiperSynthesizer({
+  binary = process.env.TTS_PIPER_BINARY || "piper",
+  voices = loadVoices(),
+} = {}) {
+  if (Object.keys(voices).length === 0) {
+    throw new Error("TTS_PIPER_MODEL or TTS_PIPER_VOICES must name at least one Piper voice");
+  }
+
+  // Exact tag first, then the base language
+  const findVoice = (language) => {
+    const tag = String(language || "en").toLowerCase();
+    return voices[tag] || voices[tag.split("-")[0]] || null;
+  };
+
+  return {
+    name: "piper",
+    model: path.basename(voices.en || Object.values(voices)[0]),
+
+    supportsLanguage(language) {
+      return Boolean(findVoice(language));
+    },
+
+    /**
+     * Speak one piece of text
+     * @param {Object} request - Synthesis request (see tts/index.js)
+     * @returns {Promise<{audio: Buffer, mimeType: string}>} - WAV audio
+     */
+    async synthesize({ text, language, signal }) {
+      const voice = findVoice(language);
+      if (!voice) {
+        throw new Error(`No Piper voice for language ${language}`);
+      }
+
+      // Piper writes files, so the audio goes through a private temporary directory
+      const directory = await mkdtemp(path.join(os.tmpdir(), "tts-"));
+      const audioPath = path.join(directory, "speech.wav");
+
+      try {
+        await run(binary, ["--model", voice, "--output_file", audioPath], text, { signal });
+        return { audio: await readFile(audioPath), mimeType: "audio/wav" };
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,106 @@
+// Sentence-by-sentence speech
+// Responses are spoken while they stream in: each finished sentence is synthesised and sent in order
+
+import { toSpeechText, toSsml } from "../../../shared/rendering.js";
+
+// Sentence punctuation followed by whitespace, so "google.com" is not split, or a line break;
+// the number of a list item ("2. Click Save") does not end a sentence
+const SENTENCE_END = /(?<!(?:^|\n)\s*\d{1,3})[.!?]+["')\]]*\s+|\n+/g;
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @returns {{sentences: Array<string>, rest: string}} - Complete sentences and the unfinished remainder
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(start, end).trim();
+    if (sentence) sentences.push(sentence);
+    start = end;
+  }
+
+  return { sentences, rest: text.slice(start) };
+}
+
+/**
+ * Create a speech stream for one response
+ * @param {Object} options - Stream settings
+ * @param {Object} options.synthesizer - Synthesizer (see tts/index.js); it is given SSML when its `ssml` flag is set
+ * @param {string} options.language - Language of the response
+ * @param {Function} options.onAudio - Called in order with { sequence, text, audio, mimeType } for each
+ *   sentence, text being the sentence as written; audio is null when the sentence could not be synthesised
+ * @param {Function} [options.onClose] - Called once after the last sentence, also when the request failed or was cancelled
+ * @param {Function} options.enqueue - Runs a task after those already queued, so responses do not overlap
+ * @param {AbortSignal} [options.signal] - Stops the stream when the request is cancelled
+ * @returns {{push: Function, end: Function, close: Function}} - push(chunk) adds streamed text,
+ *   end(fullText) speaks the rest, close() stops without speaking it
+ */
+export function createSpeechStream({ synthesizer, language, onAudio, onClose, enqueue, signal }) {
+  let buffered = "";
+  let received = false;
+  let sequence = 0;
+  let closed = false;
+
+  const speak = (text) => {
+    // Formatting-only lines such as code fences have nothing to say
+    const spoken = toSpeechText(text);
+    if (!spoken) return;
+    const speech = synthesizer.ssml ? toSsml(text, language) : spoken;
+
+    const index = sequence++;
+
+    enqueue(async () => {
+      if (signal?.aborted) return;
+
+      let result = null;
+      try {
+        result = await synthesizer.synthesize({ text: speech, ssml: Boolean(synthesizer.ssml), language, signal });
+      } catch (error) {
+        if (signal?.aborted) return;
+        console.error(`🔈 Speech synthesis failed, the client will speak it: ${error.message}`);
+      }
+
+      if (signal?.aborted) return;
+      onAudio({
+        sequence: index,
+        text,
+        audio: result ? result.audio : null,
+        mimeType: result ? result.mimeType : null,
+      });
+    });
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    buffered = "";
+
+    // Queued after the sentences, so it runs once they have all been sent
+    enqueue(async () => onClose?.({ sequence }));
+  };
+
+  return {
+    push(chunk) {
+      received = true;
+      const { sentences, rest } = splitSentences(buffered + chunk);
+      sentences.forEach(speak);
+      buffered = rest;
+    },
+
+    end(fullText = "") {
+      if (closed) return;
+
+      // Replies that were not streamed are spoken from their full text
+      const { sentences, rest } = splitSentences(`${received ? buffered : fullText} `);
+      sentences.forEach(speak);
+      if (rest.trim()) speak(rest.trim());
+      close();
+    },
+
+    close,
+  };
+}
@@ -0,0 +1,54 @@
+// Stub synthesizer
+// Answers every sentence with a short silent WAV file, for tests
+
+// Length of the silence, at 16 kHz mono 16-bit
+const SILENCE_SAMPLES = 1600;
+
+/**
+ * Build a silent 16-bit PCM WAV file
+ * @param {number} samples - Number of samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {Buffer} - WAV file
+ */
+function createSilentWav(samples, sampleRate) {
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write("RIFF", 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write("WAVE", 8);
+  wav.write("fmt ", 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // Mono
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write("data", 36);
+  wav.writeUInt32LE(samples * 2, 40);
+  return wav;
+}
+
+/**
+ * Create a synthesizer that returns silence for any text
+ * @returns {Object} - Synthesizer
+ */
+export function createStubSynthesizer() {
+  const audio = createSilentWav(SILENCE_SAMPLES, 16000);
+
+  return {
+    name: "stub",
+    model: "silence",
+
+    supportsLanguage() {
+      return true;
+    },
+
+    /**
+     * Return the silent recording
+     * @returns {Promise<{audio: Buffer, mimeType: string}>} - Audio
+     */
+    async synthesize() {
+      return { audio, mimeType: "audio/wav" };
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// Multi-turn conversation context
+// Turns stored chat messages into role-tagged turns for the model,
+// and decides when a long history has to be summarised to fit its token budget
+
+import dotenv from "dotenv";
+import { estimateTokens } from "./pricing.js";
+
+dotenv.config();
+
+// Conversation context settings, configured through .env
+export const CONVERSATION_CONFIG = {
+  // Estimated tokens of history sent with a prompt before older messages are summarised
+  tokenBudget: Number(process.env.AI_HISTORY_TOKEN_BUDGET) || 4000,
+  // Newest messages always sent word for word
+  keepRecentMessages: Number(process.env.AI_HISTORY_KEEP_RECENT) || 6,
+  // Screen captures kept with earlier messages, 0 sends earlier turns as text only
+  maxFrames: Number(process.env.AI_HISTORY_FRAMES ?? 0),
+  // Rough cost of one screen capture, for budgeting
+  imageTokens: 258,
+};
+
+/**
+ * Map a stored role to a model turn role
+ * @param {string} role - Role of a stored message ("user", "assistant", "ai", "model", ...)
+ * @returns {string} - "user" or "assistant"
+ */
+function toTurnRole(role) {
+  return role === "user" ? "user" : "assistant";
+}
+
+/**
+ * Turn stored messages into role-tagged turns, oldest first
+ * Only the newest messages with a screen capture keep it, up to maxFrames
+ * @param {Array<Object>} messages - Messages with role, content and an optional frame
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxFrames - Screen captures to include
+ * @returns {Array<{role: string, text: string, images: Array<Object>}>}
+ */
+export function toTurns(messages, { maxFrames = CONVERSATION_CONFIG.maxFrames } = {}) {
+  let framesLeft = maxFrames;
+
+  return messages
+    .filter((message) => typeof message?.content === "string" && message.content.trim())
+    .reverse()
+    .map((message) => {
+      const turn = { role: toTurnRole(message.role), text: message.content, images: [] };
+
+      if (message.frame?.base64Image && framesLeft > 0) {
+        framesLeft -= 1;
+        turn.images.push({
+          data: message.frame.base64Image,
+          mimeType: message.frame.imageFormat === "png" ? "image/png" : "image/jpeg",
+        });
+      }
+
+      return turn;
+    })
+    .reverse();
+}
+
+/**
+ * Estimate the prompt tokens a list of messages takes up
+ * @param {Array<Object>} messages - Stored messages
+ * @returns {number} - Estimated tokens
+ */
+export function estimateHistoryTokens(messages) {
+  return toTurns(messages).reduce(
+    (total, turn) =>
+      total + estimateTokens(turn.text) + turn.images.length * CONVERSATION_CONFIG.imageTokens,
+    0
+  );
+}
+
+/**
+ * Split a history into the messages still sent as turns and those due for a summary
+ * @param {Array<Object>} messages - Full stored history, oldest first
+ * @param {Object|null} summary - Current summary, { text, messageCount } covering the oldest messages
+ * @returns {{recent: Array<Object>, toSummarize: Array<Object>}} - toSummarize is empty while within budget
+ */
+export function splitHistory(messages, summary) {
+  // A summary of some other history does not apply
+  const covered = summary && summary.messageCount <= messages.length ? summary.messageCount : 0;
+  const recent = messages.slice(covered);
+
+  if (
+    recent.length <= CONVERSATION_CONFIG.keepRecentMessages ||
+    estimateHistoryTokens(recent) <= CONVERSATION_CONFIG.tokenBudget
+  ) {
+    return { recent, toSummarize: [] };
+  }
+
+  const splitAt = recent.length - CONVERSATION_CONFIG.keepRecentMessages;
+  return { recent: recent.slice(splitAt), toSummarize: recent.slice(0, splitAt) };
+}
+
+/**
+ * Drop screen captures from all but the newest messages that have one
+ * Keeps long sessions from holding on to every frame
+ * @param {Array<Object>} messages - Stored messages, changed in place
+ * @param {number} maxFrames - Screen captures to keep
+ */
+export function pruneFrames(messages, maxFrames = CONVERSATION_CONFIG.maxFrames) {
+  let kept = 0;
+
+  for (let index = messages.length - 1; index >= 0; index--) {
+    if (!messages[index].frame) continue;
+
+    if (kept < maxFrames) {
+      kept += 1;
+    } else {
+      delete messages[index].frame;
+    }
+  }
+}
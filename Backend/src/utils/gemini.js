@@ -1,57 +1,454 @@
-// Gemini AI utility functions
-// This file handles all interactions with Google's Gemini API
+// AI utility functions
+// Prompts for screen guidance, rendered from the templates in prompts/ (see prompts.js)
+// and sent through the configured AI provider (see ../providers)
+
+import { getProvider } from "../providers/index.js";
+import { ProviderError } from "../providers/resilience.js";
+import { recordAIUsage } from "../db/usage.js";
+import { estimateTokens } from "./pricing.js";
+import { toTurns, splitHistory } from "./conversation.js";
+import { renderPrompt } from "./prompts.js";
+import { isDefaultLanguage, describeLanguage } from "./language.js";
+import { DETAIL_LEVELS, DEFAULT_DETAIL_LEVEL } from "../../../shared/protocol.js";
 
-import { GoogleGenAI } from "@google/genai";
-import dotenv from "dotenv";
+/**
+ * Check whether an error should reach the caller unchanged
+ * Cancellations are not failures, and provider errors already say what went wrong
+ * @param {Error} error - Caught error
+ * @returns {boolean} - True for AbortErrors and ProviderErrors
+ */
+function isPassThroughError(error) {
+  return error.name === "AbortError" || error instanceof ProviderError;
+}
+
+/**
+ * Store the token usage of a model call in the background
+ * @param {Object} call - What was sent and received
+ * @param {Object} call.ai - Provider that handled the call
+ * @param {Object} call.usage - Who the call was for ({ userId, sessionId })
+ * @param {string} call.task - What the prompt was for
+ * @param {string} call.promptVersion - Template the prompt was rendered from (see prompts.js)
+ * @param {string} call.prompt - Prompt text, including earlier turns
+ * @param {string} call.text - Response text, empty if the call failed
+ * @param {number} call.imageCount - Images sent with the prompt
+ * @param {Object|null} call.reported - Token counts reported by the provider
+ * @param {number} call.latencyMs - Time the call took
+ * @param {Error} [call.error] - Why the call failed
+ */
+function trackUsage({
+  ai,
+  usage = {},
+  task,
+  promptVersion,
+  prompt,
+  text,
+  imageCount,
+  reported,
+  latencyMs,
+  error,
+}) {
+  // Without counts from the provider, successful calls are estimated and failed ones count nothing
+  let tokens = { promptTokens: 0, responseTokens: 0 };
+  if (reported) tokens = reported;
+  else if (!error) tokens = { promptTokens: estimateTokens(prompt), responseTokens: estimateTokens(text) };
+
+  recordAIUsage({
+    userId: Number.isInteger(usage.userId) ? usage.userId : null,
+    liveSessionId: usage.sessionId || null,
+    provider: ai.name,
+    model: ai.model,
+    task,
+    promptVersion: promptVersion || null,
+    ...tokens,
+    tokensEstimated: !reported && !error,
+    imageCount,
+    latencyMs,
+    error: error ? (error.name === "AbortError" ? "cancelled" : error.code || "failed") : null,
+  }).catch((recordError) => {
+    console.error("⚠️ Failed to record AI usage:", recordError.message);
+  });
+}
 
-dotenv.config();
+/**
+ * Put the instruction to answer in the user's language in front of a prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} [language] - Canonical language tag
+ * @returns {string} - Prompt, unchanged for English
+ */
+function withLanguage(prompt, language) {
+  if (isDefaultLanguage(language)) return prompt;
 
-// Initialize Gemini API with the new SDK
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
-});
+  const { text } = renderPrompt("language", { language: describeLanguage(language) });
+  return `${text}\n\n${prompt}`;
+}
 
 /**
- * Get Gemini model name
- * Using gemini-2.5-flash for fast responses
- * Note: Returns model name string, not model instance
+ * Run a generation request, streaming partial text when a chunk callback is given
+ * @param {Object} request - Generation request
+ * @param {string} request.prompt - Prompt text
+ * @param {Array<Object>} request.history - Earlier turns, [{ role, text, images }] (optional, see toTurns())
+ * @param {string} request.base64Image - Screen capture (optional)
+ * @param {string} request.imageFormat - Screen capture format ('jpeg' or 'png')
+ * @param {boolean} request.json - Ask for a JSON response
+ * @param {string} request.task - What the prompt is for ("chat", "guidance", "frame", "plan", "progress", "verify", "title", "summary")
+ * @param {Object} request.context - Goal, message and plan step the prompt is about
+ * @param {string} request.promptVersion - Template the prompt was rendered from, recorded with the usage
+ * @param {string} request.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} request.usage - Who the call's token usage is recorded for ({ userId, sessionId })
+ * @param {string} request.language - Language tag to answer in, English when not set
+ * @param {Function} [onChunk] - Called with each new piece of text as it arrives
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<string>} - Full response text
  */
-export function getGeminiModelName(withVision = false) {
-  // gemini-2.5-flash supports both text and vision
-  const modelName = "gemini-2.5-flash";
-  return modelName;
+async function generateText(
+  {
+    prompt,
+    history = [],
+    base64Image,
+    imageFormat = "jpeg",
+    json = false,
+    task,
+    context = {},
+    promptVersion,
+    provider,
+    usage,
+    language,
+  },
+  onChunk,
+  signal
+) {
+  const ai = getProvider(provider);
+  prompt = withLanguage(prompt, language);
+
+  let images = [];
+  if (base64Image) {
+    if (ai.capabilities.vision) {
+      images = [
+        {
+          data: base64Image,
+          mimeType: imageFormat.toLowerCase() === "png" ? "image/png" : "image/jpeg",
+        },
+      ];
+    } else {
+      console.error(`⚠️ The ${ai.name} provider cannot see images - sending the prompt only`);
+    }
+  }
+
+  // Earlier screen captures are dropped the same way
+  const turns = ai.capabilities.vision
+    ? history
+    : history.map((turn) => ({ ...turn, images: [] }));
+  const imageCount = turns.reduce((count, turn) => count + (turn.images?.length || 0), images.length);
+  const request = { prompt, images, history: turns, json, signal, task, context };
+
+  let reported = null;
+  const onUsage = (counts) => {
+    reported = counts;
+  };
+  const call = {
+    ai,
+    usage,
+    task,
+    promptVersion,
+    prompt: [...turns.map((turn) => turn.text), prompt].join("\n"),
+    text: "",
+    imageCount,
+  };
+  const startedAt = Date.now();
+
+  try {
+    // Providers without streaming deliver the whole answer as one chunk
+    if (onChunk && !ai.capabilities.streaming) {
+      call.text = await ai.generate({ ...request, onUsage });
+      onChunk(call.text);
+    } else {
+      call.text = await ai.generate({ ...request, onChunk, onUsage });
+    }
+
+    return call.text;
+  } catch (error) {
+    call.error = error;
+    throw error;
+  } finally {
+    trackUsage({ ...call, reported, latencyMs: Date.now() - startedAt });
+  }
 }
 
 /**
- * Send a chat message to Gemini and get a response
- * @param {string} message - The user's message
- * @param {Array} conversationHistory - Previous conversation context
- * @returns {Promise<string>} - AI response text
+ * Check whether a provider accepts screen captures
+ * @param {string} [provider] - Provider name, defaults to the deployment's provider
+ * @returns {boolean} - True if the provider has vision support
+ */
+function canSee(provider) {
+  return getProvider(provider).capabilities.vision;
+}
+
+// Prefix of the last line in which guidance names the UI element it points at
+const TARGET_MARKER = "TARGET:";
+
+// Prompt lines asking for the target element's bounding box
+const TARGET_INSTRUCTIONS = `If your step points at one specific UI element, add a last line with its bounding box as fractions (0-1) of the image width and height, for example:
+${TARGET_MARKER} {"x": 0.42, "y": 0.31, "width": 0.16, "height": 0.05}
+Otherwise add the last line:
+${TARGET_MARKER} none`;
+
+/**
+ * Turn a detail level into the template variables that pick the matching wording
+ * @param {string} [detailLevel] - "quick_tip", "step_by_step" or "teach_me", defaults to step by step
+ * @returns {{quickTip: boolean, stepByStep: boolean, teachMe: boolean}}
+ */
+function detailVariables(detailLevel) {
+  const level = DETAIL_LEVELS.includes(detailLevel) ? detailLevel : DEFAULT_DETAIL_LEVEL;
+  return {
+    quickTip: level === "quick_tip",
+    stepByStep: level === "step_by_step",
+    teachMe: level === "teach_me",
+  };
+}
+
+/**
+ * Ask for a target line before the closing "Your response:" of a prompt
+ * Templates without that line get the instructions at the end
+ * @param {string} prompt - Guidance prompt
+ * @returns {string} - Prompt with target instructions
+ */
+function withTargetInstructions(prompt) {
+  if (!/Your response:$/.test(prompt)) return `${prompt}\n\n${TARGET_INSTRUCTIONS}`;
+
+  return prompt.replace(/Your response:$/, `${TARGET_INSTRUCTIONS}\n\nYour response:`);
+}
+
+/**
+ * Wrap a chunk callback so the target line is never streamed to the user
+ * @param {Function} [onChunk] - Chunk callback
+ * @returns {{onChunk: Function|undefined, flush: Function}} - Callback holding back anything
+ *   from the marker on, and a function sending text held back for a marker that never completed
+ */
+function hideTargetLine(onChunk) {
+  if (!onChunk) return { onChunk, flush: () => {} };
+
+  let received = "";
+  let sent = 0;
+
+  const send = (end) => {
+    if (end > sent) {
+      onChunk(received.slice(sent, end));
+      sent = end;
+    }
+  };
+
+  return {
+    onChunk: (text) => {
+      received += text;
+
+      let end = received.indexOf(TARGET_MARKER);
+      if (end === -1) {
+        // Hold back text that may be the start of the marker
+        end = received.length;
+        for (let length = TARGET_MARKER.length - 1; length > 0; length--) {
+          if (TARGET_MARKER.startsWith(received.slice(-length))) {
+            end = received.length - length;
+            break;
+          }
+        }
+      }
+
+      send(end);
+    },
+    flush: () => {
+      if (!received.includes(TARGET_MARKER)) send(received.length);
+    },
+  };
+}
+
+/**
+ * Split the target line off a guidance text
+ * @param {string} text - Full response text
+ * @returns {{text: string, target: {x: number, y: number, width: number, height: number}|null}}
  */
-export async function sendChatMessage(message, conversationHistory = []) {
+function extractTarget(text) {
+  const index = text.indexOf(TARGET_MARKER);
+  if (index === -1) return { text, target: null };
+
+  const guidance = text.slice(0, index).trim();
+  let box;
   try {
-    const modelName = getGeminiModelName(false); // Text only
-
-    // Build context from conversation history
-    let context = "";
-    if (conversationHistory.length > 0) {
-      context = conversationHistory
-        .map((msg) => `${msg.role}: ${msg.content}`)
-        .join("\n");
-      context += "\n\n";
+    box = JSON.parse(text.slice(index + TARGET_MARKER.length).trim());
+  } catch {
+    return { text: guidance, target: null };
+  }
+
+  const fields = ["x", "y", "width", "height"];
+  if (!box || fields.some((field) => typeof box[field] !== "number")) {
+    return { text: guidance, target: null };
+  }
+
+  // Keep the box inside the image
+  const clamp = (value) => Math.min(Math.max(value, 0), 1);
+  const x = clamp(box.x);
+  const y = clamp(box.y);
+  const target = {
+    x,
+    y,
+    width: Math.min(clamp(box.width), 1 - x),
+    height: Math.min(clamp(box.height), 1 - y),
+  };
+
+  return { text: guidance, target };
+}
+
+/**
+ * Generate guidance, optionally asking for the bounding box of the element it points at
+ * @param {Object} request - Generation request (see generateText)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onChunk - Stream partial text to this callback
+ * @param {Function} options.onTarget - Called with the target's normalized bounding box, if any
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<string>} - Guidance text without the target line
+ */
+async function generateGuidance(request, { onChunk, onTarget, signal }) {
+  if (!onTarget) return generateText(request, onChunk, signal);
+
+  const stream = hideTargetLine(onChunk);
+  const responseText = await generateText(request, stream.onChunk, signal);
+  stream.flush();
+  const { text, target } = extractTarget(responseText);
+  if (target) onTarget(target);
+
+  return text;
+}
+
+/**
+ * Summarise the older part of a conversation
+ * @param {Array<Object>} messages - Messages to summarise, oldest first
+ * @param {string} [previousSummary] - Summary of the messages before them
+ * @param {Object} options - Provider, usage, language and signal for the request
+ * @returns {Promise<string>} - Summary text
+ */
+async function summarizeConversation(messages, previousSummary, { provider, usage, language, signal }) {
+  const transcript = toTurns(messages, { maxFrames: 0 })
+    .map((turn) => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.text}`)
+    .join("\n");
+
+  const prompt = renderPrompt("summary", { previousSummary, transcript });
+
+  const text = await generateText(
+    {
+      prompt: prompt.text,
+      task: "summary",
+      context: {},
+      promptVersion: prompt.version,
+      provider,
+      usage,
+      language,
+    },
+    null,
+    signal
+  );
+  return text.trim();
+}
+
+/**
+ * Turn a stored history into turns for a prompt, summarising it once it is over budget
+ * @param {Array<Object>} conversationHistory - Earlier messages, oldest first, without the current one
+ * @param {Object} options - Optional settings
+ * @param {Object} options.historySummary - Summary from an earlier call, { text, messageCount }
+ * @param {Function} options.onSummary - Called with the new summary when one was made, to keep for the next call
+ * @param {string} options.provider - Provider name
+ * @param {Object} options.usage - Who the summary's token usage is recorded for
+ * @param {string} options.language - Language tag the summary is written in
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{history: Array<Object>, summary: string|null}>} - Turns and the summary of older messages
+ */
+async function prepareHistory(
+  conversationHistory,
+  { historySummary, onSummary, provider, usage, language, signal } = {}
+) {
+  const { recent, toSummarize } = splitHistory(conversationHistory, historySummary);
+  let summary =
+    historySummary && historySummary.messageCount <= conversationHistory.length
+      ? historySummary
+      : null;
+
+  if (toSummarize.length > 0) {
+    try {
+      const text = await summarizeConversation(toSummarize, summary?.text, {
+        provider,
+        usage,
+        language,
+        signal,
+      });
+      summary = {
+        text,
+        messageCount: conversationHistory.length - recent.length,
+      };
+      onSummary?.(summary);
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+
+      // Carry on with the newest messages and the old summary, the next call tries again
+      console.error("⚠️ Could not summarise the conversation:", error.message);
     }
+  }
 
-    // Combine context with new message
-    const fullPrompt = context + `User: ${message}\n\nAssistant:`;
+  return { history: toTurns(recent), summary: summary?.text || null };
+}
+
+/**
+ * Put the summary of older messages in front of a prompt
+ * @param {string} prompt - Prompt text
+ * @param {string|null} summary - Summary of the earlier conversation
+ * @returns {string} - Prompt
+ */
+function withSummary(prompt, summary) {
+  return summary ? `Summary of the earlier conversation: ${summary}\n\n${prompt}` : prompt;
+}
 
-    const response = await ai.models.generateContent({
-      model: modelName,
-      contents: fullPrompt,
+/**
+ * Send a chat message to the AI and get a response
+ * @param {string} message - The user's message
+ * @param {Array} conversationHistory - Previous messages ({ role, content }), sent as separate turns
+ * @param {Object} options - Optional settings
+ * @param {string} options.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} options.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {Object} options.historySummary - Summary of older messages from an earlier call
+ * @param {Function} options.onSummary - Called with a new summary when the history was over budget
+ * @param {Function} options.onPromptVersion - Called with the version of the template behind the response
+ * @param {string} options.language - Language tag to answer in, English when not set
+ * @returns {Promise<string>} - AI response text
+ */
+export async function sendChatMessage(
+  message,
+  conversationHistory = [],
+  { provider, usage, historySummary, onSummary, onPromptVersion, language } = {}
+) {
+  try {
+    const { history, summary } = await prepareHistory(conversationHistory, {
+      historySummary,
+      onSummary,
+      provider,
+      usage,
+      language,
+    });
+
+    const prompt = renderPrompt("chat", { message });
+    const text = await generateText({
+      prompt: withSummary(prompt.text, summary),
+      history,
+      task: "chat",
+      context: { message },
+      promptVersion: prompt.version,
+      provider,
+      usage,
+      language,
     });
 
-    return response.text;
+    onPromptVersion?.(prompt.version);
+    return text;
   } catch (error) {
-    console.error("Error calling Gemini API:", error);
+    if (isPassThroughError(error)) throw error;
+
+    console.error("Error calling AI provider:", error);
     throw new Error("Failed to get AI response");
   }
 }
@@ -62,109 +459,83 @@ export async function sendChatMessage(message, conversationHistory = []) {
  * @param {string} userGoal - What the user is trying to accomplish
  * @param {Object} metadata - Additional context (mouse position, detected elements, etc.)
  * @param {string} imageFormat - Image format ('jpeg', 'png', 'jpg')
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onChunk - Stream partial text to this callback
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {string} options.trigger - Why the frame is analysed ('changed' or 'stuck')
+ * @param {Function} options.onTarget - Ask for the target element and pass its normalized bounding box to this callback
+ * @param {string} options.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} options.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {Function} options.onPromptVersion - Called with the version of the template behind the guidance
+ * @param {string} options.detailLevel - "quick_tip", "step_by_step" (default) or "teach_me"
+ * @param {string} options.language - Language tag to answer in, English when not set
  * @returns {Promise<string>} - AI guidance text
  */
 export async function analyzeScreenFrame(
   base64Image,
   userGoal,
   metadata = {},
-  imageFormat = "jpeg"
+  imageFormat = "jpeg",
+  {
+    onChunk,
+    signal,
+    trigger = "changed",
+    onTarget,
+    provider,
+    usage,
+    onPromptVersion,
+    detailLevel,
+    language,
+  } = {}
 ) {
   try {
-
-    // Use gemini-2.5-flash (supports both text and vision)
-    const modelName = getGeminiModelName(true);
+    if (!canSee(provider)) {
+      throw new Error(
+        `The ${getProvider(provider).name} provider cannot analyze screen frames (no vision support)`
+      );
+    }
 
     // Prepare the prompt for screen analysis
-    const prompt = `You are an AI assistant helping a user accomplish a task on their computer.
-
-User's Goal: ${userGoal}
-
-Current Context:
-${metadata.currentStep ? `- Current Step: ${metadata.currentStep}` : ""}
-${
-  metadata.mousePosition
-    ? `- Mouse Position: (${metadata.mousePosition.x}, ${metadata.mousePosition.y})`
-    : ""
-}
-${
-  metadata.detectedElements
-    ? `- Detected UI Elements: ${metadata.detectedElements}`
-    : ""
-}
-
-Analyze the screen image and provide ONE clear, concise action step. Tell the user EXACTLY what to click or do next. Keep your response to a SINGLE sentence (maximum 15 words). Be specific about UI elements.
-
-Example responses:
-- "Click the Chrome icon on your taskbar."
-- "Type 'google.com' in the address bar and press Enter."
-- "Click the search box in the center of the page."
-
-Your response:`;
+    const prompt = renderPrompt("frame", {
+      goal: userGoal,
+      currentStep: metadata.currentStep,
+      mousePosition: metadata.mousePosition
+        ? `(${metadata.mousePosition.x}, ${metadata.mousePosition.y})`
+        : null,
+      detectedElements: metadata.detectedElements,
+      stuck: trigger === "stuck",
+      ...detailVariables(detailLevel),
+    });
 
-    // Determine correct MIME type
-    let mimeType = "image/jpeg"; // Default to JPEG
-    if (imageFormat.toLowerCase() === "png") {
-      mimeType = "image/png";
-    } else if (
-      imageFormat.toLowerCase() === "jpg" ||
-      imageFormat.toLowerCase() === "jpeg"
-    ) {
-      mimeType = "image/jpeg";
-    }
+    const promptText = onTarget ? withTargetInstructions(prompt.text) : prompt.text;
 
     // Validate base64 data
     if (!base64Image || base64Image.trim() === "") {
       throw new Error("Base64 image data is empty");
     }
 
-    // Use new SDK format with inline data
-    const response = await ai.models.generateContent({
-      model: modelName,
-      contents: [
-        {
-          parts: [
-            { text: prompt },
-            {
-              inlineData: {
-                data: base64Image,
-                mimeType: mimeType,
-              },
-            },
-          ],
-        },
-      ],
-    });
-
-    const responseText = response.text;
-    
+    const responseText = await generateGuidance(
+      {
+        prompt: promptText,
+        base64Image,
+        imageFormat,
+        task: "frame",
+        context: { goal: userGoal, step: metadata.currentStep },
+        promptVersion: prompt.version,
+        provider,
+        usage,
+        language,
+      },
+      { onChunk, onTarget, signal }
+    );
+
+    onPromptVersion?.(prompt.version);
     return responseText;
   } catch (error) {
-    console.error("❌ [Gemini] Error analyzing screen frame:", error);
-    console.error("❌ [Gemini] Error name:", error.name);
-    console.error("❌ [Gemini] Error message:", error.message);
+    if (isPassThroughError(error)) throw error;
 
-    // Provide more specific error messages
-    if (error.message.includes("API key")) {
-      throw new Error(
-        "Gemini API key is invalid or not set. Check GEMINI_API_KEY in .env"
-      );
-    } else if (
-      error.message.includes("quota") ||
-      error.message.includes("RESOURCE_EXHAUSTED")
-    ) {
-      throw new Error(
-        "Gemini API quota exceeded. Please wait or upgrade your plan"
-      );
-    } else if (error.message.includes("INVALID_ARGUMENT")) {
-      throw new Error(
-        "Invalid image data sent to Gemini API. Check image format and encoding"
-      );
-    } else if (error.message.includes("timeout")) {
-      throw new Error("Gemini API request timeout. Please try again");
-    } else {
-      throw new Error(`Gemini API error: ${error.message}`);
-    }
+    console.error("❌ [AI] Error analyzing screen frame:", error);
+    throw new Error(`Failed to analyze screen: ${error.message}`);
   }
 }
 
@@ -173,132 +544,394 @@ Your response:`;
  * @param {Object} params - Parameters object
  * @param {string} params.message - User's message
  * @param {string} params.base64Image - Screen capture (optional)
- * @param {Array} params.conversationHistory - Conversation context
+ * @param {string} params.imageFormat - Screen capture format ('jpeg' or 'png')
+ * @param {Array} params.conversationHistory - Previous messages ({ role, content, frame }), sent as separate turns
+ * @param {Object} params.historySummary - Summary of older messages from an earlier call (optional)
+ * @param {Function} params.onSummary - Called with a new summary when the history was over budget (optional)
  * @param {string} params.userGoal - User's current goal
  * @param {Array} params.stepHistory - Array of completed steps
  * @param {boolean} params.isFirstMessage - Whether this is the first message
+ * @param {Object} params.plan - Task plan for the session (optional)
+ * @param {number} params.currentStepIndex - Plan step the user is working on
+ * @param {Function} params.onChunk - Stream partial text to this callback (optional)
+ * @param {Function} params.onTarget - Ask for the target element and pass its normalized bounding box to this callback (optional)
+ * @param {string} params.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} params.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {Function} params.onPromptVersion - Called with the version of the template behind the response (optional)
+ * @param {string} params.detailLevel - "quick_tip", "step_by_step" (default) or "teach_me"
+ * @param {string} params.language - Language tag to answer in, English when not set
+ * @param {AbortSignal} params.signal - Cancels the request (optional)
  * @returns {Promise<string>} - AI response
  */
 export async function getContextualResponse({
   message,
   base64Image,
+  imageFormat = "jpeg",
   conversationHistory = [],
+  historySummary,
+  onSummary,
   userGoal,
   stepHistory = [],
   isFirstMessage = false,
+  plan = null,
+  currentStepIndex = 0,
+  onChunk,
+  onTarget,
+  provider,
+  usage,
+  onPromptVersion,
+  detailLevel,
+  language,
+  signal,
 }) {
   try {
-    // Use gemini-2.5-flash (supports both text and vision)
-    const modelName = getGeminiModelName();
+    const { history, summary } = await prepareHistory(conversationHistory, {
+      historySummary,
+      onSummary,
+      provider,
+      usage,
+      language,
+      signal,
+    });
 
-    let prompt = "";
+    const detail = detailVariables(detailLevel);
+
+    let prompt;
+    if (isFirstMessage && plan) {
+      // First message with a plan - confirm the goal and give its first step
+      prompt = renderPrompt("goal-with-plan", {
+        message,
+        plan: formatPlan(plan, currentStepIndex),
+        ...detail,
+      });
+    } else if (isFirstMessage) {
+      // Handle first message - extract and confirm goal
+      prompt = renderPrompt("goal", { message, ...detail });
+    } else {
+      // Subsequent messages - provide next step based on screen, plan and the last few steps
+      prompt = renderPrompt("guidance", {
+        goal: userGoal || "General assistance",
+        plan: plan ? formatPlan(plan, currentStepIndex) : null,
+        currentStepNumber: currentStepIndex + 1,
+        completedSteps: stepHistory
+          .slice(-3)
+          .map((step, index) => `${index + 1}. ${step}`)
+          .join("\n"),
+        message,
+        ...detail,
+      });
+    }
 
-    // Handle first message - extract and confirm goal
-    if (isFirstMessage) {
-      prompt = `The user is starting a new task assistance session. Their first message is: "${message}"
+    // Only a screen capture the model can see lets it locate the element
+    const withTarget = Boolean(onTarget && base64Image && canSee(provider));
+    const promptText = withTarget ? withTargetInstructions(prompt.text) : prompt.text;
+
+    const text = await generateGuidance(
+      {
+        prompt: withSummary(promptText, summary),
+        history,
+        base64Image,
+        imageFormat,
+        task: "guidance",
+        context: {
+          goal: userGoal,
+          message,
+          step: plan?.steps[currentStepIndex]?.instruction,
+        },
+        promptVersion: prompt.version,
+        provider,
+        usage,
+        language,
+      },
+      { onChunk, onTarget: withTarget ? onTarget : undefined, signal }
+    );
+
+    onPromptVersion?.(prompt.version);
+    return text;
+  } catch (error) {
+    if (isPassThroughError(error)) throw error;
 
-Extract their goal from this message and respond with:
-1. A brief confirmation of their goal (one sentence)
-2. The FIRST specific action step they should take (one sentence, maximum 15 words)
+    console.error("Error getting contextual response:", error);
+    throw new Error("Failed to get AI response");
+  }
+}
 
-Example:
-User: "I want to search for weather on Google"
-Response: "I'll help you search for weather on Google. Click the Chrome icon on your taskbar."
+/**
+ * Format a plan's steps as a numbered list for a prompt
+ * @param {Object} plan - Task plan
+ * @param {number} currentStepIndex - Step the user is working on
+ * @returns {string} - One line per step, marking completed and current steps
+ */
+function formatPlan(plan, currentStepIndex) {
+  return plan.steps
+    .map((step, index) => {
+      let marker = "";
+      if (index < currentStepIndex) marker = " (done)";
+      if (index === currentStepIndex) marker = " <- current step";
+      return `${index + 1}. ${step.instruction} (expected: ${step.expectedOutcome})${marker}`;
+    })
+    .join("\n");
+}
 
-Your response:`;
-    } else {
-      // Subsequent messages - provide next step based on screen and history
-      prompt = `You are helping a user accomplish this goal: ${userGoal || "General assistance"}
-
-`;
-
-      // Add step history if available
-      if (stepHistory.length > 0) {
-        prompt += `Steps completed so far:\n`;
-        stepHistory.slice(-3).forEach((step, index) => {
-          prompt += `${index + 1}. ${step}\n`;
-        });
-        prompt += "\n";
-      }
+/**
+ * Ask the AI for a JSON answer and parse it
+ * @param {string} prompt - Prompt describing the expected JSON
+ * @param {Object} options - Optional settings
+ * @param {string} options.base64Image - Screen capture
+ * @param {string} options.imageFormat - Screen capture format
+ * @param {string} options.task - What the prompt is for
+ * @param {Object} options.context - Goal, message and plan step the prompt is about
+ * @param {string} options.promptVersion - Template the prompt was rendered from
+ * @param {string} options.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} options.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {string} options.language - Language tag for text meant for the user
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+async function generateJSON(
+  prompt,
+  { base64Image, imageFormat, task, context, promptVersion, provider, usage, language, signal } = {}
+) {
+  const text = await generateText(
+    {
+      prompt,
+      base64Image,
+      imageFormat,
+      json: true,
+      task,
+      context,
+      promptVersion,
+      provider,
+      usage,
+      language,
+    },
+    null,
+    signal
+  );
+
+  // Tolerate answers wrapped in a Markdown code fence
+  const json = text.trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
 
-      prompt += `User's current message: "${message}"
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`AI returned invalid JSON: ${json.substring(0, 100)}`);
+  }
+}
 
-Based on the screen image, provide the NEXT specific action step. Keep it to ONE sentence (maximum 15 words). Tell them exactly what to click or do.
+/**
+ * Normalise the steps of a generated plan
+ * @param {Array} steps - Steps as returned by the model
+ * @returns {Array<{instruction: string, expectedOutcome: string}>} - Usable steps
+ */
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps)) return [];
+
+  return steps
+    .filter((step) => step && typeof step.instruction === "string" && step.instruction.trim())
+    .map((step) => ({
+      instruction: step.instruction.trim(),
+      expectedOutcome:
+        typeof step.expectedOutcome === "string" ? step.expectedOutcome.trim() : "",
+    }));
+}
 
-Example responses:
-- "Click the search box and type 'weather'."
-- "Press Enter to search."
-- "Click the first search result."
+/**
+ * Break the user's goal into an ordered plan of steps
+ * @param {Object} params - Parameters
+ * @param {string} params.message - User's first message describing the goal
+ * @param {string} params.base64Image - Screen capture (optional)
+ * @param {string} params.imageFormat - Screen capture format ('jpeg' or 'png')
+ * @param {string} params.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} params.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {string} params.language - Language tag for text meant for the user, English when not set
+ * @param {AbortSignal} params.signal - Cancels the request (optional)
+ * @returns {Promise<{goal: string, steps: Array<{instruction: string, expectedOutcome: string}>}>}
+ */
+export async function generateTaskPlan({
+  message,
+  base64Image,
+  imageFormat = "jpeg",
+  provider,
+  usage,
+  language,
+  signal,
+}) {
+  const prompt = renderPrompt("plan", { message, hasImage: Boolean(base64Image) });
+
+  try {
+    const result = await generateJSON(prompt.text, {
+      base64Image,
+      imageFormat,
+      task: "plan",
+      context: { goal: message, message },
+      promptVersion: prompt.version,
+      provider,
+      usage,
+      language,
+      signal,
+    });
+    const steps = normalizeSteps(result.steps);
 
-Your response:`;
+    if (steps.length === 0) {
+      throw new Error("AI returned a plan without steps");
     }
 
-    let contents = [];
+    return {
+      goal: typeof result.goal === "string" && result.goal.trim() ? result.goal.trim() : message,
+      steps,
+    };
+  } catch (error) {
+    if (isPassThroughError(error)) throw error;
 
-    // If image is provided, include it in the analysis
-    if (base64Image) {
-      contents = [
-        {
-          parts: [
-            { text: prompt },
-            {
-              inlineData: {
-                data: base64Image,
-                mimeType: "image/jpeg",
-              },
-            },
-          ],
-        },
-      ];
-    } else {
-      // Text-only response
-      contents = [
-        {
-          parts: [{ text: prompt }],
-        },
-      ];
-    }
+    console.error("Error generating task plan:", error);
+    throw new Error("Failed to generate task plan");
+  }
+}
+
+/**
+ * Check whether the user finished the current plan step, or the plan needs changing
+ * @param {Object} params - Parameters
+ * @param {Object} params.plan - Task plan
+ * @param {number} params.currentStepIndex - Step the user is working on
+ * @param {string} params.message - User's latest message
+ * @param {string} params.base64Image - Screen capture (optional)
+ * @param {string} params.imageFormat - Screen capture format ('jpeg' or 'png')
+ * @param {string} params.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} params.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {string} params.language - Language tag for text meant for the user, English when not set
+ * @param {AbortSignal} params.signal - Cancels the request (optional)
+ * @returns {Promise<{stepCompleted: boolean, revisedSteps: Array|null, reason: string}>}
+ */
+export async function assessStepProgress({
+  plan,
+  currentStepIndex,
+  message,
+  base64Image,
+  imageFormat = "jpeg",
+  provider,
+  usage,
+  language,
+  signal,
+}) {
+  const prompt = renderPrompt("progress", {
+    goal: plan.goal,
+    plan: formatPlan(plan, currentStepIndex),
+    message,
+    hasImage: Boolean(base64Image),
+  });
 
-    const response = await ai.models.generateContent({
-      model: modelName,
-      contents: contents,
+  try {
+    const result = await generateJSON(prompt.text, {
+      base64Image,
+      imageFormat,
+      task: "progress",
+      promptVersion: prompt.version,
+      context: {
+        goal: plan.goal,
+        message,
+        step: plan.steps[currentStepIndex]?.instruction,
+      },
+      provider,
+      usage,
+      language,
+      signal,
     });
+    const revisedSteps = normalizeSteps(result.revisedSteps);
 
-    return response.text;
+    return {
+      stepCompleted: result.stepCompleted === true,
+      revisedSteps: revisedSteps.length > 0 ? revisedSteps : null,
+      reason: typeof result.reason === "string" ? result.reason : "",
+    };
   } catch (error) {
-    console.error("Error getting contextual response:", error);
-    throw new Error("Failed to get AI response");
+    if (isPassThroughError(error)) throw error;
+
+    console.error("Error assessing step progress:", error);
+    throw new Error("Failed to assess step progress");
+  }
+}
+
+/**
+ * Check a screen capture for the expected outcome of a plan step
+ * @param {Object} params - Parameters
+ * @param {Object} params.step - Plan step with instruction and expectedOutcome
+ * @param {string} params.base64Image - Current screen capture
+ * @param {string} params.imageFormat - Screen capture format ('jpeg' or 'png')
+ * @param {string} params.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} params.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {string} params.language - Language tag for text meant for the user, English when not set
+ * @param {AbortSignal} params.signal - Cancels the request (optional)
+ * @returns {Promise<{completed: boolean, reason: string}>}
+ */
+export async function verifyStepOutcome({
+  step,
+  base64Image,
+  imageFormat = "jpeg",
+  provider,
+  usage,
+  language,
+  signal,
+}) {
+  const prompt = renderPrompt("verify", {
+    instruction: step.instruction,
+    expectedOutcome: step.expectedOutcome || "the result of the step",
+  });
+
+  try {
+    const result = await generateJSON(prompt.text, {
+      base64Image,
+      imageFormat,
+      task: "verify",
+      promptVersion: prompt.version,
+      context: { step: step.instruction },
+      provider,
+      usage,
+      language,
+      signal,
+    });
+
+    return {
+      completed: result.completed === true,
+      reason: typeof result.reason === "string" ? result.reason : "",
+    };
+  } catch (error) {
+    if (isPassThroughError(error)) throw error;
+
+    console.error("Error verifying step outcome:", error);
+    throw new Error("Failed to verify step outcome");
   }
 }
 
 /**
  * Generate a session title based on the conversation
  * @param {Array} messages - Array of conversation messages
+ * @param {Object} options - Optional settings
+ * @param {string} options.provider - Provider name, defaults to the deployment's provider
+ * @param {Object} options.usage - Who the token usage is recorded for ({ userId, sessionId })
+ * @param {string} options.language - Language tag to write the title in, English when not set
  * @returns {Promise<string>} - Suggested title
  */
-export async function generateSessionTitle(messages) {
+export async function generateSessionTitle(messages, { provider, usage, language } = {}) {
   try {
-    const modelName = getGeminiModelName(); // Text only, no vision needed
-
     const conversationSummary = messages
       .slice(0, 5)
       .map((msg) => msg.content)
       .join(" ");
 
-    const prompt = `Based on this conversation: "${conversationSummary}"
-
-Generate a short, descriptive title (4-6 words max) that captures the main topic or goal. Only return the title, nothing else.`;
+    const prompt = renderPrompt("title", { conversation: conversationSummary });
 
-    const response = await ai.models.generateContent({
-      model: modelName,
-      contents: [
-        {
-          parts: [{ text: prompt }],
-        },
-      ],
+    const title = await generateText({
+      prompt: prompt.text,
+      task: "title",
+      context: { message: conversationSummary },
+      promptVersion: prompt.version,
+      provider,
+      usage,
+      language,
     });
 
-    return response.text.trim();
+    return title.trim();
   } catch (error) {
     console.error("Error generating session title:", error);
     return "Untitled Session";
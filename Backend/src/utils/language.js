@@ -0,0 +1,41 @@
+// Language of the guidance
+// Clients send a BCP 47 tag ("es", "pt-BR"), prompts name the language in English
+
+import { DEFAULT_LANGUAGE } from "../../../shared/protocol.js";
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+/**
+ * Turn a language tag into its canonical form
+ * @param {string} tag - Language tag, e.g. "pt-br"
+ * @returns {string|null} - Canonical tag ("pt-BR"), or null for something that is not a known language
+ */
+export function normalizeLanguage(tag) {
+  if (typeof tag !== "string" || !tag.trim()) return null;
+
+  try {
+    const [canonical] = Intl.getCanonicalLocales(tag.trim().replace(/_/g, "-"));
+    return languageNames.of(canonical) ? canonical : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether prompts need to ask for another language
+ * Prompts are written in English, so English answers need no instruction
+ * @param {string|null} tag - Canonical language tag
+ * @returns {boolean}
+ */
+export function isDefaultLanguage(tag) {
+  return !tag || tag.split("-")[0] === DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the English name of a language, for prompts
+ * @param {string} tag - Canonical language tag
+ * @returns {string} - e.g. "Brazilian Portuguese", or the tag itself when it has no name
+ */
+export function describeLanguage(tag) {
+  return languageNames.of(tag) || tag;
+}
@@ -0,0 +1,113 @@
+// Cost estimates for AI usage
+// Turns recorded token counts into per-model totals and an estimated price
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// USD per million tokens for common hosted models, AI_PRICING adds or replaces entries
+const DEFAULT_PRICES = {
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+};
+
+/**
+ * Parse price overrides from an environment variable
+ * @param {string} value - JSON object, e.g. '{"my-model": {"input": 1, "output": 2}}'
+ * @returns {Object} - Prices by model name, or an empty object
+ */
+function parsePrices(value) {
+  if (!value) return {};
+
+  try {
+    const prices = JSON.parse(value);
+    return prices && typeof prices === "object" ? prices : {};
+  } catch (error) {
+    console.error("⚠️ Ignoring invalid AI_PRICING:", error.message);
+    return {};
+  }
+}
+
+// Prices used for estimates, configured through .env
+export const PRICING_CONFIG = {
+  currency: "USD",
+  prices: { ...DEFAULT_PRICES, ...parsePrices(process.env.AI_PRICING) },
+};
+
+/**
+ * Roughly count the tokens in a text, for providers that report no counts
+ * @param {string} text - Prompt or response text
+ * @returns {number} - About one token per four characters
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+/**
+ * Estimate the price of some tokens
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Tokens sent to the model
+ * @param {number} responseTokens - Tokens generated by the model
+ * @returns {number|null} - Price in PRICING_CONFIG.currency, null for models without a price
+ */
+export function estimateCost(model, promptTokens, responseTokens) {
+  const price = PRICING_CONFIG.prices[model];
+  if (!price) return null;
+
+  return (promptTokens * (price.input || 0) + responseTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Add up recorded model calls
+ * @param {Array<Object>} rows - ai_usage rows
+ * @returns {Object} - Totals, and the same totals per provider and model
+ */
+export function summarizeUsage(rows) {
+  const emptyTotals = () => ({
+    requests: 0,
+    failedRequests: 0,
+    promptTokens: 0,
+    responseTokens: 0,
+    images: 0,
+    totalLatencyMs: 0,
+  });
+
+  const totals = emptyTotals();
+  const models = new Map();
+
+  for (const row of rows) {
+    const key = `${row.provider}/${row.model}`;
+    if (!models.has(key)) {
+      models.set(key, { provider: row.provider, model: row.model, ...emptyTotals() });
+    }
+
+    for (const target of [totals, models.get(key)]) {
+      target.requests += 1;
+      if (row.error) target.failedRequests += 1;
+      target.promptTokens += row.promptTokens;
+      target.responseTokens += row.responseTokens;
+      target.images += row.imageCount;
+      target.totalLatencyMs += row.latencyMs;
+    }
+  }
+
+  const byModel = [...models.values()].map(({ totalLatencyMs, ...model }) => ({
+    ...model,
+    averageLatencyMs: Math.round(totalLatencyMs / model.requests),
+    estimatedCost: estimateCost(model.model, model.promptTokens, model.responseTokens),
+  }));
+
+  const { totalLatencyMs, ...overall } = totals;
+  return {
+    ...overall,
+    averageLatencyMs: totals.requests ? Math.round(totalLatencyMs / totals.requests) : 0,
+    estimatedCost: byModel.reduce((sum, model) => sum + (model.estimatedCost || 0), 0),
+    currency: PRICING_CONFIG.currency,
+    // Models without a price are counted as free in estimatedCost
+    unpricedModels: byModel.filter((model) => model.estimatedCost === null).map((model) => model.model),
+    byModel,
+  };
+}
@@ -0,0 +1,229 @@
+// Prompt template registry
+// Every prompt is a versioned template file in prompts/, which a deployment can
+// replace with its own copy in PROMPT_OVERRIDES_DIR to tune tone and verbosity
+//
+// A template file starts with a header and continues with the prompt text:
+//   ---
+//   version: 2
+//   description: What the prompt is for
+//   ---
+//   You are helping a user accomplish this goal: {{goal}}
+//   {{#plan}}Task plan:
+//   {{plan}}{{/plan}}{{^plan}}There is no plan yet.{{/plan}}
+//
+// {{name}} is replaced by a variable, {{#name}}...{{/name}} is kept only when the variable
+// is set (not empty, false or null) and {{^name}}...{{/name}} only when it is not.
+// Templates may only use the variables listed in PROMPT_VARIABLES, so typos in an
+// override fail at startup instead of silently dropping text.
+
+import { readdirSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Prompt template settings, configured through .env
+export const PROMPT_CONFIG = {
+  // Templates shipped with the backend
+  directory: fileURLToPath(new URL("../../prompts", import.meta.url)),
+  // Deployment templates replacing shipped ones with the same file name
+  overridesDirectory: process.env.PROMPT_OVERRIDES_DIR || null,
+};
+
+// Set for the session's detail level, exactly one of them is true
+const DETAIL_VARIABLES = ["quickTip", "stepByStep", "teachMe"];
+
+// Variables each template is rendered with
+export const PROMPT_VARIABLES = {
+  chat: ["message"],
+  frame: ["goal", "currentStep", "mousePosition", "detectedElements", "stuck", ...DETAIL_VARIABLES],
+  goal: ["message", ...DETAIL_VARIABLES],
+  "goal-with-plan": ["message", "plan", ...DETAIL_VARIABLES],
+  guidance: ["goal", "plan", "currentStepNumber", "completedSteps", "message", ...DETAIL_VARIABLES],
+  plan: ["message", "hasImage"],
+  progress: ["goal", "plan", "message", "hasImage"],
+  verify: ["instruction", "expectedOutcome"],
+  title: ["conversation"],
+  summary: ["previousSummary", "transcript"],
+  language: ["language"],
+};
+
+const TEMPLATE_EXTENSION = ".txt";
+const SECTION_PATTERN = /\{\{([#^])([\w-]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Split a template file into its header fields and prompt text
+ * @param {string} source - File contents
+ * @param {string} filePath - Path, for error messages
+ * @returns {{version: string, description: string, text: string}}
+ * @throws {Error} - If the header is missing or has no version
+ */
+function parseTemplate(source, filePath) {
+  const match = source.replace(/\r\n/g, "\n").match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Invalid prompt template ${filePath}: it must start with a "---" header`);
+  }
+
+  const header = {};
+  for (const line of match[1].split("\n")) {
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  if (!header.version) {
+    throw new Error(`Invalid prompt template ${filePath}: the header has no "version"`);
+  }
+
+  return {
+    version: header.version,
+    description: header.description || "",
+    text: match[2].trimEnd(),
+  };
+}
+
+/**
+ * Check that a template only uses the variables it is rendered with
+ * @param {string} name - Template name
+ * @param {string} text - Template text
+ * @param {string} filePath - Path, for error messages
+ * @throws {Error} - If the template uses an unknown variable
+ */
+function checkVariables(name, text, filePath) {
+  const known = PROMPT_VARIABLES[name];
+  const used = [...text.matchAll(/\{\{[#^/]?\s*([\w-]+)\s*\}\}/g)].map((match) => match[1]);
+  const unknown = used.filter((variable) => !known.includes(variable));
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid prompt template ${filePath}: unknown variable "${unknown[0]}" (available: ${known.join(", ")})`
+    );
+  }
+}
+
+/**
+ * Read the templates in a directory
+ * @param {string} directory - Directory of .txt templates
+ * @param {string} source - "default" or "override", recorded with each template
+ * @returns {Map<string, Object>} - Templates by name
+ * @throws {Error} - If the directory cannot be read or a template is invalid
+ */
+function readTemplates(directory, source) {
+  let files;
+  try {
+    files = readdirSync(directory).filter((file) => file.endsWith(TEMPLATE_EXTENSION));
+  } catch (error) {
+    throw new Error(`Cannot read prompt templates from ${directory}: ${error.message}`);
+  }
+
+  const templates = new Map();
+  for (const file of files) {
+    const name = path.basename(file, TEMPLATE_EXTENSION);
+    const filePath = path.join(directory, file);
+
+    if (!PROMPT_VARIABLES[name]) {
+      throw new Error(`Unknown prompt template ${filePath} (known: ${Object.keys(PROMPT_VARIABLES).join(", ")})`);
+    }
+
+    const template = parseTemplate(readFileSync(filePath, "utf8"), filePath);
+    checkVariables(name, template.text, filePath);
+    templates.set(name, { name, source, ...template });
+  }
+
+  return templates;
+}
+
+/**
+ * Load the shipped templates and apply a deployment's overrides
+ * @param {Object} options - Directories to load from (defaults to PROMPT_CONFIG)
+ * @param {string} options.directory - Shipped templates
+ * @param {string|null} options.overridesDirectory - Deployment templates, optional
+ * @returns {Map<string, Object>} - Templates by name, { name, version, description, text, source }
+ * @throws {Error} - If a template is missing or invalid
+ */
+export function loadPromptTemplates({
+  directory = PROMPT_CONFIG.directory,
+  overridesDirectory = PROMPT_CONFIG.overridesDirectory,
+} = {}) {
+  const templates = readTemplates(directory, "default");
+
+  if (overridesDirectory) {
+    for (const [name, template] of readTemplates(overridesDirectory, "override")) {
+      templates.set(name, template);
+    }
+  }
+
+  const missing = Object.keys(PROMPT_VARIABLES).filter((name) => !templates.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Missing prompt templates: ${missing.join(", ")}`);
+  }
+
+  return templates;
+}
+
+// Templates are read once, on first use or at startup
+let registry = null;
+
+/**
+ * Get the loaded templates
+ * @returns {Map<string, Object>} - Templates by name
+ * @throws {Error} - If the templates cannot be loaded
+ */
+export function getPromptTemplates() {
+  if (!registry) registry = loadPromptTemplates();
+  return registry;
+}
+
+/**
+ * Get the version recorded for responses from a template
+ * Overrides are marked so they are never mistaken for the shipped template of the same version
+ * @param {Object} template - Loaded template
+ * @returns {string} - e.g. "guidance@1", or "guidance@3+override"
+ */
+function versionOf(template) {
+  const version = `${template.name}@${template.version}`;
+  return template.source === "override" ? `${version}+override` : version;
+}
+
+/**
+ * Check whether a variable turns a section on
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== "";
+}
+
+/**
+ * Fill in a template's sections and variables
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string} - Rendered text
+ */
+function fillTemplate(text, variables) {
+  const withSections = text.replace(SECTION_PATTERN, (_, kind, name, body) =>
+    isSet(variables[name]) === (kind === "#") ? fillTemplate(body, variables) : ""
+  );
+
+  return withSections.replace(VARIABLE_PATTERN, (_, name) =>
+    isSet(variables[name]) ? String(variables[name]) : ""
+  );
+}
+
+/**
+ * Render a prompt from its template
+ * @param {string} name - Template name (see PROMPT_VARIABLES)
+ * @param {Object} variables - Values for the template's variables
+ * @returns {{text: string, version: string}} - Prompt text and the template version to record
+ * @throws {Error} - If there is no template with that name
+ */
+export function renderPrompt(name, variables = {}) {
+  const template = getPromptTemplates().get(name);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  return { text: fillTemplate(template.text, variables), version: versionOf(template) };
+}
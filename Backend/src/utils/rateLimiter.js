@@ -0,0 +1,290 @@
+// Rate limiting and quota accounting for AI calls
+// Token buckets bound how fast a session, a user and the whole server can call the model,
+// and a daily per-user quota is counted in PostgreSQL so it survives restarts
+
+import dotenv from "dotenv";
+import { loadDailyUsage, saveDailyUsage } from "../db/usage.js";
+
+dotenv.config();
+
+/**
+ * Read a bucket's settings from .env
+ * @param {string} scope - SESSION, USER, IP or GLOBAL
+ * @param {number} perMinute - Default refill rate
+ * @param {number} burst - Default capacity
+ * @returns {{perMinute: number, burst: number}}
+ */
+function bucketConfig(scope, perMinute, burst) {
+  return {
+    perMinute: Number(process.env[`RATE_LIMIT_${scope}_PER_MINUTE`]) || perMinute,
+    burst: Number(process.env[`RATE_LIMIT_${scope}_BURST`]) || burst,
+  };
+}
+
+// Rate limit settings, configured through .env
+export const RATE_LIMIT_CONFIG = {
+  // One WebSocket session, or one sessionId on the REST routes
+  session: bucketConfig("SESSION", 20, 10),
+  // Everything one user sends, across sessions
+  user: bucketConfig("USER", 30, 15),
+  // One client address, shared by everyone behind the same NAT or office network
+  ip: bucketConfig("IP", 120, 60),
+  // The whole server, to protect the shared provider quota
+  global: bucketConfig("GLOBAL", 300, 60),
+  // AI requests allowed per user per UTC day
+  dailyQuota: Number(process.env.DAILY_AI_QUOTA_PER_USER) || 1000,
+};
+
+// Idle buckets are dropped once they have refilled, checked at most this often
+const PRUNE_INTERVAL_MS = 60000;
+
+const LIMIT_MESSAGES = {
+  session: "Too many requests from this session.",
+  user: "You're sending requests too quickly.",
+  ip: "Too many requests from your network.",
+  global: "The assistant is busy right now.",
+};
+
+/**
+ * Token bucket: holds up to `burst` tokens and refills at `perMinute`
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options - Bucket settings
+   * @param {number} options.perMinute - Tokens added per minute
+   * @param {number} options.burst - Most tokens the bucket can hold
+   */
+  constructor({ perMinute, burst }) {
+    this.capacity = burst;
+    this.refillPerMs = perMinute / 60000;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    // Ignore the clock being set back
+    const elapsedMs = Math.max(now - this.updatedAt, 0);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedMs * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * How long until a token is available
+   * @returns {number} - Milliseconds, 0 if one is available now
+   */
+  getWaitMs() {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+const sessionBuckets = new Map();
+const userBuckets = new Map();
+const ipBuckets = new Map();
+const globalBucket = new TokenBucket(RATE_LIMIT_CONFIG.global);
+
+// userKey -> { day, count, loaded }
+const dailyCounts = new Map();
+// userKey -> last pending write, so writes for one user land in order
+const pendingWrites = new Map();
+
+let lastPruneAt = Date.now();
+
+/**
+ * Get the current UTC day
+ * @returns {string} - YYYY-MM-DD
+ */
+function getUtcDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Milliseconds until the next UTC midnight, when daily quotas reset
+ * @returns {number}
+ */
+function msUntilNextUtcDay() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return midnight - now.getTime();
+}
+
+/**
+ * Get a bucket from a map, creating it on first use
+ * @param {Map} buckets - Buckets by key
+ * @param {string} key - Session ID or user key
+ * @param {Object} config - Bucket settings for new buckets
+ * @returns {TokenBucket}
+ */
+function getBucket(buckets, key, config) {
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = new TokenBucket(config);
+    buckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Get today's request count for a user, loading it from the database once per day
+ * @param {string} userKey - User key
+ * @returns {Promise<Object>} - Count entry for today
+ */
+async function getDailyEntry(userKey) {
+  const day = getUtcDay();
+  let entry = dailyCounts.get(userKey);
+
+  if (!entry || entry.day !== day) {
+    const newEntry = { day, count: 0 };
+    newEntry.loaded = loadDailyUsage(userKey, day)
+      .then((stored) => {
+        newEntry.count += stored;
+      })
+      .catch((error) => {
+        // Count from zero rather than block every request while the database is down
+        console.error(`⚠️ Failed to load daily usage for ${userKey}:`, error.message);
+      });
+    dailyCounts.set(userKey, newEntry);
+    entry = newEntry;
+  }
+
+  await entry.loaded;
+  return entry;
+}
+
+/**
+ * Write a user's daily count to the database in the background
+ * @param {string} userKey - User key
+ * @param {Object} entry - Count entry
+ */
+function persistDailyCount(userKey, entry) {
+  const previous = pendingWrites.get(userKey) || Promise.resolve();
+
+  const write = previous
+    .then(() => saveDailyUsage(userKey, entry.day, entry.count))
+    .catch((error) => {
+      console.error(`⚠️ Failed to save daily usage for ${userKey}:`, error.message);
+    })
+    .finally(() => {
+      if (pendingWrites.get(userKey) === write) {
+        pendingWrites.delete(userKey);
+      }
+    });
+
+  pendingWrites.set(userKey, write);
+}
+
+/**
+ * Drop user and address buckets that have refilled and counts from previous days
+ */
+function pruneIdle() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+
+  for (const buckets of [userBuckets, ipBuckets]) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.isFull()) buckets.delete(key);
+    }
+  }
+
+  const today = getUtcDay();
+  for (const [key, entry] of dailyCounts) {
+    if (entry.day !== today && !pendingWrites.has(key)) dailyCounts.delete(key);
+  }
+}
+
+/**
+ * Format a wait for an error message
+ * @param {number} ms - Wait in milliseconds
+ * @returns {string}
+ */
+function formatRetryAfter(ms) {
+  const seconds = Math.max(Math.ceil(ms / 1000), 1);
+  return `Try again in ${seconds} second${seconds === 1 ? "" : "s"}.`;
+}
+
+/**
+ * Count one AI request against every limit that applies to it
+ * Nothing is counted unless all limits allow the request
+ * User IDs are named by the client, so the address a request comes from has a bucket
+ * of its own too, sized for everyone behind one network; a made-up ID cannot escape it
+ * @param {Object} options - Who is asking
+ * @param {string} options.sessionId - Session the request came from (optional)
+ * @param {string} options.userKey - "user:<id>" or "ip:<address>"
+ * @param {string} options.ipKey - "ip:<address>" the request came from (optional)
+ * @returns {Promise<{allowed: boolean, scope?: string, retryAfterMs?: number, message?: string}>}
+ *   scope is "session", "user", "ip", "global" or "daily" when the request is refused
+ */
+export async function consumeAIRequest({ sessionId, userKey, ipKey }) {
+  pruneIdle();
+
+  const daily = await getDailyEntry(userKey);
+  if (daily.count >= RATE_LIMIT_CONFIG.dailyQuota) {
+    return {
+      allowed: false,
+      scope: "daily",
+      retryAfterMs: msUntilNextUtcDay(),
+      message: "Daily AI request limit reached. Try again tomorrow.",
+    };
+  }
+
+  const buckets = [
+    ["global", globalBucket],
+    ["user", getBucket(userBuckets, userKey, RATE_LIMIT_CONFIG.user)],
+  ];
+  if (ipKey) {
+    buckets.push(["ip", getBucket(ipBuckets, ipKey, RATE_LIMIT_CONFIG.ip)]);
+  }
+  if (sessionId) {
+    buckets.push([
+      "session",
+      getBucket(sessionBuckets, sessionId, RATE_LIMIT_CONFIG.session),
+    ]);
+  }
+
+  // Report the limit that keeps the client waiting longest
+  let limited = null;
+  for (const [scope, bucket] of buckets) {
+    const waitMs = bucket.getWaitMs();
+    if (waitMs > 0 && (!limited || waitMs > limited.retryAfterMs)) {
+      limited = { scope, retryAfterMs: waitMs };
+    }
+  }
+
+  if (limited) {
+    return {
+      allowed: false,
+      ...limited,
+      message: `${LIMIT_MESSAGES[limited.scope]} ${formatRetryAfter(limited.retryAfterMs)}`,
+    };
+  }
+
+  buckets.forEach(([, bucket]) => bucket.take());
+  daily.count += 1;
+  persistDailyCount(userKey, daily);
+
+  return { allowed: true };
+}
+
+/**
+ * Forget a session's bucket once the session is gone
+ * @param {string} sessionId - Session ID
+ */
+export function releaseSession(sessionId) {
+  sessionBuckets.delete(sessionId);
+}
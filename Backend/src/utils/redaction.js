@@ -0,0 +1,159 @@
+// Privacy redaction of screen captures
+// Masks sensitive regions with sharp before a frame is stored or sent to the model
+
+import sharp from "sharp";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Previews sent back to the client are scaled down to this width
+const PREVIEW_WIDTH = 320;
+
+/**
+ * Parse a JSON list of rectangles from an environment variable
+ * @param {string} value - JSON array, e.g. '[{"x":0,"y":0,"width":1,"height":0.05}]'
+ * @returns {Array<Object>} - Valid rectangles, or an empty list
+ */
+function parseRegions(value) {
+  if (!value) return [];
+
+  try {
+    const regions = JSON.parse(value);
+    return Array.isArray(regions) ? regions.filter(isValidRegion) : [];
+  } catch (error) {
+    console.error("⚠️ Ignoring invalid REDACTION_REGIONS:", error.message);
+    return [];
+  }
+}
+
+// Redaction rules, configured through .env
+export const REDACTION_CONFIG = {
+  // Rectangles masked on every frame, as fractions (0-1) of the screen
+  regions: parseRegions(process.env.REDACTION_REGIONS),
+  // Frames are withheld while a window whose title contains one of these is shared
+  blockedWindowTitles: (
+    process.env.REDACTION_BLOCKED_WINDOWS ||
+    "password,1password,bitwarden,keepass,lastpass"
+  )
+    .split(",")
+    .map((title) => title.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+/**
+ * Check that a rectangle has numeric, normalized coordinates
+ * @param {Object} region - Rectangle with x, y, width and height
+ * @returns {boolean} - True if the rectangle can be masked
+ */
+function isValidRegion(region) {
+  return (
+    Boolean(region) &&
+    ["x", "y", "width", "height"].every(
+      (field) =>
+        typeof region[field] === "number" &&
+        region[field] >= 0 &&
+        region[field] <= 1
+    ) &&
+    region.width > 0 &&
+    region.height > 0
+  );
+}
+
+/**
+ * Collect the rules that apply to a session's frames
+ * @param {Object} metadata - Session metadata from "update_metadata"
+ * @param {Array<Object>} metadata.redactRegions - Rectangles flagged by the client (optional)
+ * @param {string} metadata.activeWindowTitle - Title of the shared window, sent with each frame (optional)
+ * @returns {{regions: Array<Object>, blocked: boolean}}
+ */
+export function getRedactionRules(metadata = {}) {
+  const clientRegions = Array.isArray(metadata.redactRegions)
+    ? metadata.redactRegions.filter(isValidRegion)
+    : [];
+
+  const title = (metadata.activeWindowTitle || "").toLowerCase();
+  const blocked =
+    Boolean(title) &&
+    REDACTION_CONFIG.blockedWindowTitles.some((blockedTitle) =>
+      title.includes(blockedTitle)
+    );
+
+  return {
+    regions: [...REDACTION_CONFIG.regions, ...clientRegions],
+    blocked,
+  };
+}
+
+/**
+ * Apply redaction rules to a screen capture
+ * @param {string} base64Image - Base64-encoded screen capture
+ * @param {string} imageFormat - Image format ('jpeg' or 'png')
+ * @param {{regions: Array<Object>, blocked: boolean}} rules - Rules from getRedactionRules()
+ * @returns {Promise<{base64Image: string|null, imageFormat: string, maskedRegions: Array<Object>, blocked: boolean}>}
+ *   A blocked frame has no image at all
+ */
+export async function redactFrame(base64Image, imageFormat, rules) {
+  if (rules.blocked) {
+    return { base64Image: null, imageFormat, maskedRegions: [], blocked: true };
+  }
+
+  if (rules.regions.length === 0) {
+    return { base64Image, imageFormat, maskedRegions: [], blocked: false };
+  }
+
+  const image = sharp(Buffer.from(base64Image, "base64"));
+
+  let width;
+  let height;
+  try {
+    ({ width, height } = await image.metadata());
+  } catch (error) {
+    // Never let a frame through unmasked
+    throw new Error(`Cannot redact invalid image data: ${error.message}`);
+  }
+
+  const masks = rules.regions.map((region) => {
+    const left = Math.min(Math.round(region.x * width), width - 1);
+    const top = Math.min(Math.round(region.y * height), height - 1);
+
+    return {
+      input: {
+        create: {
+          width: Math.max(Math.min(Math.round(region.width * width), width - left), 1),
+          height: Math.max(Math.min(Math.round(region.height * height), height - top), 1),
+          channels: 3,
+          background: "#000000",
+        },
+      },
+      left,
+      top,
+    };
+  });
+
+  const composited = image.composite(masks);
+  const buffer = await (imageFormat === "png"
+    ? composited.png()
+    : composited.jpeg()
+  ).toBuffer();
+
+  return {
+    base64Image: buffer.toString("base64"),
+    imageFormat,
+    maskedRegions: rules.regions,
+    blocked: false,
+  };
+}
+
+/**
+ * Create a small JPEG showing the client what was masked
+ * @param {string} base64Image - Redacted screen capture
+ * @returns {Promise<string>} - Base64-encoded preview
+ */
+export async function createRedactionPreview(base64Image) {
+  const buffer = await sharp(Buffer.from(base64Image, "base64"))
+    .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  return buffer.toString("base64");
+}
@@ -1,10 +1,55 @@
 // WebSocket handler for real-time communication
 // Handles screen frame streaming and live AI guidance
 
-import { analyzeScreenFrame, getContextualResponse } from "./utils/gemini.js";
+import {
+  analyzeScreenFrame,
+  getContextualResponse,
+  generateTaskPlan,
+  assessStepProgress,
+  verifyStepOutcome,
+} from "./utils/gemini.js";
+import {
+  getRedactionRules,
+  redactFrame,
+  createRedactionPreview,
+} from "./utils/redaction.js";
+import {
+  PROVIDER_CONFIG,
+  isSelectableProvider,
+  describeProvider,
+  getProviderStatus,
+} from "./providers/index.js";
+import {
+  ProviderError,
+  ProviderErrorCodes,
+  providerHealth,
+} from "./providers/resilience.js";
+import { consumeAIRequest, releaseSession } from "./utils/rateLimiter.js";
+import { findUserId } from "./db/usage.js";
+import { CONVERSATION_CONFIG, pruneFrames } from "./utils/conversation.js";
+import { normalizeLanguage } from "./utils/language.js";
+import { describeTranscriber } from "./stt/index.js";
+import { canSpeak, describeSynthesizer, getSynthesizer } from "./tts/index.js";
+import { createSpeechStream } from "./tts/stream.js";
 import pixelmatch from "pixelmatch";
 import { PNG } from "pngjs";
 import sharp from "sharp";
+import { WebSocket } from "ws";
+import crypto from "crypto";
+import {
+  ClientMessageTypes,
+  ServerMessageTypes,
+  ErrorCodes,
+  SUPPORTED_VERSIONS,
+  SPEECH_AUDIO_VERSION,
+  DEFAULT_DETAIL_LEVEL,
+  DEFAULT_LANGUAGE,
+  validateMessage,
+  upgradeLegacyMessage,
+  negotiateVersion,
+  decodeBinaryMessage,
+  encodeBinaryMessage,
+} from "../../shared/protocol.js";
 
 // Store active WebSocket clients and their session data
 const activeSessions = new Map();
@@ -16,60 +61,116 @@ const FRAME_COMPARISON_CONFIG = {
   checkIntervalMs: 1000, // Check frames every 1 second
 };
 
+// Configuration for watch mode, where the client streams frames continuously
+const WATCH_MODE_CONFIG = {
+  stuckAfterMs: 30 * 1000, // Offer a hint once the screen has been unchanged this long
+};
+
+// Configuration for checking plan steps against watch mode frames
+const STEP_VERIFICATION_CONFIG = {
+  minCheckIntervalMs: 5000, // Ask the model about the current step at most this often
+  notDoneReminderMs: 30 * 1000, // Say a step is not done yet at most this often
+};
+
+// Configuration for resuming sessions after a dropped connection
+const SESSION_RESUME_CONFIG = {
+  gracePeriodMs: 2 * 60 * 1000, // Keep disconnected sessions for 2 minutes
+  maxBufferedMessages: 50, // Messages kept for replay while the client is offline
+};
+
+// Client error sent for each kind of provider failure
+const PROVIDER_ERROR_RESPONSES = {
+  [ProviderErrorCodes.AUTH_FAILED]: {
+    code: ErrorCodes.AI_AUTH_FAILED,
+    message: "AI API authentication failed",
+  },
+  [ProviderErrorCodes.RATE_LIMITED]: {
+    code: ErrorCodes.AI_RATE_LIMITED,
+    message: "AI API rate limit exceeded",
+  },
+  [ProviderErrorCodes.TIMEOUT]: {
+    code: ErrorCodes.AI_TIMEOUT,
+    message: "AI API request timeout",
+  },
+  [ProviderErrorCodes.UNAVAILABLE]: {
+    code: ErrorCodes.AI_UNAVAILABLE,
+    message: "AI service is unavailable",
+  },
+  [ProviderErrorCodes.CIRCUIT_OPEN]: {
+    code: ErrorCodes.AI_UNAVAILABLE,
+    message: "AI service is unavailable",
+  },
+};
+
+// Tell connected clients when their provider starts or stops failing
+providerHealth.on("degraded", (status) => {
+  broadcastToProviderSessions(status.provider, {
+    type: ServerMessageTypes.PROVIDER_DEGRADED,
+    ...status,
+  });
+});
+
+providerHealth.on("recovered", ({ provider }) => {
+  broadcastToProviderSessions(provider, {
+    type: ServerMessageTypes.PROVIDER_RECOVERED,
+    provider,
+  });
+});
+
 /**
  * Initialize WebSocket server
  * @param {WebSocketServer} wss - WebSocket server instance
  */
 export function initializeWebSocket(wss) {
   wss.on("connection", (ws, req) => {
-    // Generate unique session ID for this connection
-    const sessionId = generateSessionId();
-
-    // Initialize session data for this client
-    activeSessions.set(sessionId, {
-      ws,
-      conversationHistory: [],
-      screenHistory: [],
-      stepHistory: [], 
-      userGoal: "",
-      isFirstMessage: true,
-      metadata: {},
-      connectedAt: new Date(),
-      lastFrameData: null, 
-      lastFrameTimestamp: null,
-      pendingFrame: null, 
-    });
+    // Session this socket is attached to (replaced if the client resumes an older session)
+    let sessionId = createSession(ws, req);
+    const { resumeToken } = activeSessions.get(sessionId);
 
-    // Send connection acknowledgment
+    // Send connection acknowledgment with the token needed to resume after a disconnect
     ws.send(
       JSON.stringify({
-        type: "connected",
+        type: ServerMessageTypes.CONNECTED,
         sessionId,
+        resumeToken,
+        resumeGracePeriodMs: SESSION_RESUME_CONFIG.gracePeriodMs,
         message: "Connected to AI Voice Assistant",
       })
     );
 
     // Handle incoming messages
-    ws.on("message", async (data) => {
+    ws.on("message", async (data, isBinary) => {
+      const session = activeSessions.get(sessionId);
+      const message = readClientMessage(session, data, isBinary);
+      if (!message) return;
+
       try {
-        const message = JSON.parse(data.toString());
+        // Resuming rebinds this socket to another session, so it is handled here
+        if (message.type === ClientMessageTypes.RESUME) {
+          sessionId = resumeSession(sessionId, ws, message);
+          return;
+        }
+
         await handleWebSocketMessage(sessionId, message);
       } catch (error) {
         console.error("Error handling WebSocket message:", error);
-        console.error("Message data:", data.toString().substring(0, 200));
-        ws.send(
-          JSON.stringify({
-            type: "error",
-            message: "Failed to process message",
-            error: error.message,
-          })
-        );
+        if (!isBinary) {
+          console.error("Message data:", data.toString().substring(0, 200));
+        }
+        sendToClient(session, {
+          type: ServerMessageTypes.ERROR,
+          code: ErrorCodes.INTERNAL_ERROR,
+          message: "Failed to process message",
+          error: error.message,
+          requestId: message.id,
+          timestamp: new Date().toISOString(),
+        });
       }
     });
 
-    // Handle client disconnect
+    // Handle client disconnect - keep the session around so it can be resumed
     ws.on("close", () => {
-      activeSessions.delete(sessionId);
+      detachSession(sessionId, ws);
     });
 
     // Handle errors
@@ -79,6 +180,264 @@ export function initializeWebSocket(wss) {
   });
 }
 
+/**
+ * Create a new session for a freshly connected socket
+ * @param {WebSocket} ws - Client socket
+ * @param {http.IncomingMessage} req - Upgrade request, used to key rate limits by address
+ * @returns {string} - New session ID
+ */
+function createSession(ws, req) {
+  const sessionId = generateSessionId();
+
+  activeSessions.set(sessionId, {
+    ws,
+    resumeToken: generateResumeToken(),
+    protocolVersion: 1, // Until the client negotiates a version in its handshake
+    provider: PROVIDER_CONFIG.defaultProvider, // AI provider, a client may pick another in its handshake
+    ipKey: `ip:${req?.socket?.remoteAddress || "unknown"}`, // Always rate limited, whatever the client claims
+    userKey: `ip:${req?.socket?.remoteAddress || "unknown"}`, // Rate limit owner, replaced by a handshake userId
+    rateLimitedUntil: 0, // Frames skipped until then are not reported again
+    usage: { userId: null, sessionId }, // Who the session's AI calls are recorded for
+    userLookup: null, // Pending check that the handshake userId is a registered user
+    conversationHistory: [],
+    historySummary: null, // Summary of the oldest messages once the history outgrows its budget
+    detailLevel: DEFAULT_DETAIL_LEVEL, // How much guidance explains, set in the handshake or with "set_detail_level"
+    language: DEFAULT_LANGUAGE, // Language guidance is given in, set in the handshake
+    speechAudio: false, // Whether the server speaks responses, agreed in the handshake
+    speechQueue: Promise.resolve(), // Sentences being synthesised, sent one response after another
+    screenHistory: [],
+    stepHistory: [],
+    userGoal: "",
+    isFirstMessage: true,
+    plan: null, // Steps generated from the first message, see startPlan()
+    currentStepIndex: 0,
+    stepBaseline: null, // Frame from when the current step was issued
+    lastStepCheckAt: null,
+    lastNotDoneAt: null,
+    latestFrame: null, // Most recent screen capture from the client
+    redactionKey: "", // Masks shown in the last redaction preview
+    metadata: {},
+    connectedAt: new Date(),
+    disconnectedAt: null,
+    expiryTimer: null,
+    outbox: [], // Messages produced while the client was offline
+    lastFrameData: null,
+    lastFrameTimestamp: null,
+    watchMode: false,
+    stuckHintGiven: false, // Only one hint per unchanged screen
+    // Work queue: only the newest frame waits, chat turns run in order
+    pendingFrame: null,
+    chatQueue: [],
+    isProcessing: false,
+    abortController: null, // Cancels the in-flight model request
+    activeRequestId: null, // Client ID of the message being answered
+  });
+
+  return sessionId;
+}
+
+/**
+ * Detach a closed socket from its session and schedule the session for removal
+ * once the resume grace period has passed
+ * @param {string} sessionId - Session ID
+ * @param {WebSocket} ws - Socket that closed
+ */
+function detachSession(sessionId, ws) {
+  const session = activeSessions.get(sessionId);
+
+  // Ignore sockets that were already replaced by a resumed connection
+  if (!session || session.ws !== ws) return;
+
+  session.ws = null;
+  session.disconnectedAt = new Date();
+  session.expiryTimer = setTimeout(() => {
+    clearQueue(session);
+    activeSessions.delete(sessionId);
+    releaseSession(sessionId);
+  }, SESSION_RESUME_CONFIG.gracePeriodMs);
+
+  // Don't keep the process alive just for expiring sessions
+  session.expiryTimer.unref?.();
+}
+
+/**
+ * Check a resume token in constant time, so response times do not give away how much matched
+ * @param {Object} session - Session being resumed
+ * @param {string} resumeToken - Token sent by the client
+ * @returns {boolean}
+ */
+function isValidResumeToken(session, resumeToken) {
+  const expected = Buffer.from(session.resumeToken);
+  const received = Buffer.from(resumeToken);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Reattach a socket to a previously disconnected session
+ * @param {string} currentSessionId - Session created for this socket on connect
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} message - Resume message with sessionId and resumeToken
+ * @returns {string} - Session ID the socket is attached to afterwards
+ */
+function resumeSession(currentSessionId, ws, message) {
+  const session = activeSessions.get(message.sessionId);
+
+  if (
+    !session ||
+    message.sessionId === currentSessionId ||
+    !message.resumeToken ||
+    !isValidResumeToken(session, message.resumeToken)
+  ) {
+    // Unknown or expired session - the client keeps the fresh one
+    ws.send(
+      JSON.stringify({
+        type: ServerMessageTypes.RESUME_FAILED,
+        sessionId: currentSessionId,
+        message: "Previous session could not be resumed",
+        timestamp: new Date().toISOString(),
+      })
+    );
+    return currentSessionId;
+  }
+
+  // Drop the empty session created on connect, limits follow the new connection's address
+  session.ipKey = activeSessions.get(currentSessionId)?.ipKey || session.ipKey;
+  activeSessions.delete(currentSessionId);
+  releaseSession(currentSessionId);
+
+  // A half-open socket may still be attached to the old session
+  if (session.ws && session.ws !== ws) {
+    session.ws.close(4000, "Session resumed on another connection");
+  }
+
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = null;
+  session.disconnectedAt = null;
+  session.ws = ws;
+
+  const missedMessages = session.outbox.splice(0);
+
+  // A token is only good for one resume, so one seen on the wire cannot reattach later
+  session.resumeToken = generateResumeToken();
+
+  sendToClient(session, {
+    type: ServerMessageTypes.RESUMED,
+    sessionId: message.sessionId,
+    resumeToken: session.resumeToken,
+    userGoal: session.userGoal,
+    plan: session.plan ? describePlan(session) : null,
+    detailLevel: session.detailLevel,
+    language: session.language,
+    replayedCount: missedMessages.length,
+    timestamp: new Date().toISOString(),
+  });
+
+  // Replay responses produced while the client was offline
+  missedMessages.forEach((payload) => sendToClient(session, payload));
+
+  return message.sessionId;
+}
+
+/**
+ * Parse and validate a raw client message against the shared protocol
+ * Sends a structured error to the client when the message is rejected
+ * @param {Object} session - Session data
+ * @param {Buffer|string} data - Raw message data
+ * @param {boolean} isBinary - Whether the message arrived as a binary frame
+ * @returns {Object|null} - Validated message, or null if it was rejected
+ */
+function readClientMessage(session, data, isBinary = false) {
+  let message;
+
+  if (isBinary) {
+    try {
+      // Binary messages carry a small JSON header followed by raw image bytes
+      message = decodeBinaryMessage(data);
+    } catch (error) {
+      sendToClient(session, {
+        type: ServerMessageTypes.ERROR,
+        code: ErrorCodes.INVALID_MESSAGE,
+        message: "Invalid binary message",
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+      return null;
+    }
+
+    return checkClientMessage(session, message);
+  }
+
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    sendToClient(session, {
+      type: ServerMessageTypes.ERROR,
+      code: ErrorCodes.INVALID_JSON,
+      message: "Invalid message format",
+      error: "Message is not valid JSON",
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+
+  // Version 1 clients may still use the legacy type and field aliases
+  if (session.protocolVersion === 1) {
+    message = upgradeLegacyMessage(message);
+  }
+
+  return checkClientMessage(session, message);
+}
+
+/**
+ * Validate a decoded client message, reporting schema violations to the client
+ * @param {Object} session - Session data
+ * @param {Object} message - Decoded message
+ * @returns {Object|null} - The message, or null if it was rejected
+ */
+function checkClientMessage(session, message) {
+  const result = validateMessage(message);
+  if (!result.valid) {
+    console.warn(`⚠️ Rejected message: ${result.error}`);
+    sendToClient(session, {
+      type: ServerMessageTypes.ERROR,
+      code: result.code,
+      message: "Invalid message format",
+      error: result.error,
+      field: result.field,
+      requestId: typeof message?.id === "string" ? message.id : undefined,
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+
+  return message;
+}
+
+/**
+ * Send a message to the session's client, buffering it while the client is offline
+ * Response chunks are not buffered: "response_end" repeats the full text, and a long
+ * answer would otherwise push everything else out of the buffer
+ * @param {Object} session - Session data
+ * @param {Object} payload - Message to send
+ * @returns {boolean} - True if the message was sent immediately
+ */
+function sendToClient(session, payload) {
+  const { ws } = session;
+
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  if (payload.type === ServerMessageTypes.RESPONSE_CHUNK) return false;
+
+  session.outbox.push(payload);
+  if (session.outbox.length > SESSION_RESUME_CONFIG.maxBufferedMessages) {
+    session.outbox.shift();
+  }
+  return false;
+}
+
 /**
  * Handle different types of WebSocket messages
  * @param {string} sessionId - Client session ID
@@ -91,95 +450,355 @@ async function handleWebSocketMessage(sessionId, message) {
     return;
   }
 
-  const { ws, conversationHistory, screenHistory } = session;
-
-  // Validate message has a type field
-  if (!message.type) {
-    console.error("Message missing 'type' field");
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "Invalid message format",
-        error: "Message must have a 'type' field",
-      })
-    );
-    return;
-  }
+  const { conversationHistory, screenHistory } = session;
 
+  // Message has already been validated against the shared protocol
   switch (message.type) {
-    case "connection":
-      // Don't send response to avoid cluttering the frontend
-      break;
-
-    case "frame":
-      // Handle screen frame from frontend (uses 'data' field)
-      await handleScreenFrame(sessionId, message);
+    case ClientMessageTypes.CONNECTION:
+      handleHandshake(session, message);
       break;
 
-    case "screen_frame":
-      // Handle screen frame (legacy format with 'frame' field)
-      await handleScreenFrame(sessionId, message);
+    case ClientMessageTypes.FRAME:
+      // Only the newest frame is worth analysing, older pending ones are stale
+      session.pendingFrame = message;
+      await processQueue(sessionId);
       break;
 
-    case "chat":
-      // Handle chat message from frontend
-      await handleChatMessage(sessionId, message);
+    case ClientMessageTypes.CHAT:
+      // Chat turns are answered one at a time, in the order they arrived
+      session.chatQueue.push(message);
+      await processQueue(sessionId);
       break;
 
-    case "chat_message":
-      // Handle chat message (legacy format)
-      await handleChatMessage(sessionId, message);
+    case ClientMessageTypes.CANCEL:
+      cancelWork(session, message);
       break;
 
-    case "set_goal":
+    case ClientMessageTypes.SET_GOAL:
       // Update user's current goal
       session.userGoal = message.goal;
-      ws.send(
-        JSON.stringify({
-          type: "status",
-          message: "Goal updated",
-          goal: message.goal,
-          timestamp: new Date().toISOString(),
-        })
-      );
+      sendToClient(session, {
+        type: ServerMessageTypes.STATUS,
+        message: "Goal updated",
+        goal: message.goal,
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+      break;
+
+    case ClientMessageTypes.SET_WATCH_MODE:
+      setWatchMode(session, message);
       break;
 
-    case "update_metadata":
+    case ClientMessageTypes.SET_DETAIL_LEVEL:
+      // Applies from the next answer, one already being generated keeps its level
+      session.detailLevel = message.detailLevel;
+      sendToClient(session, {
+        type: ServerMessageTypes.STATUS,
+        message: "Detail level updated",
+        detailLevel: message.detailLevel,
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+      break;
+
+    case ClientMessageTypes.UPDATE_METADATA:
       // Update session metadata (mouse position, detected elements, etc.)
       session.metadata = { ...session.metadata, ...message.metadata };
       break;
 
-    case "get_history":
+    case ClientMessageTypes.GET_HISTORY:
       // Send conversation and screen history
-      ws.send(
-        JSON.stringify({
-          type: "history",
-          conversationHistory,
-          screenHistory,
-          timestamp: new Date().toISOString(),
-        })
-      );
+      sendToClient(session, {
+        type: ServerMessageTypes.HISTORY,
+        // Screen captures kept for the model stay on the server
+        conversationHistory: conversationHistory.map(({ frame, ...entry }) => entry),
+        screenHistory,
+        plan: session.plan ? describePlan(session) : null,
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
       break;
 
-    case "ping":
+    case ClientMessageTypes.PING:
       // Respond to ping to keep connection alive
-      ws.send(
-        JSON.stringify({
-          type: "pong",
-          timestamp: new Date().toISOString(),
-        })
-      );
+      sendToClient(session, {
+        type: ServerMessageTypes.PONG,
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
       break;
 
     default:
-      console.warn(`⚠️ Unknown message type: ${message.type}`);
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: `Unknown message type: ${message.type}`,
-          timestamp: new Date().toISOString(),
-        })
-      );
+      console.warn(`⚠️ Unhandled message type: ${message.type}`);
+      sendToClient(session, {
+        type: ServerMessageTypes.ERROR,
+        code: ErrorCodes.UNKNOWN_TYPE,
+        message: `Unknown message type: ${message.type}`,
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+  }
+}
+
+/**
+ * Work through the session's queue until it is empty
+ * Only one model request runs per session at a time, so answers arrive in order
+ * @param {string} sessionId - Session ID
+ */
+async function processQueue(sessionId) {
+  const session = activeSessions.get(sessionId);
+  if (!session || session.isProcessing) return;
+
+  session.isProcessing = true;
+
+  try {
+    while (session.chatQueue.length > 0 || session.pendingFrame) {
+      // Chat turns take priority over background frames
+      let handler;
+      let message;
+      if (session.chatQueue.length > 0) {
+        handler = handleChatMessage;
+        message = session.chatQueue.shift();
+      } else {
+        handler = handleScreenFrame;
+        message = session.pendingFrame;
+        session.pendingFrame = null;
+      }
+
+      session.abortController = new AbortController();
+      session.activeRequestId = message.id || null;
+      await handler(sessionId, message, session.abortController.signal);
+      session.abortController = null;
+      session.activeRequestId = null;
+    }
+  } finally {
+    session.isProcessing = false;
+    session.abortController = null;
+    session.activeRequestId = null;
+  }
+}
+
+/**
+ * Drop queued work and abort the in-flight model request
+ * @param {Object} session - Session data
+ * @returns {{inFlight: boolean, dropped: number, requestIds: string[]}} - What was cancelled
+ */
+function clearQueue(session) {
+  const droppedMessages = [...session.chatQueue];
+  if (session.pendingFrame) droppedMessages.push(session.pendingFrame);
+
+  const inFlight = Boolean(session.abortController);
+  const requestIds = [
+    ...(inFlight ? [session.activeRequestId] : []),
+    ...droppedMessages.map((message) => message.id),
+  ].filter(Boolean);
+
+  session.chatQueue = [];
+  session.pendingFrame = null;
+  session.abortController?.abort();
+
+  return { inFlight, dropped: droppedMessages.length, requestIds };
+}
+
+/**
+ * Handle a client cancel request
+ * @param {Object} session - Session data
+ * @param {Object} message - Cancel message
+ */
+function cancelWork(session, message) {
+  const { inFlight, dropped, requestIds } = clearQueue(session);
+
+  sendToClient(session, {
+    type: ServerMessageTypes.CANCELLED,
+    message: inFlight || dropped > 0 ? "Request cancelled" : "Nothing to cancel",
+    inFlight,
+    dropped,
+    cancelledRequestIds: requestIds, // Client IDs of the messages that won't be answered
+    requestId: message.id,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Turn watch mode on or off for a session
+ * @param {Object} session - Session data
+ * @param {Object} message - Set watch mode message
+ */
+function setWatchMode(session, message) {
+  session.watchMode = message.enabled;
+  session.stuckHintGiven = false;
+
+  // A frame still waiting in the queue is no longer wanted
+  if (!message.enabled) {
+    session.pendingFrame = null;
+  }
+
+  sendWatchStatus(session, message.enabled ? "watching" : "off", message.id);
+}
+
+/**
+ * Tell the client what watch mode is doing
+ * @param {Object} session - Session data
+ * @param {string} state - "watching", "analyzing" or "off"
+ * @param {string} requestId - Client ID of the related message
+ */
+function sendWatchStatus(session, state, requestId) {
+  sendToClient(session, {
+    type: ServerMessageTypes.WATCH_STATUS,
+    enabled: session.watchMode,
+    state,
+    requestId,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Work out the voice features of a session for "connection_ack"
+ * A misconfigured transcriber or synthesizer only turns voice off, the session still connects
+ * @param {Object} session - Session data
+ * @param {boolean} wantsAudio - Whether the client asked for spoken responses
+ * @returns {{speechInput: Object|null, speechOutput: Object|null, speech?: {available: boolean, reason: string}}}
+ */
+function negotiateSpeech(session, wantsAudio) {
+  const problems = [];
+  const describe = (getDescription) => {
+    try {
+      return getDescription();
+    } catch (error) {
+      problems.push(error.message);
+      return null;
+    }
+  };
+
+  const speechInput = describe(describeTranscriber);
+  // Without a voice for the session's language the client keeps speaking for itself
+  session.speechAudio = wantsAudio && Boolean(describe(() => canSpeak(session.language)));
+  const speechOutput = session.speechAudio ? describe(describeSynthesizer) : null;
+
+  if (problems.length === 0) {
+    return { speechInput, speechOutput };
+  }
+
+  const reason = problems.join("; ");
+  console.error(`⚠️ Voice is not available: ${reason}`);
+  return { speechInput, speechOutput, speech: { available: false, reason } };
+}
+
+/**
+ * Record the session's AI calls for a handshake user once the user is known to exist
+ * Looked up once here, so recording each call needs no query
+ * @param {Object} session - Session data
+ * @param {number} userId - User ID sent by the client
+ */
+function resolveUsageUser(session, userId) {
+  const lookup = findUserId(userId).catch((error) => {
+    console.error("⚠️ Failed to look up user for AI usage:", error.message);
+    return null;
+  });
+  session.userLookup = lookup;
+
+  lookup.then((found) => {
+    // A later handshake may have named another user in the meantime
+    if (session.userLookup === lookup) session.usage.userId = found;
+  });
+}
+
+/**
+ * Negotiate the protocol version requested in the client handshake
+ * @param {Object} session - Session data
+ * @param {Object} message - Connection message
+ */
+function handleHandshake(session, message) {
+  const version = negotiateVersion(message);
+
+  if (!version) {
+    sendToClient(session, {
+      type: ServerMessageTypes.ERROR,
+      code: ErrorCodes.UNSUPPORTED_VERSION,
+      message: "Unsupported protocol version",
+      error: `Server supports protocol versions ${SUPPORTED_VERSIONS.join(", ")}`,
+      supportedVersions: SUPPORTED_VERSIONS,
+      requestId: message.id,
+      timestamp: new Date().toISOString(),
+    });
+    return;
+  }
+
+  session.protocolVersion = version;
+
+  if (message.userId !== undefined && message.userId !== null && message.userId !== "") {
+    session.userKey = `user:${message.userId}`;
+    // Token usage is linked to registered users, which have numeric IDs
+    const userId = Number(message.userId);
+    session.usage.userId = null;
+    if (Number.isInteger(userId)) resolveUsageUser(session, userId);
+  }
+
+  // validateMessage has already checked it against DETAIL_LEVELS
+  if (message.detailLevel) {
+    session.detailLevel = message.detailLevel;
+  }
+
+  if (message.language) {
+    const language = normalizeLanguage(message.language);
+    if (language) {
+      session.language = language;
+    } else {
+      // Carry on in the current language
+      sendToClient(session, {
+        type: ServerMessageTypes.ERROR,
+        code: ErrorCodes.INVALID_FIELD,
+        message: "Unknown language",
+        error: `'${message.language}' is not a known language tag, using '${session.language}'`,
+        field: "language",
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  const speech = negotiateSpeech(
+    session,
+    message.speechAudio === true && version >= SPEECH_AUDIO_VERSION
+  );
+
+  if (message.provider) {
+    if (isSelectableProvider(message.provider)) {
+      session.provider = message.provider;
+    } else {
+      // Carry on with the default provider
+      sendToClient(session, {
+        type: ServerMessageTypes.ERROR,
+        code: ErrorCodes.INVALID_FIELD,
+        message: "AI provider is not available",
+        error: `'${message.provider}' is not enabled on this server, using '${session.provider}'`,
+        field: "provider",
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  sendToClient(session, {
+    type: ServerMessageTypes.CONNECTION_ACK,
+    protocolVersion: version,
+    provider: describeProvider(session.provider),
+    ...speech,
+    detailLevel: session.detailLevel,
+    language: session.language,
+    requestId: message.id,
+    timestamp: new Date().toISOString(),
+  });
+
+  // Clients connecting during an outage learn about it straight away
+  const providerStatus = getProviderStatus(session.provider);
+  if (providerStatus) {
+    sendToClient(session, {
+      type: ServerMessageTypes.PROVIDER_DEGRADED,
+      ...providerStatus,
+      timestamp: new Date().toISOString(),
+    });
   }
 }
 
@@ -187,105 +806,107 @@ async function handleWebSocketMessage(sessionId, message) {
  * Handle screen frame analysis
  * @param {string} sessionId - Session ID
  * @param {Object} message - Message containing base64 image
+ * @param {AbortSignal} signal - Aborted when the client cancels
  */
-async function handleScreenFrame(sessionId, message) {
+async function handleScreenFrame(sessionId, message, signal) {
   const session = activeSessions.get(sessionId);
   if (!session) return;
 
-  const { ws, userGoal, metadata, screenHistory } = session;
+  const { userGoal, metadata, screenHistory } = session;
+  let isAnalyzing = false;
+  let speech = null;
 
   try {
-    // Handle both 'data' field (frontend format) and 'frame' field (legacy format)
-    const frameData = message.data || message.frame;
+    // Presence of the frame data is guaranteed by the protocol schema
+    const received = readFrameData(message.data, message.mimeType);
+
+    if (received.error) {
+      console.error(`❌ ${received.error.details}`);
+      sendToClient(session, {
+        type: ServerMessageTypes.ERROR,
+        code: ErrorCodes.INVALID_FRAME,
+        message: received.error.message,
+        error: received.error.details,
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
 
-    // Validate that frame data exists
-    if (!frameData) {
-      console.error("No frame data received");
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: "No frame data provided",
-          error: "Frame data field is required",
-          timestamp: new Date().toISOString(),
-        })
-      );
+    // Mask sensitive regions before the frame is compared, stored or analysed
+    const { blocked, ...frame } = await redactSessionFrame(session, received, message);
+
+    if (blocked) {
+      sendToClient(session, {
+        type: ServerMessageTypes.STATUS,
+        message: "Screen hidden for privacy - skipping analysis",
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
       return;
     }
 
     // Don't send "analyzing" message for frame messages to avoid cluttering frontend
     // Frontend sends frames at 1-2 FPS, so we want minimal response
 
-    // Extract base64 image (remove data:image/jpeg;base64, or data:image/png;base64, prefix if present)
-    let base64Image = frameData;
-    if (base64Image.includes("base64,")) {
-      base64Image = base64Image.split("base64,")[1];
-    }
+    const { base64Image, imageFormat } = frame;
+    session.latestFrame = frame;
 
-    // Validate base64 image is not empty
-    if (!base64Image || base64Image.trim() === "") {
-      console.error("❌ Empty base64 image data");
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: "Invalid frame data",
-          error: "Base64 image data is empty",
-          timestamp: new Date().toISOString(),
-        })
-      );
-      return;
-    }
+    // Check if frame should be analyzed (time-based + similarity check)
+    const trigger = await getAnalysisTrigger(session, base64Image);
 
-    // Validate base64 format (basic check)
-    const base64Regex = /^[A-Za-z0-9+/]+=*$/;
-    const sampleSize = Math.min(100, base64Image.length);
-    const sample = base64Image.substring(0, sampleSize);
+    // While a plan is running, changed screens are checked against the current step
+    const checkStep = trigger === "changed" && hasActivePlan(session);
 
-    if (!base64Regex.test(sample)) {
-      console.error("❌ Invalid base64 format detected");
-      console.error("Sample:", sample);
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: "Invalid frame data format",
-          error: "Base64 data appears to be corrupted or invalid",
-          timestamp: new Date().toISOString(),
-        })
-      );
+    if (!trigger || (checkStep && !(await shouldVerifyStep(session, base64Image)))) {
+      // Send status update to frontend (optional)
+      sendToClient(session, {
+        type: ServerMessageTypes.STATUS,
+        message: "Frame unchanged - skipping analysis",
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
       return;
     }
 
-    // Detect image format from base64 header or assume JPEG
-    let imageFormat = "jpeg"; // Default to JPEG as frontend sends JPEG
-    if (frameData.includes("data:image/")) {
-      if (frameData.includes("image/png")) imageFormat = "png";
-      else if (
-        frameData.includes("image/jpeg") ||
-        frameData.includes("image/jpg")
-      )
-        imageFormat = "jpeg";
+    // Frames keep coming while limited, so each limited window is reported once
+    if (!(await reserveAIRequest(sessionId, session, message.id, { quiet: true }))) {
+      return;
     }
 
-    // Check if frame should be analyzed (time-based + similarity check)
-    const shouldAnalyze = await shouldAnalyzeFrame(session, base64Image);
+    if (session.watchMode) {
+      isAnalyzing = true;
+      sendWatchStatus(session, "analyzing", message.id);
+    }
 
-    if (!shouldAnalyze) {
-      // Send status update to frontend (optional)
-      ws.send(
-        JSON.stringify({
-          type: "status",
-          message: "Frame unchanged - skipping analysis",
-          timestamp: new Date().toISOString(),
-        })
-      );
+    if (checkStep) {
+      await verifyCurrentStep(session, message, frame, signal);
       return;
     }
 
     // Analyze the screen frame with Gemini
+    let promptVersion = null;
+    speech = createSpeechSender(session, message.id, signal);
     const guidance = await analyzeScreenFrame(
       base64Image,
       userGoal || "Assist user with their current task",
-      metadata,
-      imageFormat // Pass the image format
+      hasActivePlan(session)
+        ? { ...metadata, currentStep: session.plan.steps[session.currentStepIndex].instruction }
+        : metadata,
+      imageFormat, // Pass the image format
+      {
+        onChunk: createChunkSender(session, message.id, speech),
+        onTarget: createHighlightSender(session, message.id),
+        provider: session.provider,
+        usage: session.usage,
+        detailLevel: session.detailLevel,
+        language: session.language,
+        onPromptVersion: (version) => {
+          promptVersion = version;
+        },
+        signal,
+        trigger,
+      }
     );
 
     // Update last analyzed frame data
@@ -297,65 +918,61 @@ async function handleScreenFrame(sessionId, message) {
       timestamp: new Date().toISOString(),
       frame: base64Image.substring(0, 100) + "...", // Store truncated version
       guidance,
+      promptVersion,
       metadata: { ...metadata },
     };
     screenHistory.push(screenStep);
 
-    // Send AI guidance back to client using frontend's expected format
-    ws.send(
-      JSON.stringify({
-        type: "response",
-        message: guidance,
-        timestamp: screenStep.timestamp,
-      })
-    );
+    // Mark the end of the streamed guidance with the full text
+    sendToClient(session, {
+      type: ServerMessageTypes.RESPONSE_END,
+      message: guidance,
+      promptVersion,
+      requestId: message.id,
+      timestamp: screenStep.timestamp,
+    });
+    speech?.end(guidance);
 
   } catch (error) {
+    speech?.close();
+
+    // The client already got a "cancelled" message
+    if (signal?.aborted) return;
+
     console.error("❌ Error analyzing screen frame:", error);
     console.error("Error name:", error.name);
     console.error("Error message:", error.message);
     console.error("Error stack:", error.stack);
 
     // Log additional debugging info
-    console.error(
-      "Frame data length:",
-      message.data?.length || message.frame?.length || 0
-    );
+    console.error("Frame data length:", message.data?.length || 0);
     console.error("Session ID:", sessionId);
     console.error("User goal:", userGoal);
 
-    // Check if it's a specific error type
-    let errorMessage = "Failed to analyze screen";
-    let errorDetails = error.message;
-
-    if (error.message.includes("API key")) {
-      errorMessage = "AI API authentication failed";
-      errorDetails = "Please check GEMINI_API_KEY in .env file";
-    } else if (
-      error.message.includes("quota") ||
-      error.message.includes("rate limit")
+    // Frames that cannot be decoded are the client's problem, not the provider's
+    if (
+      !(error instanceof ProviderError) &&
+      (error.message.includes("invalid") || error.message.includes("decode"))
     ) {
-      errorMessage = "AI API rate limit exceeded";
-      errorDetails = "Too many requests, please wait a moment";
-    } else if (
-      error.message.includes("invalid") ||
-      error.message.includes("decode")
-    ) {
-      errorMessage = "Invalid image data";
-      errorDetails = "Failed to decode base64 image";
-    } else if (error.message.includes("timeout")) {
-      errorMessage = "AI API request timeout";
-      errorDetails = "Request took too long, please try again";
+      sendToClient(session, {
+        type: ServerMessageTypes.ERROR,
+        code: ErrorCodes.INVALID_FRAME,
+        message: "Invalid image data",
+        error: "Failed to decode base64 image",
+        requestId: message.id,
+        timestamp: new Date().toISOString(),
+      });
+      return;
     }
 
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: errorMessage,
-        error: errorDetails,
-        timestamp: new Date().toISOString(),
-      })
+    sendToClient(
+      session,
+      createAIErrorMessage(error, "Failed to analyze screen", message.id)
     );
+  } finally {
+    if (isAnalyzing && session.watchMode) {
+      sendWatchStatus(session, "watching", message.id);
+    }
   }
 }
 
@@ -363,38 +980,39 @@ async function handleScreenFrame(sessionId, message) {
  * Handle chat message
  * @param {string} sessionId - Session ID
  * @param {Object} message - Message object with text content
+ * @param {AbortSignal} signal - Aborted when the client cancels
  */
-async function handleChatMessage(sessionId, message) {
+async function handleChatMessage(sessionId, message, signal) {
   const session = activeSessions.get(sessionId);
   if (!session) return;
 
-  const { ws, conversationHistory, userGoal, metadata, stepHistory, isFirstMessage } = session;
+  const { conversationHistory, userGoal, metadata, stepHistory, isFirstMessage } = session;
+  let speech = null;
 
   try {
-    // Handle both 'message' field (frontend format) and 'content' field (legacy format)
-    const chatContent = message.message || message.content;
+    if (!(await reserveAIRequest(sessionId, session, message.id))) return;
 
-    // Validate that content exists
-    if (!chatContent) {
-      console.error("No content in chat message");
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: "No content provided",
-          error: "Message field is required for chat messages",
-          timestamp: new Date().toISOString(),
-        })
-      );
-      return;
-    }
+    // Presence of the message text is guaranteed by the protocol schema
+    const chatContent = message.message;
 
-    // Extract frame data if provided
+    // Extract frame data if provided (base64 string or raw bytes)
     let base64Image = null;
+    let imageFormat = "jpeg";
     if (message.frameData) {
-      // Remove data URL prefix if present
-      base64Image = message.frameData;
-      if (base64Image.includes("base64,")) {
-        base64Image = base64Image.split("base64,")[1];
+      const frame = readFrameData(message.frameData, message.mimeType);
+      if (frame.error) {
+        console.error(`⚠️ Ignoring unusable frame in chat message: ${frame.error.details}`);
+      } else {
+        try {
+          // Mask sensitive regions before the frame is sent to the model
+          const { blocked, ...redacted } = await redactSessionFrame(session, frame, message);
+          if (!blocked) {
+            ({ base64Image, imageFormat } = redacted);
+            session.latestFrame = redacted;
+          }
+        } catch (error) {
+          console.error(`⚠️ Ignoring frame that could not be redacted: ${error.message}`);
+        }
       }
     } else {
       console.error("⚠️ No frame data in chat message");
@@ -406,30 +1024,62 @@ async function handleChatMessage(sessionId, message) {
       content: chatContent,
       timestamp: new Date().toISOString(),
     };
+    // Earlier turns only carry their screen capture when AI_HISTORY_FRAMES allows it
+    if (base64Image && CONVERSATION_CONFIG.maxFrames > 0) {
+      userMessage.frame = { base64Image, imageFormat };
+    }
     conversationHistory.push(userMessage);
 
     // Send status update
-    ws.send(
-      JSON.stringify({
-        type: "status",
-        message: "Processing your message...",
-        timestamp: new Date().toISOString(),
-      })
-    );
+    sendToClient(session, {
+      type: ServerMessageTypes.STATUS,
+      message: "Processing your message...",
+      requestId: message.id,
+      timestamp: new Date().toISOString(),
+    });
+
+    // The first message sets up the task plan, later ones move through it
+    const frame = { base64Image, imageFormat };
+    if (isFirstMessage) {
+      await startPlan(session, message, frame, signal);
+    } else if (hasActivePlan(session)) {
+      await updatePlanProgress(session, message, frame, signal);
+    }
 
-    // Get AI response with full context
+    // Get AI response with full context, streaming text as it is generated
+    let promptVersion = null;
+    speech = createSpeechSender(session, message.id, signal);
     const responseText = await getContextualResponse({
       message: chatContent,
       base64Image: base64Image,
-      conversationHistory,
+      imageFormat,
+      // The current message is sent as the prompt, not as an earlier turn
+      conversationHistory: conversationHistory.slice(0, -1),
+      historySummary: session.historySummary,
+      onSummary: (summary) => {
+        session.historySummary = summary;
+      },
       userGoal: userGoal || chatContent, // Use first message as goal if not set
       stepHistory: stepHistory,
       isFirstMessage: isFirstMessage,
+      plan: session.plan,
+      currentStepIndex: session.currentStepIndex,
+      onChunk: createChunkSender(session, message.id, speech),
+      onTarget: createHighlightSender(session, message.id),
+      provider: session.provider,
+      usage: session.usage,
+      detailLevel: session.detailLevel,
+      language: session.language,
+      onPromptVersion: (version) => {
+        promptVersion = version;
+      },
+      signal,
     });
 
     // If this was the first message, extract goal from response and update session
     if (isFirstMessage) {
-      session.userGoal = chatContent; // Store the user's first message as the goal
+      // Store the plan's goal, or the user's first message, as the goal
+      session.userGoal = session.plan ? session.plan.goal : chatContent;
       session.isFirstMessage = false;
     }
 
@@ -440,32 +1090,532 @@ async function handleChatMessage(sessionId, message) {
     const aiMessage = {
       role: "assistant",
       content: responseText,
+      promptVersion, // Prompt template behind the response, kept when the session is saved
       timestamp: new Date().toISOString(),
     };
     conversationHistory.push(aiMessage);
+    pruneFrames(conversationHistory);
+
+    // Mark the end of the streamed response with the full text
+    sendToClient(session, {
+      type: ServerMessageTypes.RESPONSE_END,
+      message: responseText,
+      promptVersion,
+      requestId: message.id,
+      timestamp: aiMessage.timestamp,
+    });
+    speech?.end(responseText);
 
-    // Send response to client using frontend's expected format
-    ws.send(
-      JSON.stringify({
-        type: "response",
-        message: responseText,
-        timestamp: aiMessage.timestamp,
-      })
+  } catch (error) {
+    speech?.close();
+
+    // The client already got a "cancelled" message
+    if (signal?.aborted) return;
+
+    console.error("❌ Error handling chat message:", error);
+    sendToClient(
+      session,
+      createAIErrorMessage(error, "Failed to get AI response", message.id)
     );
+  }
+}
 
+/**
+ * Generate the task plan for a session from its first message
+ * The chat continues without a plan if one cannot be generated
+ * @param {Object} session - Session data
+ * @param {Object} message - First chat message
+ * @param {{base64Image: string, imageFormat: string}} frame - Screen capture sent with it
+ * @param {AbortSignal} signal - Aborted when the client cancels
+ */
+async function startPlan(session, message, frame, signal) {
+  let plan;
+  try {
+    plan = await generateTaskPlan({
+      message: message.message,
+      ...frame,
+      provider: session.provider,
+      usage: session.usage,
+      language: session.language,
+      signal,
+    });
   } catch (error) {
-    console.error("❌ Error handling chat message:", error);
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "Failed to get AI response",
-        error: error.message,
-        timestamp: new Date().toISOString(),
-      })
+    if (error.name === "AbortError") throw error;
+    console.error("⚠️ Continuing without a task plan:", error.message);
+    return;
+  }
+
+  session.plan = {
+    goal: plan.goal,
+    steps: plan.steps.map((step) => ({ ...step, status: "pending" })),
+    revision: 1,
+  };
+  session.currentStepIndex = 0;
+
+  sendToClient(session, {
+    type: ServerMessageTypes.PLAN,
+    ...describePlan(session),
+    requestId: message.id,
+    timestamp: new Date().toISOString(),
+  });
+
+  startStep(session, 0, message.id);
+}
+
+/**
+ * Check the user's progress on the current step and update the plan
+ * @param {Object} session - Session data
+ * @param {Object} message - Chat message
+ * @param {{base64Image: string, imageFormat: string}} frame - Screen capture sent with it
+ * @param {AbortSignal} signal - Aborted when the client cancels
+ */
+async function updatePlanProgress(session, message, frame, signal) {
+  let progress;
+  try {
+    progress = await assessStepProgress({
+      plan: session.plan,
+      currentStepIndex: session.currentStepIndex,
+      message: message.message,
+      ...frame,
+      provider: session.provider,
+      usage: session.usage,
+      language: session.language,
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.error("⚠️ Could not assess step progress:", error.message);
+    return;
+  }
+
+  if (progress.stepCompleted) {
+    completeStep(session, message.id, { startNext: !progress.revisedSteps });
+  }
+
+  if (progress.revisedSteps) {
+    revisePlan(session, progress.revisedSteps, progress.reason, message.id);
+  }
+}
+
+/**
+ * Mark a plan step as the one the user is working on
+ * @param {Object} session - Session data
+ * @param {number} index - Step index
+ * @param {string} requestId - Client ID of the message that led to it
+ */
+function startStep(session, index, requestId) {
+  const step = session.plan.steps[index];
+  step.status = "in_progress";
+  session.currentStepIndex = index;
+
+  // Later frames are compared with the screen as it was when the step was issued
+  session.stepBaseline = session.latestFrame;
+  session.lastNotDoneAt = null;
+
+  sendToClient(session, {
+    type: ServerMessageTypes.STEP_STARTED,
+    index,
+    step,
+    requestId,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Mark the current plan step as done
+ * @param {Object} session - Session data
+ * @param {string} requestId - Client ID of the message that led to it
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.startNext - Start the following step right away
+ * @param {boolean} options.verifiedFromScreen - The step was found done on a screen capture
+ */
+function completeStep(
+  session,
+  requestId,
+  { startNext = true, verifiedFromScreen = false } = {}
+) {
+  const index = session.currentStepIndex;
+  const step = session.plan.steps[index];
+  step.status = "completed";
+  session.currentStepIndex = index + 1;
+
+  sendToClient(session, {
+    type: ServerMessageTypes.STEP_COMPLETED,
+    index,
+    step,
+    planComplete: isPlanComplete(session),
+    verifiedFromScreen,
+    requestId,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (startNext && !isPlanComplete(session)) {
+    startStep(session, session.currentStepIndex, requestId);
+  }
+}
+
+/**
+ * Decide whether a changed frame should be checked against the current plan step
+ * @param {Object} session - Session data with an active plan
+ * @param {string} currentFrameBase64 - Current frame
+ * @returns {Promise<boolean>} - True if the screen moved on since the step was issued
+ */
+async function shouldVerifyStep(session, currentFrameBase64) {
+  // Keep model checks infrequent while the screen is busy
+  const timeSinceLastCheck = Date.now() - (session.lastStepCheckAt || 0);
+  if (timeSinceLastCheck < STEP_VERIFICATION_CONFIG.minCheckIntervalMs) {
+    return false;
+  }
+
+  session.lastFrameData = currentFrameBase64;
+  session.lastFrameTimestamp = Date.now();
+
+  // Steps issued before any frame arrived have nothing to compare with
+  if (!session.stepBaseline) return true;
+
+  const { isDifferent } = await compareFrames(
+    session.stepBaseline.base64Image,
+    currentFrameBase64
+  );
+
+  if (!isDifferent) {
+    console.error(`⏭️ Screen unchanged since step was issued - skipping check`);
+  }
+  return isDifferent;
+}
+
+/**
+ * Ask the model whether the current step is done, then advance the plan or
+ * tell the user the step does not look done yet
+ * @param {Object} session - Session data with an active plan
+ * @param {Object} message - Frame message
+ * @param {{base64Image: string, imageFormat: string}} frame - Current screen capture
+ * @param {AbortSignal} signal - Aborted when the client cancels
+ */
+async function verifyCurrentStep(session, message, frame, signal) {
+  const step = session.plan.steps[session.currentStepIndex];
+  session.lastStepCheckAt = Date.now();
+
+  let result;
+  try {
+    result = await verifyStepOutcome({
+      step,
+      ...frame,
+      provider: session.provider,
+      usage: session.usage,
+      language: session.language,
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.error("⚠️ Could not verify step outcome:", error.message);
+    return;
+  }
+
+  if (result.completed) {
+    completeStep(session, message.id, { verifiedFromScreen: true });
+
+    const reply = isPlanComplete(session)
+      ? "That's done - you've finished every step!"
+      : `That's done. Next: ${session.plan.steps[session.currentStepIndex].instruction}`;
+    session.stepHistory.push(reply);
+    sendAssistantMessage(session, reply, message.id);
+    return;
+  }
+
+  const timeSinceReminder = Date.now() - (session.lastNotDoneAt || 0);
+  if (timeSinceReminder >= STEP_VERIFICATION_CONFIG.notDoneReminderMs) {
+    session.lastNotDoneAt = Date.now();
+    sendAssistantMessage(
+      session,
+      `That doesn't look done yet. ${result.reason}`.trim(),
+      message.id
     );
   }
 }
 
+/**
+ * Send a reply that was not streamed and record it in the conversation
+ * @param {Object} session - Session data
+ * @param {string} text - Reply text
+ * @param {string} requestId - Client ID of the message that led to it
+ */
+function sendAssistantMessage(session, text, requestId) {
+  const aiMessage = {
+    role: "assistant",
+    content: text,
+    timestamp: new Date().toISOString(),
+  };
+  session.conversationHistory.push(aiMessage);
+
+  sendToClient(session, {
+    type: ServerMessageTypes.RESPONSE_END,
+    message: text,
+    requestId,
+    timestamp: aiMessage.timestamp,
+  });
+  createSpeechSender(session, requestId)?.end(text);
+}
+
+/**
+ * Replace the remaining plan steps, keeping the completed ones
+ * @param {Object} session - Session data
+ * @param {Array<{instruction: string, expectedOutcome: string}>} remainingSteps - New steps from the current one on
+ * @param {string} reason - Why the plan changed
+ * @param {string} requestId - Client ID of the message that led to it
+ */
+function revisePlan(session, remainingSteps, reason, requestId) {
+  const { plan, currentStepIndex } = session;
+
+  plan.steps = [
+    ...plan.steps.slice(0, currentStepIndex),
+    ...remainingSteps.map((step) => ({ ...step, status: "pending" })),
+  ];
+  plan.revision += 1;
+
+  sendToClient(session, {
+    type: ServerMessageTypes.PLAN_REVISED,
+    ...describePlan(session),
+    reason,
+    requestId,
+    timestamp: new Date().toISOString(),
+  });
+
+  startStep(session, currentStepIndex, requestId);
+}
+
+/**
+ * Check whether every step of the session's plan is done
+ * @param {Object} session - Session data
+ * @returns {boolean} - True once the last step was completed
+ */
+function isPlanComplete(session) {
+  return session.currentStepIndex >= session.plan.steps.length;
+}
+
+/**
+ * Check whether the session has a plan with steps left to do
+ * @param {Object} session - Session data
+ * @returns {boolean} - True while a plan is in progress
+ */
+function hasActivePlan(session) {
+  return Boolean(session.plan) && !isPlanComplete(session);
+}
+
+/**
+ * Describe the session's plan for the client
+ * @param {Object} session - Session data with a plan
+ * @returns {Object} - Goal, numbered steps, current step index and revision
+ */
+function describePlan(session) {
+  const { plan, currentStepIndex } = session;
+
+  return {
+    goal: plan.goal,
+    steps: plan.steps.map((step, index) => ({ index, ...step })),
+    currentStepIndex,
+    revision: plan.revision,
+  };
+}
+
+/**
+ * Normalise frame data from a JSON (base64) or binary message
+ * @param {string|Buffer} frameData - Base64 string, data URL or raw image bytes
+ * @param {string} mimeType - MIME type sent with the frame (optional)
+ * @returns {{base64Image: string, imageFormat: string}|{error: {message: string, details: string}}}
+ */
+function readFrameData(frameData, mimeType) {
+  // Binary messages already carry raw bytes and their MIME type
+  if (frameData instanceof Uint8Array) {
+    if (frameData.length === 0) {
+      return {
+        error: { message: "Invalid frame data", details: "Image data is empty" },
+      };
+    }
+
+    return {
+      base64Image: Buffer.from(
+        frameData.buffer,
+        frameData.byteOffset,
+        frameData.byteLength
+      ).toString("base64"),
+      imageFormat: mimeType === "image/png" ? "png" : "jpeg",
+    };
+  }
+
+  // Extract base64 image (remove data:image/jpeg;base64, or data:image/png;base64, prefix if present)
+  let base64Image = frameData;
+  if (base64Image.includes("base64,")) {
+    base64Image = base64Image.split("base64,")[1];
+  }
+
+  // Validate base64 image is not empty
+  if (!base64Image || base64Image.trim() === "") {
+    return {
+      error: {
+        message: "Invalid frame data",
+        details: "Base64 image data is empty",
+      },
+    };
+  }
+
+  // Validate base64 format (basic check)
+  const base64Regex = /^[A-Za-z0-9+/]+=*$/;
+  const sampleSize = Math.min(100, base64Image.length);
+  const sample = base64Image.substring(0, sampleSize);
+
+  if (!base64Regex.test(sample)) {
+    return {
+      error: {
+        message: "Invalid frame data format",
+        details: "Base64 data appears to be corrupted or invalid",
+      },
+    };
+  }
+
+  // Detect image format from the data URL header or MIME type, or assume JPEG
+  let imageFormat = "jpeg"; // Default to JPEG as frontend sends JPEG
+  if (frameData.includes("image/png") || mimeType === "image/png") {
+    imageFormat = "png";
+  }
+
+  return { base64Image, imageFormat };
+}
+
+/**
+ * Apply the session's redaction rules to a frame, sending the client a
+ * preview whenever the masked regions change
+ * @param {Object} session - Session data
+ * @param {{base64Image: string, imageFormat: string}} frame - Frame from readFrameData()
+ * @param {Object} message - "frame" or "chat" message carrying the frame
+ * @returns {Promise<{base64Image: string|null, imageFormat: string, blocked: boolean}>}
+ */
+async function redactSessionFrame(session, frame, message) {
+  const requestId = message.id;
+
+  // Clients send the captured window's title with each frame, null for a whole screen
+  if (message.windowTitle !== undefined) {
+    session.metadata.activeWindowTitle = message.windowTitle || null;
+  }
+
+  const { base64Image, imageFormat, maskedRegions, blocked } = await redactFrame(
+    frame.base64Image,
+    frame.imageFormat,
+    getRedactionRules(session.metadata)
+  );
+
+  // Only tell the client when what is masked changes
+  const redactionKey =
+    blocked || maskedRegions.length > 0
+      ? JSON.stringify({ blocked, maskedRegions })
+      : "";
+
+  if (redactionKey !== session.redactionKey) {
+    session.redactionKey = redactionKey;
+    sendToClient(session, {
+      type: ServerMessageTypes.REDACTION_PREVIEW,
+      blocked,
+      maskedRegions,
+      image:
+        maskedRegions.length > 0 ? await createRedactionPreview(base64Image) : null,
+      mimeType: "image/jpeg",
+      requestId,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return { base64Image, imageFormat, blocked };
+}
+
+/**
+ * Create a callback that forwards streamed response text to the client
+ * @param {Object} session - Session data
+ * @param {string} requestId - Client ID of the message being answered
+ * @param {Object} [speech] - Speech stream the text is also spoken by (see createSpeechSender)
+ * @returns {Function} - Chunk callback for the Gemini helpers
+ */
+function createChunkSender(session, requestId, speech) {
+  return (text) => {
+    sendToClient(session, {
+      type: ServerMessageTypes.RESPONSE_CHUNK,
+      message: text,
+      requestId,
+      timestamp: new Date().toISOString(),
+    });
+    speech?.push(text);
+  };
+}
+
+/**
+ * Create a speech stream that sends a response's sentences to the client as audio
+ * @param {Object} session - Session data
+ * @param {string} requestId - Client ID of the message being answered
+ * @param {AbortSignal} [signal] - Stops the speech when the request is cancelled
+ * @returns {Object|null} - Speech stream (see tts/stream.js), or null when the client speaks for itself
+ */
+function createSpeechSender(session, requestId, signal) {
+  if (!session.speechAudio) return null;
+
+  return createSpeechStream({
+    synthesizer: getSynthesizer(),
+    language: session.language,
+    signal,
+    enqueue: (task) => {
+      session.speechQueue = session.speechQueue.then(task);
+    },
+    onAudio: ({ sequence, text, audio, mimeType }) => {
+      const payload = {
+        type: ServerMessageTypes.AUDIO_CHUNK,
+        sequence,
+        text,
+        mimeType: mimeType || undefined,
+        requestId,
+        timestamp: new Date().toISOString(),
+      };
+
+      // Audio is only worth playing now, so it is not kept for clients that are offline
+      const { ws } = session;
+      if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+      // Sentences that could not be synthesised go as text, for the client to speak itself
+      ws.send(audio ? encodeBinaryMessage({ ...payload, audio }) : JSON.stringify(payload));
+    },
+    // An empty last chunk tells the client no more audio is coming for the request
+    onClose: ({ sequence }) => {
+      const { ws } = session;
+      if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+      ws.send(
+        JSON.stringify({
+          type: ServerMessageTypes.AUDIO_CHUNK,
+          sequence,
+          text: "",
+          final: true,
+          requestId,
+          timestamp: new Date().toISOString(),
+        })
+      );
+    },
+  });
+}
+
+/**
+ * Create a callback that tells the client where to highlight the element the guidance points at
+ * @param {Object} session - Session data
+ * @param {string} requestId - Client ID of the message being answered
+ * @returns {Function} - Target callback for the Gemini helpers
+ */
+function createHighlightSender(session, requestId) {
+  return (target) => {
+    sendToClient(session, {
+      type: ServerMessageTypes.HIGHLIGHT,
+      target,
+      requestId,
+      timestamp: new Date().toISOString(),
+    });
+  };
+}
+
 /**
  * Convert base64 JPEG/PNG to PNG buffer for comparison
  * @param {string} base64Image - Base64 encoded image
@@ -544,20 +1694,20 @@ async function compareFrames(frame1Base64, frame2Base64) {
  * Check if frame should be analyzed based on time and similarity
  * @param {Object} session - Session data
  * @param {string} currentFrameBase64 - Current frame to analyze
- * @returns {Promise<boolean>} - True if frame should be analyzed
+ * @returns {Promise<string|null>} - "changed" or "stuck" if the frame should be analyzed, otherwise null
  */
-async function shouldAnalyzeFrame(session, currentFrameBase64) {
+async function getAnalysisTrigger(session, currentFrameBase64) {
   const now = Date.now();
 
   // If no previous frame, always analyze
   if (!session.lastFrameData) {
-    return true;
+    return "changed";
   }
 
   // Check if enough time has passed since last analysis
   const timeSinceLastAnalysis = now - (session.lastFrameTimestamp || 0);
   if (timeSinceLastAnalysis < FRAME_COMPARISON_CONFIG.checkIntervalMs) {
-    return false;
+    return null;
   }
 
   // Compare with last analyzed frame
@@ -567,10 +1717,99 @@ async function shouldAnalyzeFrame(session, currentFrameBase64) {
   );
 
   if (isDifferent) {
-    return true;
-  } else {
-    console.error(`⏭️ Frame unchanged - skipping analysis`);
-    return false;
+    session.stuckHintGiven = false;
+    return "changed";
+  }
+
+  // In watch mode, a screen that stays the same suggests the user is stuck
+  if (
+    session.watchMode &&
+    !session.stuckHintGiven &&
+    timeSinceLastAnalysis >= WATCH_MODE_CONFIG.stuckAfterMs
+  ) {
+    session.stuckHintGiven = true;
+    return "stuck";
+  }
+
+  console.error(`⏭️ Frame unchanged - skipping analysis`);
+  return null;
+}
+
+/**
+ * Build the error message sent to the client for a failed AI request
+ * @param {Error} error - Error thrown by the AI utilities
+ * @param {string} fallbackMessage - Message for failures that are not provider errors
+ * @param {string} requestId - ID of the client message that started the request
+ * @returns {Object} - "error" message, with retryAfterMs when the provider said how long to wait
+ */
+function createAIErrorMessage(error, fallbackMessage, requestId) {
+  const known =
+    error instanceof ProviderError ? PROVIDER_ERROR_RESPONSES[error.code] : null;
+
+  const payload = {
+    type: ServerMessageTypes.ERROR,
+    code: known?.code || ErrorCodes.AI_ERROR,
+    message: known?.message || fallbackMessage,
+    error: error.message,
+    requestId,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (error.retryAfterMs) {
+    payload.retryAfterMs = error.retryAfterMs;
+  }
+
+  return payload;
+}
+
+/**
+ * Count an AI request against the session's rate limits and quota
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session data
+ * @param {string} requestId - Client message ID
+ * @param {Object} options - Options
+ * @param {boolean} options.quiet - Only report the first refusal in each limited window
+ * @returns {Promise<boolean>} - False if the request was refused
+ */
+async function reserveAIRequest(sessionId, session, requestId, { quiet = false } = {}) {
+  const result = await consumeAIRequest({
+    sessionId,
+    userKey: session.userKey,
+    ipKey: session.ipKey,
+  });
+  if (result.allowed) return true;
+
+  const alreadyReported = quiet && Date.now() < session.rateLimitedUntil;
+  session.rateLimitedUntil = Date.now() + result.retryAfterMs;
+
+  if (!alreadyReported) {
+    sendToClient(session, {
+      type: ServerMessageTypes.ERROR,
+      code: ErrorCodes.RATE_LIMITED,
+      message: result.message,
+      scope: result.scope,
+      retryAfterMs: result.retryAfterMs,
+      requestId,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return false;
+}
+
+/**
+ * Send a message to every connected session using a provider
+ * Disconnected sessions are skipped, a stale provider status is not worth replaying
+ * @param {string} provider - Provider name
+ * @param {Object} payload - Message to send
+ */
+function broadcastToProviderSessions(provider, payload) {
+  const message = { ...payload, timestamp: new Date().toISOString() };
+
+  for (const session of activeSessions.values()) {
+    if (session.ws && session.provider === provider) {
+      sendToClient(session, message);
+    }
   }
 }
 
@@ -582,6 +1821,14 @@ function generateSessionId() {
   return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Generate an unguessable token that lets a client resume its session
+ * @returns {string} - Resume token
+ */
+function generateResumeToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
 /**
  * Get active session data by session ID
  * @param {string} sessionId - Session ID
@@ -599,6 +1846,8 @@ export function getAllActiveSessions() {
   return Array.from(activeSessions.entries()).map(([id, data]) => ({
     sessionId: id,
     connectedAt: data.connectedAt,
+    connected: Boolean(data.ws),
+    disconnectedAt: data.disconnectedAt,
     messageCount: data.conversationHistory.length,
     screenFrameCount: data.screenHistory.length,
     userGoal: data.userGoal,
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { eq, and, gte, lt, desc } from 'drizzle-orm';
+import { createMemoryDb } from '../../src/db/memory.js';
+import { users, sessions, sessionHistory, dailyUsage } from '../../src/db/schema.js';
+
+describe('Memory Database', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createMemoryDb();
+    });
+
+    it('should insert rows with serial IDs and default timestamps', async () => {
+        const [first] = await db.insert(users).values({ name: 'Ann', email: 'ann@example.com' }).returning();
+        const [second] = await db.insert(users).values({ name: 'Bob', email: 'bob@example.com' }).returning();
+
+        expect(first).toMatchObject({ id: 1, name: 'Ann', email: 'ann@example.com' });
+        expect(first.createdAt.getTime()).toBeLessThanOrEqual(Date.now());
+        expect(second.id).toBe(2);
+    });
+
+    it('should enforce not-null and unique columns', async () => {
+        await db.insert(users).values({ name: 'Ann', email: 'ann@example.com' });
+
+        await expect(db.insert(users).values({ name: 'Ann' })).rejects.toThrow('not-null');
+        await expect(db.insert(users).values({ name: 'Ann', email: 'ann@example.com' }))
+            .rejects.toThrow('unique');
+    });
+
+    it('should select, order, update and delete by column', async () => {
+        await db.insert(sessions).values([
+            { userId: 1, title: 'First' },
+            { userId: 1, title: 'Second' },
+            { userId: 2, title: 'Other' },
+        ]);
+
+        const userSessions = await db.select().from(sessions)
+            .where(eq(sessions.userId, 1))
+            .orderBy(desc(sessions.id));
+        expect(userSessions.map((s) => s.title)).toEqual(['Second', 'First']);
+
+        await db.update(sessions).set({ title: 'Renamed' }).where(eq(sessions.id, 1));
+        await db.delete(sessions).where(eq(sessions.userId, 2));
+
+        const remaining = await db.select().from(sessions).orderBy(sessions.id);
+        expect(remaining.map((s) => s.title)).toEqual(['Renamed', 'Second']);
+    });
+
+    it('should combine conditions with and() and fill in column defaults', async () => {
+        await db.insert(dailyUsage).values([
+            { userKey: 'user:1', day: '2026-10-18', requests: 5 },
+            { userKey: 'user:1', day: '2026-10-19' },
+            { userKey: 'user:2', day: '2026-10-19', requests: 2 },
+        ]);
+
+        const rows = await db.select().from(dailyUsage)
+            .where(and(eq(dailyUsage.userKey, 'user:1'), eq(dailyUsage.day, '2026-10-19')));
+        expect(rows).toHaveLength(1);
+        expect(rows[0].requests).toBe(0);
+    });
+
+    it('should update the conflicting row on an upsert', async () => {
+        const upsert = (requests) => db.insert(dailyUsage)
+            .values({ userKey: 'user:1', day: '2026-10-19', requests })
+            .onConflictDoUpdate({ target: [dailyUsage.userKey, dailyUsage.day], set: { requests } });
+
+        await upsert(1);
+        await upsert(2);
+
+        const rows = await db.select().from(dailyUsage);
+        expect(rows).toHaveLength(1);
+        expect(rows[0].requests).toBe(2);
+    });
+
+    it('should compare numbers and dates in range conditions', async () => {
+        await db.insert(dailyUsage).values([
+            { userKey: 'user:1', day: '2026-10-17', requests: 1 },
+            { userKey: 'user:1', day: '2026-10-18', requests: 2 },
+            { userKey: 'user:1', day: '2026-10-19', requests: 3 },
+        ]);
+
+        const rows = await db.select().from(dailyUsage)
+            .where(and(gte(dailyUsage.requests, 2), lt(dailyUsage.updatedAt, new Date(Date.now() + 1000))));
+        expect(rows.map((row) => row.day)).toEqual(['2026-10-18', '2026-10-19']);
+    });
+
+    it('should not share stored JSON with callers', async () => {
+        const messages = [{ role: 'user', content: 'Hi' }];
+        await db.insert(sessionHistory).values({ sessionId: 1, messages });
+        messages.push({ role: 'assistant', content: 'Hello' });
+
+        const [history] = await db.select().from(sessionHistory).where(eq(sessionHistory.sessionId, 1));
+        expect(history.messages).toHaveLength(1);
+    });
+});
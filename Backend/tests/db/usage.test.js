@@ -0,0 +1,69 @@
+import { jest, describe, it, expect } from '@jest/globals';
+import { eq } from 'drizzle-orm';
+import { createMemoryDb } from '../../src/db/memory.js';
+
+const db = createMemoryDb();
+
+jest.unstable_mockModule('../../src/db/index.js', () => ({ db }));
+
+const { users, aiUsage } = await import('../../src/db/schema.js');
+const { findUserId, recordAIUsage, loadDailyUsage, saveDailyUsage } = await import('../../src/db/usage.js');
+
+describe('Usage Queries', () => {
+    const call = (userId, liveSessionId) => ({
+        userId,
+        liveSessionId,
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        task: 'chat',
+        promptTokens: 120,
+        responseTokens: 30,
+        tokensEstimated: false,
+        imageCount: 0,
+        latencyMs: 800,
+    });
+
+    const recorded = (liveSessionId) =>
+        db.select().from(aiUsage).where(eq(aiUsage.liveSessionId, liveSessionId));
+
+    describe('recordAIUsage', () => {
+        it('should record the call against an existing user', async () => {
+            const [user] = await db.insert(users).values({ name: 'Ann', email: 'ann@example.com' }).returning();
+
+            await recordAIUsage(call(user.id, 'session_1'));
+
+            expect(await recorded('session_1')).toEqual([
+                expect.objectContaining({ userId: user.id, promptTokens: 120 }),
+            ]);
+        });
+
+        it('should record the call without a user', async () => {
+            await recordAIUsage(call(null, 'session_2'));
+
+            const rows = await recorded('session_2');
+            expect(rows.map((row) => row.userId)).toEqual([null]);
+        });
+    });
+
+    describe('findUserId', () => {
+        it('should return the ID of a registered user and null for anyone else', async () => {
+            const [user] = await db.insert(users).values({ name: 'Bob', email: 'bob@example.com' }).returning();
+
+            expect(await findUserId(user.id)).toBe(user.id);
+            expect(await findUserId(42)).toBeNull();
+        });
+    });
+
+    describe('saveDailyUsage', () => {
+        it('should keep one count per user and day', async () => {
+            await Promise.all([
+                saveDailyUsage('user:7', '2026-10-19', 1),
+                saveDailyUsage('user:7', '2026-10-19', 2),
+            ]);
+            await saveDailyUsage('user:7', '2026-10-20', 1);
+
+            expect(await loadDailyUsage('user:7', '2026-10-19')).toBe(2);
+            expect(await loadDailyUsage('user:7', '2026-10-20')).toBe(1);
+        });
+    });
+});
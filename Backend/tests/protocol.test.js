@@ -0,0 +1,122 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    ErrorCodes,
+    PROTOCOL_VERSION,
+    validateMessage,
+    upgradeLegacyMessage,
+    negotiateVersion,
+    createMessage,
+    encodeBinaryMessage,
+    decodeBinaryMessage,
+} from '../../shared/protocol.js';
+
+describe('Shared WebSocket Protocol', () => {
+    describe('validateMessage', () => {
+        it('should accept a valid chat message', () => {
+            expect(validateMessage({ type: 'chat', message: 'Hi' })).toEqual({ valid: true });
+        });
+
+        it('should reject messages without a type', () => {
+            const result = validateMessage({ message: 'Hi' });
+            expect(result.valid).toBe(false);
+            expect(result.code).toBe(ErrorCodes.INVALID_MESSAGE);
+        });
+
+        it('should reject unknown types', () => {
+            expect(validateMessage({ type: 'screen_frame' }).code).toBe(ErrorCodes.UNKNOWN_TYPE);
+        });
+
+        it('should report missing and mistyped fields', () => {
+            expect(validateMessage({ type: 'chat' })).toMatchObject({
+                code: ErrorCodes.MISSING_FIELD,
+                field: 'message',
+            });
+            expect(validateMessage({ type: 'update_metadata', metadata: 'x' })).toMatchObject({
+                code: ErrorCodes.INVALID_FIELD,
+                field: 'metadata',
+            });
+        });
+
+        it('should reject values outside a field\'s allowed set', () => {
+            expect(validateMessage({ type: 'set_detail_level', detailLevel: 'teach_me' })).toEqual({ valid: true });
+            expect(validateMessage({ type: 'set_detail_level', detailLevel: 'essay' })).toMatchObject({
+                code: ErrorCodes.INVALID_FIELD,
+                field: 'detailLevel',
+            });
+        });
+    });
+
+    describe('upgradeLegacyMessage', () => {
+        it('should map legacy aliases onto current names', () => {
+            expect(upgradeLegacyMessage({ type: 'screen_frame', frame: 'abc' })).toEqual({
+                type: 'frame',
+                data: 'abc',
+            });
+            expect(upgradeLegacyMessage({ type: 'chat_message', content: 'Hi' })).toEqual({
+                type: 'chat',
+                message: 'Hi',
+            });
+        });
+    });
+
+    describe('negotiateVersion', () => {
+        it('should pick the highest common version', () => {
+            expect(negotiateVersion({ supportedVersions: [1, 2, 99] })).toBe(2);
+            expect(negotiateVersion({ protocolVersion: 1 })).toBe(1);
+            expect(negotiateVersion({})).toBe(1);
+            expect(negotiateVersion({ supportedVersions: [99] })).toBeNull();
+        });
+    });
+
+    describe('createMessage', () => {
+        it('should build a timestamped message', () => {
+            const message = createMessage('ping');
+            expect(message.type).toBe('ping');
+            expect(message.timestamp).toEqual(expect.any(String));
+        });
+
+        it('should throw for invalid messages', () => {
+            expect(() => createMessage('chat', {})).toThrow();
+        });
+    });
+
+    describe('binary messages', () => {
+        it('should round-trip a frame with its header', () => {
+            const image = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+            const encoded = encodeBinaryMessage({
+                type: 'frame',
+                id: 'msg_1',
+                mimeType: 'image/jpeg',
+                data: image,
+            });
+
+            const decoded = decodeBinaryMessage(Buffer.from(encoded));
+            expect(decoded).toMatchObject({ type: 'frame', id: 'msg_1', mimeType: 'image/jpeg' });
+            expect(Array.from(decoded.data)).toEqual(Array.from(image));
+            expect(validateMessage(decoded)).toEqual({ valid: true });
+        });
+
+        it('should reject malformed binary data', () => {
+            expect(() => decodeBinaryMessage(new Uint8Array([1, 0]))).toThrow();
+            expect(() => decodeBinaryMessage(new Uint8Array([9, 0, 0, 0, 0]))).toThrow();
+        });
+
+        it('should only encode message types that carry an image or audio', () => {
+            expect(() => encodeBinaryMessage({ type: 'ping' })).toThrow();
+        });
+
+        it('should round-trip spoken audio from the server', () => {
+            const audio = new Uint8Array([82, 73, 70, 70]);
+            const decoded = decodeBinaryMessage(encodeBinaryMessage({
+                type: 'audio_chunk', requestId: 'r1', sequence: 0, text: 'Hi.', mimeType: 'audio/wav', audio,
+            }));
+
+            expect(decoded).toMatchObject({ type: 'audio_chunk', requestId: 'r1', sequence: 0, text: 'Hi.' });
+            expect(Array.from(decoded.audio)).toEqual([82, 73, 70, 70]);
+        });
+    });
+
+    it('should expose the current protocol version', () => {
+        expect(PROTOCOL_VERSION).toBe(6);
+    });
+});
@@ -0,0 +1,58 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockGenerateContent = jest.fn();
+
+jest.unstable_mockModule('@google/genai', () => ({
+    GoogleGenAI: class {
+        constructor() {
+            this.models = { generateContent: mockGenerateContent };
+        }
+    }
+}));
+
+const { getGeminiModelName, createGeminiProvider } = await import('../../src/providers/gemini.js');
+
+describe('Gemini Provider', () => {
+    beforeEach(() => {
+        mockGenerateContent.mockReset();
+        mockGenerateContent.mockResolvedValue({ text: 'Mocked AI response' });
+    });
+
+    it('should return correct model name', () => {
+        expect(getGeminiModelName()).toBe('gemini-2.5-flash');
+    });
+
+    it('should send the prompt, images and JSON mode to the SDK', async () => {
+        const provider = createGeminiProvider({ apiKey: 'test' });
+        const text = await provider.generate({
+            prompt: 'Describe the screen',
+            images: [{ data: 'aW1hZ2U=', mimeType: 'image/png' }],
+            json: true,
+        });
+
+        expect(text).toBe('Mocked AI response');
+        expect(mockGenerateContent).toHaveBeenCalledWith({
+            model: 'gemini-2.5-flash',
+            contents: [{
+                role: 'user',
+                parts: [
+                    { text: 'Describe the screen' },
+                    { inlineData: { data: 'aW1hZ2U=', mimeType: 'image/png' } },
+                ],
+            }],
+            config: { responseMimeType: 'application/json' },
+        });
+    });
+
+    it('should report the token counts of a response', async () => {
+        mockGenerateContent.mockResolvedValue({
+            text: 'Click the search box.',
+            usageMetadata: { promptTokenCount: 1290, candidatesTokenCount: 9 },
+        });
+
+        const onUsage = jest.fn();
+        await createGeminiProvider({ apiKey: 'test' }).generate({ prompt: 'Next step?', onUsage });
+
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 1290, responseTokens: 9 });
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+
+process.env.AI_PROVIDER = 'ollama';
+process.env.AI_SESSION_PROVIDERS = 'gemini';
+
+const {
+    PROVIDER_CONFIG,
+    getProvider,
+    isSelectableProvider,
+    describeProvider,
+} = await import('../../src/providers/index.js');
+
+describe('Provider Registry', () => {
+    it('should use the deployment provider by default', () => {
+        expect(PROVIDER_CONFIG.defaultProvider).toBe('ollama');
+        expect(getProvider().name).toBe('ollama');
+        expect(getProvider()).toBe(getProvider('ollama'));
+    });
+
+    it('should reject unknown providers', () => {
+        expect(() => getProvider('nope')).toThrow('Unknown AI provider: nope');
+    });
+
+    it('should only let sessions pick enabled providers', () => {
+        expect(isSelectableProvider('ollama')).toBe(true);
+        expect(isSelectableProvider('gemini')).toBe(true);
+        expect(isSelectableProvider('openai')).toBe(false);
+        expect(isSelectableProvider('nope')).toBe(false);
+    });
+
+    it('should describe a provider and its capabilities', () => {
+        expect(describeProvider('gemini')).toEqual({
+            name: 'gemini',
+            model: 'gemini-2.5-flash',
+            capabilities: { vision: true, streaming: true, json: true },
+        });
+    });
+});
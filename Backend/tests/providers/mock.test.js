@@ -0,0 +1,99 @@
+import { jest, describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createMockProvider, hashFrame } from '../../src/providers/mock.js';
+
+const FRAME = Buffer.from('screen capture').toString('base64');
+
+describe('Mock Provider', () => {
+    let dir;
+    let provider;
+
+    const writeScript = (name, script) => {
+        const file = path.join(dir, name);
+        writeFileSync(file, typeof script === 'string' ? script : JSON.stringify(script));
+        return file;
+    };
+
+    beforeAll(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'mock-script-'));
+        provider = createMockProvider({
+            scriptPath: writeScript('script.json', {
+                rules: [
+                    { task: 'plan', goal: 'weather', response: { goal: 'Check the weather', steps: [] } },
+                    { task: 'verify', step: 'chrome', response: [{ completed: false }, { completed: true }] },
+                    { frameHash: hashFrame(FRAME).slice(0, 12), response: 'Click the scripted button.' },
+                    { task: 'guidance', message: 'hello', response: 'Hi there.\nTARGET: {"x": 0.1, "y": 0.1, "width": 0.2, "height": 0.2}' },
+                ],
+                defaults: { text: 'Scripted fallback.' },
+            }),
+        });
+    });
+
+    afterAll(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should answer from the first matching rule', async () => {
+        const text = await provider.generate({
+            prompt: 'Plan this',
+            json: true,
+            task: 'plan',
+            context: { goal: 'Search for WEATHER on Google' },
+        });
+
+        expect(JSON.parse(text)).toEqual({ goal: 'Check the weather', steps: [] });
+    });
+
+    it('should step through a list of responses and repeat the last one', async () => {
+        const verify = () => provider.generate({
+            task: 'verify',
+            context: { step: 'Open Chrome.' },
+        }).then(JSON.parse);
+
+        expect(await verify()).toEqual({ completed: false });
+        expect(await verify()).toEqual({ completed: true });
+        expect(await verify()).toEqual({ completed: true });
+    });
+
+    it('should recognise screen captures by hash', async () => {
+        const text = await provider.generate({
+            task: 'frame',
+            images: [{ data: FRAME, mimeType: 'image/jpeg' }],
+        });
+
+        expect(text).toBe('Click the scripted button.');
+    });
+
+    it('should only include a target line when the prompt asks for one', async () => {
+        const request = { task: 'guidance', context: { message: 'hello' } };
+
+        expect(await provider.generate({ ...request, prompt: 'Your response:' })).toBe('Hi there.');
+        expect(await provider.generate({ ...request, prompt: 'TARGET: none\nYour response:' }))
+            .toContain('TARGET:');
+    });
+
+    it('should fall back to defaults and stream word by word', async () => {
+        const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const onChunk = jest.fn();
+
+        const text = await provider.generate({ task: 'chat', context: { message: 'Anything' }, onChunk });
+
+        expect(text).toBe('Scripted fallback.');
+        expect(onChunk.mock.calls).toEqual([['Scripted '], ['fallback.']]);
+        expect(JSON.parse(await provider.generate({ task: 'progress' })).stepCompleted).toBe(false);
+        consoleSpy.mockRestore();
+    });
+
+    it('should reject invalid scripts', () => {
+        expect(() => createMockProvider({ scriptPath: writeScript('broken.json', '{') }))
+            .toThrow('Cannot load mock script');
+        expect(() => createMockProvider({ scriptPath: writeScript('empty.json', {}) }))
+            .toThrow('"rules" must be a list');
+    });
+
+    it('should ship a valid demo script', () => {
+        expect(createMockProvider().model).toBe('mock-script.json');
+    });
+});
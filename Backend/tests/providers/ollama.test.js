@@ -0,0 +1,69 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { createOllamaProvider } from '../../src/providers/ollama.js';
+
+describe('Ollama Provider', () => {
+    let fetchSpy;
+    const provider = createOllamaProvider({ baseUrl: 'http://localhost:11434', model: 'llava' });
+
+    beforeEach(() => {
+        fetchSpy = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+        fetchSpy.mockRestore();
+    });
+
+    it('should send images as base64 and return the answer', async () => {
+        fetchSpy.mockResolvedValue(Response.json({ message: { content: 'Click the search box.' } }));
+
+        const text = await provider.generate({
+            prompt: 'Next step?',
+            images: [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg' }],
+        });
+
+        expect(text).toBe('Click the search box.');
+        const [url, options] = fetchSpy.mock.calls[0];
+        expect(url).toBe('http://localhost:11434/api/chat');
+        expect(JSON.parse(options.body)).toEqual({
+            model: 'llava',
+            messages: [{ role: 'user', content: 'Next step?', images: ['aW1hZ2U='] }],
+            stream: false,
+        });
+    });
+
+    it('should send earlier turns before the prompt', async () => {
+        fetchSpy.mockResolvedValue(Response.json({ message: { content: 'Press Enter.' } }));
+
+        await provider.generate({
+            prompt: 'What now?',
+            history: [
+                { role: 'user', text: 'Search for weather', images: [] },
+                { role: 'assistant', text: 'Type weather in the search box.', images: [] },
+            ],
+        });
+
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body).messages).toEqual([
+            { role: 'user', content: 'Search for weather' },
+            { role: 'assistant', content: 'Type weather in the search box.' },
+            { role: 'user', content: 'What now?' },
+        ]);
+    });
+
+    it('should stream newline-delimited JSON', async () => {
+        const lines = [
+            '{"message":{"content":"Press "},"done":false}',
+            '{"message":{"content":"Enter."},"done":false}',
+            '{"message":{"content":""},"done":true,"prompt_eval_count":31,"eval_count":4}',
+        ];
+        fetchSpy.mockResolvedValue(new Response(lines.join('\n')));
+
+        const onChunk = jest.fn();
+        const onUsage = jest.fn();
+        const text = await provider.generate({ prompt: 'Next step?', json: true, onChunk, onUsage });
+
+        expect(text).toBe('Press Enter.');
+        expect(onChunk.mock.calls).toEqual([['Press '], ['Enter.']]);
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 31, responseTokens: 4 });
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toMatchObject({ stream: true, format: 'json' });
+    });
+});
@@ -0,0 +1,112 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { createOpenAIProvider } from '../../src/providers/openai.js';
+
+// Response whose body streams the given lines
+const streamedResponse = (lines) => new Response(new ReadableStream({
+    start(controller) {
+        lines.forEach((line) => controller.enqueue(new TextEncoder().encode(`${line}\n`)));
+        controller.close();
+    },
+}));
+
+describe('OpenAI-compatible Provider', () => {
+    let fetchSpy;
+    const provider = createOpenAIProvider({
+        baseUrl: 'http://llm.local/v1/',
+        apiKey: 'secret',
+        model: 'local-vision',
+    });
+
+    beforeEach(() => {
+        fetchSpy = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+        fetchSpy.mockRestore();
+    });
+
+    it('should send images as data URLs and return the answer', async () => {
+        fetchSpy.mockResolvedValue(Response.json({
+            choices: [{ message: { content: '{"done": true}' } }],
+            usage: { prompt_tokens: 812, completion_tokens: 6 },
+        }));
+
+        const onUsage = jest.fn();
+        const text = await provider.generate({
+            prompt: 'Is the step done?',
+            images: [{ data: 'aW1hZ2U=', mimeType: 'image/png' }],
+            json: true,
+            onUsage,
+        });
+
+        expect(text).toBe('{"done": true}');
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 812, responseTokens: 6 });
+        const [url, options] = fetchSpy.mock.calls[0];
+        expect(url).toBe('http://llm.local/v1/chat/completions');
+        expect(options.headers.Authorization).toBe('Bearer secret');
+        expect(JSON.parse(options.body)).toEqual({
+            model: 'local-vision',
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'Is the step done?' },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,aW1hZ2U=' } },
+                ],
+            }],
+            stream: false,
+            response_format: { type: 'json_object' },
+        });
+    });
+
+    it('should send earlier turns before the prompt', async () => {
+        fetchSpy.mockResolvedValue(Response.json({ choices: [{ message: { content: 'Press Enter.' } }] }));
+
+        await provider.generate({
+            prompt: 'What now?',
+            history: [
+                { role: 'user', text: 'Search for weather', images: [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg' }] },
+                { role: 'assistant', text: 'Type weather in the search box.', images: [] },
+            ],
+        });
+
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body).messages).toEqual([
+            {
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'Search for weather' },
+                    { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,aW1hZ2U=' } },
+                ],
+            },
+            { role: 'assistant', content: 'Type weather in the search box.' },
+            { role: 'user', content: 'What now?' },
+        ]);
+    });
+
+    it('should stream server-sent events', async () => {
+        fetchSpy.mockResolvedValue(streamedResponse([
+            'data: {"choices":[{"delta":{"content":"Click the "}}]}',
+            '',
+            'data: {"choices":[{"delta":{"content":"Chrome icon."}}]}',
+            'data: {"choices":[],"usage":{"prompt_tokens":40,"completion_tokens":5}}',
+            'data: [DONE]',
+        ]));
+
+        const onChunk = jest.fn();
+        const onUsage = jest.fn();
+        const text = await provider.generate({ prompt: 'Next step?', onChunk, onUsage });
+
+        expect(text).toBe('Click the Chrome icon.');
+        expect(onChunk.mock.calls).toEqual([['Click the '], ['Chrome icon.']]);
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 40, responseTokens: 5 });
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+    });
+
+    it('should report error statuses', async () => {
+        fetchSpy.mockResolvedValue(new Response('slow down', { status: 429 }));
+
+        await expect(provider.generate({ prompt: 'Hi' })).rejects.toMatchObject({
+            status: 429,
+            message: expect.stringContaining('rate limit'),
+        });
+    });
+});
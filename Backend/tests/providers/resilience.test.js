@@ -0,0 +1,166 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import {
+    withResilience,
+    classifyProviderError,
+    getRetryDelay,
+    providerHealth,
+    ProviderError,
+    ProviderErrorCodes,
+} from '../../src/providers/resilience.js';
+
+const CONFIG = {
+    timeoutMs: 1000,
+    taskTimeoutsMs: { verify: 20 },
+    maxRetries: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 5,
+    failureThreshold: 3,
+    cooldownMs: 50,
+};
+
+const createProvider = (generate) => ({
+    name: 'test',
+    model: 'test-model',
+    capabilities: { vision: true, streaming: true, json: true },
+    generate: jest.fn(generate),
+});
+
+const serverError = () => Object.assign(new Error('overloaded'), { status: 503 });
+
+describe('Resilient Provider Calls', () => {
+    afterEach(() => {
+        providerHealth.removeAllListeners();
+    });
+
+    it('should retry transient failures and tell listeners', async () => {
+        const degraded = jest.fn();
+        const recovered = jest.fn();
+        providerHealth.on('degraded', degraded);
+        providerHealth.on('recovered', recovered);
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const provider = createProvider(async () => 'Click the button.');
+        provider.generate.mockRejectedValueOnce(serverError());
+        const resilient = withResilience(provider, CONFIG);
+
+        await expect(resilient.generate({ prompt: 'Hi' })).resolves.toBe('Click the button.');
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+        expect(degraded).toHaveBeenCalledWith(expect.objectContaining({ provider: 'test', state: 'retrying' }));
+        expect(recovered).toHaveBeenCalledWith({ provider: 'test' });
+        expect(resilient.name).toBe('test');
+        warnSpy.mockRestore();
+    });
+
+    it('should not retry errors that will not go away', async () => {
+        const provider = createProvider(async () => {
+            throw Object.assign(new Error('bad request'), { status: 400 });
+        });
+
+        await expect(withResilience(provider, CONFIG).generate({ prompt: 'Hi' }))
+            .rejects.toMatchObject({ code: ProviderErrorCodes.INVALID_REQUEST });
+        expect(provider.generate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry once text has been streamed', async () => {
+        const provider = createProvider(async ({ onChunk }) => {
+            onChunk('Click ');
+            throw serverError();
+        });
+
+        const onChunk = jest.fn();
+        await expect(withResilience(provider, CONFIG).generate({ prompt: 'Hi', onChunk }))
+            .rejects.toMatchObject({ code: ProviderErrorCodes.UNAVAILABLE });
+        expect(provider.generate).toHaveBeenCalledTimes(1);
+        expect(onChunk).toHaveBeenCalledWith('Click ');
+    });
+
+    it('should time out slow attempts using the task timeout', async () => {
+        let attemptSignal;
+        const provider = createProvider(({ signal }) => {
+            attemptSignal = signal;
+            return new Promise(() => {});
+        });
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(
+            withResilience(provider, { ...CONFIG, maxRetries: 0 }).generate({ prompt: 'Hi', task: 'verify' })
+        ).rejects.toMatchObject({ code: ProviderErrorCodes.TIMEOUT, retryable: true });
+        expect(attemptSignal.aborted).toBe(true);
+        warnSpy.mockRestore();
+    });
+
+    it('should pass cancellation through without counting it as a failure', async () => {
+        const provider = createProvider(({ signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+        const resilient = withResilience(provider, CONFIG);
+        const controller = new AbortController();
+
+        const pending = resilient.generate({ prompt: 'Hi', signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        expect(resilient.breaker.failures).toBe(0);
+    });
+
+    it('should open the circuit after repeated failures and close it after a successful trial', async () => {
+        const degraded = jest.fn();
+        providerHealth.on('degraded', degraded);
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const provider = createProvider(async () => {
+            throw serverError();
+        });
+        const resilient = withResilience(provider, CONFIG);
+
+        await expect(resilient.generate({ prompt: 'Hi' })).rejects.toBeInstanceOf(ProviderError);
+        expect(provider.generate).toHaveBeenCalledTimes(3);
+        expect(degraded).toHaveBeenLastCalledWith(expect.objectContaining({ state: 'unavailable' }));
+
+        // Fails fast while open
+        await expect(resilient.generate({ prompt: 'Hi' }))
+            .rejects.toMatchObject({ code: ProviderErrorCodes.CIRCUIT_OPEN, retryAfterMs: expect.any(Number) });
+        expect(provider.generate).toHaveBeenCalledTimes(3);
+
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.cooldownMs + 10));
+        provider.generate.mockResolvedValueOnce('Back again.');
+
+        await expect(resilient.generate({ prompt: 'Hi' })).resolves.toBe('Back again.');
+        expect(resilient.breaker.state).toBe('closed');
+        expect(resilient.breaker.status).toBeNull();
+        errorSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    describe('classifyProviderError', () => {
+        it('should read statuses from Gemini SDK messages', () => {
+            const error = classifyProviderError(new Error('got status: 503 Service Unavailable. {}'), 'gemini');
+            expect(error).toMatchObject({ code: ProviderErrorCodes.UNAVAILABLE, retryable: true, provider: 'gemini' });
+        });
+
+        it('should recognise rate limits, auth failures and network errors', () => {
+            const rateLimited = Object.assign(new Error('slow down'), { status: 429, retryAfterMs: 2000 });
+            expect(classifyProviderError(rateLimited, 'openai'))
+                .toMatchObject({ code: ProviderErrorCodes.RATE_LIMITED, retryAfterMs: 2000 });
+
+            expect(classifyProviderError(new Error('API key not valid'), 'gemini').code)
+                .toBe(ProviderErrorCodes.AUTH_FAILED);
+
+            const refused = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+            expect(classifyProviderError(refused, 'ollama').retryable).toBe(true);
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        it('should back off exponentially with jitter and honour Retry-After', () => {
+            const config = { retryBaseDelayMs: 100, retryMaxDelayMs: 1000 };
+
+            const third = getRetryDelay(3, null, config);
+            expect(third).toBeGreaterThanOrEqual(200);
+            expect(third).toBeLessThanOrEqual(400);
+            expect(getRetryDelay(10, null, config)).toBeLessThanOrEqual(1000);
+            expect(getRetryDelay(1, 700, config)).toBe(700);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from '@jest/globals';
+import { toDisplayText, toSpeechText, toSsml } from '../../shared/rendering.js';
+
+describe('Shared Response Rendering', () => {
+    describe('toDisplayText', () => {
+        it('should remove Markdown formatting but keep the content', () => {
+            expect(toDisplayText('## Steps\n1. Press **Ctrl+S** in `Notepad`\n* Open [the docs](https://example.com/docs)'))
+                .toBe('Steps\n1. Press Ctrl+S in Notepad\n- Open the docs (https://example.com/docs)');
+        });
+
+        it('should leave file names with underscores alone', () => {
+            expect(toDisplayText('Open __init__.py and my_file.txt in _VS Code_.'))
+                .toBe('Open __init__.py and my_file.txt in VS Code.');
+        });
+    });
+
+    describe('toSpeechText', () => {
+        it('should spell out keyboard shortcuts', () => {
+            expect(toSpeechText('Press Ctrl+Shift+T, then Cmd + , and Ctrl++.'))
+                .toBe('Press Control Shift T, then Command Comma and Control Plus.');
+        });
+
+        it('should read web addresses as their site name', () => {
+            expect(toSpeechText('Go to https://www.github.com/settings/keys?tab=ssh. Then sign in.'))
+                .toBe('Go to github.com. Then sign in.');
+        });
+
+        it('should read file paths as the file they point to', () => {
+            expect(toSpeechText('Edit C:\\Users\\me\\AppData\\settings.json and ~/.config/app/init.lua, not and/or 10/20/2025.'))
+                .toBe('Edit settings.json and init.lua, not and/or 10/20/2025.');
+        });
+
+        it('should turn lists and menu paths into pauses', () => {
+            expect(toSpeechText('Steps:\n- Click File > Save As\n- Name the file'))
+                .toBe('Steps: Click File, Save As. Name the file.');
+        });
+
+        it('should drop formatting-only lines', () => {
+            expect(toSpeechText('```\n---\n```')).toBe('');
+        });
+    });
+
+    describe('toSsml', () => {
+        it('should wrap each sentence and escape the text', () => {
+            expect(toSsml('Press Ctrl+S. Then pick <Save> & close.', 'en-US')).toBe(
+                '<speak xml:lang="en-US"><s>Press Control S.</s><s>Then pick &lt;Save&gt; &amp; close.</s></speak>'
+            );
+        });
+    });
+});
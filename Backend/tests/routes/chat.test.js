@@ -2,6 +2,7 @@
 import { jest, describe, it, expect, beforeEach } from '@jest/globals';
 import request from 'supertest';
 import express from 'express';
+import sharp from 'sharp';
 
 // Mock the Gemini utils BEFORE importing the route
 jest.unstable_mockModule('../../src/utils/gemini.js', () => ({
@@ -9,7 +10,18 @@ jest.unstable_mockModule('../../src/utils/gemini.js', () => ({
     getContextualResponse: jest.fn(),
 }));
 
+jest.unstable_mockModule('../../src/utils/rateLimiter.js', () => ({
+    consumeAIRequest: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../src/db/usage.js', () => ({
+    findUserId: jest.fn(),
+}));
+
 const { sendChatMessage, getContextualResponse } = await import('../../src/utils/gemini.js');
+const { consumeAIRequest } = await import('../../src/utils/rateLimiter.js');
+const { findUserId } = await import('../../src/db/usage.js');
+const { redactFrame } = await import('../../src/utils/redaction.js');
 
 // Import the router
 // Note: Dynamic import needed after mocking
@@ -25,6 +37,10 @@ describe('Chat Routes', () => {
         getContextualResponse.mockClear();
         sendChatMessage.mockResolvedValue("Mocked Text Response");
         getContextualResponse.mockResolvedValue("Mocked Contextual Response");
+        consumeAIRequest.mockReset();
+        consumeAIRequest.mockResolvedValue({ allowed: true });
+        findUserId.mockReset();
+        findUserId.mockImplementation(async (id) => (id === 7 ? 7 : null));
     });
 
     describe('POST /chat', () => {
@@ -45,7 +61,32 @@ describe('Chat Routes', () => {
             expect(res.statusCode).toBe(200);
             expect(res.body.success).toBe(true);
             expect(res.body.response).toBe("Mocked Text Response");
-            expect(sendChatMessage).toHaveBeenCalledWith("Hello", []);
+            expect(sendChatMessage).toHaveBeenCalledWith("Hello", [], {
+                usage: { userId: null, sessionId: null },
+                onPromptVersion: expect.any(Function),
+                language: 'en',
+            });
+        });
+
+        it('should record usage for registered users only', async () => {
+            await request(app).post('/chat').send({ message: "Hello", userId: 7 });
+            await request(app).post('/chat').send({ message: "Hello", userId: "42" });
+
+            expect(findUserId.mock.calls).toEqual([[7], [42]]);
+            expect(sendChatMessage.mock.calls.map(([, , { usage }]) => usage.userId)).toEqual([7, null]);
+        });
+
+        it('should return the prompt template version behind the response', async () => {
+            sendChatMessage.mockImplementation(async (message, history, { onPromptVersion }) => {
+                onPromptVersion('chat@1');
+                return "Mocked Text Response";
+            });
+
+            const res = await request(app)
+                .post('/chat')
+                .send({ message: "Hello" });
+
+            expect(res.body.promptVersion).toBe('chat@1');
         });
 
         it('should handle chat with screen context', async () => {
@@ -62,6 +103,103 @@ describe('Chat Routes', () => {
             expect(getContextualResponse).toHaveBeenCalled();
         });
 
+        it('should forward the redacted screen frame', async () => {
+            const frame = (await sharp({
+                create: { width: 100, height: 50, channels: 3, background: '#ffffff' },
+            }).png().toBuffer()).toString('base64');
+            const redactRegions = [{ x: 0.5, y: 0, width: 0.5, height: 1 }];
+
+            const res = await request(app)
+                .post('/chat')
+                .send({
+                    message: "What is this?",
+                    includeScreen: true,
+                    screenFrame: `data:image/png;base64,${frame}`,
+                    redactRegions,
+                });
+
+            const { base64Image } = await redactFrame(frame, 'png', { regions: redactRegions, blocked: false });
+            expect(res.statusCode).toBe(200);
+            expect(base64Image).not.toBe(frame);
+            expect(getContextualResponse).toHaveBeenCalledWith(expect.objectContaining({
+                base64Image,
+                imageFormat: 'png',
+            }));
+        });
+
+        it('should answer without the screen while a blocklisted window is captured', async () => {
+            const res = await request(app)
+                .post('/chat')
+                .send({
+                    message: "Help",
+                    includeScreen: true,
+                    screenFrame: "base64data",
+                    activeWindowTitle: "Bitwarden - Vault",
+                });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.screenHidden).toBe(true);
+            expect(getContextualResponse).not.toHaveBeenCalled();
+            expect(sendChatMessage).toHaveBeenCalled();
+        });
+
+        it('should reject a screen frame that cannot be redacted', async () => {
+            const res = await request(app)
+                .post('/chat')
+                .send({
+                    message: "Help",
+                    includeScreen: true,
+                    screenFrame: "base64data",
+                    redactRegions: [{ x: 0, y: 0, width: 0.5, height: 0.5 }],
+                });
+
+            expect(res.statusCode).toBe(400);
+            expect(getContextualResponse).not.toHaveBeenCalled();
+        });
+
+        it('should reject a screen frame or window title that is not a string', async () => {
+            const frame = await request(app)
+                .post('/chat')
+                .send({ message: "Help", includeScreen: true, screenFrame: { data: "base64data" } });
+            expect(frame.statusCode).toBe(400);
+            expect(frame.body.error).toContain('screenFrame');
+
+            const title = await request(app)
+                .post('/chat')
+                .send({ message: "Help", includeScreen: true, screenFrame: "base64data", activeWindowTitle: 42 });
+            expect(title.statusCode).toBe(400);
+            expect(title.body.error).toContain('activeWindowTitle');
+
+            expect(getContextualResponse).not.toHaveBeenCalled();
+            expect(consumeAIRequest).not.toHaveBeenCalled();
+        });
+
+        it('should pass the detail level and reject unknown ones', async () => {
+            await request(app)
+                .post('/chat')
+                .send({ message: "Next?", includeScreen: true, screenFrame: "base64data", detailLevel: "teach_me" });
+            expect(getContextualResponse).toHaveBeenCalledWith(expect.objectContaining({ detailLevel: "teach_me" }));
+
+            const res = await request(app)
+                .post('/chat')
+                .send({ message: "Next?", detailLevel: "essay" });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toContain('quick_tip, step_by_step, teach_me');
+        });
+
+        it('should answer in the requested language and reject unknown ones', async () => {
+            await request(app)
+                .post('/chat')
+                .send({ message: "Hola", language: "es_mx" });
+            expect(sendChatMessage).toHaveBeenCalledWith("Hola", [], expect.objectContaining({ language: "es-MX" }));
+
+            const res = await request(app)
+                .post('/chat')
+                .send({ message: "Hola", language: "not a language" });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toContain('language');
+        });
+
         it('should handle API errors gracefully', async () => {
             sendChatMessage.mockRejectedValue(new Error("AI Error"));
             
@@ -72,6 +210,43 @@ describe('Chat Routes', () => {
             expect(res.statusCode).toBe(500);
             expect(res.body.error).toBe("Failed to process chat message");
         });
+
+        it('should return 429 with Retry-After when over the rate limit', async () => {
+            consumeAIRequest.mockResolvedValue({
+                allowed: false,
+                scope: 'session',
+                retryAfterMs: 2500,
+                message: 'Too many requests from this session. Try again in 3 seconds.',
+            });
+
+            const res = await request(app)
+                .post('/chat')
+                .send({ message: "Hello", sessionId: "abc", userId: 7 });
+
+            expect(res.statusCode).toBe(429);
+            expect(res.headers['retry-after']).toBe('3');
+            expect(res.body).toMatchObject({ error: 'rate_limited', scope: 'session', retryAfterMs: 2500 });
+            expect(consumeAIRequest).toHaveBeenCalledWith({
+                sessionId: 'rest:abc',
+                userKey: 'user:7',
+                ipKey: expect.stringMatching(/^ip:/),
+            });
+            expect(sendChatMessage).not.toHaveBeenCalled();
+        });
+
+        it('should not count requests rejected before the model is called', async () => {
+            await request(app).post('/chat').send({});
+            await request(app).post('/chat').send({ message: 'Hello', detailLevel: 'essay' });
+            await request(app).post('/chat').send({
+                message: 'Hello',
+                includeScreen: true,
+                screenFrame: 'bm90IGFuIGltYWdl',
+                redactRegions: [{ x: 0, y: 0, width: 1, height: 0.1 }],
+            });
+            await request(app).post('/chat/analyze').send({});
+
+            expect(consumeAIRequest).not.toHaveBeenCalled();
+        });
     });
 
     describe('POST /chat/analyze', () => {
@@ -39,6 +39,13 @@ jest.unstable_mockModule('../../src/utils/gemini.js', () => ({
     generateSessionTitle: jest.fn(() => Promise.resolve("Generated Title"))
 }));
 
+jest.unstable_mockModule('../../src/db/usage.js', () => ({
+    linkUsageToSession: jest.fn(() => Promise.resolve()),
+    unlinkUsageFromSession: jest.fn(() => Promise.resolve()),
+}));
+
+const { linkUsageToSession } = await import('../../src/db/usage.js');
+const { generateSessionTitle } = await import('../../src/utils/gemini.js');
 const { default: sessionRouter } = await import('../../src/routes/session.js');
 
 const app = express();
@@ -77,6 +84,47 @@ describe('Session Routes', () => {
             
             expect(res.statusCode).toBe(200);
             expect(res.body.sessionId).toBe(123);
+            expect(linkUsageToSession).not.toHaveBeenCalled();
+        });
+
+        it('should link the live session\'s AI usage to the saved session', async () => {
+            mockDb.insert
+                .mockReturnValueOnce(createMockBuilder([{ id: 124, title: 'Title' }]))
+                .mockReturnValueOnce(createMockBuilder([]));
+
+            const res = await request(app)
+                .post('/save-session')
+                .send({ userId: 1, title: 'Title', messages: [], liveSessionId: 'session_1' });
+
+            expect(res.statusCode).toBe(200);
+            expect(linkUsageToSession).toHaveBeenCalledWith('session_1', 124);
+        });
+
+        it('should accept a numeric string user ID and record usage against the number', async () => {
+            const sessionInsert = createMockBuilder([{ id: 125, title: 'Generated Title' }]);
+            mockDb.insert
+                .mockReturnValueOnce(sessionInsert)
+                .mockReturnValueOnce(createMockBuilder([]));
+
+            const res = await request(app)
+                .post('/save-session')
+                .send({ userId: '7', messages: [{ text: 'Hi' }], liveSessionId: 'session_1' });
+
+            expect(res.statusCode).toBe(200);
+            expect(generateSessionTitle).toHaveBeenCalledWith(
+                [{ text: 'Hi' }],
+                expect.objectContaining({ usage: { userId: 7, sessionId: 'session_1' } })
+            );
+            expect(sessionInsert.values).toHaveBeenCalledWith({ userId: 7, title: 'Generated Title' });
+        });
+
+        it('should reject a user ID that is not a number', async () => {
+            const res = await request(app)
+                .post('/save-session')
+                .send({ userId: 'ann', messages: [] });
+
+            expect(res.statusCode).toBe(400);
+            expect(mockDb.insert).not.toHaveBeenCalled();
         });
     });
 
@@ -0,0 +1,91 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+process.env.STT_PROVIDER = 'stub';
+process.env.STT_STUB_TRANSCRIPT = 'How do I open settings?';
+process.env.STT_MAX_AUDIO_BYTES = '1024';
+
+const { getTranscriber, describeTranscriber } = await import('../../src/stt/index.js');
+const { default: sttRouter } = await import('../../src/routes/stt.js');
+
+const app = express();
+app.use('/stt', sttRouter);
+
+const recording = Buffer.from('RIFF....WAVEfmt ');
+
+describe('Speech-to-text Routes', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should transcribe a recording', async () => {
+        const res = await request(app)
+            .post('/stt')
+            .set('Content-Type', 'audio/wav')
+            .send(recording);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({
+            success: true,
+            transcript: 'How do I open settings?',
+            provider: 'stub',
+        });
+    });
+
+    it('should pass the audio and normalised language to the transcriber', async () => {
+        const transcribe = jest.spyOn(getTranscriber(), 'transcribe');
+
+        await request(app)
+            .post('/stt?language=pt_br')
+            .set('Content-Type', 'audio/wav')
+            .send(recording);
+
+        expect(transcribe).toHaveBeenCalledWith(expect.objectContaining({
+            audio: recording,
+            mimeType: 'audio/wav',
+            language: 'pt-BR',
+        }));
+    });
+
+    it('should reject missing audio and unknown languages', async () => {
+        const empty = await request(app)
+            .post('/stt')
+            .set('Content-Type', 'application/json')
+            .send('{}');
+        expect(empty.statusCode).toBe(400);
+
+        const res = await request(app)
+            .post('/stt?language=not a language')
+            .set('Content-Type', 'audio/wav')
+            .send(recording);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toContain('language');
+    });
+
+    it('should refuse recordings over the size limit', async () => {
+        const res = await request(app)
+            .post('/stt')
+            .set('Content-Type', 'audio/wav')
+            .send(Buffer.alloc(2048));
+
+        expect(res.statusCode).toBe(413);
+        expect(res.body.success).toBe(false);
+    });
+
+    it('should report transcriber failures', async () => {
+        jest.spyOn(getTranscriber(), 'transcribe').mockRejectedValue(new Error('model missing'));
+
+        const res = await request(app)
+            .post('/stt')
+            .set('Content-Type', 'audio/wav')
+            .send(recording);
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body).toMatchObject({ error: 'Failed to transcribe recording', message: 'model missing' });
+    });
+
+    it('should describe the transcriber for clients', () => {
+        expect(describeTranscriber()).toEqual({ name: 'stub', model: 'stub', maxAudioBytes: 1024 });
+    });
+});
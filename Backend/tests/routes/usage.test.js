@@ -0,0 +1,76 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+jest.unstable_mockModule('../../src/db/usage.js', () => ({
+    getAIUsage: jest.fn(),
+}));
+
+const { getAIUsage } = await import('../../src/db/usage.js');
+const { default: usageRouter } = await import('../../src/routes/usage.js');
+
+const app = express();
+app.use('/usage', usageRouter);
+
+const call = (fields) => ({
+    provider: 'gemini',
+    model: 'gemini-2.5-flash',
+    promptTokens: 1000,
+    responseTokens: 100,
+    imageCount: 1,
+    latencyMs: 800,
+    error: null,
+    ...fields,
+});
+
+describe('Usage Routes', () => {
+    beforeEach(() => {
+        getAIUsage.mockReset();
+        getAIUsage.mockResolvedValue([
+            call({}),
+            call({ latencyMs: 400 }),
+            call({ provider: 'ollama', model: 'llava', imageCount: 0, error: 'timeout' }),
+        ]);
+    });
+
+    it('should report a user\'s totals and estimated cost over a date range', async () => {
+        const res = await request(app).get('/usage/users/7?from=2026-10-01&to=2026-10-19');
+
+        expect(res.statusCode).toBe(200);
+        expect(getAIUsage).toHaveBeenCalledWith({
+            userId: 7,
+            from: new Date('2026-10-01T00:00:00Z'),
+            to: new Date('2026-10-20T00:00:00Z'), // "to" includes the whole day
+        });
+        expect(res.body.usage).toMatchObject({
+            requests: 3,
+            failedRequests: 1,
+            promptTokens: 3000,
+            responseTokens: 300,
+            images: 2,
+            averageLatencyMs: 667,
+            currency: 'USD',
+            unpricedModels: ['llava'],
+        });
+        // 2000 prompt tokens at $0.30/M and 200 response tokens at $2.50/M
+        expect(res.body.usage.estimatedCost).toBeCloseTo(0.0011);
+        expect(res.body.usage.byModel).toHaveLength(2);
+    });
+
+    it('should look up saved sessions by number and live sessions by ID', async () => {
+        await request(app).get('/usage/sessions/12');
+        await request(app).get('/usage/sessions/session_1_abc');
+
+        expect(getAIUsage.mock.calls[0][0]).toMatchObject({ sessionId: 12 });
+        expect(getAIUsage.mock.calls[1][0]).toMatchObject({ liveSessionId: 'session_1_abc' });
+        const { from, to } = getAIUsage.mock.calls[0][0];
+        expect(to - from).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject invalid IDs and ranges', async () => {
+        expect((await request(app).get('/usage/users/abc')).statusCode).toBe(400);
+        expect((await request(app).get('/usage/users/7?from=yesterday')).statusCode).toBe(400);
+        expect((await request(app).get('/usage/users/7?from=2026-10-19&to=2026-10-01')).statusCode).toBe(400);
+        expect(getAIUsage).not.toHaveBeenCalled();
+    });
+});
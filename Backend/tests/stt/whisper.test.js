@@ -0,0 +1,60 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { existsSync, readFileSync } from 'fs';
+
+// Mock the child process BEFORE importing the transcriber
+jest.unstable_mockModule('child_process', () => ({
+    execFile: jest.fn(),
+}));
+
+const { execFile } = await import('child_process');
+const { createWhisperTranscriber } = await import('../../src/stt/whisper.js');
+
+describe('Whisper Transcriber', () => {
+    let audioPath;
+
+    beforeEach(() => {
+        execFile.mockReset();
+        execFile.mockImplementation((file, args, options, callback) => {
+            audioPath = args[args.indexOf('-f') + 1];
+            expect(readFileSync(audioPath, 'utf8')).toBe('wav bytes');
+            callback(null, '\n Click the   gear icon.\n', '');
+        });
+    });
+
+    it('should require a model file', () => {
+        expect(() => createWhisperTranscriber({ model: '' })).toThrow('STT_WHISPER_MODEL');
+    });
+
+    it('should run the binary on the recording and clean up', async () => {
+        const transcriber = createWhisperTranscriber({ binary: '/opt/whisper-cli', model: '/models/ggml-base.bin' });
+
+        const transcript = await transcriber.transcribe({ audio: Buffer.from('wav bytes'), language: 'pt-BR' });
+
+        expect(transcript).toBe('Click the gear icon.');
+        expect(transcriber.model).toBe('ggml-base.bin');
+        const [file, args] = execFile.mock.calls[0];
+        expect(file).toBe('/opt/whisper-cli');
+        expect(args).toEqual(['-m', '/models/ggml-base.bin', '-f', audioPath, '-l', 'pt', '-nt', '-np']);
+        expect(existsSync(audioPath)).toBe(false);
+    });
+
+    it('should detect the language when none is given', async () => {
+        const transcriber = createWhisperTranscriber({ model: 'base.bin' });
+        await transcriber.transcribe({ audio: Buffer.from('wav bytes'), language: null });
+
+        const args = execFile.mock.calls[0][1];
+        expect(args[args.indexOf('-l') + 1]).toBe('auto');
+    });
+
+    it('should report the binary error output', async () => {
+        execFile.mockImplementation((file, args, options, callback) => {
+            audioPath = args[args.indexOf('-f') + 1];
+            callback(new Error('exit code 1'), '', 'failed to load model\n');
+        });
+        const transcriber = createWhisperTranscriber({ model: 'base.bin' });
+
+        await expect(transcriber.transcribe({ audio: Buffer.from('wav bytes') }))
+            .rejects.toThrow('whisper-cli failed: failed to load model');
+        expect(existsSync(audioPath)).toBe(false);
+    });
+});
@@ -0,0 +1,61 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { existsSync, writeFileSync } from 'fs';
+
+// Mock the child process BEFORE importing the synthesizer
+jest.unstable_mockModule('child_process', () => ({
+    execFile: jest.fn(),
+}));
+
+const { execFile } = await import('child_process');
+const { createPiperSynthesizer } = await import('../../src/tts/piper.js');
+
+describe('Piper Synthesizer', () => {
+    let spokenText;
+    let audioPath;
+
+    beforeEach(() => {
+        spokenText = null;
+        execFile.mockReset();
+        execFile.mockImplementation((file, args, options, callback) => {
+            audioPath = args[args.indexOf('--output_file') + 1];
+            return {
+                stdin: {
+                    end: (text) => {
+                        spokenText = text;
+                        writeFileSync(audioPath, 'RIFF');
+                        callback(null, '', '');
+                    },
+                },
+            };
+        });
+    });
+
+    it('should require a voice', () => {
+        expect(() => createPiperSynthesizer({ voices: {} })).toThrow('TTS_PIPER_MODEL');
+    });
+
+    it('should pick the voice for the language and return the WAV file', async () => {
+        const synthesizer = createPiperSynthesizer({
+            binary: '/opt/piper',
+            voices: { en: '/voices/en_US-lessac.onnx', 'pt-br': '/voices/pt_BR-faber.onnx' },
+        });
+
+        const result = await synthesizer.synthesize({ text: 'Clique em Salvar.', language: 'pt-BR' });
+
+        expect(result).toEqual({ audio: Buffer.from('RIFF'), mimeType: 'audio/wav' });
+        expect(spokenText).toBe('Clique em Salvar.');
+        const [file, args] = execFile.mock.calls[0];
+        expect(file).toBe('/opt/piper');
+        expect(args).toEqual(['--model', '/voices/pt_BR-faber.onnx', '--output_file', audioPath]);
+        expect(existsSync(audioPath)).toBe(false);
+        expect(synthesizer.model).toBe('en_US-lessac.onnx');
+    });
+
+    it('should only speak languages it has a voice for', async () => {
+        const synthesizer = createPiperSynthesizer({ voices: { en: '/voices/en.onnx' } });
+
+        expect(synthesizer.supportsLanguage('en-GB')).toBe(true);
+        expect(synthesizer.supportsLanguage('de')).toBe(false);
+        await expect(synthesizer.synthesize({ text: 'Hallo.', language: 'de' })).rejects.toThrow('No Piper voice');
+    });
+});
@@ -0,0 +1,148 @@
+import { jest, describe, it, expect } from '@jest/globals';
+import { splitSentences, createSpeechStream } from '../../src/tts/stream.js';
+
+// Runs queued tasks one after another, like the session's speech queue
+const createQueue = () => {
+    let queue = Promise.resolve();
+    return {
+        enqueue: (task) => {
+            queue = queue.then(task);
+        },
+        drain: () => queue,
+    };
+};
+
+describe('Speech Stream', () => {
+    it('should split complete sentences from the unfinished rest', () => {
+        expect(splitSentences('Open google.com in Chrome. Then click "Search"! Then')).toEqual({
+            sentences: ['Open google.com in Chrome.', 'Then click "Search"!'],
+            rest: 'Then',
+        });
+    });
+
+    it('should split at line breaks but not after the number of a list item', () => {
+        expect(splitSentences('Steps:\n1. Open File.\n2. Click Save\n')).toEqual({
+            sentences: ['Steps:', '1. Open File.', '2. Click Save'],
+            rest: '',
+        });
+    });
+
+    it('should speak streamed sentences in order as they complete', async () => {
+        const { enqueue, drain } = createQueue();
+        const synthesizer = {
+            synthesize: jest.fn(async ({ text }) => ({ audio: Buffer.from(text), mimeType: 'audio/wav' })),
+        };
+        const onAudio = jest.fn();
+        const speech = createSpeechStream({ synthesizer, language: 'es', onAudio, enqueue });
+
+        speech.push('Haz clic ');
+        speech.push('en Archivo. Luego ');
+        expect(synthesizer.synthesize).not.toHaveBeenCalled();
+        await drain();
+        expect(onAudio).toHaveBeenCalledTimes(1);
+
+        speech.push('en Guardar');
+        speech.end('Haz clic en Archivo. Luego en Guardar');
+        await drain();
+
+        expect(onAudio.mock.calls.map(([chunk]) => [chunk.sequence, chunk.text])).toEqual([
+            [0, 'Haz clic en Archivo.'],
+            [1, 'Luego en Guardar'],
+        ]);
+        expect(synthesizer.synthesize).toHaveBeenCalledWith(expect.objectContaining({ language: 'es' }));
+    });
+
+    it('should speak replies that were not streamed from their full text', async () => {
+        const { enqueue, drain } = createQueue();
+        const synthesizer = { synthesize: jest.fn(async () => ({ audio: Buffer.from('wav'), mimeType: 'audio/wav' })) };
+        const onAudio = jest.fn();
+
+        createSpeechStream({ synthesizer, onAudio, enqueue }).end("That's done. Next: Search for weather.");
+        await drain();
+
+        expect(onAudio.mock.calls.map(([chunk]) => chunk.text)).toEqual(["That's done.", 'Next: Search for weather.']);
+    });
+
+    it('should prepare sentences for speech and skip formatting-only lines', async () => {
+        const { enqueue, drain } = createQueue();
+        const synthesizer = { synthesize: jest.fn(async () => ({ audio: Buffer.from('wav'), mimeType: 'audio/wav' })) };
+        const onAudio = jest.fn();
+
+        createSpeechStream({ synthesizer, onAudio, enqueue }).end('```\nPress **Ctrl+S** to save.');
+        await drain();
+
+        expect(synthesizer.synthesize).toHaveBeenCalledTimes(1);
+        expect(synthesizer.synthesize).toHaveBeenCalledWith(
+            expect.objectContaining({ text: 'Press Control S to save.', ssml: false })
+        );
+        expect(onAudio.mock.calls[0][0].text).toBe('Press **Ctrl+S** to save.');
+    });
+
+    it('should give SSML to synthesizers that support it', async () => {
+        const { enqueue, drain } = createQueue();
+        const synthesizer = {
+            ssml: true,
+            synthesize: jest.fn(async () => ({ audio: Buffer.from('wav'), mimeType: 'audio/wav' })),
+        };
+
+        createSpeechStream({ synthesizer, language: 'en-US', onAudio: jest.fn(), enqueue }).end('Open Tools & Settings.');
+        await drain();
+
+        expect(synthesizer.synthesize).toHaveBeenCalledWith(expect.objectContaining({
+            text: '<speak xml:lang="en-US"><s>Open Tools &amp; Settings.</s></speak>',
+            ssml: true,
+        }));
+    });
+
+    it('should send text without audio when synthesis fails', async () => {
+        const { enqueue, drain } = createQueue();
+        const synthesizer = { synthesize: jest.fn().mockRejectedValue(new Error('voice missing')) };
+        const onAudio = jest.fn();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        createSpeechStream({ synthesizer, onAudio, enqueue }).end('Click Save.');
+        await drain();
+
+        expect(onAudio).toHaveBeenCalledWith({ sequence: 0, text: 'Click Save.', audio: null, mimeType: null });
+    });
+
+    it('should stop once the request is cancelled', async () => {
+        const { enqueue, drain } = createQueue();
+        const controller = new AbortController();
+        const synthesizer = { synthesize: jest.fn(async () => ({ audio: Buffer.from('wav'), mimeType: 'audio/wav' })) };
+        const onAudio = jest.fn();
+
+        const speech = createSpeechStream({ synthesizer, onAudio, enqueue, signal: controller.signal });
+        speech.push('First sentence. ');
+        controller.abort();
+        speech.end();
+        await drain();
+
+        expect(synthesizer.synthesize).not.toHaveBeenCalled();
+        expect(onAudio).not.toHaveBeenCalled();
+    });
+
+    it('should report the end of the audio once, after the last sentence', async () => {
+        const { enqueue, drain } = createQueue();
+        const synthesizer = { synthesize: jest.fn(async () => ({ audio: Buffer.from('wav'), mimeType: 'audio/wav' })) };
+        const events = [];
+        const onAudio = ({ sequence }) => events.push(`audio ${sequence}`);
+        const onClose = ({ sequence }) => events.push(`close ${sequence}`);
+
+        const speech = createSpeechStream({ synthesizer, onAudio, onClose, enqueue });
+        speech.push('First sentence. Second');
+        speech.end();
+        speech.close();
+        await drain();
+
+        expect(events).toEqual(['audio 0', 'audio 1', 'close 2']);
+
+        // A failed request is closed without speaking what it had buffered
+        const failed = createSpeechStream({ synthesizer, onAudio, onClose, enqueue });
+        failed.push('Half a sentence');
+        failed.close();
+        await drain();
+
+        expect(events.slice(3)).toEqual(['close 0']);
+    });
+});
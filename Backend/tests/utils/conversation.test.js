@@ -0,0 +1,94 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    CONVERSATION_CONFIG,
+    toTurns,
+    estimateHistoryTokens,
+    splitHistory,
+    pruneFrames,
+} from '../../src/utils/conversation.js';
+
+const frame = { base64Image: 'SGVsbG8=', imageFormat: 'png' };
+
+describe('Conversation context', () => {
+    describe('toTurns', () => {
+        it('should tag turns by role and skip empty messages', () => {
+            const turns = toTurns([
+                { role: 'user', content: 'Open Chrome' },
+                { role: 'ai', content: 'Click the Chrome icon.' },
+                { role: 'assistant', content: '   ' },
+            ]);
+
+            expect(turns).toEqual([
+                { role: 'user', text: 'Open Chrome', images: [] },
+                { role: 'assistant', text: 'Click the Chrome icon.', images: [] },
+            ]);
+        });
+
+        it('should keep only the newest screen captures', () => {
+            const turns = toTurns([
+                { role: 'user', content: 'First', frame },
+                { role: 'user', content: 'Second', frame: { ...frame, imageFormat: 'jpeg' } },
+            ], { maxFrames: 1 });
+
+            expect(turns[0].images).toEqual([]);
+            expect(turns[1].images).toEqual([{ data: 'SGVsbG8=', mimeType: 'image/jpeg' }]);
+        });
+    });
+
+    describe('estimateHistoryTokens', () => {
+        it('should count only the screen captures that are sent', () => {
+            const messages = [{ role: 'user', content: 'x'.repeat(40), frame }];
+            const imageTokens = CONVERSATION_CONFIG.maxFrames > 0 ? CONVERSATION_CONFIG.imageTokens : 0;
+
+            expect(estimateHistoryTokens(messages)).toBe(10 + imageTokens);
+        });
+    });
+
+    describe('splitHistory', () => {
+        const long = (count) => Array.from({ length: count }, (_, index) => ({
+            role: 'user',
+            content: `${index}`.padEnd(4000, '.'),
+        }));
+
+        it('should keep a short history whole', () => {
+            const messages = long(3);
+            expect(splitHistory(messages, null)).toEqual({ recent: messages, toSummarize: [] });
+        });
+
+        it('should summarise all but the newest messages once over budget', () => {
+            const messages = long(10);
+            const { recent, toSummarize } = splitHistory(messages, null);
+
+            expect(recent).toEqual(messages.slice(4));
+            expect(toSummarize).toEqual(messages.slice(0, 4));
+        });
+
+        it('should leave out messages the summary covers', () => {
+            const messages = long(10);
+            const { recent, toSummarize } = splitHistory(messages, { text: 'Summary', messageCount: 5 });
+
+            expect(recent).toEqual(messages.slice(5));
+            expect(toSummarize).toEqual([]);
+        });
+
+        it('should ignore a summary of a longer history', () => {
+            const messages = long(2);
+            expect(splitHistory(messages, { text: 'Summary', messageCount: 5 }).recent).toEqual(messages);
+        });
+    });
+
+    describe('pruneFrames', () => {
+        it('should drop all but the newest screen captures', () => {
+            const messages = [
+                { role: 'user', content: 'First', frame },
+                { role: 'assistant', content: 'Reply' },
+                { role: 'user', content: 'Second', frame },
+            ];
+
+            pruneFrames(messages, 1);
+
+            expect(messages[0].frame).toBeUndefined();
+            expect(messages[2].frame).toBe(frame);
+        });
+    });
+});
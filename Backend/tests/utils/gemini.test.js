@@ -3,6 +3,7 @@ import { jest, describe, it, expect, beforeEach } from '@jest/globals';
 
 // Create the mock function in the outer scope
 const mockGenerateContent = jest.fn();
+const mockGenerateContentStream = jest.fn();
 
 // Mock the module
 jest.unstable_mockModule('@google/genai', () => {
@@ -10,28 +11,159 @@ jest.unstable_mockModule('@google/genai', () => {
         GoogleGenAI: class {
             constructor() {
                 this.models = {
-                    generateContent: mockGenerateContent
+                    generateContent: mockGenerateContent,
+                    generateContentStream: mockGenerateContentStream
                 };
             }
         }
     };
 });
 
+jest.unstable_mockModule('../../src/db/usage.js', () => ({
+    recordAIUsage: jest.fn(),
+}));
+
+const { recordAIUsage } = await import('../../src/db/usage.js');
+
 // Import the module under test AFTER mocking
-const { getGeminiModelName, sendChatMessage, analyzeScreenFrame, generateSessionTitle } = await import('../../src/utils/gemini.js');
+const {
+    sendChatMessage,
+    analyzeScreenFrame,
+    getContextualResponse,
+    generateTaskPlan,
+    assessStepProgress,
+    verifyStepOutcome,
+    generateSessionTitle,
+} = await import('../../src/utils/gemini.js');
 
 describe('Gemini Utils', () => {
     beforeEach(() => {
         mockGenerateContent.mockClear();
+        mockGenerateContentStream.mockReset();
         // Setup default success response
         mockGenerateContent.mockResolvedValue({
             text: "Mocked AI response"
         });
+        recordAIUsage.mockReset();
+        recordAIUsage.mockResolvedValue();
     });
 
-    describe('getGeminiModelName', () => {
-        it('should return correct model name', () => {
-            expect(getGeminiModelName(false)).toBe('gemini-2.5-flash');
+    describe('usage tracking', () => {
+        it('should record the reported token counts of each call', async () => {
+            mockGenerateContent.mockResolvedValue({
+                text: 'Click the search box.',
+                usageMetadata: { promptTokenCount: 1290, candidatesTokenCount: 9 },
+            });
+
+            await analyzeScreenFrame('SGVsbG8=', 'goal', {}, 'png', {
+                usage: { userId: 7, sessionId: 'session_1' },
+            });
+
+            expect(recordAIUsage).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 7,
+                liveSessionId: 'session_1',
+                provider: 'gemini',
+                model: 'gemini-2.5-flash',
+                task: 'frame',
+                promptVersion: 'frame@2',
+                promptTokens: 1290,
+                responseTokens: 9,
+                tokensEstimated: false,
+                imageCount: 1,
+                latencyMs: expect.any(Number),
+                error: null,
+            }));
+        });
+
+        it('should estimate tokens the provider does not report, and record failures', async () => {
+            await sendChatMessage('Hello');
+            expect(recordAIUsage.mock.calls[0][0]).toMatchObject({
+                userId: null,
+                liveSessionId: null,
+                tokensEstimated: true,
+                responseTokens: 5, // "Mocked AI response" is 18 characters
+            });
+
+            mockGenerateContent.mockRejectedValue(new Error('API Fail'));
+            await expect(sendChatMessage('Hi')).rejects.toThrow();
+            expect(recordAIUsage.mock.calls[1][0]).toMatchObject({
+                promptTokens: 0,
+                responseTokens: 0,
+                error: 'failed',
+            });
+        });
+
+        it('should not fail the call when usage cannot be stored', async () => {
+            recordAIUsage.mockRejectedValue(new Error('connection refused'));
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(sendChatMessage('Hello')).resolves.toBe('Mocked AI response');
+            await new Promise((resolve) => setImmediate(resolve));
+
+            expect(errorSpy).toHaveBeenCalledWith('⚠️ Failed to record AI usage:', 'connection refused');
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('prompt templates', () => {
+        it('should report the template version behind a response', async () => {
+            const onPromptVersion = jest.fn();
+
+            await getContextualResponse({ message: 'Open Chrome', isFirstMessage: true, onPromptVersion });
+            await getContextualResponse({ message: 'Done', userGoal: 'Open Chrome', onPromptVersion });
+
+            expect(onPromptVersion.mock.calls).toEqual([['goal@2'], ['guidance@2']]);
+            expect(recordAIUsage.mock.calls.map(([row]) => row.promptVersion)).toEqual(['goal@2', 'guidance@2']);
+        });
+
+        it('should render the guidance prompt from its template', async () => {
+            await getContextualResponse({
+                message: 'Done',
+                userGoal: 'Search for weather',
+                stepHistory: ['Open Chrome.', 'Click the search box.'],
+            });
+
+            const prompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+            expect(prompt).toContain('You are helping a user accomplish this goal: Search for weather');
+            expect(prompt).toContain('Steps completed so far:\n1. Open Chrome.\n2. Click the search box.');
+            expect(prompt).toContain('User\'s current message: "Done"');
+        });
+
+        it('should word guidance for the session detail level', async () => {
+            await getContextualResponse({ message: 'Done', userGoal: 'Search for weather', detailLevel: 'teach_me' });
+            await getContextualResponse({ message: 'Done', userGoal: 'Search for weather', detailLevel: 'quick_tip' });
+            await analyzeScreenFrame('SGVsbG8=', 'Search for weather', {}, 'png', { detailLevel: 'teach_me' });
+
+            const [teachMe, quickTip, frame] = mockGenerateContent.mock.calls
+                .map(([args]) => args.contents[0].parts[0].text);
+            expect(teachMe).toContain('explain in one or two short sentences why this step matters');
+            expect(teachMe).not.toContain('maximum 15 words');
+            expect(quickTip).toContain('give a terse hint');
+            expect(quickTip).not.toContain('why this step matters');
+            expect(frame).toContain('why this step matters');
+        });
+
+        it('should ask for answers in the user\'s language', async () => {
+            await sendChatMessage('Hola', [], { language: 'es' });
+            mockGenerateContent.mockResolvedValueOnce({
+                text: '{"goal": "Ver a previsão do tempo", "steps": [{"instruction": "Abra o Chrome."}]}',
+            });
+            await generateTaskPlan({ message: 'Ver a previsão do tempo', language: 'pt-BR' });
+            await sendChatMessage('Hello', [], { language: 'en-GB' });
+
+            const [chat, plan, english] = mockGenerateContent.mock.calls
+                .map(([args]) => args.contents[args.contents.length - 1].parts[0].text);
+            expect(chat).toMatch(/^Write everything meant for the user in Spanish/);
+            expect(chat).toContain('Hola');
+            expect(plan).toContain('in Brazilian Portuguese');
+            expect(english).toBe('Hello');
+        });
+
+        it('should fall back to step-by-step guidance for unknown detail levels', async () => {
+            await getContextualResponse({ message: 'Done', userGoal: 'Search for weather', detailLevel: 'essay' });
+
+            const prompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+            expect(prompt).toContain('Keep it to ONE sentence (maximum 15 words)');
         });
     });
 
@@ -40,7 +172,21 @@ describe('Gemini Utils', () => {
             await sendChatMessage('Hello');
             expect(mockGenerateContent).toHaveBeenCalled();
             const args = mockGenerateContent.mock.calls[0][0];
-            expect(args.contents).toContain('User: Hello');
+            expect(args.contents).toEqual([{ role: 'user', parts: [{ text: 'Hello' }] }]);
+        });
+
+        it('should send earlier messages as separate turns', async () => {
+            await sendChatMessage('And then?', [
+                { role: 'user', content: 'Open Chrome' },
+                { role: 'assistant', content: 'Click the Chrome icon.' },
+            ]);
+
+            const { contents } = mockGenerateContent.mock.calls[0][0];
+            expect(contents.map(({ role, parts }) => [role, parts[0].text])).toEqual([
+                ['user', 'Open Chrome'],
+                ['model', 'Click the Chrome icon.'],
+                ['user', 'And then?'],
+            ]);
         });
         
         it('should propagate API errors', async () => {
@@ -56,6 +202,212 @@ describe('Gemini Utils', () => {
             expect(mockGenerateContent).toHaveBeenCalled();
             // detailed inspection of args is possible here
         });
+
+        it('should stream guidance without the target line and report the target', async () => {
+            mockGenerateContentStream.mockResolvedValue((async function* () {
+                yield { text: 'Click the search box.\nTAR' };
+                yield { text: 'GET: {"x": 0.4, "y": 0.3, "width": 0.2, "height": 0.9}' };
+            })());
+
+            const onChunk = jest.fn();
+            const onTarget = jest.fn();
+            const text = await analyzeScreenFrame('SGVsbG8=', 'goal', {}, 'png', { onChunk, onTarget });
+
+            expect(text).toBe('Click the search box.');
+            expect(onChunk.mock.calls.map(([chunk]) => chunk).join('')).toBe('Click the search box.\n');
+            // The box is kept inside the image
+            expect(onTarget).toHaveBeenCalledWith({ x: 0.4, y: 0.3, width: 0.2, height: 0.7 });
+            const prompt = mockGenerateContentStream.mock.calls[0][0].contents[0].parts[0].text;
+            expect(prompt).toContain('TARGET: none');
+        });
+
+        it('should stream the end of a response that only looked like a target line', async () => {
+            mockGenerateContentStream.mockResolvedValue((async function* () {
+                yield { text: 'Open the menu and pick TA' };
+            })());
+
+            const onChunk = jest.fn();
+            const onTarget = jest.fn();
+            const text = await analyzeScreenFrame('SGVsbG8=', 'goal', {}, 'png', { onChunk, onTarget });
+
+            expect(text).toBe('Open the menu and pick TA');
+            expect(onChunk.mock.calls.map(([chunk]) => chunk).join('')).toBe('Open the menu and pick TA');
+            expect(onTarget).not.toHaveBeenCalled();
+        });
+
+        it('should not report a target when there is none', async () => {
+            mockGenerateContent.mockResolvedValue({ text: 'Wait for the page to load.\nTARGET: none' });
+
+            const onTarget = jest.fn();
+            const text = await analyzeScreenFrame('SGVsbG8=', 'goal', {}, 'png', { onTarget });
+
+            expect(text).toBe('Wait for the page to load.');
+            expect(onTarget).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getContextualResponse', () => {
+        it('should stream chunks when onChunk is provided', async () => {
+            mockGenerateContentStream.mockResolvedValue((async function* () {
+                yield { text: 'Click the ' };
+                yield { text: undefined };
+                yield { text: 'Chrome icon.' };
+            })());
+
+            const onChunk = jest.fn();
+            const text = await getContextualResponse({ message: 'Open Chrome', onChunk });
+
+            expect(text).toBe('Click the Chrome icon.');
+            expect(onChunk.mock.calls).toEqual([['Click the '], ['Chrome icon.']]);
+            expect(mockGenerateContent).not.toHaveBeenCalled();
+        });
+
+        it('should reject with an AbortError when cancelled', async () => {
+            mockGenerateContent.mockReturnValue(new Promise(() => {}));
+            const controller = new AbortController();
+
+            const pending = getContextualResponse({ message: 'Open Chrome', signal: controller.signal });
+            controller.abort();
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        });
+
+        it('should use a single request without onChunk', async () => {
+            const text = await getContextualResponse({ message: 'Open Chrome' });
+            expect(text).toBe('Mocked AI response');
+            expect(mockGenerateContentStream).not.toHaveBeenCalled();
+        });
+
+        describe('long conversations', () => {
+            // 1000 characters is about 250 tokens, 20 of them are over the 4000 token budget
+            const history = Array.from({ length: 20 }, (_, index) => ({
+                role: index % 2 ? 'assistant' : 'user',
+                content: `Message ${index} `.padEnd(1000, '.'),
+            }));
+
+            it('should summarise older messages and send the newest ones as turns', async () => {
+                mockGenerateContent
+                    .mockResolvedValueOnce({ text: 'The user opened Chrome.' })
+                    .mockResolvedValueOnce({ text: 'Click the search box.' });
+                const onSummary = jest.fn();
+
+                const text = await getContextualResponse({
+                    message: 'What now?',
+                    conversationHistory: history,
+                    onSummary,
+                });
+
+                expect(text).toBe('Click the search box.');
+                expect(onSummary).toHaveBeenCalledWith({ text: 'The user opened Chrome.', messageCount: 14 });
+
+                const summaryPrompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+                expect(summaryPrompt).toContain('User: Message 0');
+                expect(summaryPrompt).toContain('Assistant: Message 13');
+                expect(summaryPrompt).not.toContain('Message 14');
+
+                const { contents } = mockGenerateContent.mock.calls[1][0];
+                expect(contents).toHaveLength(7);
+                expect(contents[0].parts[0].text).toContain('Message 14');
+                expect(contents[6].parts[0].text).toContain('Summary of the earlier conversation: The user opened Chrome.');
+            });
+
+            it('should reuse a summary that still covers the older messages', async () => {
+                await getContextualResponse({
+                    message: 'What now?',
+                    conversationHistory: history.slice(0, 16),
+                    historySummary: { text: 'Earlier summary.', messageCount: 10 },
+                });
+
+                expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+                const { contents } = mockGenerateContent.mock.calls[0][0];
+                expect(contents).toHaveLength(7);
+                expect(contents[6].parts[0].text).toContain('Earlier summary.');
+            });
+
+            it('should answer from the newest messages when summarising fails', async () => {
+                mockGenerateContent
+                    .mockRejectedValueOnce(new Error('API Fail'))
+                    .mockResolvedValueOnce({ text: 'Click the search box.' });
+                const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+                const onSummary = jest.fn();
+
+                const text = await getContextualResponse({
+                    message: 'What now?',
+                    conversationHistory: history,
+                    onSummary,
+                });
+
+                expect(text).toBe('Click the search box.');
+                expect(onSummary).not.toHaveBeenCalled();
+                expect(mockGenerateContent.mock.calls[1][0].contents).toHaveLength(7);
+                errorSpy.mockRestore();
+            });
+        });
+    });
+
+    describe('generateTaskPlan', () => {
+        it('should parse the steps from a JSON answer', async () => {
+            mockGenerateContent.mockResolvedValue({
+                text: '```json\n{"goal": "Search for weather", "steps": [' +
+                    '{"instruction": "Open Chrome.", "expectedOutcome": "Chrome is open."},' +
+                    '{"instruction": ""}]}\n```'
+            });
+
+            const plan = await generateTaskPlan({ message: 'I want to search for weather' });
+
+            expect(plan).toEqual({
+                goal: 'Search for weather',
+                steps: [{ instruction: 'Open Chrome.', expectedOutcome: 'Chrome is open.' }],
+            });
+            const args = mockGenerateContent.mock.calls[0][0];
+            expect(args.config.responseMimeType).toBe('application/json');
+        });
+
+        it('should fail when the answer is not a usable plan', async () => {
+            mockGenerateContent.mockResolvedValue({ text: 'Sure! First open Chrome.' });
+            await expect(generateTaskPlan({ message: 'Help' })).rejects.toThrow('Failed to generate task plan');
+
+            mockGenerateContent.mockResolvedValue({ text: '{"goal": "Help", "steps": []}' });
+            await expect(generateTaskPlan({ message: 'Help' })).rejects.toThrow('Failed to generate task plan');
+        });
+    });
+
+    describe('assessStepProgress', () => {
+        const plan = {
+            goal: 'Search for weather',
+            steps: [{ instruction: 'Open Chrome.', expectedOutcome: 'Chrome is open.' }],
+        };
+
+        it('should report a completed step', async () => {
+            mockGenerateContent.mockResolvedValue({
+                text: '{"stepCompleted": true, "revisedSteps": null, "reason": "Chrome is open."}'
+            });
+
+            const progress = await assessStepProgress({ plan, currentStepIndex: 0, message: 'Done' });
+
+            expect(progress).toEqual({ stepCompleted: true, revisedSteps: null, reason: 'Chrome is open.' });
+            const prompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+            expect(prompt).toContain('1. Open Chrome. (expected: Chrome is open.) <- current step');
+        });
+    });
+
+    describe('verifyStepOutcome', () => {
+        it('should check the screen for the expected outcome', async () => {
+            mockGenerateContent.mockResolvedValue({
+                text: '{"completed": true, "reason": "A Chrome window is open."}'
+            });
+
+            const result = await verifyStepOutcome({
+                step: { instruction: 'Open Chrome.', expectedOutcome: 'Chrome is open.' },
+                base64Image: 'aW1hZ2U=',
+                imageFormat: 'png',
+            });
+
+            expect(result).toEqual({ completed: true, reason: 'A Chrome window is open.' });
+            const [call] = mockGenerateContent.mock.calls[0];
+            expect(call.contents[0].parts[0].text).toContain('Chrome is open.');
+            expect(call.contents[0].parts[1].inlineData.mimeType).toBe('image/png');
+        });
     });
 
     describe('generateSessionTitle', () => {
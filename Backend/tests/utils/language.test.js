@@ -0,0 +1,30 @@
+import { describe, it, expect } from '@jest/globals';
+import { normalizeLanguage, isDefaultLanguage, describeLanguage } from '../../src/utils/language.js';
+
+describe('Language', () => {
+    describe('normalizeLanguage', () => {
+        it('should canonicalise language tags', () => {
+            expect(normalizeLanguage('es')).toBe('es');
+            expect(normalizeLanguage('pt_br')).toBe('pt-BR');
+            expect(normalizeLanguage(' EN-us ')).toBe('en-US');
+        });
+
+        it('should reject values that are not known languages', () => {
+            expect(normalizeLanguage('not a language')).toBeNull();
+            expect(normalizeLanguage('xx')).toBeNull();
+            expect(normalizeLanguage('')).toBeNull();
+            expect(normalizeLanguage(42)).toBeNull();
+        });
+    });
+
+    it('should only treat English as the default language', () => {
+        expect(isDefaultLanguage(null)).toBe(true);
+        expect(isDefaultLanguage('en-GB')).toBe(true);
+        expect(isDefaultLanguage('es')).toBe(false);
+    });
+
+    it('should name languages in English for prompts', () => {
+        expect(describeLanguage('es')).toBe('Spanish');
+        expect(describeLanguage('pt-BR')).toBe('Brazilian Portuguese');
+    });
+});
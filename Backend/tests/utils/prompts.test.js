@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    PROMPT_CONFIG,
+    PROMPT_VARIABLES,
+    loadPromptTemplates,
+    renderPrompt,
+} from '../../src/utils/prompts.js';
+
+const template = (version, text) => `---\nversion: ${version}\ndescription: Test\n---\n${text}\n`;
+
+describe('Prompt templates', () => {
+    let overridesDirectory;
+
+    beforeEach(() => {
+        overridesDirectory = mkdtempSync(path.join(tmpdir(), 'prompts-'));
+    });
+
+    afterEach(() => {
+        rmSync(overridesDirectory, { recursive: true, force: true });
+    });
+
+    const writeOverride = (name, contents) => {
+        writeFileSync(path.join(overridesDirectory, `${name}.txt`), contents);
+    };
+
+    describe('loadPromptTemplates', () => {
+        it('should load a shipped template for every prompt', () => {
+            const templates = loadPromptTemplates({ directory: PROMPT_CONFIG.directory, overridesDirectory: null });
+
+            expect([...templates.keys()].sort()).toEqual(Object.keys(PROMPT_VARIABLES).sort());
+            expect(templates.get('guidance')).toMatchObject({ version: '2', source: 'default' });
+        });
+
+        it('should let an override replace a shipped template', () => {
+            writeOverride('title', template('2', 'Name this chat in three words: {{conversation}}'));
+
+            const templates = loadPromptTemplates({ directory: PROMPT_CONFIG.directory, overridesDirectory });
+
+            expect(templates.get('title')).toMatchObject({
+                version: '2',
+                source: 'override',
+                text: 'Name this chat in three words: {{conversation}}',
+            });
+            expect(templates.get('guidance').source).toBe('default');
+        });
+
+        it('should reject templates without a version', () => {
+            writeOverride('title', '---\ndescription: No version\n---\nTitle: {{conversation}}');
+
+            expect(() => loadPromptTemplates({ directory: PROMPT_CONFIG.directory, overridesDirectory }))
+                .toThrow('the header has no "version"');
+        });
+
+        it('should reject unknown variables and template names', () => {
+            writeOverride('title', template('2', 'Title: {{conversaton}}'));
+            expect(() => loadPromptTemplates({ directory: PROMPT_CONFIG.directory, overridesDirectory }))
+                .toThrow('unknown variable "conversaton"');
+
+            rmSync(path.join(overridesDirectory, 'title.txt'));
+            writeOverride('titles', template('1', 'Title'));
+            expect(() => loadPromptTemplates({ directory: PROMPT_CONFIG.directory, overridesDirectory }))
+                .toThrow('Unknown prompt template');
+        });
+
+        it('should report shipped templates that are missing', () => {
+            writeOverride('chat', template('1', '{{message}}'));
+
+            expect(() => loadPromptTemplates({ directory: overridesDirectory, overridesDirectory: null }))
+                .toThrow('Missing prompt templates: frame');
+        });
+    });
+
+    describe('renderPrompt', () => {
+        it('should fill in variables and record the template version', () => {
+            const prompt = renderPrompt('verify', { instruction: 'Open Chrome.', expectedOutcome: 'Chrome is open.' });
+
+            expect(prompt.version).toBe('verify@1');
+            expect(prompt.text).toContain('The user was asked to do this on their computer: "Open Chrome."');
+            expect(prompt.text).toContain('the screen should show: "Chrome is open."');
+        });
+
+        it('should keep sections only when their variable is set', () => {
+            const withImage = renderPrompt('progress', { goal: 'G', plan: 'P', message: 'm', hasImage: true }).text;
+            const withoutImage = renderPrompt('progress', { goal: 'G', plan: 'P', message: 'm', hasImage: false }).text;
+
+            expect(withImage).toContain('The image shows their screen right now.');
+            expect(withImage).not.toContain('No screen capture is available.');
+            expect(withoutImage).toContain('No screen capture is available.');
+
+            const guidance = renderPrompt('guidance', { goal: 'G', message: 'Next?', completedSteps: '' }).text;
+            expect(guidance).not.toContain('Task plan');
+            expect(guidance).not.toContain('Steps completed so far');
+        });
+
+        it('should not expand template syntax inside variable values', () => {
+            const { text } = renderPrompt('chat', { message: 'What does {{message}} mean?' });
+            expect(text).toBe('What does {{message}} mean?');
+        });
+
+        it('should reject unknown templates', () => {
+            expect(() => renderPrompt('poem')).toThrow('Unknown prompt template: poem');
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/db/usage.js', () => ({
+    loadDailyUsage: jest.fn(),
+    saveDailyUsage: jest.fn(),
+}));
+
+// Small limits keep the tests short
+process.env.RATE_LIMIT_SESSION_PER_MINUTE = '6';
+process.env.RATE_LIMIT_SESSION_BURST = '2';
+process.env.RATE_LIMIT_USER_PER_MINUTE = '6';
+process.env.RATE_LIMIT_USER_BURST = '3';
+process.env.RATE_LIMIT_IP_PER_MINUTE = '6';
+process.env.RATE_LIMIT_IP_BURST = '4';
+process.env.DAILY_AI_QUOTA_PER_USER = '5';
+
+const { loadDailyUsage, saveDailyUsage } = await import('../../src/db/usage.js');
+const { consumeAIRequest, releaseSession, TokenBucket } = await import('../../src/utils/rateLimiter.js');
+
+describe('Rate Limiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-10-19T23:59:00Z') });
+        loadDailyUsage.mockReset();
+        loadDailyUsage.mockResolvedValue(0);
+        saveDailyUsage.mockReset();
+        saveDailyUsage.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should refill a token bucket over time', () => {
+        const bucket = new TokenBucket({ perMinute: 60, burst: 1 });
+
+        bucket.take();
+        expect(bucket.getWaitMs()).toBe(1000);
+
+        jest.advanceTimersByTime(1000);
+        expect(bucket.getWaitMs()).toBe(0);
+    });
+
+    it('should limit a session after its burst and say when to retry', async () => {
+        const owner = { sessionId: 'session-a', userKey: 'user:a' };
+
+        expect((await consumeAIRequest(owner)).allowed).toBe(true);
+        expect((await consumeAIRequest(owner)).allowed).toBe(true);
+
+        const refused = await consumeAIRequest(owner);
+        expect(refused).toMatchObject({ allowed: false, scope: 'session', retryAfterMs: 10000 });
+        expect(refused.message).toContain('Try again in 10 seconds');
+
+        jest.advanceTimersByTime(10000);
+        expect((await consumeAIRequest(owner)).allowed).toBe(true);
+    });
+
+    it('should limit a user across sessions', async () => {
+        await consumeAIRequest({ sessionId: 'session-b1', userKey: 'user:b' });
+        await consumeAIRequest({ sessionId: 'session-b1', userKey: 'user:b' });
+        await consumeAIRequest({ sessionId: 'session-b2', userKey: 'user:b' });
+
+        const refused = await consumeAIRequest({ sessionId: 'session-b2', userKey: 'user:b' });
+        expect(refused).toMatchObject({ allowed: false, scope: 'user' });
+
+        // Refused requests are not counted against the session
+        releaseSession('session-b1');
+        expect((await consumeAIRequest({ sessionId: 'session-b3', userKey: 'user:c' })).allowed).toBe(true);
+    });
+
+    it('should limit the client address whatever user ID it claims', async () => {
+        for (const user of ['f1', 'f2', 'f3', 'f4']) {
+            expect((await consumeAIRequest({ userKey: `user:${user}`, ipKey: 'ip:10.0.0.9' })).allowed).toBe(true);
+        }
+
+        const refused = await consumeAIRequest({ userKey: 'user:f5', ipKey: 'ip:10.0.0.9' });
+        expect(refused).toMatchObject({ allowed: false, scope: 'ip' });
+        expect(refused.message).toContain('your network');
+        expect((await consumeAIRequest({ userKey: 'user:f5', ipKey: 'ip:10.0.0.10' })).allowed).toBe(true);
+    });
+
+    it('should not share the user limits and daily quota between users on one address', async () => {
+        loadDailyUsage.mockImplementation(async (userKey) => (userKey === 'user:g1' ? 4 : 0));
+
+        expect((await consumeAIRequest({ userKey: 'user:g1', ipKey: 'ip:10.0.0.20' })).allowed).toBe(true);
+        expect(await consumeAIRequest({ userKey: 'user:g1', ipKey: 'ip:10.0.0.20' }))
+            .toMatchObject({ allowed: false, scope: 'daily' });
+
+        // The other user's quota is untouched, and the address has no daily quota of its own
+        expect((await consumeAIRequest({ userKey: 'user:g2', ipKey: 'ip:10.0.0.20' })).allowed).toBe(true);
+        await jest.runAllTimersAsync();
+        expect(loadDailyUsage).not.toHaveBeenCalledWith('ip:10.0.0.20', expect.any(String));
+        expect(saveDailyUsage).toHaveBeenCalledWith('user:g2', '2026-10-19', 1);
+    });
+
+    it('should enforce the daily quota from stored usage until midnight UTC', async () => {
+        loadDailyUsage.mockResolvedValue(4);
+
+        expect((await consumeAIRequest({ userKey: 'user:d' })).allowed).toBe(true);
+        await jest.runAllTimersAsync();
+        expect(loadDailyUsage).toHaveBeenCalledWith('user:d', '2026-10-19');
+        expect(saveDailyUsage).toHaveBeenCalledWith('user:d', '2026-10-19', 5);
+
+        const refused = await consumeAIRequest({ userKey: 'user:d' });
+        expect(refused).toMatchObject({ allowed: false, scope: 'daily', retryAfterMs: 60000 });
+
+        // A new day starts from the stored count for that day
+        jest.advanceTimersByTime(60000);
+        loadDailyUsage.mockResolvedValue(0);
+        expect((await consumeAIRequest({ userKey: 'user:d' })).allowed).toBe(true);
+        expect(loadDailyUsage).toHaveBeenLastCalledWith('user:d', '2026-10-20');
+    });
+
+    it('should keep counting when usage cannot be loaded or saved', async () => {
+        loadDailyUsage.mockRejectedValue(new Error('connection refused'));
+        saveDailyUsage.mockRejectedValue(new Error('connection refused'));
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await consumeAIRequest({ userKey: 'user:e' })).allowed).toBe(true);
+        await jest.runAllTimersAsync();
+
+        expect(errorSpy).toHaveBeenCalledTimes(2);
+        errorSpy.mockRestore();
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+
+const {
+    getRedactionRules,
+    redactFrame,
+    createRedactionPreview,
+} = await import('../../src/utils/redaction.js');
+
+// White 100x50 PNG, base64-encoded
+const whiteFrame = async () => (await sharp({
+    create: { width: 100, height: 50, channels: 3, background: '#ffffff' },
+}).png().toBuffer()).toString('base64');
+
+// Colour of one pixel of a base64 image
+const pixelAt = async (base64Image, x, y) => {
+    const { data, info } = await sharp(Buffer.from(base64Image, 'base64')).removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+    return [data[offset], data[offset + 1], data[offset + 2]];
+};
+
+describe('Redaction Utils', () => {
+    describe('getRedactionRules', () => {
+        it('should keep valid client regions and ignore the rest', () => {
+            const rules = getRedactionRules({
+                redactRegions: [
+                    { x: 0.5, y: 0, width: 0.5, height: 0.2 },
+                    { x: 2, y: 0, width: 0.5, height: 0.2 },
+                    'not a region',
+                ],
+            });
+
+            expect(rules).toEqual({
+                regions: [{ x: 0.5, y: 0, width: 0.5, height: 0.2 }],
+                blocked: false,
+            });
+        });
+
+        it('should block frames of a blocklisted window', () => {
+            expect(getRedactionRules({ activeWindowTitle: 'Bitwarden - Vault' }).blocked).toBe(true);
+            expect(getRedactionRules({ activeWindowTitle: 'Google Chrome' }).blocked).toBe(false);
+        });
+    });
+
+    describe('redactFrame', () => {
+        it('should mask regions and leave the rest of the frame alone', async () => {
+            const rules = { regions: [{ x: 0.5, y: 0, width: 0.5, height: 1 }], blocked: false };
+            const result = await redactFrame(await whiteFrame(), 'png', rules);
+
+            expect(result.maskedRegions).toEqual(rules.regions);
+            expect(await pixelAt(result.base64Image, 75, 25)).toEqual([0, 0, 0]);
+            expect(await pixelAt(result.base64Image, 25, 25)).toEqual([255, 255, 255]);
+        });
+
+        it('should withhold blocked frames entirely', async () => {
+            const result = await redactFrame(await whiteFrame(), 'png', { regions: [], blocked: true });
+
+            expect(result).toMatchObject({ base64Image: null, blocked: true });
+        });
+
+        it('should refuse to pass on an image it cannot mask', async () => {
+            const rules = { regions: [{ x: 0, y: 0, width: 1, height: 1 }], blocked: false };
+
+            await expect(redactFrame('bm90IGFuIGltYWdl', 'jpeg', rules)).rejects.toThrow('invalid image');
+        });
+    });
+
+    describe('createRedactionPreview', () => {
+        it('should create a JPEG preview', async () => {
+            const preview = await createRedactionPreview(await whiteFrame());
+            const { format } = await sharp(Buffer.from(preview, 'base64')).metadata();
+
+            expect(format).toBe('jpeg');
+        });
+    });
+});
@@ -0,0 +1,1063 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import sharp from 'sharp';
+
+jest.unstable_mockModule('../src/utils/gemini.js', () => ({
+    analyzeScreenFrame: jest.fn(),
+    getContextualResponse: jest.fn(),
+    generateTaskPlan: jest.fn(),
+    assessStepProgress: jest.fn(),
+    verifyStepOutcome: jest.fn(),
+}));
+
+// Spoken responses come from the silent stub synthesizer
+process.env.TTS_PROVIDER = 'stub';
+
+jest.unstable_mockModule('../src/utils/rateLimiter.js', () => ({
+    consumeAIRequest: jest.fn(),
+    releaseSession: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/db/usage.js', () => ({
+    findUserId: jest.fn(),
+}));
+
+const {
+    analyzeScreenFrame,
+    getContextualResponse,
+    generateTaskPlan,
+    assessStepProgress,
+    verifyStepOutcome,
+} = await import('../src/utils/gemini.js');
+const { consumeAIRequest, releaseSession } = await import('../src/utils/rateLimiter.js');
+const { findUserId } = await import('../src/db/usage.js');
+const { initializeWebSocket, getSessionData } = await import('../src/wsHandler.js');
+const { encodeBinaryMessage, decodeBinaryMessage } = await import('../../shared/protocol.js');
+const { providerHealth, ProviderError, ProviderErrorCodes } = await import('../src/providers/resilience.js');
+const { TTS_CONFIG } = await import('../src/tts/index.js');
+
+// Minimal stand-ins for the ws server and client sockets
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.readyState = 1; // OPEN
+        this.send = jest.fn();
+        this.close = jest.fn();
+    }
+
+    sentMessages() {
+        return this.send.mock.calls.map(([payload]) =>
+            typeof payload === 'string' ? JSON.parse(payload) : decodeBinaryMessage(payload)
+        );
+    }
+
+    receive(message) {
+        this.emit('message', Buffer.from(JSON.stringify(message)), false);
+    }
+
+    receiveBinary(message) {
+        this.emit('message', Buffer.from(encodeBinaryMessage(message)), true);
+    }
+
+    disconnect() {
+        this.readyState = 3; // CLOSED
+        this.emit('close');
+    }
+}
+
+const wss = new EventEmitter();
+initializeWebSocket(wss);
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Frame comparison decodes images off the main thread, so poll for the outcome
+const waitFor = async (predicate) => {
+    for (let i = 0; i < 100 && !predicate(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+};
+
+const connect = () => {
+    const ws = new FakeSocket();
+    wss.emit('connection', ws, {});
+    return ws;
+};
+
+describe('WebSocket Handler', () => {
+    beforeEach(() => {
+        getContextualResponse.mockReset();
+        getContextualResponse.mockResolvedValue('Click the Chrome icon.');
+        analyzeScreenFrame.mockReset();
+        analyzeScreenFrame.mockResolvedValue('Click the search box.');
+        generateTaskPlan.mockReset();
+        generateTaskPlan.mockResolvedValue({
+            goal: 'Search for weather on Google',
+            steps: [
+                { instruction: 'Open Chrome.', expectedOutcome: 'A Chrome window is open.' },
+                { instruction: 'Search for weather.', expectedOutcome: 'Weather results are shown.' },
+            ],
+        });
+        assessStepProgress.mockReset();
+        assessStepProgress.mockResolvedValue({ stepCompleted: false, revisedSteps: null, reason: '' });
+        verifyStepOutcome.mockReset();
+        verifyStepOutcome.mockResolvedValue({ completed: false, reason: '' });
+        consumeAIRequest.mockReset();
+        consumeAIRequest.mockResolvedValue({ allowed: true });
+        findUserId.mockReset();
+        findUserId.mockImplementation(async (id) => (id === 42 ? 42 : null));
+    });
+
+    describe('connection', () => {
+        it('should hand out a session ID and resume token', () => {
+            const ws = connect();
+            const [connected] = ws.sentMessages();
+
+            expect(connected.type).toBe('connected');
+            expect(connected.sessionId).toBeDefined();
+            expect(connected.resumeToken).toEqual(expect.any(String));
+            expect(connected.resumeGracePeriodMs).toBeGreaterThan(0);
+        });
+    });
+
+    describe('protocol', () => {
+        it('should acknowledge the negotiated protocol version', () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 2, supportedVersions: [1, 2] });
+
+            const ack = ws.sentMessages().find((m) => m.type === 'connection_ack');
+            expect(ack.protocolVersion).toBe(2);
+            expect(ack.speechInput).toBeNull();
+        });
+
+        it('should reject an unsupported protocol version', () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', supportedVersions: [99] });
+
+            const error = ws.sentMessages().find((m) => m.type === 'error');
+            expect(error.code).toBe('unsupported_version');
+        });
+
+        it('should return structured errors for invalid messages', () => {
+            const ws = connect();
+            ws.emit('message', Buffer.from('not json'));
+            ws.receive({ type: 'chat' });
+
+            const errors = ws.sentMessages().filter((m) => m.type === 'error');
+            expect(errors.map((e) => e.code)).toEqual(['invalid_json', 'missing_field']);
+            expect(errors[1].field).toBe('message');
+        });
+
+        it('should accept legacy aliases only before version 2 is negotiated', async () => {
+            const ws = connect();
+            ws.receive({ type: 'chat_message', content: 'Open Chrome' });
+            await flush();
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({ message: 'Open Chrome' })
+            );
+
+            ws.receive({ type: 'connection', protocolVersion: 2 });
+            ws.receive({ type: 'chat_message', content: 'Open Chrome' });
+
+            const error = ws.sentMessages().filter((m) => m.type === 'error').pop();
+            expect(error.code).toBe('unknown_type');
+        });
+    });
+
+    describe('provider', () => {
+        it('should report the deployment provider in the acknowledgement', async () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 2 });
+
+            const ack = ws.sentMessages().find((m) => m.type === 'connection_ack');
+            expect(ack.provider).toEqual(expect.objectContaining({
+                name: 'gemini',
+                capabilities: expect.objectContaining({ vision: true }),
+            }));
+
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({ provider: 'gemini' })
+            );
+        });
+
+        it('should keep the default when a session asks for a disabled provider', () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 2, provider: 'ollama' });
+
+            const messages = ws.sentMessages();
+            const error = messages.find((m) => m.type === 'error');
+            expect(error.field).toBe('provider');
+            expect(messages.find((m) => m.type === 'connection_ack').provider.name).toBe('gemini');
+        });
+    });
+
+    describe('language', () => {
+        it('should answer in the language asked for in the handshake', async () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 5, language: 'es_MX' });
+
+            expect(ws.sentMessages().find((m) => m.type === 'connection_ack').language).toBe('es-MX');
+
+            ws.receive({ type: 'chat', message: 'Abrir Chrome' });
+            await flush();
+            expect(generateTaskPlan).toHaveBeenCalledWith(expect.objectContaining({ language: 'es-MX' }));
+            expect(getContextualResponse).toHaveBeenCalledWith(expect.objectContaining({ language: 'es-MX' }));
+        });
+
+        it('should keep English for unknown language tags', () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 5, language: 'not a language' });
+
+            const messages = ws.sentMessages();
+            expect(messages.find((m) => m.type === 'error').field).toBe('language');
+            expect(messages.find((m) => m.type === 'connection_ack').language).toBe('en');
+        });
+    });
+
+    describe('speech audio', () => {
+        it('should speak responses when the client asks for it', async () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 6, supportedVersions: [5, 6], speechAudio: true });
+
+            expect(ws.sentMessages().find((m) => m.type === 'connection_ack').speechOutput)
+                .toEqual({ name: 'stub', model: 'silence' });
+
+            ws.receive({ type: 'chat', id: 'msg_1', message: 'Open Chrome' });
+            await waitFor(() => ws.sentMessages().some((m) => m.type === 'audio_chunk' && m.final));
+
+            // An empty last chunk closes the response's audio
+            const audio = ws.sentMessages().filter((m) => m.type === 'audio_chunk');
+            expect(audio).toEqual([
+                expect.objectContaining({
+                    requestId: 'msg_1',
+                    sequence: 0,
+                    text: 'Click the Chrome icon.',
+                    mimeType: 'audio/wav',
+                }),
+                expect.objectContaining({ requestId: 'msg_1', sequence: 1, text: '', final: true }),
+            ]);
+            expect(audio[0].audio.length).toBeGreaterThan(44);
+        });
+
+        it('should leave speech to the client otherwise', async () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 5, speechAudio: true });
+
+            expect(ws.sentMessages().find((m) => m.type === 'connection_ack').speechOutput).toBeNull();
+
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            await flush();
+            expect(ws.sentMessages().some((m) => m.type === 'audio_chunk')).toBe(false);
+        });
+
+        it('should connect without voice when the synthesizer is misconfigured', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            TTS_CONFIG.provider = 'espeak';
+
+            try {
+                const ws = connect();
+                ws.receive({ type: 'connection', protocolVersion: 6, speechAudio: true });
+
+                const ack = ws.sentMessages().find((m) => m.type === 'connection_ack');
+                expect(ack.speechOutput).toBeNull();
+                expect(ack.speech).toEqual({
+                    available: false,
+                    reason: 'Unknown text-to-speech provider: espeak',
+                });
+
+                ws.receive({ type: 'chat', message: 'Open Chrome' });
+                await waitFor(() => ws.sentMessages().some((m) => m.type === 'response_end'));
+            } finally {
+                TTS_CONFIG.provider = 'stub';
+                console.error.mockRestore();
+            }
+        });
+    });
+
+    describe('detail level', () => {
+        it('should take the detail level from the handshake and pass it to guidance', async () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 5, detailLevel: 'teach_me' });
+
+            expect(ws.sentMessages().find((m) => m.type === 'connection_ack').detailLevel).toBe('teach_me');
+
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({ detailLevel: 'teach_me' })
+            );
+        });
+
+        it('should switch the detail level mid-session', async () => {
+            const ws = connect();
+            ws.receive({ type: 'set_detail_level', id: 'msg_1', detailLevel: 'quick_tip' });
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+
+            expect(ws.sentMessages().find((m) => m.type === 'status')).toMatchObject({
+                detailLevel: 'quick_tip',
+                requestId: 'msg_1',
+            });
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({ detailLevel: 'quick_tip' })
+            );
+        });
+    });
+
+    describe('provider health', () => {
+        it('should tell connected sessions using the provider when it degrades and recovers', () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 2 });
+
+            providerHealth.emit('degraded', {
+                provider: 'gemini',
+                state: 'unavailable',
+                message: 'The AI service is not responding.',
+                retryAfterMs: 30000,
+            });
+            providerHealth.emit('degraded', { provider: 'ollama', state: 'retrying', message: '', retryAfterMs: 10 });
+            providerHealth.emit('recovered', { provider: 'gemini' });
+
+            const updates = ws.sentMessages().filter((m) => m.type.startsWith('provider_'));
+            expect(updates.map((m) => m.type)).toEqual(['provider_degraded', 'provider_recovered']);
+            expect(updates[0]).toMatchObject({ provider: 'gemini', state: 'unavailable', retryAfterMs: 30000 });
+        });
+
+        it('should map provider failures to typed error codes', async () => {
+            getContextualResponse.mockRejectedValue(new ProviderError('Circuit open', {
+                code: ProviderErrorCodes.CIRCUIT_OPEN,
+                provider: 'gemini',
+                retryAfterMs: 12000,
+            }));
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const ws = connect();
+            ws.receive({ type: 'chat', id: 'msg-1', message: 'Open Chrome' });
+            await flush();
+
+            const error = ws.sentMessages().find((m) => m.type === 'error');
+            expect(error).toMatchObject({ code: 'ai_unavailable', retryAfterMs: 12000, requestId: 'msg-1' });
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('rate limits', () => {
+        const limited = {
+            allowed: false,
+            scope: 'user',
+            retryAfterMs: 4000,
+            message: "You're sending requests too quickly. Try again in 4 seconds.",
+        };
+
+        it('should count requests against the client address, and the handshake user', async () => {
+            const ws = new FakeSocket();
+            wss.emit('connection', ws, { socket: { remoteAddress: '10.0.0.7' } });
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+
+            ws.receive({ type: 'connection', protocolVersion: 2, userId: 42 });
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+
+            const sessionId = ws.sentMessages()[0].sessionId;
+            expect(consumeAIRequest.mock.calls.map(([owner]) => owner)).toEqual([
+                { sessionId, userKey: 'ip:10.0.0.7', ipKey: 'ip:10.0.0.7' },
+                { sessionId, userKey: 'user:42', ipKey: 'ip:10.0.0.7' },
+            ]);
+        });
+
+        it('should refuse chat messages over the limit with a retry hint', async () => {
+            consumeAIRequest.mockResolvedValue(limited);
+
+            const ws = connect();
+            ws.receive({ type: 'chat', id: 'msg-1', message: 'Open Chrome' });
+            await flush();
+
+            expect(getContextualResponse).not.toHaveBeenCalled();
+            const error = ws.sentMessages().find((m) => m.type === 'error');
+            expect(error).toMatchObject({
+                code: 'rate_limited',
+                scope: 'user',
+                retryAfterMs: 4000,
+                requestId: 'msg-1',
+            });
+        });
+
+        it('should report skipped frames once per limited window', async () => {
+            consumeAIRequest.mockResolvedValue(limited);
+            const frame = async (background) => (await sharp({
+                create: { width: 64, height: 64, channels: 3, background },
+            }).png().toBuffer()).toString('base64');
+
+            const ws = connect();
+            const errors = () => ws.sentMessages().filter((m) => m.type === 'error');
+
+            ws.receive({ type: 'frame', data: await frame('#ffffff') });
+            await waitFor(() => consumeAIRequest.mock.calls.length === 1);
+            ws.receive({ type: 'frame', data: await frame('#000000') });
+            await waitFor(() => consumeAIRequest.mock.calls.length === 2);
+            await flush();
+
+            expect(analyzeScreenFrame).not.toHaveBeenCalled();
+            expect(errors()).toHaveLength(1);
+            expect(errors()[0].code).toBe('rate_limited');
+        });
+    });
+
+    describe('chat', () => {
+        it('should stream response chunks followed by response_end', async () => {
+            getContextualResponse.mockImplementation(async ({ onChunk, onPromptVersion }) => {
+                onChunk('Click the ');
+                onChunk('Chrome icon.');
+                onPromptVersion('goal@1');
+                return 'Click the Chrome icon.';
+            });
+
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+
+            const messages = ws.sentMessages().filter((m) => m.type.startsWith('response'));
+            expect(messages.map((m) => m.type)).toEqual(['response_chunk', 'response_chunk', 'response_end']);
+            expect(messages[2].message).toBe('Click the Chrome icon.');
+            expect(messages[2].promptVersion).toBe('goal@1');
+        });
+
+        it('should send earlier turns without the current message and keep the summary', async () => {
+            getContextualResponse.mockImplementationOnce(async ({ onSummary }) => {
+                onSummary({ text: 'The user wants Chrome.', messageCount: 0 });
+                return 'Click the Chrome icon.';
+            });
+
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            ws.receive({ type: 'chat', message: 'Done' });
+            await flush();
+
+            const [first, second] = getContextualResponse.mock.calls.map(([params]) => params);
+            expect(first.conversationHistory).toEqual([]);
+            expect(first.historySummary).toBeNull();
+            expect(second.conversationHistory.map(({ role, content }) => [role, content])).toEqual([
+                ['user', 'Open Chrome'],
+                ['assistant', 'Click the Chrome icon.'],
+            ]);
+            expect(second.historySummary).toEqual({ text: 'The user wants Chrome.', messageCount: 0 });
+        });
+
+        it('should look up the handshake user once and record usage only for registered users', async () => {
+            const ws = connect();
+            ws.receive({ type: 'connection', protocolVersion: 2, userId: 42 });
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            ws.receive({ type: 'chat', message: 'Done' });
+            await flush();
+
+            expect(findUserId.mock.calls).toEqual([[42]]);
+            expect(getContextualResponse.mock.calls[1][0].usage.userId).toBe(42);
+
+            const stranger = connect();
+            stranger.receive({ type: 'connection', protocolVersion: 2, userId: 7 });
+            await flush();
+
+            expect(getSessionData(stranger.sentMessages()[0].sessionId).usage.userId).toBeNull();
+        });
+    });
+
+    describe('highlight', () => {
+        it('should forward the target element of the guidance', async () => {
+            getContextualResponse.mockImplementation(async ({ onTarget }) => {
+                onTarget({ x: 0.4, y: 0.3, width: 0.2, height: 0.05 });
+                return 'Click the search box.';
+            });
+
+            const ws = connect();
+            ws.receive({ type: 'chat', id: 'msg_1', message: 'Search for weather' });
+            await flush();
+
+            expect(ws.sentMessages().find((m) => m.type === 'highlight')).toMatchObject({
+                target: { x: 0.4, y: 0.3, width: 0.2, height: 0.05 },
+                requestId: 'msg_1',
+            });
+        });
+    });
+
+    describe('request IDs', () => {
+        it('should echo the client message ID on every related reply', async () => {
+            getContextualResponse.mockImplementation(async ({ onChunk }) => {
+                onChunk('Click the Chrome icon.');
+                return 'Click the Chrome icon.';
+            });
+
+            const ws = connect();
+            ws.receive({ type: 'chat', id: 'msg_1', message: 'Open Chrome' });
+            await flush();
+
+            const replies = ws.sentMessages().slice(1);
+            expect(replies.map((m) => m.type)).toEqual([
+                'status', 'plan', 'step_started', 'response_chunk', 'response_end',
+            ]);
+            replies.forEach((reply) => expect(reply.requestId).toBe('msg_1'));
+        });
+
+        it('should echo the ID on errors', async () => {
+            getContextualResponse.mockRejectedValue(new Error('Model unavailable'));
+
+            const ws = connect();
+            ws.receive({ type: 'chat', id: 'msg_2', message: 'Open Chrome' });
+            ws.receive({ type: 'set_goal', id: 'msg_3' });
+            await flush();
+
+            const errors = ws.sentMessages().filter((m) => m.type === 'error');
+            expect(errors.map((e) => [e.code, e.requestId])).toEqual([
+                ['missing_field', 'msg_3'],
+                ['ai_error', 'msg_2'],
+            ]);
+        });
+
+        it('should list the IDs of cancelled requests', async () => {
+            getContextualResponse.mockImplementation(({ signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }));
+
+            const ws = connect();
+            ws.receive({ type: 'chat', id: 'msg_1', message: 'First' });
+            ws.receive({ type: 'chat', id: 'msg_2', message: 'Second' });
+            await flush();
+
+            ws.receive({ type: 'cancel', id: 'msg_3' });
+            await flush();
+
+            expect(ws.sentMessages().find((m) => m.type === 'cancelled')).toMatchObject({
+                requestId: 'msg_3',
+                cancelledRequestIds: ['msg_1', 'msg_2'],
+            });
+        });
+    });
+
+    describe('task plan', () => {
+        const planEvents = (ws) => ws.sentMessages()
+            .filter((m) => ['plan', 'step_started', 'step_completed', 'plan_revised'].includes(m.type));
+
+        it('should send a plan for the first message and start its first step', async () => {
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'I want to search for weather' });
+            await flush();
+
+            const [plan, started] = planEvents(ws);
+            expect(plan).toMatchObject({
+                type: 'plan',
+                goal: 'Search for weather on Google',
+                currentStepIndex: 0,
+                revision: 1,
+            });
+            expect(plan.steps).toHaveLength(2);
+            expect(started).toMatchObject({ type: 'step_started', index: 0 });
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({ isFirstMessage: true, currentStepIndex: 0 })
+            );
+
+            const { sessionId } = ws.sentMessages()[0];
+            expect(getSessionData(sessionId).userGoal).toBe('Search for weather on Google');
+        });
+
+        it('should move to the next step once the current one is done', async () => {
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'I want to search for weather' });
+            await flush();
+
+            assessStepProgress.mockResolvedValue({ stepCompleted: true, revisedSteps: null, reason: '' });
+            ws.receive({ type: 'chat', message: 'Chrome is open' });
+            await flush();
+            ws.receive({ type: 'chat', message: 'Done' });
+            await flush();
+
+            expect(planEvents(ws).map((m) => [m.type, m.index])).toEqual([
+                ['plan', undefined],
+                ['step_started', 0],
+                ['step_completed', 0],
+                ['step_started', 1],
+                ['step_completed', 1],
+            ]);
+            expect(planEvents(ws).pop().planComplete).toBe(true);
+
+            // A finished plan is not assessed any further
+            ws.receive({ type: 'chat', message: 'Thanks' });
+            await flush();
+            expect(assessStepProgress).toHaveBeenCalledTimes(2);
+        });
+
+        it('should replace the remaining steps when the plan is revised', async () => {
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'I want to search for weather' });
+            await flush();
+
+            assessStepProgress.mockResolvedValue({
+                stepCompleted: false,
+                revisedSteps: [
+                    { instruction: 'Open Firefox.', expectedOutcome: 'A Firefox window is open.' },
+                    { instruction: 'Search for weather.', expectedOutcome: 'Weather results are shown.' },
+                ],
+                reason: 'Chrome is not installed.',
+            });
+            ws.receive({ type: 'chat', message: 'I only have Firefox' });
+            await flush();
+
+            const revised = ws.sentMessages().find((m) => m.type === 'plan_revised');
+            expect(revised).toMatchObject({ revision: 2, currentStepIndex: 0, reason: 'Chrome is not installed.' });
+            expect(revised.steps[0].instruction).toBe('Open Firefox.');
+            expect(planEvents(ws).pop()).toMatchObject({ type: 'step_started', index: 0 });
+        });
+
+        it('should carry on without a plan if none can be generated', async () => {
+            generateTaskPlan.mockRejectedValue(new Error('Failed to generate task plan'));
+
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'Help' });
+            await flush();
+
+            expect(planEvents(ws)).toEqual([]);
+            expect(ws.sentMessages().find((m) => m.type === 'response_end')).toBeDefined();
+        });
+    });
+
+    describe('work queue', () => {
+        // Controllable stand-in for a slow model call
+        const deferred = () => {
+            let resolve;
+            const promise = new Promise((r) => { resolve = r; });
+            return { promise, resolve };
+        };
+
+        it('should answer chat turns one at a time and in order', async () => {
+            const first = deferred();
+            getContextualResponse
+                .mockReturnValueOnce(first.promise)
+                .mockResolvedValueOnce('Second answer');
+
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'First' });
+            ws.receive({ type: 'chat', message: 'Second' });
+            await flush();
+
+            // The second turn waits for the first one to finish
+            expect(getContextualResponse).toHaveBeenCalledTimes(1);
+
+            first.resolve('First answer');
+            await flush();
+
+            const answers = ws.sentMessages()
+                .filter((m) => m.type === 'response_end')
+                .map((m) => m.message);
+            expect(answers).toEqual(['First answer', 'Second answer']);
+        });
+
+        it('should only analyse the newest pending frame', async () => {
+            const chat = deferred();
+            getContextualResponse.mockReturnValueOnce(chat.promise);
+            // Without a plan, frames get general guidance rather than a step check
+            generateTaskPlan.mockRejectedValue(new Error('Failed to generate task plan'));
+
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'Help' });
+            ws.receive({ type: 'frame', data: 'b2xk' });
+            ws.receive({ type: 'frame', data: 'b2xkZXI=' });
+            ws.receive({ type: 'frame', data: 'bmV3ZXN0' });
+            await flush();
+
+            chat.resolve('Answer');
+            await flush();
+
+            expect(analyzeScreenFrame).toHaveBeenCalledTimes(1);
+            expect(analyzeScreenFrame.mock.calls[0][0]).toBe('bmV3ZXN0');
+        });
+
+        it('should abort the in-flight request on cancel', async () => {
+            getContextualResponse.mockImplementation(({ signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => {
+                    const error = new Error('cancelled');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }));
+
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'First' });
+            ws.receive({ type: 'chat', message: 'Second' });
+            await flush();
+
+            ws.receive({ type: 'cancel' });
+            await flush();
+
+            const types = ws.sentMessages().map((m) => m.type);
+            expect(types).toContain('cancelled');
+            expect(types).not.toContain('error');
+            expect(types).not.toContain('response_end');
+            expect(ws.sentMessages().find((m) => m.type === 'cancelled')).toMatchObject({
+                inFlight: true,
+                dropped: 1,
+            });
+            // The queued second turn was dropped
+            expect(getContextualResponse).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('watch mode', () => {
+        it('should report the watch state', async () => {
+            const ws = connect();
+            ws.receive({ type: 'set_watch_mode', id: 'msg_1', enabled: true });
+            ws.receive({ type: 'set_watch_mode', id: 'msg_2', enabled: false });
+            await flush();
+
+            const statuses = ws.sentMessages().filter((m) => m.type === 'watch_status');
+            expect(statuses).toEqual([
+                expect.objectContaining({ enabled: true, state: 'watching', requestId: 'msg_1' }),
+                expect.objectContaining({ enabled: false, state: 'off', requestId: 'msg_2' }),
+            ]);
+        });
+
+        it('should give one hint when the screen stays unchanged', async () => {
+            const frame = (await sharp({
+                create: { width: 8, height: 8, channels: 3, background: '#ffffff' },
+            }).png().toBuffer()).toString('base64');
+
+            let now = 1000000;
+            const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+            const ws = connect();
+            const count = (predicate) => ws.sentMessages().filter(predicate).length;
+            const answers = () => count((m) => m.type === 'response_end');
+            const skipped = () => count((m) => m.type === 'status' && m.message.includes('unchanged'));
+
+            ws.receive({ type: 'set_watch_mode', enabled: true });
+            ws.receive({ type: 'frame', data: frame });
+            await waitFor(() => answers() === 1);
+
+            // Shortly afterwards nothing has changed, so nothing is said
+            now += 5000;
+            ws.receive({ type: 'frame', data: frame });
+            await waitFor(() => skipped() === 1);
+
+            // After a long pause the user looks stuck
+            now += 30000;
+            ws.receive({ type: 'frame', data: frame });
+            await waitFor(() => answers() === 2);
+
+            // ...but they only get one hint for the same screen
+            now += 31000;
+            ws.receive({ type: 'frame', data: frame });
+            await waitFor(() => skipped() === 2);
+
+            dateNow.mockRestore();
+
+            expect(analyzeScreenFrame).toHaveBeenCalledTimes(2);
+            expect(analyzeScreenFrame.mock.calls[1][4]).toMatchObject({ trigger: 'stuck' });
+            const states = ws.sentMessages()
+                .filter((m) => m.type === 'watch_status')
+                .map((m) => m.state);
+            expect(states).toEqual(['watching', 'analyzing', 'watching', 'analyzing', 'watching']);
+        });
+    });
+
+    describe('step verification', () => {
+        // Large enough for a colour change to count as a changed screen
+        const solidFrame = async (background) => (await sharp({
+            create: { width: 40, height: 40, channels: 3, background },
+        }).png().toBuffer()).toString('base64');
+
+        let now;
+        let dateNow;
+
+        beforeEach(() => {
+            now = 1000000;
+            dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+
+        afterEach(() => {
+            dateNow.mockRestore();
+        });
+
+        // Start a plan while watching, with the given frame as the first step's baseline
+        const startWatchedPlan = async (baseline) => {
+            const ws = connect();
+            ws.receive({ type: 'set_watch_mode', enabled: true });
+            ws.receive({ type: 'chat', message: 'I want to search for weather', frameData: baseline });
+            await waitFor(() => ws.sentMessages().some((m) => m.type === 'response_end'));
+            return ws;
+        };
+
+        const replies = (ws) => ws.sentMessages()
+            .filter((m) => m.type === 'response_end')
+            .map((m) => m.message);
+
+        it('should advance once the expected outcome is on screen', async () => {
+            const white = await solidFrame('#ffffff');
+            const black = await solidFrame('#000000');
+            const ws = await startWatchedPlan(white);
+
+            // The screen has not changed since the step was issued, so the model is not asked
+            now += 1000;
+            ws.receive({ type: 'frame', id: 'frame_1', data: white });
+            await waitFor(() => ws.sentMessages().some((m) => m.requestId === 'frame_1'));
+            expect(verifyStepOutcome).not.toHaveBeenCalled();
+
+            verifyStepOutcome.mockResolvedValue({ completed: true, reason: 'Chrome is open.' });
+            now += 10000;
+            ws.receive({ type: 'frame', id: 'frame_2', data: black });
+            await waitFor(() => replies(ws).length === 2);
+
+            expect(verifyStepOutcome).toHaveBeenCalledWith(
+                expect.objectContaining({ step: expect.objectContaining({ instruction: 'Open Chrome.' }) })
+            );
+            expect(ws.sentMessages().find((m) => m.type === 'step_completed')).toMatchObject({
+                index: 0,
+                verifiedFromScreen: true,
+                requestId: 'frame_2',
+            });
+            expect(ws.sentMessages().filter((m) => m.type === 'step_started').pop().index).toBe(1);
+            expect(replies(ws)[1]).toBe("That's done. Next: Search for weather.");
+            expect(analyzeScreenFrame).not.toHaveBeenCalled();
+        });
+
+        it('should say when a step does not look done, without repeating itself', async () => {
+            const white = await solidFrame('#ffffff');
+            const black = await solidFrame('#000000');
+            const ws = await startWatchedPlan(white);
+
+            verifyStepOutcome.mockResolvedValue({ completed: false, reason: 'Chrome is still loading.' });
+            now += 10000;
+            ws.receive({ type: 'frame', data: black });
+            await waitFor(() => replies(ws).length === 2);
+
+            now += 10000;
+            ws.receive({ type: 'frame', id: 'frame_2', data: white });
+            await waitFor(() => verifyStepOutcome.mock.calls.length === 2);
+            await waitFor(() => ws.sentMessages().some(
+                (m) => m.type === 'watch_status' && m.state === 'watching' && m.requestId === 'frame_2'
+            ));
+
+            expect(replies(ws).slice(1)).toEqual(["That doesn't look done yet. Chrome is still loading."]);
+            expect(ws.sentMessages().some((m) => m.type === 'step_completed')).toBe(false);
+        });
+    });
+
+    describe('redaction', () => {
+        const whiteFrame = async () => (await sharp({
+            create: { width: 40, height: 40, channels: 3, background: '#ffffff' },
+        }).png().toBuffer()).toString('base64');
+
+        it('should mask flagged regions before analysis and preview them once', async () => {
+            const frame = await whiteFrame();
+            const ws = connect();
+            const previews = () => ws.sentMessages().filter((m) => m.type === 'redaction_preview');
+
+            ws.receive({
+                type: 'update_metadata',
+                metadata: { redactRegions: [{ x: 0, y: 0, width: 1, height: 1 }] },
+            });
+            ws.receive({ type: 'frame', id: 'frame_1', data: frame, mimeType: 'image/png' });
+            await waitFor(() => analyzeScreenFrame.mock.calls.length === 1);
+            ws.receive({ type: 'chat', id: 'msg_1', message: 'Help', frameData: frame, mimeType: 'image/png' });
+            await waitFor(() => getContextualResponse.mock.calls.length === 1);
+
+            const [analysedImage, , , imageFormat] = analyzeScreenFrame.mock.calls[0];
+            expect(analysedImage).not.toBe(frame);
+            expect(imageFormat).toBe('png');
+            const { data } = await sharp(Buffer.from(analysedImage, 'base64')).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+            expect(data.every((value) => value === 0)).toBe(true);
+            expect(getContextualResponse.mock.calls[0][0].base64Image).toBe(analysedImage);
+
+            // The masks did not change for the chat message, so there is only one preview
+            expect(previews()).toHaveLength(1);
+            expect(previews()[0]).toMatchObject({ blocked: false, requestId: 'frame_1', mimeType: 'image/jpeg' });
+            expect(previews()[0].image).toEqual(expect.any(String));
+        });
+
+        it('should not analyse frames while a blocklisted window is focused', async () => {
+            const ws = connect();
+            ws.receive({ type: 'update_metadata', metadata: { activeWindowTitle: 'KeePass - Passwords' } });
+            ws.receive({ type: 'frame', data: await whiteFrame() });
+            await flush();
+
+            expect(analyzeScreenFrame).not.toHaveBeenCalled();
+            expect(ws.sentMessages().find((m) => m.type === 'redaction_preview')).toMatchObject({ blocked: true, image: null });
+            expect(ws.sentMessages().find((m) => m.type === 'status').message).toContain('hidden for privacy');
+        });
+
+        it('should check the window title sent with each frame against the blocklist', async () => {
+            const frame = await whiteFrame();
+            const ws = connect();
+
+            ws.receive({ type: 'chat', id: 'msg_1', message: 'Help', frameData: frame, windowTitle: 'Bitwarden' });
+            await waitFor(() => getContextualResponse.mock.calls.length === 1);
+            expect(getContextualResponse.mock.calls[0][0].base64Image).toBeNull();
+
+            // Sharing the whole screen again clears the title
+            ws.receive({ type: 'frame', id: 'frame_1', data: frame, windowTitle: null });
+            await flush();
+            const previews = ws.sentMessages().filter((m) => m.type === 'redaction_preview');
+            expect(previews.map((preview) => preview.blocked)).toEqual([true, false]);
+        });
+    });
+
+    describe('binary frames', () => {
+        it('should accept a chat message with a binary PNG frame', async () => {
+            const image = Buffer.from('fake png bytes');
+            const ws = connect();
+            ws.receiveBinary({
+                type: 'chat',
+                message: 'What next?',
+                mimeType: 'image/png',
+                frameData: new Uint8Array(image),
+            });
+            await flush();
+
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    message: 'What next?',
+                    base64Image: image.toString('base64'),
+                    imageFormat: 'png',
+                })
+            );
+        });
+
+        it('should still accept base64 frames in JSON messages', async () => {
+            const ws = connect();
+            ws.receive({ type: 'chat', message: 'What next?', frameData: 'data:image/jpeg;base64,SGVsbG8=' });
+            await flush();
+
+            expect(getContextualResponse).toHaveBeenCalledWith(
+                expect.objectContaining({ base64Image: 'SGVsbG8=', imageFormat: 'jpeg' })
+            );
+        });
+
+        it('should report malformed binary messages', () => {
+            const ws = connect();
+            ws.emit('message', Buffer.from([1, 0, 0]), true);
+
+            const error = ws.sentMessages().find((m) => m.type === 'error');
+            expect(error.code).toBe('invalid_message');
+        });
+    });
+
+    describe('resume', () => {
+        it('should keep session state after disconnect and reattach on resume', async () => {
+            const ws = connect();
+            const { sessionId, resumeToken } = ws.sentMessages()[0];
+
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            ws.disconnect();
+
+            expect(getSessionData(sessionId).ws).toBeNull();
+
+            const ws2 = connect();
+            const freshSessionId = ws2.sentMessages()[0].sessionId;
+            ws2.receive({ type: 'resume', sessionId, resumeToken });
+            await flush();
+
+            const resumed = ws2.sentMessages().find((m) => m.type === 'resumed');
+            expect(resumed.sessionId).toBe(sessionId);
+            expect(getSessionData(sessionId).userGoal).toBe('Search for weather on Google');
+            expect(getSessionData(sessionId).ws).toBe(ws2);
+            expect(getSessionData(freshSessionId)).toBeUndefined();
+            expect(releaseSession).toHaveBeenCalledWith(freshSessionId);
+        });
+
+        it('should hand out a new resume token each time a session is resumed', async () => {
+            const ws = connect();
+            const { sessionId, resumeToken } = ws.sentMessages()[0];
+            ws.disconnect();
+
+            const ws2 = connect();
+            ws2.receive({ type: 'resume', sessionId, resumeToken });
+            await flush();
+            const resumed = ws2.sentMessages().find((m) => m.type === 'resumed');
+            expect(resumed.resumeToken).toEqual(expect.any(String));
+            expect(resumed.resumeToken).not.toBe(resumeToken);
+            ws2.disconnect();
+
+            // The first token has been used up
+            const ws3 = connect();
+            ws3.receive({ type: 'resume', sessionId, resumeToken });
+            await flush();
+            expect(ws3.sentMessages().map((m) => m.type)).toContain('resume_failed');
+
+            const ws4 = connect();
+            ws4.receive({ type: 'resume', sessionId, resumeToken: resumed.resumeToken });
+            await flush();
+            expect(getSessionData(sessionId).ws).toBe(ws4);
+        });
+
+        it('should replay responses produced while offline', async () => {
+            let resolveResponse;
+            getContextualResponse.mockReturnValue(
+                new Promise((resolve) => { resolveResponse = resolve; })
+            );
+
+            const ws = connect();
+            const { sessionId, resumeToken } = ws.sentMessages()[0];
+
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            ws.disconnect();
+
+            resolveResponse('Click the Chrome icon.');
+            await flush();
+
+            const ws2 = connect();
+            ws2.receive({ type: 'resume', sessionId, resumeToken });
+            await flush();
+
+            const types = ws2.sentMessages().map((m) => m.type);
+            expect(types).toEqual(['connected', 'resumed', 'response_end']);
+            expect(ws2.sentMessages()[2].message).toBe('Click the Chrome icon.');
+        });
+
+        it('should not let streamed chunks push other messages out of the replay buffer', async () => {
+            let finishResponse;
+            const offline = new Promise((resolve) => { finishResponse = resolve; });
+            getContextualResponse.mockImplementation(async ({ onChunk }) => {
+                await offline;
+                for (let i = 0; i < 60; i++) onChunk(`word${i} `);
+                return 'The full answer.';
+            });
+
+            const ws = connect();
+            const { sessionId, resumeToken } = ws.sentMessages()[0];
+
+            ws.receive({ type: 'chat', message: 'Open Chrome' });
+            await flush();
+            ws.disconnect();
+
+            finishResponse();
+            await flush();
+
+            const ws2 = connect();
+            ws2.receive({ type: 'resume', sessionId, resumeToken });
+            await flush();
+
+            // The end of the response carries the full text, so the chunks are not needed
+            const types = ws2.sentMessages().map((m) => m.type);
+            expect(types).toEqual(['connected', 'resumed', 'response_end']);
+            expect(ws2.sentMessages()[2].message).toBe('The full answer.');
+        });
+
+        it('should reject an invalid resume token', async () => {
+            const ws = connect();
+            const { sessionId } = ws.sentMessages()[0];
+            ws.disconnect();
+
+            const ws2 = connect();
+            const freshSessionId = ws2.sentMessages()[0].sessionId;
+            ws2.receive({ type: 'resume', sessionId, resumeToken: 'wrong' });
+            await flush();
+
+            const failed = ws2.sentMessages().find((m) => m.type === 'resume_failed');
+            expect(failed.sessionId).toBe(freshSessionId);
+            expect(getSessionData(freshSessionId).ws).toBe(ws2);
+        });
+    });
+});
@@ -1,9 +1,12 @@
-const { app, BrowserWindow, session, ipcMain } = require("electron");
+const { app, BrowserWindow, session, ipcMain, globalShortcut } = require("electron");
 const path = require("path");
 require("dotenv").config();
+const { SettingsStore, HOTKEY_ACTIONS } = require("./settings");
 
 let mainWindow;
 let floatingWindow;
+let overlayWindow;
+let settingsStore;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -50,6 +53,10 @@ function createWindow() {
       floatingWindow.close();
       floatingWindow = null;
     }
+    if (overlayWindow) {
+      overlayWindow.close();
+      overlayWindow = null;
+    }
   });
 
   mainWindow.webContents.on("did-finish-load", () => {
@@ -109,6 +116,120 @@ function closeFloatingWindow() {
   }
 }
 
+function createOverlayWindow() {
+  if (overlayWindow) {
+    return overlayWindow;
+  }
+
+  overlayWindow = new BrowserWindow({
+    show: false,
+    frame: false,
+    transparent: true,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    resizable: false,
+    movable: false,
+    focusable: false,
+    hasShadow: false,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+    },
+  });
+
+  overlayWindow.loadFile(path.join(__dirname, "renderer", "overlay.html"));
+
+  // Let clicks pass through to the apps underneath
+  overlayWindow.setIgnoreMouseEvents(true);
+  overlayWindow.setAlwaysOnTop(true, "screen-saver");
+  overlayWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+
+  overlayWindow.on("closed", () => {
+    overlayWindow = null;
+  });
+
+  return overlayWindow;
+}
+
+function showHighlight(target, displayId) {
+  const { screen } = require("electron");
+
+  // Cover the shared display, falling back to the primary one
+  const display =
+    screen.getAllDisplays().find((d) => String(d.id) === String(displayId)) ||
+    screen.getPrimaryDisplay();
+
+  const overlay = createOverlayWindow();
+  overlay.setBounds(display.bounds);
+
+  const sendTarget = () => {
+    overlay.webContents.send("highlight", target);
+    overlay.showInactive();
+  };
+
+  if (overlay.webContents.isLoading()) {
+    overlay.webContents.once("did-finish-load", sendTarget);
+  } else {
+    sendTarget();
+  }
+}
+
+function hideHighlight() {
+  if (overlayWindow) {
+    overlayWindow.webContents.send("clear-highlight");
+    overlayWindow.hide();
+  }
+}
+
+// Global shortcuts from the settings; returns errors for the ones that could not be registered
+function registerHotkeys(hotkeys) {
+  globalShortcut.unregisterAll();
+  const errors = [];
+
+  HOTKEY_ACTIONS.forEach((action) => {
+    const accelerator = hotkeys[action];
+    if (!accelerator) return;
+
+    try {
+      const registered = globalShortcut.register(accelerator, () => {
+        if (mainWindow) {
+          mainWindow.webContents.send("hotkey", action);
+        }
+      });
+      if (!registered) {
+        errors.push(`hotkeys.${action} ${accelerator} is already used by another application`);
+      }
+    } catch (error) {
+      errors.push(`hotkeys.${action} ${accelerator} is not a valid shortcut`);
+    }
+  });
+
+  return errors;
+}
+
+// Settings are read synchronously so windows have them before their first connection
+ipcMain.on("settings-get", (event) => {
+  event.returnValue = settingsStore.get();
+});
+
+ipcMain.handle("settings-update", (event, changes) => {
+  const previous = settingsStore.get();
+  const result = settingsStore.update(changes);
+  if (result.errors.length > 0) {
+    return { ...result, warnings: [] };
+  }
+
+  // Shortcuts the system refuses are reported but stay saved, so they can be corrected
+  const hotkeysChanged = JSON.stringify(previous.hotkeys) !== JSON.stringify(result.settings.hotkeys);
+  const warnings = hotkeysChanged ? registerHotkeys(result.settings.hotkeys) : [];
+
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send("settings-changed", result.settings);
+  });
+
+  return { ...result, warnings };
+});
+
 // IPC handlers for window management
 ipcMain.on("create-floating-window", () => {
   createFloatingWindow();
@@ -139,6 +260,60 @@ ipcMain.on("floating-send-message", (event, data) => {
   }
 });
 
+ipcMain.on("floating-watch-toggle", () => {
+  // Forward watch mode toggle to main window
+  if (mainWindow) {
+    mainWindow.webContents.send("floating-watch-toggle");
+  }
+});
+
+ipcMain.on("floating-voice-start", () => {
+  // Forward push-to-talk to main window, which owns the microphone
+  if (mainWindow) {
+    mainWindow.webContents.send("floating-voice-start");
+  }
+});
+
+ipcMain.on("floating-voice-stop", () => {
+  if (mainWindow) {
+    mainWindow.webContents.send("floating-voice-stop");
+  }
+});
+
+ipcMain.on("floating-hands-free-toggle", () => {
+  if (mainWindow) {
+    mainWindow.webContents.send("floating-hands-free-toggle");
+  }
+});
+
+ipcMain.on("hands-free-status", (event, isHandsFree) => {
+  if (floatingWindow) {
+    floatingWindow.webContents.send("hands-free-status", isHandsFree);
+  }
+});
+
+ipcMain.on("voice-status", (event, state) => {
+  // Keep the floating talk button in sync with the main window
+  if (floatingWindow) {
+    floatingWindow.webContents.send("voice-status", state);
+  }
+});
+
+ipcMain.on("watch-status", (event, status) => {
+  // Keep the floating watch button in sync with the main window
+  if (floatingWindow) {
+    floatingWindow.webContents.send("watch-status", status);
+  }
+});
+
+ipcMain.on("show-highlight", (event, { target, displayId }) => {
+  showHighlight(target, displayId);
+});
+
+ipcMain.on("hide-highlight", () => {
+  hideHighlight();
+});
+
 ipcMain.on("floating-stop", () => {
   // Forward stop command to main window
   if (mainWindow) {
@@ -154,6 +329,9 @@ app.whenReady().then(() => {
     }
   );
 
+  settingsStore = new SettingsStore(app.getPath("userData"));
+  registerHotkeys(settingsStore.get().hotkeys).forEach((error) => console.warn(error));
+
   createWindow();
 
   app.on("activate", () => {
@@ -163,6 +341,10 @@ app.whenReady().then(() => {
   });
 });
 
+app.on("will-quit", () => {
+  globalShortcut.unregisterAll();
+});
+
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
     app.quit();
@@ -3,12 +3,26 @@ const AppState = {
   isConnected: false,
   isPaused: false,
   isFloatingMode: false,
+  isWatching: false,
+  isListening: false, // Push-to-talk button held
+  isHandsFree: false, // Microphone open, utterances found by voice activity detection
+  isStartingHandsFree: false, // Waiting for the microphone to open
+  providerState: "ok", // "ok", "retrying" or "unavailable"
 };
 
 const UI = {
   startBtn: document.getElementById("startBtn"),
   pauseBtn: document.getElementById("pauseBtn"),
   stopBtn: document.getElementById("stopBtn"),
+  watchBtn: document.getElementById("watchBtn"),
+  watchStatus: document.getElementById("watchStatus"),
+  providerStatus: document.getElementById("providerStatus"),
+  detailLevel: document.getElementById("detailLevel"),
+  micBtn: document.getElementById("micBtn"),
+  handsFreeBtn: document.getElementById("handsFreeBtn"),
+  redactionPreview: document.getElementById("redactionPreview"),
+  redactionSummary: document.getElementById("redactionSummary"),
+  redactionImage: document.getElementById("redactionImage"),
   saveSessionBtn: document.getElementById("saveSessionBtn"),
   clearChatBtn: document.getElementById("clearChatBtn"),
   statusIndicator: document.getElementById("statusIndicator"),
@@ -25,6 +39,9 @@ const UI = {
 
 function initializeApp() {
   setupButtonListeners();
+  applyAppSettings(window.Config.getSettings());
+  window.Config.onSettingsChange(applyAppSettings);
+  migrateDetailLevel();
 
   window.websocketManager.connect();
 
@@ -43,9 +60,29 @@ function initializeApp() {
     ipcRenderer.on("floating-stop", () => {
       stopScreenSharing();
     });
+
+    ipcRenderer.on("floating-watch-toggle", () => {
+      toggleWatchMode();
+    });
+
+    ipcRenderer.on("floating-voice-start", () => {
+      startVoiceInput();
+    });
+
+    ipcRenderer.on("floating-voice-stop", () => {
+      finishVoiceInput();
+    });
+
+    ipcRenderer.on("floating-hands-free-toggle", () => {
+      toggleHandsFree();
+    });
+
+    ipcRenderer.on("hotkey", (event, action) => {
+      handleHotkey(action);
+    });
   }
 
-  // Removed automatic frame capture handler - frames will be captured on-demand when sending messages
+  // Frames are captured on-demand when sending messages, or streamed while watch mode is on
 
   if (window.speechSynthesis) {
     window.speechSynthesis.onvoiceschanged = () => {
@@ -73,13 +110,17 @@ function setupButtonListeners() {
     if (AppState.isPaused) {
       window.webrtcManager.resumeCapture();
       AppState.isPaused = false;
-      UI.pauseBtn.textContent = "⏸️ Pause";
-      window.chatManager.addSystemMessage("Screen sharing resumed.");
+      UI.pauseBtn.textContent = window.I18n.translate("pauseButton");
+      window.chatManager.addSystemMessage(window.I18n.translate("screenSharingResumed"));
     } else {
       window.webrtcManager.pauseCapture();
       AppState.isPaused = true;
-      UI.pauseBtn.textContent = "▶️ Resume";
-      window.chatManager.addSystemMessage("Screen sharing paused.");
+      UI.pauseBtn.textContent = window.I18n.translate("resumeButton");
+      window.chatManager.addSystemMessage(window.I18n.translate("screenSharingPaused"));
+    }
+
+    if (AppState.isWatching) {
+      updateWatchControls(AppState.isPaused ? "paused" : "watching");
     }
   });
 
@@ -87,29 +128,47 @@ function setupButtonListeners() {
     stopScreenSharing();
   });
 
+  UI.watchBtn.addEventListener("click", () => {
+    toggleWatchMode();
+  });
+
+  // Push-to-talk: record while the button is held, send the transcript on release
+  UI.micBtn.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    startVoiceInput();
+  });
+
+  ["pointerup", "pointerleave"].forEach((eventName) => {
+    UI.micBtn.addEventListener(eventName, () => {
+      finishVoiceInput();
+    });
+  });
+
+  UI.handsFreeBtn.addEventListener("click", () => {
+    toggleHandsFree();
+  });
+
+  UI.detailLevel.addEventListener("change", () => {
+    setDetailLevel(UI.detailLevel.value);
+  });
+
   UI.saveSessionBtn.addEventListener("click", async () => {
     try {
       const sessionData = window.chatManager.getSessionData();
       await window.websocketManager.sendSessionData(sessionData);
 
-      window.chatManager.addSystemMessage("✅ Session saved successfully!");
-      alert("Session saved successfully!");
+      window.chatManager.addSystemMessage(window.I18n.translate("sessionSaved"));
+      alert(window.I18n.translate("sessionSavedAlert"));
     } catch (error) {
-      window.chatManager.addSystemMessage(
-        "❌ Failed to save session. Please try again."
-      );
-      alert(
-        "Failed to save session. Please check your connection to the backend."
-      );
+      window.chatManager.addSystemMessage(window.I18n.translate("sessionSaveFailed"));
+      alert(window.I18n.translate("sessionSaveFailedAlert"));
     }
   });
 
   UI.clearChatBtn.addEventListener("click", () => {
-    if (confirm("Are you sure you want to clear all chat messages?")) {
+    if (confirm(window.I18n.translate("confirmClearChat"))) {
       window.chatManager.clearChat();
-      window.chatManager.addSystemMessage(
-        "Chat cleared. Start a new conversation!"
-      );
+      window.chatManager.addSystemMessage(window.I18n.translate("chatCleared"));
     }
   });
 }
@@ -158,16 +217,403 @@ async function handleFloatingMessage(data) {
   }
 
   // Send message with frame data
+  let messageDiv;
   if (message && message !== "Analyze this screen") {
-    window.chatManager.addMessage(message, "user");
+    messageDiv = window.chatManager.addMessage(message, "user");
+  } else {
+    messageDiv = window.chatManager.addSystemMessage(window.I18n.translate("screenCaptured"));
+  }
+
+  const requestId = window.websocketManager.sendChatMessage(
+    message,
+    frameData,
+    window.webrtcManager.getWindowTitle()
+  );
+  window.chatManager.trackRequest(requestId, messageDiv);
+}
+
+function toggleWatchMode() {
+  if (AppState.isWatching) {
+    stopWatchMode();
+  } else {
+    startWatchMode();
+  }
+}
+
+function startWatchMode() {
+  if (!window.webrtcManager.isCaptureActive()) {
+    window.chatManager.addSystemMessage(window.I18n.translate("watchNeedsSharing"));
+    return;
+  }
+
+  if (!window.websocketManager.supportsWatchMode()) {
+    window.chatManager.addSystemMessage(window.I18n.translate("watchUnsupported"));
+    return;
+  }
+
+  AppState.isWatching = true;
+  window.websocketManager.setWatchMode(true);
+  window.webrtcManager.startFrameStreaming((frame) => {
+    window.websocketManager.sendFrame(frame, window.webrtcManager.getWindowTitle());
+  });
+
+  updateWatchControls("watching");
+  window.chatManager.addSystemMessage(window.I18n.translate("watchOn"));
+}
+
+function stopWatchMode() {
+  AppState.isWatching = false;
+  window.webrtcManager.stopFrameStreaming();
+  window.websocketManager.setWatchMode(false);
+
+  updateWatchControls("off");
+  window.chatManager.addSystemMessage(window.I18n.translate("watchOff"));
+}
+
+// Message keys of the watch mode status labels
+const WATCH_STATE_LABELS = {
+  off: "watchStateOff",
+  watching: "watchStateWatching",
+  analyzing: "watchStateAnalyzing",
+  paused: "watchStatePaused",
+};
+
+function updateWatchControls(state) {
+  UI.watchStatus.textContent = window.I18n.translate(WATCH_STATE_LABELS[state]);
+  UI.watchStatus.className = `watch-status ${state}`;
+  UI.watchBtn.textContent = window.I18n.translate(
+    AppState.isWatching ? "stopWatchingButton" : "watchButton"
+  );
+
+  // Mirror the state in the floating control bar
+  if (typeof require !== "undefined") {
+    const { ipcRenderer } = require("electron");
+    ipcRenderer.send("watch-status", { isWatching: AppState.isWatching, state });
+  }
+}
+
+async function startVoiceInput() {
+  // Hands-free mode is already listening
+  if (AppState.isListening || AppState.isHandsFree) return;
+
+  if (!window.voiceInputManager.isSupported()) {
+    window.chatManager.addSystemMessage(window.I18n.translate("voiceUnsupported"));
+    return;
+  }
+
+  if (!window.websocketManager.supportsSpeechInput()) {
+    window.chatManager.addSystemMessage(window.I18n.translate("voiceUnavailable"));
+    return;
+  }
+
+  // Talking over the assistant means the user wants to be heard
+  window.chatManager.stopSpeaking();
+
+  AppState.isListening = true;
+  updateVoiceControls("listening");
+
+  const started = await window.voiceInputManager.startRecording();
+  if (!started) {
+    AppState.isListening = false;
+    updateVoiceControls("off");
+    window.chatManager.addSystemMessage(window.I18n.translate("microphoneUnavailable"));
+  }
+}
+
+async function finishVoiceInput() {
+  if (!AppState.isListening) return;
+
+  AppState.isListening = false;
+  updateVoiceControls("transcribing");
+
+  try {
+    const recording = await window.voiceInputManager.stopRecording();
+    const transcript = recording
+      ? await window.voiceInputManager.transcribe(recording)
+      : "";
+
+    if (transcript) {
+      // Sent like a typed message, with a capture of the current screen
+      await window.chatManager.sendMessage(transcript);
+    } else {
+      window.chatManager.addSystemMessage(window.I18n.translate("voiceNothingHeard"));
+    }
+  } catch (error) {
+    console.error("Error transcribing voice input:", error);
+    window.chatManager.addSystemMessage(window.I18n.translate("voiceTranscriptionFailed"));
+  } finally {
+    updateVoiceControls("off");
+  }
+}
+
+function toggleHandsFree() {
+  if (AppState.isHandsFree) {
+    stopHandsFree();
+  } else {
+    startHandsFree();
+  }
+}
+
+async function startHandsFree() {
+  // A second toggle while the microphone opens would start a second stream
+  if (AppState.isHandsFree || AppState.isStartingHandsFree) return;
+
+  if (!window.voiceInputManager.isSupported()) {
+    window.chatManager.addSystemMessage(window.I18n.translate("voiceUnsupported"));
+    return;
+  }
+
+  if (!window.websocketManager.supportsSpeechInput()) {
+    window.chatManager.addSystemMessage(window.I18n.translate("voiceUnavailable"));
+    return;
+  }
+
+  AppState.isStartingHandsFree = true;
+  let started;
+  try {
+    started = await window.voiceInputManager.startHandsFree({
+      // Barge-in: the user talking over the assistant stops it at once
+      onSpeechStart: () => {
+        window.chatManager.stopSpeaking();
+        updateVoiceControls("listening");
+      },
+      onUtterance: (recording) => {
+        handleUtterance(recording);
+      },
+      isAssistantSpeaking: () => window.chatManager.isSpeaking(),
+    });
+  } finally {
+    AppState.isStartingHandsFree = false;
+  }
+
+  if (!started) {
+    window.chatManager.addSystemMessage(window.I18n.translate("microphoneUnavailable"));
+    return;
+  }
+
+  AppState.isHandsFree = true;
+  updateHandsFreeControls();
+  window.chatManager.addSystemMessage(window.I18n.translate("handsFreeOn"));
+}
+
+function stopHandsFree() {
+  window.voiceInputManager.stopHandsFree();
+  AppState.isHandsFree = false;
+  updateHandsFreeControls();
+  updateVoiceControls("off");
+  window.chatManager.addSystemMessage(window.I18n.translate("handsFreeOff"));
+}
+
+// Utterances are transcribed one at a time so they reach the chat in the order they were said
+let utteranceQueue = Promise.resolve();
+
+function handleUtterance(recording) {
+  updateVoiceControls("transcribing");
+
+  utteranceQueue = utteranceQueue.then(async () => {
+    try {
+      const transcript = await window.voiceInputManager.transcribe(recording);
+
+      // Coughs and background noise come back empty and are dropped quietly
+      if (transcript) {
+        await window.chatManager.sendMessage(transcript);
+      }
+    } catch (error) {
+      console.error("Error transcribing hands-free utterance:", error);
+      window.chatManager.addSystemMessage(window.I18n.translate("voiceTranscriptionFailed"));
+    } finally {
+      updateVoiceControls(window.voiceInputManager.isHearingSpeech() ? "listening" : "off");
+    }
+  });
+}
+
+function updateHandsFreeControls() {
+  UI.handsFreeBtn.classList.toggle("active", AppState.isHandsFree);
+
+  if (typeof require !== "undefined") {
+    const { ipcRenderer } = require("electron");
+    ipcRenderer.send("hands-free-status", AppState.isHandsFree);
+  }
+}
+
+function updateVoiceControls(state) {
+  const labels = {
+    off: "🎤",
+    listening: "🔴",
+    transcribing: "⏳",
+  };
+
+  UI.micBtn.textContent = labels[state];
+  UI.micBtn.className = `btn btn-secondary mic-btn ${state}`;
+
+  // Mirror the state in the floating control bar
+  if (typeof require !== "undefined") {
+    const { ipcRenderer } = require("electron");
+    ipcRenderer.send("voice-status", state);
+  }
+}
+
+function showHighlight(target) {
+  if (typeof require !== "undefined") {
+    const { ipcRenderer } = require("electron");
+
+    // Draw on the display that is being shared
+    ipcRenderer.send("show-highlight", {
+      target,
+      displayId: window.webrtcManager.getDisplayId(),
+    });
+  }
+}
+
+function hideHighlight() {
+  if (typeof require !== "undefined") {
+    const { ipcRenderer } = require("electron");
+    ipcRenderer.send("hide-highlight");
+  }
+}
+
+function sendRedactionRegions() {
+  const regions = window.Config.getRedactionRegions();
+  if (regions.length > 0) {
+    window.websocketManager.updateMetadata({ redactRegions: regions });
+  }
+}
+
+// Applies the initial settings (previous is null) and every later change, whichever window made it
+function applyAppSettings(settings, previous = null) {
+  const changed = (key) =>
+    !previous || JSON.stringify(previous[key]) !== JSON.stringify(settings[key]);
+
+  if (changed("detailLevel")) {
+    window.websocketManager.setDetailLevel(settings.detailLevel);
+    UI.detailLevel.value = settings.detailLevel;
+
+    if (previous && window.websocketManager.isOpen() && !window.websocketManager.supportsDetailLevel()) {
+      window.chatManager.addSystemMessage(window.I18n.translate("detailLevelUnsupported"));
+    }
+  }
+
+  if (changed("tts")) {
+    window.chatManager.setSpeechSettings(settings.tts);
+    window.websocketManager.setSpeechAudio(settings.tts.enabled);
+  }
+
+  if (previous && changed("language")) {
+    window.websocketManager.updateLanguage();
+  }
+
+  if (changed("frameRate")) {
+    window.webrtcManager.setFrameRate(settings.frameRate);
+  }
+
+  if (changed("captureSource")) {
+    window.webrtcManager.setCaptureSource(settings.captureSource);
+  }
+
+  if (previous && changed("backendUrl")) {
+    window.chatManager.addSystemMessage(
+      window.I18n.translate("backendChanged", { url: settings.backendUrl })
+    );
+    window.websocketManager.switchServer();
+  }
+}
+
+// The detail level used to be kept in localStorage, before there was a settings file
+const LEGACY_DETAIL_LEVEL_KEY = "guidanceDetailLevel";
+
+function migrateDetailLevel() {
+  const saved = localStorage.getItem(LEGACY_DETAIL_LEVEL_KEY);
+  if (!saved) return;
+
+  localStorage.removeItem(LEGACY_DETAIL_LEVEL_KEY);
+  setDetailLevel(saved);
+}
+
+function setDetailLevel(level) {
+  // Saved by the main process, then applied here by applyAppSettings()
+  window.Config.updateSettings({ detailLevel: level }).then(({ errors }) => {
+    if (errors.length > 0) {
+      console.warn("Detail level not saved:", errors);
+      UI.detailLevel.value = window.websocketManager.detailLevel;
+    }
+  });
+}
+
+// Global shortcuts registered by the main process from the settings
+function handleHotkey(action) {
+  switch (action) {
+    case "handsFree":
+      toggleHandsFree();
+      break;
+
+    case "watchMode":
+      toggleWatchMode();
+      break;
+
+    case "stopSharing":
+      if (AppState.isScreenSharing) {
+        stopScreenSharing();
+      }
+      break;
+  }
+}
+
+function showRedactionPreview(data) {
+  if (!data.blocked && data.maskedRegions.length === 0) {
+    UI.redactionPreview.classList.add("hidden");
+    return;
+  }
+
+  UI.redactionSummary.textContent = data.blocked
+    ? window.I18n.translate("redactionBlocked")
+    : window.I18n.translate("redactionMasked", { count: data.maskedRegions.length });
+
+  if (data.image) {
+    UI.redactionImage.src = `data:${data.mimeType};base64,${data.image}`;
+    UI.redactionImage.classList.remove("hidden");
   } else {
-    window.chatManager.addSystemMessage("📸 Screen captured and sent to AI");
+    UI.redactionImage.classList.add("hidden");
   }
 
-  window.websocketManager.sendChatMessage(message, frameData);
+  UI.redactionPreview.classList.remove("hidden");
+}
+
+// Message keys of the labels for the AI service line of the status card
+const PROVIDER_STATE_LABELS = {
+  ok: "providerOk",
+  retrying: "providerRetrying",
+  unavailable: "providerUnavailable",
+};
+
+function setProviderState(state) {
+  AppState.providerState = state;
+  UI.providerStatus.textContent = PROVIDER_STATE_LABELS[state]
+    ? window.I18n.translate(PROVIDER_STATE_LABELS[state])
+    : state;
+  UI.providerStatus.className = `provider-status ${state}`;
+}
+
+function showProviderDegraded(data) {
+  if (AppState.providerState === data.state) return;
+
+  setProviderState(data.state);
+  window.chatManager.addSystemMessage(window.I18n.translateProviderDegraded(data));
+}
+
+function showProviderRecovered() {
+  if (AppState.providerState === "ok") return;
+
+  setProviderState("ok");
+  window.chatManager.addSystemMessage(window.I18n.translate("providerRecovered"));
 }
 
 function stopScreenSharing() {
+  if (AppState.isWatching) {
+    stopWatchMode();
+  }
+
+  hideHighlight();
+
   window.webrtcManager.stopCapture();
   AppState.isScreenSharing = false;
   AppState.isPaused = false;
@@ -178,7 +624,7 @@ function stopScreenSharing() {
   }
 
   updateUIForScreenSharing(false);
-  window.chatManager.addSystemMessage("Screen sharing stopped.");
+  window.chatManager.addSystemMessage(window.I18n.translate("screenSharingStopped"));
 }
 
 function updateUIForScreenSharing(isSharing) {
@@ -186,15 +632,17 @@ function updateUIForScreenSharing(isSharing) {
     UI.startBtn.disabled = true;
     UI.pauseBtn.disabled = false;
     UI.stopBtn.disabled = false;
+    UI.watchBtn.disabled = false;
     UI.statusIndicator.className = "status-dot status-active";
-    UI.statusText.textContent = "Screen Sharing Active";
+    UI.statusText.textContent = window.I18n.translate("sharingActive");
   } else {
     UI.startBtn.disabled = false;
     UI.pauseBtn.disabled = true;
     UI.stopBtn.disabled = true;
-    UI.pauseBtn.textContent = "⏸️ Pause";
+    UI.watchBtn.disabled = true;
+    UI.pauseBtn.textContent = window.I18n.translate("pauseButton");
     UI.statusIndicator.className = "status-dot status-inactive";
-    UI.statusText.textContent = "Not Sharing";
+    UI.statusText.textContent = window.I18n.translate("sharingInactive");
   }
 }
 
@@ -205,10 +653,24 @@ function handleWebSocketMessage(data) {
     case "chat":
     case "response":
       if (data.message) {
-        window.chatManager.handleAIResponse(data.message);
+        window.chatManager.handleAIResponse(data.message, data.requestId, data.promptVersion);
+      }
+      break;
+
+    case "response_chunk":
+      if (data.message) {
+        window.chatManager.handleAIResponseChunk(data.message, data.requestId);
       }
       break;
 
+    case "audio_chunk":
+      window.chatManager.handleAudioChunk(data);
+      break;
+
+    case "response_end":
+      window.chatManager.finishAIResponse(data.message, data.requestId, data.promptVersion);
+      break;
+
     case "frame":
       break;
 
@@ -217,17 +679,99 @@ function handleWebSocketMessage(data) {
       break;
 
     case "error":
-      window.chatManager.addSystemMessage(`⚠️ Error: ${data.message}`);
-      // Restore button state on error
-      window.chatManager.setButtonThinking(false);
+      window.chatManager.handleError(data);
+      break;
+
+    case "cancelled":
+      window.chatManager.handleCancelled(data);
+      hideHighlight();
+      break;
+
+    case "highlight":
+      if (AppState.isScreenSharing) {
+        showHighlight(data.target);
+      }
       break;
 
     case "status":
+      // The server has started working on this message
+      if (data.requestId) {
+        window.chatManager.updateRequestStatus(data.requestId, "processing");
+      }
       break;
 
     case "connection":
       break;
 
+    case "connection_ack":
+      // The server follows up with "provider_degraded" if its provider is struggling
+      setProviderState("ok");
+      window.chatManager.setServerSpeech(window.websocketManager.supportsSpeechOutput());
+
+      // A new server session starts with watch mode off and no redaction regions
+      if (AppState.isWatching) {
+        window.websocketManager.setWatchMode(true);
+      }
+      sendRedactionRegions();
+      break;
+
+    case "redaction_preview":
+      showRedactionPreview(data);
+      break;
+
+    case "provider_degraded":
+      showProviderDegraded(data);
+      break;
+
+    case "provider_recovered":
+      showProviderRecovered();
+      break;
+
+    case "watch_status":
+      // Ignore updates that arrive after watch mode was turned off
+      if (AppState.isWatching && data.enabled) {
+        updateWatchControls(AppState.isPaused ? "paused" : data.state);
+      }
+      break;
+
+    case "resumed":
+      if (data.plan) {
+        window.planManager.showPlan(data.plan);
+      }
+      window.chatManager.addSystemMessage(window.I18n.translate("sessionResumed"));
+      break;
+
+    case "resume_failed":
+      window.planManager.clear();
+      window.chatManager.addSystemMessage(window.I18n.translate("sessionExpired"));
+      break;
+
+    case "plan":
+      window.planManager.showPlan(data);
+      break;
+
+    case "step_started":
+      window.planManager.startStep(data.index);
+      break;
+
+    case "step_completed":
+      // The highlighted element belonged to the finished step
+      hideHighlight();
+      window.planManager.completeStep(data.index);
+      if (data.planComplete) {
+        window.chatManager.addSystemMessage(window.I18n.translate("planComplete"));
+      }
+      break;
+
+    case "plan_revised":
+      window.planManager.showPlan(data);
+      window.chatManager.addSystemMessage(
+        data.reason
+          ? window.I18n.translate("planUpdatedWithReason", { reason: data.reason })
+          : window.I18n.translate("planUpdated")
+      );
+      break;
+
     default:
       break;
   }
@@ -238,35 +782,33 @@ function handleConnectionStatus(status) {
 
   switch (status) {
     case "connected":
-      UI.connectionStatus.textContent = "Connected ✓";
+      UI.connectionStatus.textContent = window.I18n.translate("connectionConnected");
       UI.connectionStatus.style.color = "#28a745";
       UI.statusIndicator.className = "status-dot status-active";
       break;
 
     case "connecting":
     case "reconnecting":
-      UI.connectionStatus.textContent = "Connecting...";
+      UI.connectionStatus.textContent = window.I18n.translate("connectionConnecting");
       UI.connectionStatus.style.color = "#ffc107";
       UI.statusIndicator.className = "status-dot status-connecting";
       break;
 
     case "disconnected":
-      UI.connectionStatus.textContent = "Disconnected";
+      UI.connectionStatus.textContent = window.I18n.translate("connectionDisconnected");
       UI.connectionStatus.style.color = "#dc3545";
       UI.statusIndicator.className = "status-dot status-inactive";
       break;
 
     case "error":
-      UI.connectionStatus.textContent = "Connection Error";
+      UI.connectionStatus.textContent = window.I18n.translate("connectionError");
       UI.connectionStatus.style.color = "#dc3545";
       break;
 
     case "failed":
-      UI.connectionStatus.textContent = "Connection Failed";
+      UI.connectionStatus.textContent = window.I18n.translate("connectionFailedLabel");
       UI.connectionStatus.style.color = "#dc3545";
-      window.chatManager.addSystemMessage(
-        "⚠️ Connection failed. Please refresh the page."
-      );
+      window.chatManager.addSystemMessage(window.I18n.translate("connectionFailed"));
       break;
   }
 }
@@ -1,11 +1,34 @@
+// Display and speech renderings of AI responses, also used by the backend
+const Rendering = require("../../shared/rendering.js");
+
+// Progress label shown under a user message while its request is open (message keys, see i18n.js)
+const REQUEST_STATE_LABELS = {
+  sending: "requestSending",
+  processing: "requestProcessing",
+  failed: "requestFailed",
+  cancelled: "requestCancelledLabel",
+};
+
 class ChatManager {
   constructor() {
     this.chatMessages = document.getElementById("chatMessages");
     this.chatInput = document.getElementById("chatInput");
     this.sendBtn = document.getElementById("sendBtn");
+    this.cancelBtn = document.getElementById("cancelBtn");
     this.messageHistory = [];
     this.ttsEnabled = true;
+    // Voice name (null picks one for the language), rate and pitch, from the settings
+    this.speechSettings = { voice: null, rate: 1, pitch: 1 };
     this.synthesis = window.speechSynthesis;
+    // Server speech: sentences arrive as audio and play one after another
+    this.serverSpeech = false;
+    this.audioQueue = [];
+    this.currentAudio = null;
+    this.audioRequests = new Set(); // Requests whose audio has started arriving
+    this.mutedRequests = new Set(); // Requests whose remaining audio was stopped
+    this.streamingResponse = null;
+    // Messages waiting for an answer, keyed by request ID
+    this.pendingMessages = new Map();
 
     this.initializeSession();
 
@@ -56,19 +79,38 @@ class ChatManager {
         this.sendMessage();
       }
     });
+
+    if (this.cancelBtn) {
+      this.cancelBtn.addEventListener("click", () => {
+        this.cancelRequest();
+      });
+    }
   }
 
-  async sendMessage() {
-    const message = this.chatInput.value.trim();
+  cancelRequest() {
+    // The server answers with a "cancelled" message, see handleCancelled()
+    window.websocketManager.sendCancel();
+    this.stopSpeaking();
+  }
+
+  handleCancelled(data = {}) {
+    this.discardStreamingResponse();
+    (data.cancelledRequestIds || []).forEach((requestId) => {
+      this.settleRequest(requestId, "cancelled");
+    });
+    this.addSystemMessage(window.I18n.translate("requestCancelled"));
+  }
+
+  // Sends the typed message, or the given text (a voice transcript) leaving the input alone
+  async sendMessage(text) {
+    const isTyped = text === undefined;
+    const message = (isTyped ? this.chatInput.value : text).trim();
 
     if (!message) {
       return;
     }
 
-    this.addMessage(message, "user");
-
-    // Set button to thinking state
-    this.setButtonThinking(true);
+    const messageDiv = this.addMessage(message, "user");
 
     // Always capture screen frame - auto-start capture if not active
     let frameData = null;
@@ -80,8 +122,7 @@ class ChatManager {
       const success = await window.webrtcManager.startCapture();
       if (!success) {
         console.warn("Failed to auto-start screen capture");
-        this.addSystemMessage("⚠️ Screen capture unavailable. Sending message without screen context.");
-        this.setButtonThinking(false);
+        this.addSystemMessage(window.I18n.translate("captureUnavailable"));
       }
     }
     
@@ -95,65 +136,238 @@ class ChatManager {
     }
 
     // Send message with frame data to backend
-    window.websocketManager.sendChatMessage(message, frameData);
+    const requestId = window.websocketManager.sendChatMessage(
+      message,
+      frameData,
+      window.webrtcManager.getWindowTitle()
+    );
+    this.trackRequest(requestId, messageDiv);
 
-    this.chatInput.value = "";
+    if (isTyped) {
+      this.chatInput.value = "";
+    }
 
     this.saveSessionToLocalStorage();
   }
 
-  addMessage(text, type = "ai") {
+  renderMessage(text, type) {
     const messageDiv = document.createElement("div");
     messageDiv.className = `message ${type}-message`;
 
     const messageParagraph = document.createElement("p");
-    messageParagraph.textContent = text;
+    messageParagraph.textContent = type === "ai" ? Rendering.toDisplayText(text) : text;
     messageDiv.appendChild(messageParagraph);
 
     this.chatMessages.appendChild(messageDiv);
 
     this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
 
-    this.messageHistory.push({
+    return messageParagraph;
+  }
+
+  addMessage(text, type = "ai", promptVersion = null) {
+    const messageDiv = this.renderMessage(text, type).parentElement;
+
+    this.messageHistory.push(this.createHistoryEntry(text, type, promptVersion));
+
+    if (type === "ai" && this.ttsEnabled && !this.serverSpeech) {
+      this.speak(text);
+    }
+
+    this.saveSessionToLocalStorage();
+
+    return messageDiv;
+  }
+
+  createHistoryEntry(text, type, promptVersion = null) {
+    const entry = {
       text: text,
       type: type,
       timestamp: new Date().toISOString(),
-    });
+    };
+    // Saved with the session, so a response can be traced to the prompt template behind it
+    if (promptVersion) entry.promptVersion = promptVersion;
+    return entry;
+  }
 
-    if (type === "ai" && this.ttsEnabled) {
-      this.speak(text);
+  trackRequest(requestId, messageDiv) {
+    if (!requestId) {
+      this.setRequestState(messageDiv, "failed", window.I18n.translate("requestNotConnected"));
+      return;
+    }
+
+    this.pendingMessages.set(requestId, messageDiv);
+    this.setRequestState(messageDiv, "sending");
+    this.updateRequestControls();
+  }
+
+  updateRequestStatus(requestId, state) {
+    const messageDiv = this.pendingMessages.get(requestId);
+    if (messageDiv) {
+      this.setRequestState(messageDiv, state);
+    }
+  }
+
+  settleRequest(requestId, state = "done", detail = "") {
+    const messageDiv = this.pendingMessages.get(requestId);
+    if (!messageDiv) return;
+
+    this.pendingMessages.delete(requestId);
+    this.setRequestState(messageDiv, state, detail);
+    this.updateRequestControls();
+  }
+
+  setRequestState(messageDiv, state, detail = "") {
+    messageDiv.dataset.requestState = state;
+
+    let status = messageDiv.querySelector(".message-status");
+    if (state === "done") {
+      if (status) status.remove();
+      return;
+    }
+
+    if (!status) {
+      status = document.createElement("span");
+      status.className = "message-status";
+      messageDiv.appendChild(status);
+    }
+
+    const label = window.I18n.translate(REQUEST_STATE_LABELS[state]);
+    status.textContent = detail ? `${label}: ${detail}` : label;
+  }
+
+  updateRequestControls() {
+    // Sending stays possible (the server answers in order), cancelling needs something to cancel
+    if (this.cancelBtn) {
+      this.cancelBtn.classList.toggle("hidden", this.pendingMessages.size === 0);
+    }
+  }
+
+  handleError(data) {
+    // Drop a partial answer unless it belongs to another request
+    const stream = this.streamingResponse;
+    if (!stream || !data.requestId || stream.requestId === data.requestId) {
+      this.discardStreamingResponse();
+    }
+
+    const message = window.I18n.translateError(data);
+    if (this.pendingMessages.has(data.requestId)) {
+      this.settleRequest(data.requestId, "failed", message);
+    } else {
+      this.addSystemMessage(window.I18n.translate("error", { message }));
+    }
+  }
+
+  handleAIResponse(message, requestId = null, promptVersion = null) {
+    this.addMessage(message, "ai", promptVersion);
+    this.settleRequest(requestId);
+  }
+
+  handleAIResponseChunk(text, requestId = null) {
+    if (!this.streamingResponse) {
+      // New response - stop whatever is still being read out
+      this.stopSpeaking();
+      this.streamingResponse = {
+        requestId,
+        paragraph: this.renderMessage("", "ai"),
+        text: "",
+        spokenLength: 0,
+      };
+    }
+
+    const stream = this.streamingResponse;
+    stream.text += text;
+    stream.paragraph.textContent = Rendering.toDisplayText(stream.text);
+    this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    // Start speaking as soon as a full sentence is available
+    const unspoken = stream.text.slice(stream.spokenLength);
+    const sentenceEnd = this.findLastSentenceEnd(unspoken);
+    if (sentenceEnd > 0) {
+      this.speakStreamed(unspoken.slice(0, sentenceEnd));
+      stream.spokenLength += sentenceEnd;
+    }
+  }
+
+  finishAIResponse(message, requestId = null, promptVersion = null) {
+    const stream = this.streamingResponse;
+
+    if (!stream) {
+      // Nothing was streamed (e.g. the chunks were lost), show the full text
+      this.handleAIResponse(message, requestId, promptVersion);
+      return;
     }
 
+    this.streamingResponse = null;
+
+    const text = message || stream.text;
+    stream.paragraph.textContent = Rendering.toDisplayText(text);
+
+    // Speak whatever was left after the last sentence boundary
+    this.speakStreamed(text.slice(stream.spokenLength));
+
+    this.messageHistory.push(this.createHistoryEntry(text, "ai", promptVersion));
     this.saveSessionToLocalStorage();
+
+    this.settleRequest(requestId);
+  }
+
+  discardStreamingResponse() {
+    if (!this.streamingResponse) return;
+
+    // A half-finished instruction is misleading, so drop it entirely
+    this.streamingResponse.paragraph.parentElement.remove();
+    this.streamingResponse = null;
+    this.stopSpeaking();
+  }
+
+  findLastSentenceEnd(text) {
+    // Sentence punctuation followed by whitespace, so "google.com" is not split, or a line break;
+    // the number of a list item ("2. Click Save") does not end a sentence
+    const boundary = /(?<!(?:^|\n)\s*\d{1,3})[.!?]+["')\]]*\s+|\n+/g;
+    let end = 0;
+    let match;
+    while ((match = boundary.exec(text)) !== null) {
+      end = match.index + match[0].length;
+    }
+    return end;
   }
 
-  handleAIResponse(message) {
-    this.addMessage(message, "ai");
-    // Restore button state after receiving response
-    this.setButtonThinking(false);
+  speakStreamed(text) {
+    if (this.ttsEnabled && !this.serverSpeech && text.trim()) {
+      this.speak(text.trim(), true);
+    }
   }
 
-  speak(text) {
+  speak(text, queue = false, onEnd = null) {
     try {
-      this.synthesis.cancel();
+      // Queued speech plays after the current utterance instead of replacing it
+      if (!queue) {
+        this.synthesis.cancel();
+      }
 
-      const utterance = new SpeechSynthesisUtterance(text);
+      // Read without formatting, with shortcuts spelled out and web addresses and paths shortened
+      const speech = Rendering.toSpeechText(text);
+      if (!speech) {
+        if (onEnd) onEnd();
+        return;
+      }
+
+      const utterance = new SpeechSynthesisUtterance(speech);
 
-      utterance.rate = 1.0;
-      utterance.pitch = 1.0;
+      utterance.rate = this.speechSettings.rate;
+      utterance.pitch = this.speechSettings.pitch;
       utterance.volume = 1.0;
 
+      const language = window.Config.getLanguage();
+      utterance.lang = language;
+
       const voices = this.synthesis.getVoices();
-      const englishVoice =
-        voices.find(
-          (voice) =>
-            voice.lang.startsWith("en") && voice.name.includes("Female")
-        ) ||
-        voices.find((voice) => voice.lang.startsWith("en")) ||
-        voices[0];
-
-      if (englishVoice) {
-        utterance.voice = englishVoice;
+      const voice =
+        voices.find((candidate) => candidate.name === this.speechSettings.voice) ||
+        this.selectVoice(voices, language);
+      if (voice) {
+        utterance.voice = voice;
       }
 
       utterance.onstart = () => {
@@ -162,10 +376,12 @@ class ChatManager {
 
       utterance.onend = () => {
         console.log("TTS finished");
+        if (onEnd) onEnd();
       };
 
       utterance.onerror = (event) => {
         console.error("TTS error:", event);
+        if (onEnd) onEnd();
       };
 
       this.synthesis.speak(utterance);
@@ -174,8 +390,108 @@ class ChatManager {
     }
   }
 
+  // Prefer a voice for the exact language tag, then any voice for the base language
+  selectVoice(voices, language) {
+    const normalize = (tag) => (tag || "").replace(/_/g, "-").toLowerCase();
+    const wanted = normalize(language);
+    const base = wanted.split("-")[0];
+
+    const sameLanguage = voices.filter(
+      (voice) => normalize(voice.lang).split("-")[0] === base
+    );
+
+    return (
+      sameLanguage.find((voice) => normalize(voice.lang) === wanted) ||
+      sameLanguage.find((voice) => voice.name.includes("Female")) ||
+      sameLanguage[0] ||
+      voices[0] ||
+      null
+    );
+  }
+
+  // Responses are spoken by the server when it has a voice for the session, see handleAudioChunk()
+  setServerSpeech(enabled) {
+    this.serverSpeech = enabled;
+  }
+
+  handleAudioChunk({ requestId, audio, mimeType, text, final }) {
+    // The empty last chunk of a response: nothing more is coming to play or drop
+    if (final) {
+      this.audioRequests.delete(requestId);
+      this.mutedRequests.delete(requestId);
+      return;
+    }
+
+    if (!this.ttsEnabled || this.mutedRequests.has(requestId)) return;
+
+    this.audioRequests.add(requestId);
+    this.audioQueue.push({ audio, mimeType, text });
+    if (!this.currentAudio) {
+      this.playNextAudio();
+    }
+  }
+
+  playNextAudio() {
+    const item = this.audioQueue.shift();
+    if (!item) {
+      this.currentAudio = null;
+      return;
+    }
+
+    // Sentences the server could not synthesise come without audio, the system voice reads them
+    if (!item.audio) {
+      const fallback = { text: item.text };
+      this.currentAudio = fallback;
+      this.speak(item.text, true, () => {
+        if (this.currentAudio === fallback) this.playNextAudio();
+      });
+      return;
+    }
+
+    const url = URL.createObjectURL(
+      new Blob([item.audio], { type: item.mimeType || "audio/wav" })
+    );
+    const player = new Audio(url);
+    // The server picks the voice; only the speed can be changed here
+    player.playbackRate = this.speechSettings.rate;
+    this.currentAudio = player;
+
+    const playNext = () => {
+      URL.revokeObjectURL(url);
+      if (this.currentAudio === player) this.playNextAudio();
+    };
+    player.addEventListener("ended", playNext);
+    player.addEventListener("error", playNext);
+
+    Promise.resolve(player.play()).catch((error) => {
+      console.error("Error playing speech audio:", error);
+      playNext();
+    });
+  }
+
   stopSpeaking() {
     this.synthesis.cancel();
+
+    // Audio still on its way for these requests is dropped too
+    this.audioRequests.forEach((requestId) => this.mutedRequests.add(requestId));
+    this.audioRequests.clear();
+    this.audioQueue = [];
+    if (this.currentAudio && this.currentAudio.pause) {
+      this.currentAudio.pause();
+    }
+    this.currentAudio = null;
+  }
+
+  isSpeaking() {
+    return Boolean(this.currentAudio || this.synthesis.speaking || this.synthesis.pending);
+  }
+
+  setSpeechSettings({ enabled, voice, rate, pitch }) {
+    this.ttsEnabled = enabled;
+    this.speechSettings = { voice, rate, pitch };
+    if (!enabled) {
+      this.stopSpeaking();
+    }
   }
 
   toggleTTS() {
@@ -222,19 +538,7 @@ class ChatManager {
   }
 
   addSystemMessage(text) {
-    this.addMessage(text, "system");
-  }
-
-  setButtonThinking(isThinking) {
-    if (isThinking) {
-      this.sendBtn.disabled = true;
-      this.sendBtn.textContent = "Thinking...";
-      this.sendBtn.classList.add("btn-thinking");
-    } else {
-      this.sendBtn.disabled = false;
-      this.sendBtn.textContent = "Send";
-      this.sendBtn.classList.remove("btn-thinking");
-    }
+    return this.addMessage(text, "system");
   }
 }
 
@@ -4,16 +4,38 @@ const Config = {
   BACKEND_URL: "http://localhost:5000",
   WS_URL: null,
   FRAME_RATE: 1,
+  REDACTION_REGIONS: [], // Screen areas the server masks before analysis
+  LANGUAGE: null, // Language tag for guidance, voices and messages, from the settings
+  SYSTEM_LANGUAGE: null, // LANGUAGE in .env, otherwise the system language; used while the setting is empty
+  settings: null, // User settings, owned by the main process (see settings.js)
   initialized: false,
 };
 
+const settingsCallbacks = [];
+
+function applyConfigSettings(settings) {
+  Config.settings = settings;
+  Config.BACKEND_URL = settings.backendUrl;
+  Config.FRAME_RATE = settings.frameRate;
+  Config.LANGUAGE = settings.language || Config.SYSTEM_LANGUAGE;
+  Config.WS_URL =
+    Config.BACKEND_URL.replace("http://", "ws://").replace(
+      "https://",
+      "wss://"
+    ) + "/ws";
+}
+
 function initializeConfig() {
   try {
     const dotenv = require("dotenv");
     const result = dotenv.config();
 
-    if (result.parsed && result.parsed.BACKEND_URL) {
-      Config.BACKEND_URL = result.parsed.BACKEND_URL;
+    if (result.parsed && result.parsed.REDACTION_REGIONS) {
+      Config.REDACTION_REGIONS = JSON.parse(result.parsed.REDACTION_REGIONS);
+    }
+
+    if (result.parsed && result.parsed.LANGUAGE) {
+      Config.SYSTEM_LANGUAGE = result.parsed.LANGUAGE;
     }
   } catch (error) {
     console.warn(
@@ -22,11 +44,12 @@ function initializeConfig() {
     );
   }
 
-  Config.WS_URL =
-    Config.BACKEND_URL.replace("http://", "ws://").replace(
-      "https://",
-      "wss://"
-    ) + "/ws";
+  if (!Config.SYSTEM_LANGUAGE) {
+    Config.SYSTEM_LANGUAGE = navigator.language || "en";
+  }
+
+  // The backend URL, frame rate and language are user settings; BACKEND_URL in .env is only their first-run default
+  applyConfigSettings(ipcRenderer.sendSync("settings-get"));
 
   Config.initialized = true;
 
@@ -34,6 +57,7 @@ function initializeConfig() {
     BACKEND_URL: Config.BACKEND_URL,
     WS_URL: Config.WS_URL,
     FRAME_RATE: Config.FRAME_RATE,
+    LANGUAGE: Config.LANGUAGE,
   });
 }
 
@@ -55,10 +79,43 @@ function getFrameRate() {
   return Config.FRAME_RATE;
 }
 
+function getRedactionRegions() {
+  return Config.REDACTION_REGIONS;
+}
+
+function getLanguage() {
+  return Config.LANGUAGE;
+}
+
+function getSettings() {
+  return Config.settings;
+}
+
+// Resolves with { settings, errors, warnings }; nothing is saved when there are errors
+function updateSettings(changes) {
+  return ipcRenderer.invoke("settings-update", changes);
+}
+
+// Called with (settings, previous) whenever a window changes the settings
+function onSettingsChange(callback) {
+  settingsCallbacks.push(callback);
+}
+
+ipcRenderer.on("settings-changed", (event, settings) => {
+  const previous = Config.settings;
+  applyConfigSettings(settings);
+  settingsCallbacks.forEach((callback) => callback(settings, previous));
+});
+
 initializeConfig();
 
 window.Config = {
   getBackendURL,
   getWebSocketURL,
   getFrameRate,
+  getRedactionRegions,
+  getLanguage,
+  getSettings,
+  updateSettings,
+  onSettingsChange,
 };
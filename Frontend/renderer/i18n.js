@@ -0,0 +1,415 @@
+// Interface text in the user's language
+// System messages are looked up by key in the configured language, falling back to English
+
+const DEFAULT_LANGUAGE = "en";
+
+// Messages by language, "{name}" is replaced by the matching parameter
+const MESSAGES = {
+  en: {
+    screenSharingResumed: "Screen sharing resumed.",
+    screenSharingPaused: "Screen sharing paused.",
+    screenSharingStopped: "Screen sharing stopped.",
+    screenCaptured: "📸 Screen captured and sent to AI",
+    captureUnavailable: "⚠️ Screen capture unavailable. Sending message without screen context.",
+    sessionSaved: "✅ Session saved successfully!",
+    sessionSavedAlert: "Session saved successfully!",
+    sessionSaveFailed: "❌ Failed to save session. Please try again.",
+    sessionSaveFailedAlert: "Failed to save session. Please check your connection to the backend.",
+    confirmClearChat: "Are you sure you want to clear all chat messages?",
+    chatCleared: "Chat cleared. Start a new conversation!",
+    watchNeedsSharing: "⚠️ Start screen sharing before turning on watch mode.",
+    watchUnsupported: "⚠️ Watch mode is not supported by the connected server.",
+    watchOn: "👁️ Watch mode on. I'll speak up when your screen changes or you seem stuck.",
+    watchOff: "Watch mode off.",
+    detailLevelUnsupported: "⚠️ Guidance detail levels are not supported by the connected server.",
+    providerRecovered: "✅ The AI service is responding again.",
+    sessionResumed: "🔄 Reconnected. Your session was restored.",
+    sessionExpired: "⚠️ Reconnected, but the previous session had expired. Starting a new session.",
+    connectionFailed: "⚠️ Connection failed. Please refresh the page.",
+    planComplete: "🎉 All steps are done!",
+    planUpdated: "🔄 Plan updated.",
+    planUpdatedWithReason: "🔄 Plan updated: {reason}",
+    requestCancelled: "⏹️ Request cancelled.",
+    error: "⚠️ Error: {message}",
+    voiceUnsupported: "⚠️ Voice input is not available in this app.",
+    voiceUnavailable: "⚠️ The connected server does not accept voice input.",
+    microphoneUnavailable: "⚠️ Could not open the microphone.",
+    voiceNothingHeard: "🎤 I didn't catch that. Hold the button while you speak.",
+    voiceTranscriptionFailed: "⚠️ Could not understand the recording. Please try again.",
+    handsFreeOn: "🗣️ Hands-free on. Just speak when you need me, and I'll stop talking when you do.",
+    handsFreeOff: "Hands-free off.",
+    backendChanged: "🔌 Connecting to {url}...",
+    requestSending: "Sending...",
+    requestProcessing: "Thinking...",
+    requestFailed: "⚠️ Failed",
+    requestCancelledLabel: "⏹️ Cancelled",
+    pauseButton: "⏸️ Pause",
+    resumeButton: "▶️ Resume",
+    watchButton: "👁️ Watch",
+    stopWatchingButton: "⏸️ Stop Watching",
+    watchStateOff: "Off",
+    watchStateWatching: "👁️ Watching",
+    watchStateAnalyzing: "🔍 Analysing screen...",
+    watchStatePaused: "⏸️ Paused",
+    sharingActive: "Screen Sharing Active",
+    sharingInactive: "Not Sharing",
+    connectionConnected: "Connected ✓",
+    connectionConnecting: "Connecting...",
+    connectionDisconnected: "Disconnected",
+    connectionError: "Connection Error",
+    connectionFailedLabel: "Connection Failed",
+    providerOk: "OK",
+    providerRetrying: "Slow - retrying",
+    providerUnavailable: "Unavailable",
+    redactionBlocked: "🔒 Screen hidden from the AI while a private window is shared",
+    redactionMasked: "🔒 {count} area(s) hidden from the AI",
+    requestNotConnected: "not connected to the server",
+    settingsVoiceAutomatic: "Automatic (matches the language)",
+    settingsFirstScreen: "First screen",
+    settingsSourceNotOpen: "{name} (not open)",
+    providerDegradedRetrying: "⚠️ The AI service is having trouble, retrying...",
+    providerDegradedUnavailable: "⚠️ The AI service is not responding. Trying again in {seconds} seconds.",
+    errorAIAuthFailed: "The server could not sign in to the AI service.",
+    errorAIRateLimited: "The AI service is busy. Please try again in a moment.",
+    errorAITimeout: "The AI service took too long to answer.",
+    errorAIUnavailable: "The AI service is unavailable right now.",
+    errorAI: "The AI could not answer. Please try again.",
+    errorInternal: "Something went wrong on the server.",
+    errorInvalidRequest: "The server could not read the request.",
+    errorInvalidFrame: "The screen capture could not be read.",
+    errorRequestTimeout: "No response from the server. Please try again.",
+    errorSessionExpired: "The previous session expired before the server replied.",
+    rateLimitedSession: "Too many requests from this session. Try again in {seconds} s.",
+    rateLimitedUser: "You're sending requests too quickly. Try again in {seconds} s.",
+    rateLimitedIp: "Too many requests from your network. Try again in {seconds} s.",
+    rateLimitedGlobal: "The assistant is busy right now. Try again in {seconds} s.",
+    rateLimitedDaily: "Daily AI request limit reached. Try again tomorrow.",
+  },
+  es: {
+    screenSharingResumed: "Se reanudó la pantalla compartida.",
+    screenSharingPaused: "Pantalla compartida en pausa.",
+    screenSharingStopped: "Se dejó de compartir la pantalla.",
+    screenCaptured: "📸 Pantalla capturada y enviada a la IA",
+    captureUnavailable: "⚠️ La captura de pantalla no está disponible. Se envía el mensaje sin el contexto de la pantalla.",
+    sessionSaved: "✅ ¡Sesión guardada correctamente!",
+    sessionSavedAlert: "¡Sesión guardada correctamente!",
+    sessionSaveFailed: "❌ No se pudo guardar la sesión. Inténtalo de nuevo.",
+    sessionSaveFailedAlert: "No se pudo guardar la sesión. Comprueba la conexión con el servidor.",
+    confirmClearChat: "¿Seguro que quieres borrar todos los mensajes del chat?",
+    chatCleared: "Chat borrado. ¡Empieza una nueva conversación!",
+    watchNeedsSharing: "⚠️ Comparte la pantalla antes de activar el modo de observación.",
+    watchUnsupported: "⚠️ El servidor conectado no admite el modo de observación.",
+    watchOn: "👁️ Modo de observación activado. Te avisaré cuando cambie la pantalla o parezca que te has atascado.",
+    watchOff: "Modo de observación desactivado.",
+    detailLevelUnsupported: "⚠️ El servidor conectado no admite niveles de detalle en las indicaciones.",
+    providerRecovered: "✅ El servicio de IA vuelve a responder.",
+    sessionResumed: "🔄 Reconectado. Se restauró tu sesión.",
+    sessionExpired: "⚠️ Reconectado, pero la sesión anterior había caducado. Se inicia una sesión nueva.",
+    connectionFailed: "⚠️ Falló la conexión. Recarga la página.",
+    planComplete: "🎉 ¡Todos los pasos están hechos!",
+    planUpdated: "🔄 Plan actualizado.",
+    planUpdatedWithReason: "🔄 Plan actualizado: {reason}",
+    requestCancelled: "⏹️ Solicitud cancelada.",
+    error: "⚠️ Error: {message}",
+    voiceUnsupported: "⚠️ La entrada de voz no está disponible en esta aplicación.",
+    voiceUnavailable: "⚠️ El servidor conectado no admite la entrada de voz.",
+    microphoneUnavailable: "⚠️ No se pudo abrir el micrófono.",
+    voiceNothingHeard: "🎤 No te he oído. Mantén pulsado el botón mientras hablas.",
+    voiceTranscriptionFailed: "⚠️ No se pudo entender la grabación. Inténtalo de nuevo.",
+    handsFreeOn: "🗣️ Manos libres activado. Habla cuando me necesites y dejaré de hablar cuando tú lo hagas.",
+    handsFreeOff: "Manos libres desactivado.",
+    backendChanged: "🔌 Conectando con {url}...",
+    requestSending: "Enviando...",
+    requestProcessing: "Pensando...",
+    requestFailed: "⚠️ Error",
+    requestCancelledLabel: "⏹️ Cancelada",
+    pauseButton: "⏸️ Pausar",
+    resumeButton: "▶️ Reanudar",
+    watchButton: "👁️ Observar",
+    stopWatchingButton: "⏸️ Dejar de observar",
+    watchStateOff: "Desactivado",
+    watchStateWatching: "👁️ Observando",
+    watchStateAnalyzing: "🔍 Analizando la pantalla...",
+    watchStatePaused: "⏸️ En pausa",
+    sharingActive: "Compartiendo pantalla",
+    sharingInactive: "Sin compartir",
+    connectionConnected: "Conectado ✓",
+    connectionConnecting: "Conectando...",
+    connectionDisconnected: "Desconectado",
+    connectionError: "Error de conexión",
+    connectionFailedLabel: "Falló la conexión",
+    providerOk: "OK",
+    providerRetrying: "Lento - reintentando",
+    providerUnavailable: "No disponible",
+    redactionBlocked: "🔒 Pantalla oculta a la IA mientras se comparte una ventana privada",
+    redactionMasked: "🔒 {count} zona(s) oculta(s) a la IA",
+    requestNotConnected: "sin conexión con el servidor",
+    settingsVoiceAutomatic: "Automática (según el idioma)",
+    settingsFirstScreen: "Primera pantalla",
+    settingsSourceNotOpen: "{name} (no abierta)",
+    providerDegradedRetrying: "⚠️ El servicio de IA tiene problemas, reintentando...",
+    providerDegradedUnavailable: "⚠️ El servicio de IA no responde. Se volverá a intentar en {seconds} segundos.",
+    errorAIAuthFailed: "El servidor no pudo iniciar sesión en el servicio de IA.",
+    errorAIRateLimited: "El servicio de IA está ocupado. Inténtalo de nuevo en un momento.",
+    errorAITimeout: "El servicio de IA tardó demasiado en responder.",
+    errorAIUnavailable: "El servicio de IA no está disponible en este momento.",
+    errorAI: "La IA no pudo responder. Inténtalo de nuevo.",
+    errorInternal: "Algo salió mal en el servidor.",
+    errorInvalidRequest: "El servidor no pudo leer la solicitud.",
+    errorInvalidFrame: "No se pudo leer la captura de pantalla.",
+    errorRequestTimeout: "El servidor no responde. Inténtalo de nuevo.",
+    errorSessionExpired: "La sesión anterior caducó antes de que el servidor respondiera.",
+    rateLimitedSession: "Demasiadas solicitudes desde esta sesión. Inténtalo de nuevo en {seconds} s.",
+    rateLimitedUser: "Estás enviando solicitudes demasiado rápido. Inténtalo de nuevo en {seconds} s.",
+    rateLimitedIp: "Demasiadas solicitudes desde tu red. Inténtalo de nuevo en {seconds} s.",
+    rateLimitedGlobal: "El asistente está ocupado ahora mismo. Inténtalo de nuevo en {seconds} s.",
+    rateLimitedDaily: "Se alcanzó el límite diario de solicitudes a la IA. Inténtalo de nuevo mañana.",
+  },
+  fr: {
+    screenSharingResumed: "Partage d'écran repris.",
+    screenSharingPaused: "Partage d'écran en pause.",
+    screenSharingStopped: "Partage d'écran arrêté.",
+    screenCaptured: "📸 Écran capturé et envoyé à l'IA",
+    captureUnavailable: "⚠️ Capture d'écran indisponible. Envoi du message sans le contexte de l'écran.",
+    sessionSaved: "✅ Session enregistrée !",
+    sessionSavedAlert: "Session enregistrée !",
+    sessionSaveFailed: "❌ Impossible d'enregistrer la session. Veuillez réessayer.",
+    sessionSaveFailedAlert: "Impossible d'enregistrer la session. Vérifiez la connexion au serveur.",
+    confirmClearChat: "Voulez-vous vraiment effacer tous les messages ?",
+    chatCleared: "Discussion effacée. Commencez une nouvelle conversation !",
+    watchNeedsSharing: "⚠️ Partagez votre écran avant d'activer le mode observation.",
+    watchUnsupported: "⚠️ Le serveur connecté ne prend pas en charge le mode observation.",
+    watchOn: "👁️ Mode observation activé. Je vous préviendrai quand l'écran change ou si vous semblez bloqué.",
+    watchOff: "Mode observation désactivé.",
+    detailLevelUnsupported: "⚠️ Le serveur connecté ne prend pas en charge les niveaux de détail.",
+    providerRecovered: "✅ Le service d'IA répond à nouveau.",
+    sessionResumed: "🔄 Reconnecté. Votre session a été restaurée.",
+    sessionExpired: "⚠️ Reconnecté, mais la session précédente avait expiré. Démarrage d'une nouvelle session.",
+    connectionFailed: "⚠️ Échec de la connexion. Veuillez recharger la page.",
+    planComplete: "🎉 Toutes les étapes sont terminées !",
+    planUpdated: "🔄 Plan mis à jour.",
+    planUpdatedWithReason: "🔄 Plan mis à jour : {reason}",
+    requestCancelled: "⏹️ Demande annulée.",
+    error: "⚠️ Erreur : {message}",
+    voiceUnsupported: "⚠️ La saisie vocale n'est pas disponible dans cette application.",
+    voiceUnavailable: "⚠️ Le serveur connecté n'accepte pas la saisie vocale.",
+    microphoneUnavailable: "⚠️ Impossible d'ouvrir le microphone.",
+    voiceNothingHeard: "🎤 Je n'ai rien entendu. Maintenez le bouton appuyé pendant que vous parlez.",
+    voiceTranscriptionFailed: "⚠️ Impossible de comprendre l'enregistrement. Veuillez réessayer.",
+    handsFreeOn: "🗣️ Mains libres activé. Parlez quand vous avez besoin de moi, je me tairai dès que vous parlerez.",
+    handsFreeOff: "Mains libres désactivé.",
+    backendChanged: "🔌 Connexion à {url}...",
+    requestSending: "Envoi...",
+    requestProcessing: "Réflexion...",
+    requestFailed: "⚠️ Échec",
+    requestCancelledLabel: "⏹️ Annulée",
+    pauseButton: "⏸️ Pause",
+    resumeButton: "▶️ Reprendre",
+    watchButton: "👁️ Observer",
+    stopWatchingButton: "⏸️ Arrêter l'observation",
+    watchStateOff: "Désactivé",
+    watchStateWatching: "👁️ Observation",
+    watchStateAnalyzing: "🔍 Analyse de l'écran...",
+    watchStatePaused: "⏸️ En pause",
+    sharingActive: "Partage d'écran actif",
+    sharingInactive: "Pas de partage",
+    connectionConnected: "Connecté ✓",
+    connectionConnecting: "Connexion...",
+    connectionDisconnected: "Déconnecté",
+    connectionError: "Erreur de connexion",
+    connectionFailedLabel: "Échec de la connexion",
+    providerOk: "OK",
+    providerRetrying: "Lent - nouvel essai",
+    providerUnavailable: "Indisponible",
+    redactionBlocked: "🔒 Écran masqué à l'IA pendant le partage d'une fenêtre privée",
+    redactionMasked: "🔒 {count} zone(s) masquée(s) à l'IA",
+    requestNotConnected: "pas de connexion au serveur",
+    settingsVoiceAutomatic: "Automatique (selon la langue)",
+    settingsFirstScreen: "Premier écran",
+    settingsSourceNotOpen: "{name} (pas ouverte)",
+    providerDegradedRetrying: "⚠️ Le service d'IA rencontre des difficultés, nouvelle tentative...",
+    providerDegradedUnavailable: "⚠️ Le service d'IA ne répond pas. Nouvel essai dans {seconds} secondes.",
+    errorAIAuthFailed: "Le serveur n'a pas pu se connecter au service d'IA.",
+    errorAIRateLimited: "Le service d'IA est occupé. Réessayez dans un instant.",
+    errorAITimeout: "Le service d'IA a mis trop de temps à répondre.",
+    errorAIUnavailable: "Le service d'IA est indisponible pour le moment.",
+    errorAI: "L'IA n'a pas pu répondre. Veuillez réessayer.",
+    errorInternal: "Une erreur s'est produite sur le serveur.",
+    errorInvalidRequest: "Le serveur n'a pas pu lire la demande.",
+    errorInvalidFrame: "La capture d'écran n'a pas pu être lue.",
+    errorRequestTimeout: "Pas de réponse du serveur. Veuillez réessayer.",
+    errorSessionExpired: "La session précédente a expiré avant la réponse du serveur.",
+    rateLimitedSession: "Trop de demandes depuis cette session. Réessayez dans {seconds} s.",
+    rateLimitedUser: "Vous envoyez des demandes trop rapidement. Réessayez dans {seconds} s.",
+    rateLimitedIp: "Trop de demandes depuis votre réseau. Réessayez dans {seconds} s.",
+    rateLimitedGlobal: "L'assistant est occupé pour le moment. Réessayez dans {seconds} s.",
+    rateLimitedDaily: "Limite quotidienne de demandes à l'IA atteinte. Réessayez demain.",
+  },
+  de: {
+    screenSharingResumed: "Bildschirmfreigabe fortgesetzt.",
+    screenSharingPaused: "Bildschirmfreigabe pausiert.",
+    screenSharingStopped: "Bildschirmfreigabe beendet.",
+    screenCaptured: "📸 Bildschirm aufgenommen und an die KI gesendet",
+    captureUnavailable: "⚠️ Bildschirmaufnahme nicht verfügbar. Die Nachricht wird ohne Bildschirmkontext gesendet.",
+    sessionSaved: "✅ Sitzung gespeichert!",
+    sessionSavedAlert: "Sitzung gespeichert!",
+    sessionSaveFailed: "❌ Die Sitzung konnte nicht gespeichert werden. Bitte versuchen Sie es erneut.",
+    sessionSaveFailedAlert: "Die Sitzung konnte nicht gespeichert werden. Bitte prüfen Sie die Verbindung zum Server.",
+    confirmClearChat: "Möchten Sie wirklich alle Chatnachrichten löschen?",
+    chatCleared: "Chat gelöscht. Beginnen Sie ein neues Gespräch!",
+    watchNeedsSharing: "⚠️ Geben Sie Ihren Bildschirm frei, bevor Sie den Beobachtungsmodus einschalten.",
+    watchUnsupported: "⚠️ Der verbundene Server unterstützt den Beobachtungsmodus nicht.",
+    watchOn: "👁️ Beobachtungsmodus an. Ich melde mich, wenn sich der Bildschirm ändert oder Sie nicht weiterkommen.",
+    watchOff: "Beobachtungsmodus aus.",
+    detailLevelUnsupported: "⚠️ Der verbundene Server unterstützt keine Detailstufen für Anleitungen.",
+    providerRecovered: "✅ Der KI-Dienst antwortet wieder.",
+    sessionResumed: "🔄 Wieder verbunden. Ihre Sitzung wurde wiederhergestellt.",
+    sessionExpired: "⚠️ Wieder verbunden, aber die vorherige Sitzung war abgelaufen. Eine neue Sitzung wird gestartet.",
+    connectionFailed: "⚠️ Verbindung fehlgeschlagen. Bitte laden Sie die Seite neu.",
+    planComplete: "🎉 Alle Schritte sind erledigt!",
+    planUpdated: "🔄 Plan aktualisiert.",
+    planUpdatedWithReason: "🔄 Plan aktualisiert: {reason}",
+    requestCancelled: "⏹️ Anfrage abgebrochen.",
+    error: "⚠️ Fehler: {message}",
+    voiceUnsupported: "⚠️ Spracheingabe ist in dieser App nicht verfügbar.",
+    voiceUnavailable: "⚠️ Der verbundene Server unterstützt keine Spracheingabe.",
+    microphoneUnavailable: "⚠️ Das Mikrofon konnte nicht geöffnet werden.",
+    voiceNothingHeard: "🎤 Ich habe nichts gehört. Halten Sie die Taste gedrückt, während Sie sprechen.",
+    voiceTranscriptionFailed: "⚠️ Die Aufnahme konnte nicht verstanden werden. Bitte versuchen Sie es erneut.",
+    handsFreeOn: "🗣️ Freisprechen an. Sprechen Sie einfach, wenn Sie mich brauchen – ich höre auf zu reden, sobald Sie sprechen.",
+    handsFreeOff: "Freisprechen aus.",
+    backendChanged: "🔌 Verbindung mit {url} wird hergestellt...",
+    requestSending: "Wird gesendet...",
+    requestProcessing: "Denkt nach...",
+    requestFailed: "⚠️ Fehlgeschlagen",
+    requestCancelledLabel: "⏹️ Abgebrochen",
+    pauseButton: "⏸️ Pause",
+    resumeButton: "▶️ Fortsetzen",
+    watchButton: "👁️ Beobachten",
+    stopWatchingButton: "⏸️ Beobachtung beenden",
+    watchStateOff: "Aus",
+    watchStateWatching: "👁️ Beobachtet",
+    watchStateAnalyzing: "🔍 Bildschirm wird analysiert...",
+    watchStatePaused: "⏸️ Pausiert",
+    sharingActive: "Bildschirmfreigabe aktiv",
+    sharingInactive: "Keine Freigabe",
+    connectionConnected: "Verbunden ✓",
+    connectionConnecting: "Verbinde...",
+    connectionDisconnected: "Getrennt",
+    connectionError: "Verbindungsfehler",
+    connectionFailedLabel: "Verbindung fehlgeschlagen",
+    providerOk: "OK",
+    providerRetrying: "Langsam - neuer Versuch",
+    providerUnavailable: "Nicht verfügbar",
+    redactionBlocked: "🔒 Bildschirm vor der KI verborgen, solange ein privates Fenster freigegeben ist",
+    redactionMasked: "🔒 {count} Bereich(e) vor der KI verborgen",
+    requestNotConnected: "keine Verbindung zum Server",
+    settingsVoiceAutomatic: "Automatisch (passend zur Sprache)",
+    settingsFirstScreen: "Erster Bildschirm",
+    settingsSourceNotOpen: "{name} (nicht geöffnet)",
+    providerDegradedRetrying: "⚠️ Der KI-Dienst hat Probleme, neuer Versuch...",
+    providerDegradedUnavailable: "⚠️ Der KI-Dienst antwortet nicht. Neuer Versuch in {seconds} Sekunden.",
+    errorAIAuthFailed: "Der Server konnte sich nicht beim KI-Dienst anmelden.",
+    errorAIRateLimited: "Der KI-Dienst ist ausgelastet. Bitte versuchen Sie es gleich noch einmal.",
+    errorAITimeout: "Der KI-Dienst hat zu lange für eine Antwort gebraucht.",
+    errorAIUnavailable: "Der KI-Dienst ist gerade nicht verfügbar.",
+    errorAI: "Die KI konnte nicht antworten. Bitte versuchen Sie es erneut.",
+    errorInternal: "Auf dem Server ist ein Fehler aufgetreten.",
+    errorInvalidRequest: "Der Server konnte die Anfrage nicht lesen.",
+    errorInvalidFrame: "Die Bildschirmaufnahme konnte nicht gelesen werden.",
+    errorRequestTimeout: "Keine Antwort vom Server. Bitte versuchen Sie es erneut.",
+    errorSessionExpired: "Die vorherige Sitzung ist abgelaufen, bevor der Server geantwortet hat.",
+    rateLimitedSession: "Zu viele Anfragen aus dieser Sitzung. Versuchen Sie es in {seconds} s erneut.",
+    rateLimitedUser: "Sie senden Anfragen zu schnell. Versuchen Sie es in {seconds} s erneut.",
+    rateLimitedIp: "Zu viele Anfragen aus Ihrem Netzwerk. Versuchen Sie es in {seconds} s erneut.",
+    rateLimitedGlobal: "Der Assistent ist gerade ausgelastet. Versuchen Sie es in {seconds} s erneut.",
+    rateLimitedDaily: "Tägliches Limit für KI-Anfragen erreicht. Versuchen Sie es morgen erneut.",
+  },
+};
+
+// Catalog for a language tag: the exact tag, then its base language, then English
+function resolveLanguage(language) {
+  const tag = (language || DEFAULT_LANGUAGE).replace(/_/g, "-").toLowerCase();
+  if (MESSAGES[tag]) return tag;
+
+  const base = tag.split("-")[0];
+  return MESSAGES[base] ? base : DEFAULT_LANGUAGE;
+}
+
+function translate(key, params = {}, language = window.Config.getLanguage()) {
+  const catalog = MESSAGES[resolveLanguage(language)];
+  const text = catalog[key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+// Keys for the errors the server and the connection report, by code; unknown codes keep their text
+const ERROR_KEYS = {
+  ai_auth_failed: "errorAIAuthFailed",
+  ai_rate_limited: "errorAIRateLimited",
+  ai_timeout: "errorAITimeout",
+  ai_unavailable: "errorAIUnavailable",
+  ai_error: "errorAI",
+  internal_error: "errorInternal",
+  invalid_json: "errorInvalidRequest",
+  invalid_message: "errorInvalidRequest",
+  unknown_type: "errorInvalidRequest",
+  missing_field: "errorInvalidRequest",
+  invalid_field: "errorInvalidRequest",
+  unsupported_version: "errorInvalidRequest",
+  invalid_frame: "errorInvalidFrame",
+  request_timeout: "errorRequestTimeout",
+  session_expired: "errorSessionExpired",
+};
+
+// Keys for "rate_limited" errors, by the limit that refused the request
+const RATE_LIMIT_KEYS = {
+  session: "rateLimitedSession",
+  user: "rateLimitedUser",
+  ip: "rateLimitedIp",
+  global: "rateLimitedGlobal",
+  daily: "rateLimitedDaily",
+};
+
+// Keys for "provider_degraded" messages, by provider state
+const PROVIDER_DEGRADED_KEYS = {
+  retrying: "providerDegradedRetrying",
+  unavailable: "providerDegradedUnavailable",
+};
+
+// Whole seconds of a server's retryAfterMs, at least one
+function retrySeconds(retryAfterMs) {
+  return Math.max(Math.ceil((retryAfterMs || 0) / 1000), 1);
+}
+
+function translateError(error, language) {
+  const key =
+    error.code === "rate_limited" ? RATE_LIMIT_KEYS[error.scope] : ERROR_KEYS[error.code];
+  if (!key) return error.message;
+
+  return translate(key, { seconds: retrySeconds(error.retryAfterMs) }, language);
+}
+
+function translateProviderDegraded(status, language) {
+  const key = PROVIDER_DEGRADED_KEYS[status.state];
+  if (!key) return `⚠️ ${status.message}`;
+
+  return translate(key, { seconds: retrySeconds(status.retryAfterMs) }, language);
+}
+
+const I18n = {
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  resolveLanguage,
+  translate,
+  translateError,
+  translateProviderDegraded,
+};
+
+if (typeof module !== "undefined") {
+  module.exports = I18n;
+} else {
+  window.I18n = I18n;
+}
@@ -0,0 +1,96 @@
+// Marker shown in front of each step of the checklist
+const STEP_MARKERS = {
+  pending: "⬜",
+  in_progress: "▶️",
+  completed: "✅",
+};
+
+class PlanManager {
+  constructor() {
+    this.planPanel = document.getElementById("planPanel");
+    this.plan = null;
+  }
+
+  showPlan(plan) {
+    this.plan = {
+      goal: plan.goal,
+      steps: plan.steps.map((step) => ({ ...step })),
+    };
+    this.render();
+  }
+
+  startStep(index) {
+    this.setStepStatus(index, "in_progress");
+  }
+
+  completeStep(index) {
+    this.setStepStatus(index, "completed");
+  }
+
+  setStepStatus(index, status) {
+    if (!this.plan || !this.plan.steps[index]) return;
+
+    this.plan.steps[index].status = status;
+    this.render();
+  }
+
+  clear() {
+    this.plan = null;
+    this.render();
+  }
+
+  getProgress() {
+    if (!this.plan) return { completed: 0, total: 0 };
+
+    return {
+      completed: this.plan.steps.filter((step) => step.status === "completed")
+        .length,
+      total: this.plan.steps.length,
+    };
+  }
+
+  render() {
+    if (!this.planPanel) return;
+
+    this.planPanel.innerHTML = "";
+    this.planPanel.classList.toggle("hidden", !this.plan);
+    if (!this.plan) return;
+
+    const header = document.createElement("div");
+    header.className = "plan-header";
+
+    const goal = document.createElement("span");
+    goal.className = "plan-goal";
+    goal.textContent = `🎯 ${this.plan.goal}`;
+
+    const { completed, total } = this.getProgress();
+    const progress = document.createElement("span");
+    progress.className = "plan-progress";
+    progress.textContent = `${completed}/${total}`;
+
+    header.appendChild(goal);
+    header.appendChild(progress);
+    this.planPanel.appendChild(header);
+
+    const list = document.createElement("ol");
+    list.className = "plan-steps";
+
+    this.plan.steps.forEach((step) => {
+      const item = document.createElement("li");
+      item.className = "plan-step";
+      item.dataset.status = step.status;
+      item.title = step.expectedOutcome || "";
+      item.textContent = `${STEP_MARKERS[step.status] || STEP_MARKERS.pending} ${step.instruction}`;
+      list.appendChild(item);
+    });
+
+    this.planPanel.appendChild(list);
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { PlanManager };
+} else {
+  window.planManager = new PlanManager();
+  console.log("Plan Manager initialized");
+}
@@ -0,0 +1,190 @@
+// Settings panel: edits the settings file kept by the main process (see ../settings.js)
+// Saved changes reach every window through Config.onSettingsChange() and are applied live by app.js
+
+// Global shortcut fields of the form, by hotkey action
+const HOTKEY_FIELDS = {
+  handsFree: "settingsHotkeyHandsFree",
+  watchMode: "settingsHotkeyWatchMode",
+  stopSharing: "settingsHotkeyStopSharing",
+};
+
+class SettingsPanel {
+  constructor() {
+    this.panel = document.getElementById("settingsPanel");
+    this.form = document.getElementById("settingsForm");
+    this.openBtn = document.getElementById("settingsBtn");
+    this.cancelBtn = document.getElementById("settingsCancelBtn");
+    this.messages = document.getElementById("settingsMessages");
+    this.fields = {
+      backendUrl: document.getElementById("settingsBackendUrl"),
+      frameRate: document.getElementById("settingsFrameRate"),
+      ttsEnabled: document.getElementById("settingsTtsEnabled"),
+      voice: document.getElementById("settingsVoice"),
+      rate: document.getElementById("settingsRate"),
+      pitch: document.getElementById("settingsPitch"),
+      detailLevel: document.getElementById("settingsDetailLevel"),
+      language: document.getElementById("settingsLanguage"),
+      captureSource: document.getElementById("settingsCaptureSource"),
+    };
+    // Capture sources offered in the form, by ID
+    this.captureSources = new Map();
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (!this.panel) return;
+
+    this.openBtn.addEventListener("click", () => this.open());
+    this.cancelBtn.addEventListener("click", () => this.close());
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.save();
+    });
+  }
+
+  isOpen() {
+    return !this.panel.classList.contains("hidden");
+  }
+
+  async open() {
+    const settings = window.Config.getSettings();
+
+    this.fields.backendUrl.value = settings.backendUrl;
+    this.fields.frameRate.value = settings.frameRate;
+    this.fields.ttsEnabled.checked = settings.tts.enabled;
+    this.fields.rate.value = settings.tts.rate;
+    this.fields.pitch.value = settings.tts.pitch;
+    this.fields.detailLevel.value = settings.detailLevel;
+    this.selectLanguage(settings.language);
+    Object.entries(HOTKEY_FIELDS).forEach(([action, id]) => {
+      document.getElementById(id).value = settings.hotkeys[action];
+    });
+
+    this.fillVoices(settings.tts.voice);
+    this.showMessages([]);
+    this.panel.classList.remove("hidden");
+
+    // Listing windows can take a moment, the rest of the form is usable meanwhile
+    const sources = await window.webrtcManager.getCaptureSources();
+    this.fillCaptureSources(sources, settings.captureSource);
+  }
+
+  close() {
+    this.panel.classList.add("hidden");
+  }
+
+  fillVoices(selected) {
+    const options = [{ value: "", label: window.I18n.translate("settingsVoiceAutomatic") }].concat(
+      window.speechSynthesis.getVoices().map((voice) => ({
+        value: voice.name,
+        label: `${voice.name} (${voice.lang})`,
+      }))
+    );
+    this.fillSelect(this.fields.voice, options, selected || "");
+  }
+
+  selectLanguage(language) {
+    const select = this.fields.language;
+
+    // A language set in the settings file but not offered in the form stays selected
+    if (language && ![...select.options].some((option) => option.value === language)) {
+      const option = document.createElement("option");
+      option.value = language;
+      option.textContent = language;
+      select.appendChild(option);
+    }
+    select.value = language || "";
+  }
+
+  fillCaptureSources(sources, selected) {
+    this.captureSources = new Map(sources.map((source) => [source.id, source]));
+
+    const options = [{ value: "", label: window.I18n.translate("settingsFirstScreen") }].concat(
+      sources.map((source) => ({ value: source.id, label: source.name }))
+    );
+
+    // Keep a saved window that is not open right now, it is found by name once it is
+    if (selected && !this.captureSources.has(selected.id)) {
+      this.captureSources.set(selected.id, selected);
+      options.push({
+        value: selected.id,
+        label: window.I18n.translate("settingsSourceNotOpen", { name: selected.name }),
+      });
+    }
+
+    this.fillSelect(this.fields.captureSource, options, selected ? selected.id : "");
+  }
+
+  fillSelect(select, options, selected) {
+    select.innerHTML = "";
+    options.forEach(({ value, label }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = selected;
+  }
+
+  readForm() {
+    const source = this.captureSources.get(this.fields.captureSource.value);
+
+    return {
+      backendUrl: this.fields.backendUrl.value.trim(),
+      frameRate: Number(this.fields.frameRate.value),
+      tts: {
+        enabled: this.fields.ttsEnabled.checked,
+        voice: this.fields.voice.value || null,
+        rate: Number(this.fields.rate.value),
+        pitch: Number(this.fields.pitch.value),
+      },
+      detailLevel: this.fields.detailLevel.value,
+      language: this.fields.language.value || null,
+      captureSource: source ? { id: source.id, name: source.name } : null,
+      hotkeys: Object.fromEntries(
+        Object.entries(HOTKEY_FIELDS).map(([action, id]) => [
+          action,
+          document.getElementById(id).value.trim(),
+        ])
+      ),
+    };
+  }
+
+  async save() {
+    try {
+      const { errors, warnings } = await window.Config.updateSettings(this.readForm());
+
+      if (errors.length > 0 || warnings.length > 0) {
+        // Warnings mean the settings were saved, but a shortcut could not be registered
+        this.showMessages([...errors, ...warnings]);
+        return false;
+      }
+
+      this.close();
+      return true;
+    } catch (error) {
+      console.error("Error saving settings:", error);
+      this.showMessages([error.message]);
+      return false;
+    }
+  }
+
+  showMessages(messages) {
+    this.messages.innerHTML = "";
+    this.messages.classList.toggle("hidden", messages.length === 0);
+
+    messages.forEach((message) => {
+      const item = document.createElement("li");
+      item.textContent = message;
+      this.messages.appendChild(item);
+    });
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { SettingsPanel };
+} else {
+  window.settingsPanel = new SettingsPanel();
+  console.log("Settings Panel initialized");
+}
@@ -0,0 +1,379 @@
+// Voice input
+// Push-to-talk records the microphone while the talk button is held; hands-free mode keeps it
+// open and cuts utterances out with voice activity detection. The backend transcribes both.
+
+// Speech-to-text models work on 16 kHz mono audio
+const VOICE_SAMPLE_RATE = 16000;
+
+// Hands-free listening, levels are the RMS of a block of samples (0-1)
+const HANDS_FREE_DEFAULTS = {
+  threshold: 0.02, // Level counted as speech
+  bargeInFactor: 2.5, // While the assistant talks, speech must be this much louder to interrupt it
+  minSpeechMs: 200, // Shorter sounds (clicks, coughs) are ignored
+  silenceMs: 900, // Pause that ends an utterance
+  maxUtteranceMs: 30000, // Longer utterances are cut and sent
+  preRollMs: 300, // Audio kept from before speech was confirmed, so first syllables are not lost
+  blockSize: 1024, // Samples per analysed block (64 ms at 16 kHz)
+};
+
+// Decides when an utterance starts and ends from a stream of audio levels
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.options = { ...HANDS_FREE_DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.isSpeech = false;
+    this.loudSince = null;
+    this.quietSince = null;
+    this.utteranceStart = null;
+  }
+
+  // Returns "start" when speech is confirmed, "end" when the utterance is over, otherwise null
+  update(level, now, threshold = this.options.threshold) {
+    const { minSpeechMs, silenceMs, maxUtteranceMs } = this.options;
+    const isLoud = level >= threshold;
+
+    if (!this.isSpeech) {
+      if (!isLoud) {
+        this.loudSince = null;
+        return null;
+      }
+
+      if (this.loudSince === null) {
+        this.loudSince = now;
+      }
+      if (now - this.loudSince < minSpeechMs) return null;
+
+      this.isSpeech = true;
+      this.utteranceStart = this.loudSince;
+      this.quietSince = null;
+      return "start";
+    }
+
+    if (now - this.utteranceStart >= maxUtteranceMs) {
+      this.reset();
+      return "end";
+    }
+
+    if (isLoud) {
+      this.quietSince = null;
+      return null;
+    }
+
+    if (this.quietSince === null) {
+      this.quietSince = now;
+    }
+    if (now - this.quietSince < silenceMs) return null;
+
+    this.reset();
+    return "end";
+  }
+}
+
+class VoiceInputManager {
+  constructor() {
+    this.stream = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.isRecording = false;
+    // Microphone request in progress, the button may be released before it is granted
+    this.starting = null;
+    // Hands-free listening: audio graph, detector and the blocks of the current utterance
+    this.handsFree = null;
+  }
+
+  isSupported() {
+    return Boolean(
+      navigator.mediaDevices &&
+        navigator.mediaDevices.getUserMedia &&
+        typeof MediaRecorder !== "undefined"
+    );
+  }
+
+  startRecording() {
+    if (this.starting) return this.starting;
+    if (this.isRecording) return Promise.resolve(true);
+
+    this.starting = this.openRecorder().finally(() => {
+      this.starting = null;
+    });
+    return this.starting;
+  }
+
+  async openRecorder() {
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+      });
+    } catch (error) {
+      console.error("Error opening microphone:", error);
+      return false;
+    }
+
+    this.chunks = [];
+    this.recorder = new MediaRecorder(this.stream);
+    this.recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    });
+    this.recorder.start();
+    this.isRecording = true;
+    return true;
+  }
+
+  // Resolves with the recording as a WAV blob, or null if nothing was recorded
+  async stopRecording() {
+    if (this.starting) {
+      await this.starting;
+    }
+    if (!this.isRecording) return null;
+
+    this.isRecording = false;
+    const recorder = this.recorder;
+
+    const recording = await new Promise((resolve) => {
+      recorder.addEventListener(
+        "stop",
+        () => resolve(new Blob(this.chunks, { type: recorder.mimeType })),
+        { once: true }
+      );
+      recorder.stop();
+    });
+
+    this.releaseMicrophone();
+    this.chunks = [];
+
+    if (recording.size === 0) return null;
+
+    try {
+      return await this.toWav(recording);
+    } catch (error) {
+      console.error("Error converting recording:", error);
+      return null;
+    }
+  }
+
+  // Keeps the microphone open and hands each utterance to onUtterance as a WAV blob;
+  // onSpeechStart fires as soon as speech is confirmed, isAssistantSpeaking raises the bar meanwhile
+  async startHandsFree({ onSpeechStart, onUtterance, isAssistantSpeaking = () => false }, options = {}) {
+    if (this.handsFree) return true;
+
+    const settings = { ...HANDS_FREE_DEFAULTS, ...options };
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+      });
+    } catch (error) {
+      console.error("Error opening microphone:", error);
+      return false;
+    }
+
+    // The audio context resamples the microphone to the rate transcribers expect
+    const audioContext = new AudioContext({ sampleRate: VOICE_SAMPLE_RATE });
+    const source = audioContext.createMediaStreamSource(stream);
+    const processor = audioContext.createScriptProcessor(settings.blockSize, 1, 1);
+
+    this.handsFree = {
+      settings,
+      stream,
+      audioContext,
+      source,
+      processor,
+      detector: new VoiceActivityDetector(settings),
+      preRoll: [],
+      utterance: null,
+      onSpeechStart,
+      onUtterance,
+      isAssistantSpeaking,
+    };
+
+    processor.onaudioprocess = (event) => {
+      this.handleAudioBlock(new Float32Array(event.inputBuffer.getChannelData(0)), performance.now());
+    };
+    source.connect(processor);
+    // Script processors only run while connected to an output; theirs stays silent
+    processor.connect(audioContext.destination);
+
+    return true;
+  }
+
+  stopHandsFree() {
+    if (!this.handsFree) return;
+
+    const { stream, audioContext, source, processor } = this.handsFree;
+    processor.onaudioprocess = null;
+    source.disconnect();
+    processor.disconnect();
+    audioContext.close();
+    stream.getTracks().forEach((track) => track.stop());
+
+    this.handsFree = null;
+  }
+
+  isHandsFreeActive() {
+    return Boolean(this.handsFree);
+  }
+
+  // True while hands-free mode is in the middle of an utterance
+  isHearingSpeech() {
+    return Boolean(this.handsFree && this.handsFree.utterance);
+  }
+
+  handleAudioBlock(samples, now) {
+    const state = this.handsFree;
+    if (!state) return;
+
+    const { settings, detector } = state;
+    const threshold = state.isAssistantSpeaking()
+      ? settings.threshold * settings.bargeInFactor
+      : settings.threshold;
+    const event = detector.update(this.measureLevel(samples), now, threshold);
+
+    if (state.utterance) {
+      state.utterance.push(samples);
+    } else {
+      // Keep the last few blocks, the start of speech is only confirmed after minSpeechMs
+      // (the block that confirms it is one more)
+      const preRollBlocks =
+        Math.ceil(
+          ((settings.preRollMs + settings.minSpeechMs) * VOICE_SAMPLE_RATE) /
+            (1000 * settings.blockSize)
+        ) + 1;
+      state.preRoll.push(samples);
+      if (state.preRoll.length > preRollBlocks) {
+        state.preRoll.shift();
+      }
+    }
+
+    if (event === "start") {
+      state.utterance = state.preRoll;
+      state.preRoll = [];
+      state.onSpeechStart();
+    } else if (event === "end") {
+      const blocks = state.utterance;
+      state.utterance = null;
+      state.onUtterance(new Blob([this.encodeWav(this.joinBlocks(blocks), VOICE_SAMPLE_RATE)], {
+        type: "audio/wav",
+      }));
+    }
+  }
+
+  measureLevel(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+  }
+
+  joinBlocks(blocks) {
+    const joined = new Float32Array(blocks.reduce((total, block) => total + block.length, 0));
+    let offset = 0;
+    blocks.forEach((block) => {
+      joined.set(block, offset);
+      offset += block.length;
+    });
+    return joined;
+  }
+
+  releaseMicrophone() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    this.recorder = null;
+  }
+
+  // MediaRecorder produces compressed audio, which transcribers may not read
+  async toWav(recording) {
+    const audioContext = new AudioContext();
+    let decoded;
+    try {
+      decoded = await audioContext.decodeAudioData(await recording.arrayBuffer());
+    } finally {
+      audioContext.close();
+    }
+
+    // Mix down and resample by rendering the recording offline
+    const offline = new OfflineAudioContext(
+      1,
+      Math.ceil(decoded.duration * VOICE_SAMPLE_RATE),
+      VOICE_SAMPLE_RATE
+    );
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return new Blob([this.encodeWav(rendered.getChannelData(0), VOICE_SAMPLE_RATE)], {
+      type: "audio/wav",
+    });
+  }
+
+  // 16-bit PCM WAV file from mono samples between -1 and 1
+  encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true); // Format chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // Bytes per second
+    view.setUint16(32, 2, true); // Bytes per sample
+    view.setUint16(34, 16, true); // Bits per sample
+    writeString(36, "data");
+    view.setUint32(40, samples.length * 2, true);
+
+    samples.forEach((sample, index) => {
+      const clamped = Math.max(-1, Math.min(1, sample));
+      view.setInt16(44 + index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    });
+
+    return buffer;
+  }
+
+  async transcribe(wav, language = window.Config.getLanguage()) {
+    const backendURL = window.Config.getBackendURL();
+
+    const response = await fetch(
+      `${backendURL}/stt?language=${encodeURIComponent(language)}`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "audio/wav",
+        },
+        body: wav,
+      }
+    );
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Transcription failed with status ${response.status}`);
+    }
+
+    return data.transcript;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VoiceInputManager, VoiceActivityDetector };
+} else {
+  window.voiceInputManager = new VoiceInputManager();
+  console.log("Voice Input Manager initialized");
+}
@@ -10,6 +10,10 @@ class WebRTCManager {
     this.isPaused = false;
     this.captureInterval = null;
     this.frameCallback = null;
+    this.displayId = null; // Electron display of the captured screen, if known
+    this.frameRate = window.Config.getFrameRate();
+    this.captureSource = null; // { id, name } chosen in the settings, null for the first screen
+    this.windowTitle = null; // Title of the captured window, null while sharing a whole screen
   }
 
   async getScreenSources() {
@@ -43,10 +47,40 @@ class WebRTCManager {
     }
   }
 
+  // Screens and windows that can be shared, for the settings panel
+  async getCaptureSources() {
+    try {
+      return await desktopCapturer.getSources({
+        types: ["screen", "window"],
+        thumbnailSize: { width: 0, height: 0 },
+        fetchWindowIcons: false,
+      });
+    } catch (error) {
+      console.error("Error getting capture sources:", error);
+      return [];
+    }
+  }
+
+  // Window IDs change between launches, so a chosen source is also recognised by name
+  findCaptureSource(sources) {
+    if (this.captureSource) {
+      const chosen =
+        sources.find((source) => source.id === this.captureSource.id) ||
+        sources.find((source) => source.name === this.captureSource.name);
+      if (chosen) return chosen;
+
+      console.warn("Chosen capture source not found, sharing the first screen:", this.captureSource.name);
+    }
+
+    return sources.find((source) => source.id.startsWith("screen:")) || sources[0];
+  }
+
   async startCaptureWithElectron() {
     console.log("Starting screen capture with Electron desktopCapturer...");
 
-    const sources = await this.getScreenSources();
+    const sources = this.captureSource
+      ? await this.getCaptureSources()
+      : await this.getScreenSources();
 
     if (sources.length === 0) {
       throw new Error("No screen sources available from desktopCapturer");
@@ -58,7 +92,7 @@ class WebRTCManager {
       );
     });
 
-    const primarySource = sources[0];
+    const primarySource = this.findCaptureSource(sources);
     console.log(
       "Selected screen source:",
       primarySource.name,
@@ -66,6 +100,9 @@ class WebRTCManager {
       primarySource.id
     );
 
+    this.displayId = primarySource.display_id || null;
+    this.windowTitle = primarySource.id.startsWith("window:") ? primarySource.name : null;
+
     const constraints = {
       audio: false,
       video: {
@@ -86,6 +123,8 @@ class WebRTCManager {
     console.log("Starting screen capture with direct screen ID...");
 
     const screenIds = ["screen:0:0", "screen:1:0", "window:0:0"];
+    // The fallback does not know window titles
+    this.windowTitle = null;
 
     for (const screenId of screenIds) {
       try {
@@ -137,8 +176,7 @@ class WebRTCManager {
         }
       }
 
-      this.videoElement.srcObject = this.stream;
-      this.videoElement.classList.add("active");
+      this.showStream(this.stream);
 
       const placeholder = document.getElementById("previewPlaceholder");
       if (placeholder) {
@@ -147,12 +185,7 @@ class WebRTCManager {
 
       this.isCapturing = true;
       this.isPaused = false;
-      // Removed automatic frame capture - frames will be captured on-demand when sending messages
-
-      this.stream.getVideoTracks()[0].addEventListener("ended", () => {
-        console.log("Screen sharing ended by user");
-        this.stopCapture();
-      });
+      // Frames are captured on-demand when sending messages, or streamed in watch mode
 
       console.log("Screen capture started successfully");
       return true;
@@ -181,25 +214,63 @@ class WebRTCManager {
     }
   }
 
+  showStream(stream) {
+    this.videoElement.srcObject = stream;
+    this.videoElement.classList.add("active");
+
+    stream.getVideoTracks()[0].addEventListener("ended", () => {
+      console.log("Screen sharing ended by user");
+      this.stopCapture();
+    });
+  }
+
+  // Takes effect on the running capture, keeping pause state and frame streaming
+  async setCaptureSource(source) {
+    this.captureSource = source;
+    if (!this.isCapturing) return true;
+
+    try {
+      const stream = await this.startCaptureWithElectron();
+      if (!this.isCapturing) {
+        // Sharing was stopped while the new source was opening
+        stream.getTracks().forEach((track) => track.stop());
+        return false;
+      }
+
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = stream;
+      this.showStream(stream);
+      console.log("Switched capture source to", source ? source.name : "the first screen");
+      return true;
+    } catch (error) {
+      console.error("Error switching capture source:", error);
+      return false;
+    }
+  }
+
+  // Takes effect immediately when frames are already streaming
+  setFrameRate(frameRate) {
+    this.frameRate = frameRate;
+    if (this.isStreamingFrames()) {
+      this.startFrameStreaming(this.frameCallback);
+    }
+  }
+
   pauseCapture() {
     this.isPaused = true;
-    // No longer stopping intervals since we don't have automatic capture
+    // Frame streaming keeps its interval but skips frames while paused
     console.log("Screen capture paused");
   }
 
   resumeCapture() {
     if (this.isCapturing && this.isPaused) {
       this.isPaused = false;
-      // No longer starting intervals since we don't have automatic capture
       console.log("Screen capture resumed");
     }
   }
 
   stopCapture() {
-    if (this.captureInterval) {
-      clearInterval(this.captureInterval);
-      this.captureInterval = null;
-    }
+    this.stopFrameStreaming();
 
     if (this.stream) {
       this.stream.getTracks().forEach((track) => track.stop());
@@ -218,12 +289,49 @@ class WebRTCManager {
 
     this.isCapturing = false;
     this.isPaused = false;
+    this.displayId = null;
+    this.windowTitle = null;
 
     console.log("Screen capture stopped");
   }
 
-  // Removed automatic frame capture - frames are now captured on-demand
-  // startFrameCapture() method is no longer needed
+  startFrameStreaming(callback) {
+    this.stopFrameStreaming();
+    this.frameCallback = callback;
+
+    const intervalMs = 1000 / this.frameRate;
+    this.captureInterval = setInterval(() => {
+      if (!this.isCaptureActive()) return;
+
+      const frame = this.captureFrame();
+      if (frame && this.frameCallback) {
+        this.frameCallback(frame);
+      }
+    }, intervalMs);
+
+    console.log(`Streaming frames every ${intervalMs}ms`);
+  }
+
+  stopFrameStreaming() {
+    if (this.captureInterval) {
+      clearInterval(this.captureInterval);
+      this.captureInterval = null;
+      console.log("Frame streaming stopped");
+    }
+    this.frameCallback = null;
+  }
+
+  isStreamingFrames() {
+    return this.captureInterval !== null;
+  }
+
+  getDisplayId() {
+    return this.displayId;
+  }
+
+  getWindowTitle() {
+    return this.windowTitle;
+  }
 
   captureFrame() {
     if (!this.videoElement || !this.videoElement.videoWidth) {
@@ -260,11 +368,6 @@ class WebRTCManager {
         floatingOverlay.style.display = "";
       }
 
-      // No longer triggering automatic callback - frames are captured on-demand
-      // if (this.frameCallback) {
-      //   this.frameCallback(base64Data);
-      // }
-
       return base64Data;
     } catch (error) {
       console.error("Error capturing frame:", error);
@@ -272,8 +375,6 @@ class WebRTCManager {
     }
   }
 
-  // Removed onFrameCaptured method as automatic frame capture is no longer used
-
   isCaptureActive() {
     return this.isCapturing && !this.isPaused;
   }
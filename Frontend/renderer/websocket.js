@@ -1,3 +1,14 @@
+// Shared protocol definition, also used by the backend
+const Protocol = require("../../shared/protocol.js");
+
+// Client messages that expect an answer, tracked until one of the final replies arrives
+const TRACKED_REQUEST_TYPES = [Protocol.ClientMessageTypes.CHAT];
+const FINAL_REPLY_TYPES = [
+  Protocol.ServerMessageTypes.RESPONSE,
+  Protocol.ServerMessageTypes.RESPONSE_END,
+  Protocol.ServerMessageTypes.ERROR,
+];
+
 class WebSocketManager {
   constructor() {
     this.ws = null;
@@ -8,6 +19,29 @@ class WebSocketManager {
     this.reconnectTimeout = null;
     this.messageCallbacks = [];
     this.statusCallback = null;
+
+    // Server session this client is attached to, kept across reconnects
+    this.sessionId = null;
+    this.resumeToken = null;
+    this.isResuming = false;
+    this.freshSession = null;
+
+    // Protocol version agreed with the server in the handshake
+    this.protocolVersion = null;
+    // Server's speech-to-text transcriber, null when it has no voice input
+    this.speechInput = null;
+    // Ask the server to speak responses when the voice is on; speechOutput says whether it will
+    const settings = window.Config.getSettings();
+    this.speechAudio = settings ? settings.tts.enabled : true;
+    this.speechOutput = null;
+    this.messageCounter = 0;
+
+    // How much explanation guidance should include, sent with the handshake
+    this.detailLevel = Protocol.DEFAULT_DETAIL_LEVEL;
+
+    // Requests awaiting a final reply, keyed by message ID
+    this.pendingRequests = new Map();
+    this.requestTimeout = 60000;
   }
 
   connect() {
@@ -15,7 +49,9 @@ class WebSocketManager {
     console.log("Connecting to WebSocket:", wsURL);
 
     try {
-      this.ws = new WebSocket(wsURL);
+      const socket = new WebSocket(wsURL);
+      this.ws = socket;
+      this.ws.binaryType = "arraybuffer";
 
       this.ws.addEventListener("open", () => {
         console.log("WebSocket connected successfully");
@@ -23,25 +59,30 @@ class WebSocketManager {
         this.reconnectAttempts = 0;
         this.updateStatus("connected");
 
-        this.send({
-          type: "connection",
-          message: "Client connected",
-          timestamp: new Date().toISOString(),
-        });
+        if (this.resumeToken) {
+          // Reattach to the previous server session instead of starting over
+          this.isResuming = true;
+          this.sendMessage(Protocol.ClientMessageTypes.RESUME, {
+            sessionId: this.sessionId,
+            resumeToken: this.resumeToken,
+          });
+        } else {
+          this.sendHandshake();
+        }
       });
 
       this.ws.addEventListener("message", (event) => {
         try {
-          const data = JSON.parse(event.data);
+          // Binary messages carry spoken audio
+          const data =
+            typeof event.data === "string"
+              ? JSON.parse(event.data)
+              : Protocol.decodeBinaryMessage(new Uint8Array(event.data));
           console.log("Received message from server:", data);
 
-          this.messageCallbacks.forEach((callback) => {
-            try {
-              callback(data);
-            } catch (error) {
-              console.error("Error in message callback:", error);
-            }
-          });
+          this.handleSessionMessage(data);
+          this.handleRequestReply(data);
+          this.dispatchMessage(data);
         } catch (error) {
           console.error("Error parsing WebSocket message:", error);
         }
@@ -49,6 +90,8 @@ class WebSocketManager {
 
       this.ws.addEventListener("close", (event) => {
         console.log("WebSocket connection closed:", event.code, event.reason);
+        // Sockets dropped by disconnect() or switchServer() stay closed
+        if (this.ws !== socket) return;
         this.isConnected = false;
         this.updateStatus("disconnected");
 
@@ -66,6 +109,150 @@ class WebSocketManager {
     }
   }
 
+  sendHandshake() {
+    this.protocolVersion = null;
+    return this.sendMessage(Protocol.ClientMessageTypes.CONNECTION, {
+      message: "Client connected",
+      protocolVersion: Protocol.PROTOCOL_VERSION,
+      supportedVersions: Protocol.SUPPORTED_VERSIONS,
+      detailLevel: this.detailLevel,
+      language: window.Config.getLanguage(),
+      speechAudio: this.speechAudio,
+    });
+  }
+
+  handleSessionMessage(data) {
+    switch (data.type) {
+      case Protocol.ServerMessageTypes.CONNECTED:
+        if (this.isResuming) {
+          // Keep the fresh session in case resuming fails
+          this.freshSession = data;
+        } else {
+          this.sessionId = data.sessionId;
+          this.resumeToken = data.resumeToken;
+        }
+        break;
+
+      case Protocol.ServerMessageTypes.RESUMED:
+        this.isResuming = false;
+        this.freshSession = null;
+        this.sessionId = data.sessionId;
+        this.resumeToken = data.resumeToken;
+        console.log(
+          `Session ${data.sessionId} resumed (${data.replayedCount} missed messages)`
+        );
+        // The level may have changed while the connection was down
+        if (data.detailLevel && data.detailLevel !== this.detailLevel) {
+          this.sendDetailLevel();
+        }
+        break;
+
+      case Protocol.ServerMessageTypes.RESUME_FAILED:
+        this.isResuming = false;
+        this.sessionId = this.freshSession ? this.freshSession.sessionId : null;
+        this.resumeToken = this.freshSession
+          ? this.freshSession.resumeToken
+          : null;
+        this.freshSession = null;
+        console.warn("Could not resume previous session, starting a new one");
+        // Requests sent to the expired session will never be answered
+        this.failPendingRequests(
+          "The previous session expired before the server replied",
+          Protocol.ErrorCodes.SESSION_EXPIRED
+        );
+        this.sendHandshake();
+        break;
+
+      case Protocol.ServerMessageTypes.CONNECTION_ACK:
+        this.protocolVersion = data.protocolVersion;
+        this.speechInput = data.speechInput || null;
+        this.speechOutput = data.speechOutput || null;
+        if (data.speech && !data.speech.available) {
+          console.warn("Server voice is not available:", data.speech.reason);
+        }
+        console.log(`Using protocol version ${data.protocolVersion}`);
+        break;
+
+      case Protocol.ServerMessageTypes.ERROR:
+        if (data.code === Protocol.ErrorCodes.UNSUPPORTED_VERSION) {
+          console.error(
+            "Server does not support this client's protocol version:",
+            data.supportedVersions
+          );
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  dispatchMessage(data) {
+    this.messageCallbacks.forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error("Error in message callback:", error);
+      }
+    });
+  }
+
+  handleRequestReply(data) {
+    // A cancel settles every request it dropped or aborted
+    if (data.type === Protocol.ServerMessageTypes.CANCELLED) {
+      (data.cancelledRequestIds || []).forEach((id) => this.settleRequest(id));
+      return;
+    }
+
+    if (!data.requestId || !this.pendingRequests.has(data.requestId)) return;
+
+    if (FINAL_REPLY_TYPES.includes(data.type)) {
+      this.settleRequest(data.requestId);
+    } else {
+      // Status updates and streamed chunks show the server is still working on it
+      this.startRequestTimer(data.requestId);
+    }
+  }
+
+  trackRequest(id, type) {
+    this.pendingRequests.set(id, { type, timer: null });
+    this.startRequestTimer(id);
+  }
+
+  startRequestTimer(id) {
+    const request = this.pendingRequests.get(id);
+    clearTimeout(request.timer);
+    request.timer = setTimeout(() => {
+      console.warn(`No reply to ${request.type} request ${id}`);
+      this.failRequest(id, "No response from the server. Please try again.");
+    }, this.requestTimeout);
+  }
+
+  settleRequest(id) {
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(id);
+  }
+
+  failRequest(id, message, code = Protocol.ErrorCodes.REQUEST_TIMEOUT) {
+    this.settleRequest(id);
+
+    // Reported like a server error so listeners handle both the same way
+    this.dispatchMessage({
+      type: Protocol.ServerMessageTypes.ERROR,
+      code,
+      message,
+      requestId: id,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  failPendingRequests(message, code) {
+    [...this.pendingRequests.keys()].forEach((id) => this.failRequest(id, message, code));
+  }
+
   attemptReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error(
@@ -93,12 +280,14 @@ class WebSocketManager {
     }, delay);
   }
 
+  isOpen() {
+    return (
+      this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN
+    );
+  }
+
   send(data) {
-    if (
-      !this.isConnected ||
-      !this.ws ||
-      this.ws.readyState !== WebSocket.OPEN
-    ) {
+    if (!this.isOpen()) {
       console.warn("WebSocket is not connected. Message not sent:", data);
       return false;
     }
@@ -112,30 +301,176 @@ class WebSocketManager {
     }
   }
 
-  sendFrame(base64Frame) {
-    return this.send({
-      type: "frame",
-      data: base64Frame,
-      timestamp: new Date().toISOString(),
-    });
+  sendBinary(message) {
+    if (!this.isOpen()) {
+      console.warn("WebSocket is not connected. Message not sent:", message.type);
+      return false;
+    }
+
+    try {
+      this.ws.send(Protocol.encodeBinaryMessage(message));
+      return true;
+    } catch (error) {
+      console.error("Error sending binary WebSocket message:", error);
+      return false;
+    }
   }
 
-  sendChatMessage(message, frameData = null) {
-    const payload = {
-      type: "chat",
-      message: message,
-      timestamp: new Date().toISOString(),
+  nextMessageId() {
+    this.messageCounter++;
+    return `msg_${Date.now()}_${this.messageCounter}`;
+  }
+
+  // Returns the ID of the sent message (echoed back as "requestId"), or null
+  sendMessage(type, fields = {}) {
+    let message;
+    try {
+      // Check the message against the shared schema before it leaves the client
+      message = Protocol.createMessage(type, {
+        id: this.nextMessageId(),
+        ...fields,
+      });
+    } catch (error) {
+      console.error("Refusing to send invalid message:", error.message);
+      return null;
+    }
+
+    // Messages carrying raw image bytes go out as binary frames
+    const hasImageBytes = Object.values(message).some(
+      (value) => value instanceof Uint8Array
+    );
+
+    const sent = hasImageBytes ? this.sendBinary(message) : this.send(message);
+    if (!sent) return null;
+
+    if (TRACKED_REQUEST_TYPES.includes(type)) {
+      this.trackRequest(message.id, type);
+    }
+    return message.id;
+  }
+
+  supportsBinaryFrames() {
+    return this.protocolVersion >= Protocol.BINARY_FRAMES_VERSION;
+  }
+
+  supportsWatchMode() {
+    return this.protocolVersion >= Protocol.WATCH_MODE_VERSION;
+  }
+
+  supportsDetailLevel() {
+    return this.protocolVersion >= Protocol.DETAIL_LEVEL_VERSION;
+  }
+
+  supportsSpeechInput() {
+    return Boolean(this.speechInput);
+  }
+
+  supportsSpeechOutput() {
+    return Boolean(this.speechOutput);
+  }
+
+  // Frames carry the title of the captured window (null for a whole screen),
+  // which the server checks against its redaction blocklist
+  imageFields(base64Frame, field, windowTitle = null) {
+    // Older servers only understand base64 strings inside JSON
+    if (!this.supportsBinaryFrames()) {
+      return { [field]: base64Frame, windowTitle };
+    }
+
+    return {
+      [field]: this.base64ToBytes(base64Frame),
+      mimeType: this.detectMimeType(base64Frame),
+      windowTitle,
     };
+  }
+
+  base64ToBytes(base64Frame) {
+    const base64 = base64Frame.includes("base64,")
+      ? base64Frame.split("base64,")[1]
+      : base64Frame;
+
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  detectMimeType(base64Frame) {
+    // Frames are captured as JPEG unless a data URL says otherwise
+    return base64Frame.startsWith("data:image/png") ? "image/png" : "image/jpeg";
+  }
+
+  sendFrame(base64Frame, windowTitle = null) {
+    return this.sendMessage(
+      Protocol.ClientMessageTypes.FRAME,
+      this.imageFields(base64Frame, "data", windowTitle)
+    );
+  }
+
+  sendChatMessage(message, frameData = null, windowTitle = null) {
+    let fields = { message: message };
 
     // Include frame data if provided
     if (frameData) {
-      payload.frameData = frameData;
+      fields = { ...fields, ...this.imageFields(frameData, "frameData", windowTitle) };
       console.log("Sending message with screen frame (frameData included)");
     } else {
       console.log("Sending message without screen frame");
     }
 
-    return this.send(payload);
+    return this.sendMessage(Protocol.ClientMessageTypes.CHAT, fields);
+  }
+
+  sendCancel() {
+    return this.sendMessage(Protocol.ClientMessageTypes.CANCEL);
+  }
+
+  setWatchMode(enabled) {
+    return this.sendMessage(Protocol.ClientMessageTypes.SET_WATCH_MODE, {
+      enabled,
+    });
+  }
+
+  // The server only reads speechAudio from the handshake, so a change is sent with a new one
+  setSpeechAudio(enabled) {
+    if (this.speechAudio === enabled) return null;
+
+    this.speechAudio = enabled;
+    return this.isOpen() && this.protocolVersion >= Protocol.SPEECH_AUDIO_VERSION
+      ? this.sendHandshake()
+      : null;
+  }
+
+  // The server only reads the language from the handshake, so a change is sent with a new one
+  updateLanguage() {
+    return this.isOpen() ? this.sendHandshake() : null;
+  }
+
+  setDetailLevel(level) {
+    if (!Protocol.DETAIL_LEVELS.includes(level)) {
+      console.warn("Ignoring unknown detail level:", level);
+      return null;
+    }
+
+    this.detailLevel = level;
+    // Otherwise the next handshake carries it
+    return this.isOpen() && this.supportsDetailLevel()
+      ? this.sendDetailLevel()
+      : null;
+  }
+
+  sendDetailLevel() {
+    return this.sendMessage(Protocol.ClientMessageTypes.SET_DETAIL_LEVEL, {
+      detailLevel: this.detailLevel,
+    });
+  }
+
+  updateMetadata(metadata) {
+    return this.sendMessage(Protocol.ClientMessageTypes.UPDATE_METADATA, {
+      metadata,
+    });
   }
 
   sendSessionData(sessionData) {
@@ -146,7 +481,13 @@ class WebSocketManager {
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify(sessionData),
+      // The live session ID links the AI usage recorded so far to the saved session,
+      // the language is the one a generated title is written in
+      body: JSON.stringify({
+        ...sessionData,
+        liveSessionId: this.sessionId,
+        language: window.Config.getLanguage(),
+      }),
     })
       .then((response) => response.json())
       .then((data) => {
@@ -184,11 +525,30 @@ class WebSocketManager {
       this.ws = null;
     }
 
+    this.pendingRequests.forEach((request) => clearTimeout(request.timer));
+    this.pendingRequests.clear();
+
     this.isConnected = false;
     this.updateStatus("disconnected");
     console.log("WebSocket disconnected");
   }
 
+  // Connect to the backend URL now in the settings; the old server's session cannot be resumed there
+  switchServer() {
+    this.disconnect();
+
+    this.sessionId = null;
+    this.resumeToken = null;
+    this.isResuming = false;
+    this.freshSession = null;
+    this.protocolVersion = null;
+    this.speechInput = null;
+    this.speechOutput = null;
+    this.reconnectAttempts = 0;
+
+    this.connect();
+  }
+
   getStatus() {
     if (!this.ws) return "disconnected";
 
@@ -0,0 +1,171 @@
+// Persistent user settings
+// Kept as JSON in Electron's userData directory and owned by the main process;
+// windows read them and ask for changes over IPC (see main.js)
+const fs = require("fs");
+const path = require("path");
+const Protocol = require("../shared/protocol.js");
+
+const SETTINGS_FILE = "settings.json";
+
+// Frames per second sent while watching; guidance only needs a slow stream
+const FRAME_RATE_RANGE = { min: 0.2, max: 2 };
+// Web Speech API ranges for the browser voice
+const SPEECH_RATE_RANGE = { min: 0.5, max: 2 };
+const SPEECH_PITCH_RANGE = { min: 0, max: 2 };
+
+// BCP 47 language tag, such as "es" or "pt-BR"; the server checks it is a known language
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+// Actions that can have a global keyboard shortcut, in Electron accelerator syntax
+const HOTKEY_ACTIONS = ["handsFree", "watchMode", "stopSharing"];
+
+function createDefaultSettings(env = process.env) {
+  return {
+    backendUrl: env.BACKEND_URL || "http://localhost:5000",
+    frameRate: 1,
+    tts: {
+      enabled: true,
+      voice: null, // Name of a system voice, null picks one for the language
+      rate: 1,
+      pitch: 1,
+    },
+    detailLevel: Protocol.DEFAULT_DETAIL_LEVEL,
+    language: null, // Language tag, null uses LANGUAGE from .env or the system language
+    captureSource: null, // { id, name } of a screen or window, null captures the first screen
+    hotkeys: {
+      handsFree: "CommandOrControl+Shift+H",
+      watchMode: "CommandOrControl+Shift+W",
+      stopSharing: "",
+    },
+  };
+}
+
+// Settings are plain JSON, so a JSON round trip is a deep copy
+function clone(settings) {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+function inRange(value, { min, max }) {
+  return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Checks for each setting; each returns an error message, or null when the value is fine
+const VALIDATORS = {
+  backendUrl: (value) => {
+    try {
+      const url = new URL(value);
+      return ["http:", "https:"].includes(url.protocol) ? null : "must be an http or https address";
+    } catch (error) {
+      return "must be a valid address";
+    }
+  },
+  frameRate: (value) =>
+    inRange(value, FRAME_RATE_RANGE)
+      ? null
+      : `must be between ${FRAME_RATE_RANGE.min} and ${FRAME_RATE_RANGE.max}`,
+  "tts.enabled": (value) => (typeof value === "boolean" ? null : "must be true or false"),
+  "tts.voice": (value) => (value === null || typeof value === "string" ? null : "must be a voice name"),
+  "tts.rate": (value) =>
+    inRange(value, SPEECH_RATE_RANGE)
+      ? null
+      : `must be between ${SPEECH_RATE_RANGE.min} and ${SPEECH_RATE_RANGE.max}`,
+  "tts.pitch": (value) =>
+    inRange(value, SPEECH_PITCH_RANGE)
+      ? null
+      : `must be between ${SPEECH_PITCH_RANGE.min} and ${SPEECH_PITCH_RANGE.max}`,
+  detailLevel: (value) =>
+    Protocol.DETAIL_LEVELS.includes(value) ? null : `must be one of ${Protocol.DETAIL_LEVELS.join(", ")}`,
+  language: (value) =>
+    value === null || (typeof value === "string" && LANGUAGE_TAG.test(value))
+      ? null
+      : "must be a language tag such as es or pt-BR",
+  captureSource: (value) =>
+    value === null || (value && typeof value.id === "string" && typeof value.name === "string")
+      ? null
+      : "must be a screen or window",
+  ...Object.fromEntries(
+    HOTKEY_ACTIONS.map((action) => [
+      `hotkeys.${action}`,
+      (value) => (typeof value === "string" ? null : "must be a shortcut, or empty for none"),
+    ])
+  ),
+};
+
+class SettingsStore {
+  constructor(directory, defaults = createDefaultSettings()) {
+    this.filePath = path.join(directory, SETTINGS_FILE);
+    this.defaults = defaults;
+    this.settings = this.load();
+  }
+
+  // Saved values over the defaults; unknown keys and invalid values are dropped
+  load() {
+    let saved = {};
+    try {
+      if (fs.existsSync(this.filePath)) {
+        saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      }
+    } catch (error) {
+      console.error("Could not read settings, using defaults:", error.message);
+    }
+
+    const { settings, errors } = this.merge(this.defaults, saved);
+    errors.forEach((error) => console.warn(`Ignoring saved setting ${error}`));
+    return settings;
+  }
+
+  get() {
+    return clone(this.settings);
+  }
+
+  // Apply a partial change ({ tts: { rate: 1.2 } }); nothing is saved unless every value is valid
+  update(changes) {
+    const { settings, errors } = this.merge(this.settings, changes);
+    if (errors.length > 0) {
+      return { settings: this.get(), errors };
+    }
+
+    this.settings = settings;
+    this.save();
+    return { settings: this.get(), errors: [] };
+  }
+
+  merge(base, changes) {
+    const settings = clone(base);
+    const errors = [];
+
+    for (const [key, validate] of Object.entries(VALIDATORS)) {
+      const [group, field] = key.split(".");
+      const source = field ? changes?.[group] : changes;
+      const name = field || group;
+
+      if (!source || typeof source !== "object" || !(name in source)) continue;
+
+      const value = source[name];
+      const error = validate(value);
+      if (error) {
+        errors.push(`${key} ${error}`);
+      } else if (field) {
+        settings[group][field] = value;
+      } else {
+        settings[group] = key === "backendUrl" ? value.replace(/\/+$/, "") : value;
+      }
+    }
+
+    return { settings, errors };
+  }
+
+  save() {
+    // Write a temporary file first so a crash never leaves half a settings file
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(this.settings, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  SettingsStore,
+  createDefaultSettings,
+  HOTKEY_ACTIONS,
+};
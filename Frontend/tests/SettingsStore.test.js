@@ -0,0 +1,98 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SettingsStore, createDefaultSettings } = require("../settings.js");
+
+describe("SettingsStore", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "settings-"));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const readFile = () =>
+    JSON.parse(fs.readFileSync(path.join(directory, "settings.json"), "utf8"));
+
+  test("should start from the defaults, seeded from the environment", () => {
+    const store = new SettingsStore(directory, createDefaultSettings({ BACKEND_URL: "http://10.0.0.5:5000" }));
+
+    expect(store.get()).toMatchObject({
+      backendUrl: "http://10.0.0.5:5000",
+      frameRate: 1,
+      tts: { enabled: true, voice: null, rate: 1, pitch: 1 },
+      detailLevel: "step_by_step",
+      language: null,
+      captureSource: null,
+    });
+    expect(fs.existsSync(path.join(directory, "settings.json"))).toBe(false);
+  });
+
+  test("update() should save partial changes and keep the rest", () => {
+    const store = new SettingsStore(directory, createDefaultSettings({}));
+
+    const { settings, errors } = store.update({
+      backendUrl: "https://assistant.example.com/",
+      tts: { rate: 1.5 },
+      language: "pt-BR",
+      hotkeys: { stopSharing: "CommandOrControl+Shift+S" },
+    });
+
+    expect(errors).toEqual([]);
+    expect(settings.backendUrl).toBe("https://assistant.example.com");
+    expect(settings.tts).toEqual({ enabled: true, voice: null, rate: 1.5, pitch: 1 });
+    expect(settings.language).toBe("pt-BR");
+    expect(settings.hotkeys.handsFree).toBe("CommandOrControl+Shift+H");
+    expect(readFile()).toEqual(settings);
+
+    // A new store, as on the next launch, reads them back
+    expect(new SettingsStore(directory, createDefaultSettings({})).get()).toEqual(settings);
+  });
+
+  test("update() should save nothing when a value is invalid", () => {
+    const store = new SettingsStore(directory, createDefaultSettings({}));
+
+    const { settings, errors } = store.update({
+      frameRate: 1.5,
+      backendUrl: "ftp://example.com",
+      detailLevel: "essay",
+      language: "Spanish",
+    });
+
+    expect(errors).toEqual([
+      "backendUrl must be an http or https address",
+      "detailLevel must be one of quick_tip, step_by_step, teach_me",
+      "language must be a language tag such as es or pt-BR",
+    ]);
+    expect(settings.frameRate).toBe(1);
+    expect(fs.existsSync(path.join(directory, "settings.json"))).toBe(false);
+  });
+
+  test("should ignore invalid or unknown values in the settings file", () => {
+    fs.writeFileSync(
+      path.join(directory, "settings.json"),
+      JSON.stringify({ frameRate: 30, tts: { pitch: 1.5 }, theme: "dark" })
+    );
+
+    const settings = new SettingsStore(directory, createDefaultSettings({})).get();
+
+    expect(settings.frameRate).toBe(1);
+    expect(settings.tts.pitch).toBe(1.5);
+    expect(settings).not.toHaveProperty("theme");
+    expect(console.warn).toHaveBeenCalledWith("Ignoring saved setting frameRate must be between 0.2 and 2");
+  });
+
+  test("should fall back to the defaults when the file is not JSON", () => {
+    fs.writeFileSync(path.join(directory, "settings.json"), "{ broken");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const store = new SettingsStore(directory, createDefaultSettings({}));
+
+    expect(store.get()).toEqual(createDefaultSettings({}));
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+
+jest.mock(
+  "electron",
+  () => ({
+    ipcRenderer: { send: jest.fn(), sendSync: jest.fn(), invoke: jest.fn(), on: jest.fn() },
+  }),
+  { virtual: true }
+);
+
+const { ipcRenderer } = require("electron");
+
+const RENDERER_DIR = path.join(__dirname, "../../renderer");
+
+// Runs a renderer file as a classic script, the way index.html loads it,
+// so its top-level declarations share one global scope with the other files
+function loadScript(file) {
+  const script = document.createElement("script");
+  script.textContent = fs.readFileSync(path.join(RENDERER_DIR, file), "utf8");
+  document.head.appendChild(script);
+}
+
+describe("config.js and app.js", () => {
+  const settings = {
+    backendUrl: "http://localhost:5000",
+    frameRate: 1,
+    tts: { enabled: true, voice: null, rate: 1, pitch: 1 },
+    detailLevel: "step_by_step",
+    language: null,
+    captureSource: null,
+    hotkeys: { handsFree: "", watchMode: "", stopSharing: "" },
+  };
+
+  beforeAll(() => {
+    const html = fs.readFileSync(path.join(RENDERER_DIR, "index.html"), "utf8");
+    document.body.innerHTML = html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    ipcRenderer.sendSync.mockReturnValue(settings);
+    ipcRenderer.invoke.mockResolvedValue({ settings, errors: [], warnings: [] });
+
+    window.require = require;
+    window.websocketManager = {
+      connect: jest.fn(),
+      onMessage: jest.fn(),
+      onStatusChange: jest.fn(),
+      setDetailLevel: jest.fn(),
+      setSpeechAudio: jest.fn(),
+      updateLanguage: jest.fn(),
+      isOpen: jest.fn(() => true),
+      supportsDetailLevel: jest.fn(() => true),
+      switchServer: jest.fn(),
+      supportsSpeechInput: jest.fn(() => true),
+    };
+    window.chatManager = { addSystemMessage: jest.fn(), setSpeechSettings: jest.fn() };
+    window.webrtcManager = { setFrameRate: jest.fn(), setCaptureSource: jest.fn() };
+
+    loadScript("config.js");
+    loadScript("app.js");
+  });
+
+  afterAll(() => {
+    delete window.require;
+    jest.restoreAllMocks();
+  });
+
+  test("a new backend URL should reach Config before the socket reconnects", () => {
+    const [, onSettingsChanged] = ipcRenderer.on.mock.calls.find(
+      ([channel]) => channel === "settings-changed"
+    );
+    let urlOnSwitch = null;
+    window.websocketManager.switchServer.mockImplementation(() => {
+      urlOnSwitch = window.Config.getWebSocketURL();
+    });
+
+    onSettingsChanged({}, { ...settings, backendUrl: "https://assistant.example.com", frameRate: 0.5 });
+
+    expect(window.websocketManager.switchServer).toHaveBeenCalledTimes(1);
+    expect(urlOnSwitch).toBe("wss://assistant.example.com/ws");
+    expect(window.Config.getBackendURL()).toBe("https://assistant.example.com");
+    expect(window.Config.getFrameRate()).toBe(0.5);
+    expect(window.webrtcManager.setFrameRate).toHaveBeenLastCalledWith(0.5);
+  });
+
+  test("a new language should be sent to the server with a new handshake", () => {
+    const [, onSettingsChanged] = ipcRenderer.on.mock.calls.find(
+      ([channel]) => channel === "settings-changed"
+    );
+    let languageOnUpdate = null;
+    window.websocketManager.updateLanguage.mockImplementation(() => {
+      languageOnUpdate = window.Config.getLanguage();
+    });
+
+    onSettingsChanged({}, { ...settings, language: "es" });
+    expect(languageOnUpdate).toBe("es");
+
+    // An empty setting goes back to the system language
+    onSettingsChanged({}, settings);
+    expect(window.Config.getLanguage()).toBe(navigator.language);
+    expect(window.websocketManager.updateLanguage).toHaveBeenCalledTimes(2);
+  });
+
+  test("toggling hands-free while the microphone opens should not open a second one", async () => {
+    let openMicrophone;
+    window.voiceInputManager = {
+      isSupported: jest.fn(() => true),
+      startHandsFree: jest.fn(() => new Promise((resolve) => (openMicrophone = resolve))),
+      stopHandsFree: jest.fn(),
+    };
+    const handsFreeBtn = document.getElementById("handsFreeBtn");
+
+    handsFreeBtn.click();
+    handsFreeBtn.click();
+    expect(window.voiceInputManager.startHandsFree).toHaveBeenCalledTimes(1);
+
+    openMicrophone(true);
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(handsFreeBtn.classList.contains("active")).toBe(true);
+
+    // Once open, the toggle turns hands-free off again
+    handsFreeBtn.click();
+    expect(window.voiceInputManager.stopHandsFree).toHaveBeenCalledTimes(1);
+  });
+});
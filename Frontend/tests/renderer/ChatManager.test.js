@@ -27,6 +27,7 @@ describe("ChatManager", () => {
             <div id="chatMessages"></div>
             <input id="chatInput" />
             <button id="sendBtn"></button>
+            <button id="cancelBtn" class="hidden"></button>
         `;
 
     // Mock scroll properties
@@ -43,6 +44,7 @@ describe("ChatManager", () => {
     // Mock dependencies
     mockWebSocketManager = {
       sendChatMessage: jest.fn(),
+      sendCancel: jest.fn(),
     };
     window.websocketManager = mockWebSocketManager;
 
@@ -50,6 +52,7 @@ describe("ChatManager", () => {
       isCaptureActive: jest.fn(() => false),
       startCapture: jest.fn().mockResolvedValue(true),
       captureFrame: jest.fn(),
+      getWindowTitle: jest.fn(() => null),
     };
     window.webrtcManager = mockWebrtcManager;
 
@@ -78,11 +81,24 @@ describe("ChatManager", () => {
 
     expect(mockWebSocketManager.sendChatMessage).toHaveBeenCalledWith(
       "Test Message",
+      null,
       null
     );
     expect(chatManager.chatInput.value).toBe("");
   });
 
+  test("sendMessage() should send a voice transcript without touching the input", async () => {
+    chatManager.chatInput.value = "half-typed";
+    await chatManager.sendMessage("  Where is the save button? ");
+
+    expect(mockWebSocketManager.sendChatMessage).toHaveBeenCalledWith(
+      "Where is the save button?",
+      null,
+      null
+    );
+    expect(chatManager.chatInput.value).toBe("half-typed");
+  });
+
   test("handleAIResponse() should add AI message", () => {
     chatManager.handleAIResponse("AI Reply");
     const messages = document.getElementById("chatMessages");
@@ -98,4 +114,302 @@ describe("ChatManager", () => {
     const messages = document.getElementById("chatMessages");
     expect(messages.children.length).toBe(0);
   });
+
+  test("handleAIResponseChunk() should render text incrementally", () => {
+    window.speechSynthesis.speak.mockClear();
+
+    chatManager.handleAIResponseChunk("Click the ");
+    chatManager.handleAIResponseChunk("Chrome icon");
+
+    const messages = document.getElementById("chatMessages");
+    expect(messages.children.length).toBe(1);
+    expect(messages.textContent).toBe("Click the Chrome icon");
+    // No complete sentence yet, so nothing is spoken
+    expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+  });
+
+  test("handleAIResponseChunk() should speak on sentence boundaries", () => {
+    window.speechSynthesis.speak.mockClear();
+
+    chatManager.handleAIResponseChunk("Open google.com in Chrome. Then ");
+    expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(1);
+    expect(window.speechSynthesis.speak.mock.calls[0][0].text).toBe(
+      "Open google.com in Chrome."
+    );
+
+    chatManager.finishAIResponse(
+      "Open google.com in Chrome. Then search for weather."
+    );
+    expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(2);
+    expect(window.speechSynthesis.speak.mock.calls[1][0].text).toBe(
+      "Then search for weather."
+    );
+    expect(chatManager.messageHistory).toHaveLength(1);
+    expect(chatManager.streamingResponse).toBeNull();
+  });
+
+  test("should show responses without Markdown and read them in speech-friendly form", () => {
+    window.speechSynthesis.speak.mockClear();
+
+    chatManager.handleAIResponseChunk("Press **Ctrl+Shift+T** to reopen the tab.\n");
+    chatManager.finishAIResponse(
+      "Press **Ctrl+Shift+T** to reopen the tab.\n1. Open https://support.google.com/chrome/answer/95421"
+    );
+
+    const messages = document.getElementById("chatMessages");
+    expect(messages.textContent).toBe(
+      "Press Ctrl+Shift+T to reopen the tab.\n1. Open https://support.google.com/chrome/answer/95421"
+    );
+    expect(window.speechSynthesis.speak.mock.calls.map(([utterance]) => utterance.text)).toEqual([
+      "Press Control Shift T to reopen the tab.",
+      "1. Open support.google.com.",
+    ]);
+  });
+
+  test("selectVoice() should prefer a voice for the configured language", () => {
+    const voices = [
+      { name: "English Female", lang: "en-US" },
+      { name: "Español", lang: "es-ES" },
+      { name: "Español México", lang: "es_MX" },
+    ];
+
+    expect(chatManager.selectVoice(voices, "es-MX").name).toBe("Español México");
+    expect(chatManager.selectVoice(voices, "es").name).toBe("Español");
+    expect(chatManager.selectVoice(voices, "ja").name).toBe("English Female");
+    expect(chatManager.selectVoice([], "es")).toBeNull();
+  });
+
+  test("speak() should tag speech with the configured language", () => {
+    window.speechSynthesis.speak.mockClear();
+    const getLanguage = jest.spyOn(window.Config, "getLanguage").mockReturnValue("fr-FR");
+
+    chatManager.speak("Bonjour.");
+
+    expect(window.speechSynthesis.speak.mock.calls[0][0].lang).toBe("fr-FR");
+    getLanguage.mockRestore();
+  });
+
+  test("isSpeaking() should report queued and playing speech", () => {
+    window.speechSynthesis.speaking = false;
+    window.speechSynthesis.pending = false;
+    expect(chatManager.isSpeaking()).toBe(false);
+
+    window.speechSynthesis.pending = true;
+    expect(chatManager.isSpeaking()).toBe(true);
+    delete window.speechSynthesis.pending;
+  });
+
+  test("setSpeechSettings() should apply the voice, speed and pitch", () => {
+    window.speechSynthesis.speak.mockClear();
+    window.speechSynthesis.getVoices.mockReturnValue([
+      { name: "English Female", lang: "en-US" },
+      { name: "Daniel", lang: "en-GB" },
+    ]);
+
+    chatManager.setSpeechSettings({ enabled: true, voice: "Daniel", rate: 1.4, pitch: 0.8 });
+    chatManager.speak("Click Save.");
+
+    const utterance = window.speechSynthesis.speak.mock.calls[0][0];
+    expect(utterance.voice.name).toBe("Daniel");
+    expect(utterance.rate).toBe(1.4);
+    expect(utterance.pitch).toBe(0.8);
+
+    chatManager.setSpeechSettings({ enabled: false, voice: null, rate: 1, pitch: 1 });
+    chatManager.addMessage("Done.", "ai");
+    expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(1);
+    window.speechSynthesis.getVoices.mockReturnValue([]);
+  });
+
+  describe("server speech", () => {
+    let players;
+
+    beforeEach(() => {
+      players = [];
+      window.Audio = jest.fn(function (src) {
+        this.src = src;
+        this.play = jest.fn(() => Promise.resolve());
+        this.pause = jest.fn();
+        const listeners = {};
+        this.addEventListener = (event, listener) => (listeners[event] = listener);
+        this.finish = () => listeners.ended();
+        players.push(this);
+      });
+      URL.createObjectURL = jest.fn(() => "blob:speech");
+      URL.revokeObjectURL = jest.fn();
+      window.speechSynthesis.speak.mockClear();
+      chatManager.setServerSpeech(true);
+    });
+
+    test("should leave responses to the server voice", () => {
+      chatManager.handleAIResponseChunk("Open the menu. Then");
+      chatManager.finishAIResponse("Open the menu. Then click Save.");
+      expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+    });
+
+    test("handleAudioChunk() should play sentences one after another", () => {
+      const audio = new Uint8Array([1, 2, 3]);
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Open the menu.", audio, mimeType: "audio/wav" });
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Click Save.", audio, mimeType: "audio/wav" });
+
+      expect(players).toHaveLength(1);
+      expect(chatManager.isSpeaking()).toBe(true);
+
+      players[0].finish();
+      expect(players).toHaveLength(2);
+      expect(players[1].play).toHaveBeenCalled();
+
+      players[1].finish();
+      expect(chatManager.isSpeaking()).toBe(false);
+      expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+    });
+
+    test("handleAudioChunk() should read sentences without audio with the system voice", () => {
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Click Save.", audio: null, mimeType: null });
+
+      expect(players).toHaveLength(0);
+      expect(window.speechSynthesis.speak.mock.calls[0][0].text).toBe("Click Save.");
+    });
+
+    test("stopSpeaking() should drop the rest of the interrupted response", () => {
+      const audio = new Uint8Array([1]);
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Open the menu.", audio });
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Click File.", audio });
+
+      chatManager.stopSpeaking();
+      expect(players[0].pause).toHaveBeenCalled();
+
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Click Save.", audio });
+      expect(players).toHaveLength(1);
+
+      chatManager.handleAudioChunk({ requestId: "r2", text: "Done.", audio });
+      expect(players).toHaveLength(2);
+    });
+
+    test("the last chunk of a response should forget its request", () => {
+      const audio = new Uint8Array([1]);
+      chatManager.handleAudioChunk({ requestId: "r1", text: "Open the menu.", audio });
+      chatManager.stopSpeaking();
+
+      chatManager.handleAudioChunk({ requestId: "r1", text: "", final: true });
+      chatManager.handleAudioChunk({ requestId: "r2", text: "", final: true });
+
+      expect(chatManager.mutedRequests.size).toBe(0);
+      expect(chatManager.audioRequests.size).toBe(0);
+      expect(players).toHaveLength(1);
+    });
+  });
+
+  test("finishAIResponse() should add the full message when nothing was streamed", () => {
+    chatManager.finishAIResponse("AI Reply");
+    const messages = document.getElementById("chatMessages");
+    expect(messages.textContent).toContain("AI Reply");
+    expect(chatManager.messageHistory).toHaveLength(1);
+  });
+
+  test("finishAIResponse() should keep the prompt version with the message", () => {
+    chatManager.handleAIResponseChunk("Click the Chrome icon.");
+    chatManager.finishAIResponse("Click the Chrome icon.", "msg_1", "guidance@1");
+
+    expect(chatManager.messageHistory[0]).toMatchObject({
+      text: "Click the Chrome icon.",
+      type: "ai",
+      promptVersion: "guidance@1",
+    });
+    expect(chatManager.getSessionData().messages[0].promptVersion).toBe("guidance@1");
+  });
+
+  test("discardStreamingResponse() should remove the partial message", () => {
+    chatManager.handleAIResponseChunk("Click the ");
+    chatManager.discardStreamingResponse();
+
+    const messages = document.getElementById("chatMessages");
+    expect(messages.children.length).toBe(0);
+    expect(chatManager.streamingResponse).toBeNull();
+  });
+
+  test("cancel button should send a cancel request while a message is pending", () => {
+    const messageDiv = chatManager.addMessage("Open Chrome", "user");
+    chatManager.trackRequest("msg_1", messageDiv);
+    expect(chatManager.cancelBtn.classList.contains("hidden")).toBe(false);
+
+    chatManager.cancelBtn.click();
+    expect(mockWebSocketManager.sendCancel).toHaveBeenCalled();
+
+    chatManager.handleAIResponseChunk("Click the ", "msg_1");
+    chatManager.handleCancelled({ cancelledRequestIds: ["msg_1"] });
+
+    expect(chatManager.cancelBtn.classList.contains("hidden")).toBe(true);
+    expect(chatManager.streamingResponse).toBeNull();
+    expect(messageDiv.dataset.requestState).toBe("cancelled");
+    expect(document.getElementById("chatMessages").textContent).toContain(
+      "Request cancelled"
+    );
+  });
+
+  test("should show per-message progress until the answer arrives", () => {
+    const first = chatManager.addMessage("First", "user");
+    const second = chatManager.addMessage("Second", "user");
+    chatManager.trackRequest("msg_1", first);
+    chatManager.trackRequest("msg_2", second);
+
+    chatManager.updateRequestStatus("msg_1", "processing");
+    expect(first.querySelector(".message-status").textContent).toBe("Thinking...");
+    expect(second.querySelector(".message-status").textContent).toBe("Sending...");
+
+    chatManager.handleAIResponseChunk("Click the Chrome icon.", "msg_1");
+    chatManager.finishAIResponse("Click the Chrome icon.", "msg_1");
+
+    expect(first.dataset.requestState).toBe("done");
+    expect(first.querySelector(".message-status")).toBeNull();
+    expect(second.dataset.requestState).toBe("sending");
+    expect(chatManager.cancelBtn.classList.contains("hidden")).toBe(false);
+  });
+
+  test("handleError() should mark the failed message", () => {
+    const messageDiv = chatManager.addMessage("Open Chrome", "user");
+    chatManager.trackRequest("msg_1", messageDiv);
+
+    chatManager.handleError({ requestId: "msg_1", message: "No response from the server." });
+
+    expect(messageDiv.dataset.requestState).toBe("failed");
+    expect(messageDiv.querySelector(".message-status").textContent).toBe(
+      "⚠️ Failed: No response from the server."
+    );
+    expect(chatManager.pendingMessages.size).toBe(0);
+  });
+
+  test("handleError() should report errors for unknown requests as system messages", () => {
+    chatManager.handleError({ message: "Invalid image data" });
+
+    const messages = document.getElementById("chatMessages");
+    expect(messages.textContent).toContain("⚠️ Error: Invalid image data");
+  });
+
+  test("handleError() should report known errors in the user's language", () => {
+    const getLanguage = jest.spyOn(window.Config, "getLanguage").mockReturnValue("es");
+    const messageDiv = chatManager.addMessage("Abre Chrome", "user");
+    chatManager.trackRequest("msg_1", messageDiv);
+
+    chatManager.handleError({
+      requestId: "msg_1",
+      code: "rate_limited",
+      scope: "user",
+      retryAfterMs: 4200,
+      message: "You're sending requests too quickly. Try again in 5 seconds.",
+    });
+
+    expect(messageDiv.querySelector(".message-status").textContent).toBe(
+      "⚠️ Error: Estás enviando solicitudes demasiado rápido. Inténtalo de nuevo en 5 s."
+    );
+    getLanguage.mockRestore();
+  });
+
+  test("sendMessage() should mark messages that could not be sent", async () => {
+    mockWebSocketManager.sendChatMessage.mockReturnValue(null);
+    chatManager.chatInput.value = "Test Message";
+    await chatManager.sendMessage();
+
+    const userMessage = document.querySelector(".user-message");
+    expect(userMessage.dataset.requestState).toBe("failed");
+  });
 });
@@ -0,0 +1,43 @@
+const { MESSAGES, resolveLanguage, translate } = require("../../renderer/i18n.js");
+
+describe("I18n", () => {
+  test("should translate into the closest available language", () => {
+    expect(translate("watchOff", {}, "es")).toBe("Modo de observación desactivado.");
+    expect(translate("watchOff", {}, "de-AT")).toBe("Beobachtungsmodus aus.");
+    expect(translate("watchOff", {}, "ja")).toBe("Watch mode off.");
+  });
+
+  test("should default to the configured language", () => {
+    expect(resolveLanguage(window.Config.getLanguage())).toBe("en");
+    expect(translate("watchOff")).toBe("Watch mode off.");
+  });
+
+  test("should fill in parameters", () => {
+    expect(translate("planUpdatedWithReason", { reason: "Chrome is closed" }, "fr")).toBe(
+      "🔄 Plan mis à jour : Chrome is closed"
+    );
+    expect(translate("redactionMasked", { count: 2 }, "de")).toBe("🔒 2 Bereich(e) vor der KI verborgen");
+  });
+
+  test("should translate server errors by code and keep the text of unknown ones", () => {
+    const { translateError, translateProviderDegraded } = require("../../renderer/i18n.js");
+
+    expect(translateError({ code: "ai_timeout", message: "AI API request timeout" }, "fr")).toBe(
+      "Le service d'IA a mis trop de temps à répondre."
+    );
+    expect(translateError({ code: "rate_limited", scope: "daily", retryAfterMs: 60000 }, "de")).toBe(
+      "Tägliches Limit für KI-Anfragen erreicht. Versuchen Sie es morgen erneut."
+    );
+    expect(translateError({ code: "new_code", message: "Something new" }, "es")).toBe("Something new");
+    expect(
+      translateProviderDegraded({ state: "unavailable", message: "Not responding", retryAfterMs: 30000 }, "es")
+    ).toBe("⚠️ El servicio de IA no responde. Se volverá a intentar en 30 segundos.");
+  });
+
+  test("should translate every English message", () => {
+    const keys = Object.keys(MESSAGES.en).sort();
+    Object.values(MESSAGES).forEach((catalog) => {
+      expect(Object.keys(catalog).sort()).toEqual(keys);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { PlanManager } = require("../../renderer/plan.js");
+
+describe("PlanManager", () => {
+  let planManager;
+
+  const plan = {
+    goal: "Search for weather on Google",
+    steps: [
+      { index: 0, instruction: "Open Chrome.", expectedOutcome: "Chrome is open.", status: "pending" },
+      { index: 1, instruction: "Search for weather.", expectedOutcome: "Results are shown.", status: "pending" },
+    ],
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="planPanel" class="plan-panel hidden"></div>`;
+    planManager = new PlanManager();
+  });
+
+  const stepStatuses = () =>
+    [...document.querySelectorAll(".plan-step")].map((item) => item.dataset.status);
+
+  test("showPlan() should render the checklist", () => {
+    planManager.showPlan(plan);
+
+    expect(planManager.planPanel.classList.contains("hidden")).toBe(false);
+    expect(planManager.planPanel.textContent).toContain("Search for weather on Google");
+    expect(stepStatuses()).toEqual(["pending", "pending"]);
+    expect(document.querySelector(".plan-progress").textContent).toBe("0/2");
+  });
+
+  test("should track step progress", () => {
+    planManager.showPlan(plan);
+    planManager.startStep(0);
+    expect(stepStatuses()).toEqual(["in_progress", "pending"]);
+
+    planManager.completeStep(0);
+    planManager.startStep(1);
+    expect(stepStatuses()).toEqual(["completed", "in_progress"]);
+    expect(planManager.getProgress()).toEqual({ completed: 1, total: 2 });
+
+    // The original plan object is left untouched
+    expect(plan.steps[0].status).toBe("pending");
+  });
+
+  test("clear() should hide the checklist", () => {
+    planManager.showPlan(plan);
+    planManager.clear();
+
+    expect(planManager.planPanel.classList.contains("hidden")).toBe(true);
+    expect(planManager.planPanel.children.length).toBe(0);
+  });
+});
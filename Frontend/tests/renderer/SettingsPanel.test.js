@@ -0,0 +1,120 @@
+const { SettingsPanel } = require("../../renderer/settings.js");
+
+describe("SettingsPanel", () => {
+  let panel;
+
+  const settings = {
+    backendUrl: "http://localhost:5000",
+    frameRate: 1,
+    tts: { enabled: true, voice: "Daniel", rate: 1.2, pitch: 1 },
+    detailLevel: "teach_me",
+    language: "pt-BR",
+    captureSource: { id: "window:3:0", name: "Old Editor" },
+    hotkeys: { handsFree: "CommandOrControl+Shift+H", watchMode: "", stopSharing: "" },
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="settingsBtn"></button>
+      <div id="settingsPanel" class="hidden">
+        <form id="settingsForm">
+          <input id="settingsBackendUrl" />
+          <input id="settingsFrameRate" type="number" />
+          <input id="settingsTtsEnabled" type="checkbox" />
+          <select id="settingsVoice"></select>
+          <input id="settingsRate" type="range" min="0.5" max="2" step="0.1" />
+          <input id="settingsPitch" type="range" min="0" max="2" step="0.1" />
+          <select id="settingsDetailLevel">
+            <option value="quick_tip"></option>
+            <option value="step_by_step"></option>
+            <option value="teach_me"></option>
+          </select>
+          <select id="settingsLanguage">
+            <option value=""></option>
+            <option value="es"></option>
+          </select>
+          <select id="settingsCaptureSource"></select>
+          <input id="settingsHotkeyHandsFree" />
+          <input id="settingsHotkeyWatchMode" />
+          <input id="settingsHotkeyStopSharing" />
+          <ul id="settingsMessages" class="hidden"></ul>
+          <button id="settingsCancelBtn" type="button"></button>
+        </form>
+      </div>
+    `;
+
+    window.Config.getSettings = jest.fn(() => settings);
+    window.Config.updateSettings = jest.fn();
+    window.speechSynthesis.getVoices.mockReturnValue([{ name: "Daniel", lang: "en-GB" }]);
+    window.webrtcManager = {
+      getCaptureSources: jest.fn().mockResolvedValue([
+        { id: "screen:0:0", name: "Entire Screen" },
+        { id: "window:8:0", name: "Notepad" },
+      ]),
+    };
+
+    panel = new SettingsPanel();
+  });
+
+  afterEach(() => {
+    window.speechSynthesis.getVoices.mockReturnValue([]);
+  });
+
+  test("open() should fill the form from the settings", async () => {
+    await panel.open();
+
+    expect(panel.isOpen()).toBe(true);
+    expect(panel.fields.backendUrl.value).toBe("http://localhost:5000");
+    expect(panel.fields.voice.value).toBe("Daniel");
+    expect(panel.fields.detailLevel.value).toBe("teach_me");
+    // A language not offered in the form stays selected
+    expect(panel.fields.language.value).toBe("pt-BR");
+    expect(document.getElementById("settingsHotkeyHandsFree").value).toBe("CommandOrControl+Shift+H");
+
+    // The saved window is not open, but stays selected
+    const sources = [...panel.fields.captureSource.options].map((option) => option.textContent);
+    expect(sources).toEqual(["First screen", "Entire Screen", "Notepad", "Old Editor (not open)"]);
+    expect(panel.fields.captureSource.value).toBe("window:3:0");
+  });
+
+  test("save() should send the form and close the panel", async () => {
+    window.Config.updateSettings.mockResolvedValue({ settings, errors: [], warnings: [] });
+    await panel.open();
+
+    panel.fields.frameRate.value = "0.5";
+    panel.fields.voice.value = "";
+    panel.fields.language.value = "";
+    panel.fields.captureSource.value = "window:8:0";
+    document.getElementById("settingsHotkeyStopSharing").value = " CommandOrControl+Shift+S ";
+
+    expect(await panel.save()).toBe(true);
+    expect(window.Config.updateSettings).toHaveBeenCalledWith({
+      backendUrl: "http://localhost:5000",
+      frameRate: 0.5,
+      tts: { enabled: true, voice: null, rate: 1.2, pitch: 1 },
+      detailLevel: "teach_me",
+      language: null,
+      captureSource: { id: "window:8:0", name: "Notepad" },
+      hotkeys: {
+        handsFree: "CommandOrControl+Shift+H",
+        watchMode: "",
+        stopSharing: "CommandOrControl+Shift+S",
+      },
+    });
+    expect(panel.isOpen()).toBe(false);
+  });
+
+  test("save() should keep the panel open and list the problems", async () => {
+    window.Config.updateSettings.mockResolvedValue({
+      settings,
+      errors: ["backendUrl must be a valid address"],
+      warnings: [],
+    });
+    await panel.open();
+
+    expect(await panel.save()).toBe(false);
+    expect(panel.isOpen()).toBe(true);
+    expect(panel.messages.classList.contains("hidden")).toBe(false);
+    expect(panel.messages.textContent).toBe("backendUrl must be a valid address");
+  });
+});
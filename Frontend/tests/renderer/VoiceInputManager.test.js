@@ -0,0 +1,151 @@
+const { VoiceInputManager, VoiceActivityDetector } = require('../../renderer/voice.js');
+
+describe('VoiceInputManager', () => {
+    let voiceManager;
+
+    beforeEach(() => {
+        voiceManager = new VoiceInputManager();
+    });
+
+    test('encodeWav() should write a 16-bit mono PCM WAV file', () => {
+        const buffer = voiceManager.encodeWav(new Float32Array([0, 1, -1, 2]), 16000);
+        const view = new DataView(buffer);
+        const text = (offset, length) =>
+            String.fromCharCode(...new Uint8Array(buffer, offset, length));
+
+        expect(buffer.byteLength).toBe(44 + 8);
+        expect(text(0, 4)).toBe('RIFF');
+        expect(text(8, 4)).toBe('WAVE');
+        expect(view.getUint16(22, true)).toBe(1);
+        expect(view.getUint32(24, true)).toBe(16000);
+        expect(view.getUint16(34, true)).toBe(16);
+        expect(view.getUint32(40, true)).toBe(8);
+        expect([44, 46, 48, 50].map((offset) => view.getInt16(offset, true)))
+            .toEqual([0, 32767, -32768, 32767]);
+    });
+
+    test('stopRecording() should resolve with null when nothing is recording', async () => {
+        await expect(voiceManager.stopRecording()).resolves.toBeNull();
+    });
+
+    test('startRecording() should report a microphone that cannot be opened', async () => {
+        global.navigator.mediaDevices = {
+            getUserMedia: jest.fn().mockRejectedValue(new Error('Permission denied')),
+        };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(voiceManager.startRecording()).resolves.toBe(false);
+        expect(voiceManager.isRecording).toBe(false);
+    });
+
+    test('transcribe() should post the recording in the configured language', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ success: true, transcript: 'Open the menu' }),
+        });
+        const wav = new Blob(['wav'], { type: 'audio/wav' });
+
+        await expect(voiceManager.transcribe(wav)).resolves.toBe('Open the menu');
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost:5000/stt?language=en', {
+            method: 'POST',
+            headers: { 'Content-Type': 'audio/wav' },
+            body: wav,
+        });
+    });
+
+    test('transcribe() should reject with the server error', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 503,
+            json: () => Promise.resolve({ success: false, error: 'Speech input is not enabled on this server' }),
+        });
+
+        await expect(voiceManager.transcribe(new Blob(['wav'])))
+            .rejects.toThrow('Speech input is not enabled on this server');
+    });
+});
+
+describe('VoiceActivityDetector', () => {
+    const feed = (detector, levels, stepMs = 100) =>
+        levels.map((level, index) => detector.update(level, index * stepMs));
+
+    test('should ignore sounds shorter than the minimum speech length', () => {
+        const detector = new VoiceActivityDetector({ threshold: 0.1, minSpeechMs: 200 });
+
+        expect(feed(detector, [0.5, 0.5, 0, 0, 0]).filter(Boolean)).toEqual([]);
+    });
+
+    test('should report the start and end of an utterance', () => {
+        const detector = new VoiceActivityDetector({ threshold: 0.1, minSpeechMs: 200, silenceMs: 300 });
+
+        const events = feed(detector, [0, 0.5, 0.5, 0.5, 0.05, 0.5, 0, 0, 0, 0]);
+
+        expect(events.indexOf('start')).toBe(3);
+        expect(events.indexOf('end')).toBe(9);
+        expect(events.filter(Boolean)).toEqual(['start', 'end']);
+    });
+
+    test('should cut utterances that run too long', () => {
+        const detector = new VoiceActivityDetector({ threshold: 0.1, minSpeechMs: 0, maxUtteranceMs: 300 });
+
+        expect(feed(detector, [0.5, 0.5, 0.5, 0.5, 0.5])).toEqual(['start', null, null, 'end', 'start']);
+    });
+
+    test('should use a raised threshold when one is given', () => {
+        const detector = new VoiceActivityDetector({ threshold: 0.1, minSpeechMs: 0 });
+
+        expect(detector.update(0.2, 0, 0.25)).toBeNull();
+        expect(detector.update(0.3, 100, 0.25)).toBe('start');
+    });
+});
+
+describe('VoiceInputManager hands-free', () => {
+    let voiceManager;
+    let handlers;
+    const block = (level) => new Float32Array(1024).fill(level);
+
+    beforeEach(() => {
+        voiceManager = new VoiceInputManager();
+        handlers = {
+            onSpeechStart: jest.fn(),
+            onUtterance: jest.fn(),
+            isAssistantSpeaking: jest.fn(() => false),
+        };
+        // The audio graph is left out, blocks are fed in directly
+        voiceManager.handsFree = {
+            settings: { threshold: 0.1, bargeInFactor: 3, minSpeechMs: 64, silenceMs: 128, preRollMs: 64, blockSize: 1024 },
+            detector: new VoiceActivityDetector({ threshold: 0.1, minSpeechMs: 64, silenceMs: 128 }),
+            preRoll: [],
+            utterance: null,
+            ...handlers,
+        };
+    });
+
+    const feed = (levels) => levels.forEach((level, index) => {
+        voiceManager.handleAudioBlock(block(level), index * 64);
+    });
+
+    test('should hand over each utterance as WAV with the audio before speech was confirmed', async () => {
+        feed([0, 0, 0.5, 0.5, 0, 0, 0]);
+
+        expect(handlers.onSpeechStart).toHaveBeenCalledTimes(1);
+        expect(handlers.onUtterance).toHaveBeenCalledTimes(1);
+
+        const wav = handlers.onUtterance.mock.calls[0][0];
+        expect(wav.type).toBe('audio/wav');
+        // Two pre-roll blocks (one silent, one loud), the confirming block and three blocks of silence
+        expect(wav.size).toBe(44 + 6 * 1024 * 2);
+        expect(voiceManager.isHearingSpeech()).toBe(false);
+    });
+
+    test('should need louder speech to interrupt the assistant', () => {
+        handlers.isAssistantSpeaking.mockReturnValue(true);
+
+        feed([0.2, 0.2, 0.2]);
+        expect(handlers.onSpeechStart).not.toHaveBeenCalled();
+
+        feed([0.5, 0.5]);
+        expect(handlers.onSpeechStart).toHaveBeenCalled();
+        expect(voiceManager.isHearingSpeech()).toBe(true);
+    });
+});
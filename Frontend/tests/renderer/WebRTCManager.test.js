@@ -40,4 +40,93 @@ describe('WebRTCManager', () => {
         webrtcManager.isPaused = true;
         expect(webrtcManager.isCaptureActive()).toBe(false);
     });
+
+    test('should remember the display of the captured screen', async () => {
+        const { desktopCapturer } = require('electron');
+        desktopCapturer.getSources.mockResolvedValue([
+            { id: 'screen:2:0', name: 'Screen 2', display_id: '2' }
+        ]);
+
+        await webrtcManager.startCaptureWithElectron();
+        expect(webrtcManager.getDisplayId()).toBe('2');
+        expect(webrtcManager.getWindowTitle()).toBeNull();
+
+        webrtcManager.stopCapture();
+        expect(webrtcManager.getDisplayId()).toBeNull();
+    });
+
+    test('should share the capture source chosen in the settings', async () => {
+        const { desktopCapturer } = require('electron');
+        desktopCapturer.getSources.mockResolvedValue([
+            { id: 'screen:0:0', name: 'Entire Screen', display_id: '1' },
+            { id: 'window:99:0', name: 'Notepad' }
+        ]);
+
+        // Window IDs change between launches, so the name is enough
+        await webrtcManager.setCaptureSource({ id: 'window:42:0', name: 'Notepad' });
+        await webrtcManager.startCaptureWithElectron();
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith(expect.objectContaining({
+            video: { mandatory: { chromeMediaSource: 'desktop', chromeMediaSourceId: 'window:99:0' } }
+        }));
+        expect(desktopCapturer.getSources).toHaveBeenCalledWith(expect.objectContaining({ types: ['screen', 'window'] }));
+        expect(webrtcManager.getWindowTitle()).toBe('Notepad');
+    });
+
+    test('setCaptureSource() should switch a running capture over', async () => {
+        const { desktopCapturer } = require('electron');
+        desktopCapturer.getSources.mockResolvedValue([
+            { id: 'screen:0:0', name: 'Entire Screen' },
+            { id: 'window:7:0', name: 'Settings' }
+        ]);
+        const oldTrack = { stop: jest.fn() };
+        webrtcManager.stream = { getTracks: () => [oldTrack] };
+        webrtcManager.isCapturing = true;
+
+        expect(await webrtcManager.setCaptureSource({ id: 'window:7:0', name: 'Settings' })).toBe(true);
+
+        expect(oldTrack.stop).toHaveBeenCalled();
+        expect(webrtcManager.isCapturing).toBe(true);
+        expect(webrtcManager.videoElement.srcObject).toBe(webrtcManager.stream);
+    });
+
+    test('setFrameRate() should restart frame streaming at the new rate', () => {
+        jest.useFakeTimers();
+        const callback = jest.fn();
+        webrtcManager.isCapturing = true;
+        webrtcManager.captureFrame = jest.fn(() => 'frame');
+
+        webrtcManager.startFrameStreaming(callback);
+        webrtcManager.setFrameRate(2);
+        jest.advanceTimersByTime(2000);
+        expect(callback).toHaveBeenCalledTimes(4);
+
+        webrtcManager.stopFrameStreaming();
+        jest.useRealTimers();
+    });
+
+    test('startFrameStreaming() should send frames at the configured rate', () => {
+        jest.useFakeTimers();
+        const callback = jest.fn();
+        webrtcManager.isCapturing = true;
+        webrtcManager.captureFrame = jest.fn(() => 'frame');
+
+        webrtcManager.startFrameStreaming(callback);
+        jest.advanceTimersByTime(3000);
+        expect(callback).toHaveBeenCalledTimes(3);
+
+        // Paused capture skips frames without stopping the stream
+        webrtcManager.isPaused = true;
+        jest.advanceTimersByTime(2000);
+        expect(callback).toHaveBeenCalledTimes(3);
+        expect(webrtcManager.isStreamingFrames()).toBe(true);
+
+        webrtcManager.stopFrameStreaming();
+        webrtcManager.isPaused = false;
+        jest.advanceTimersByTime(2000);
+        expect(callback).toHaveBeenCalledTimes(3);
+        expect(webrtcManager.isStreamingFrames()).toBe(false);
+
+        jest.useRealTimers();
+    });
 });
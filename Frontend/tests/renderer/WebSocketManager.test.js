@@ -40,4 +40,301 @@ describe('WebSocketManager', () => {
         wsManager.updateStatus('connected');
         expect(callback).toHaveBeenCalledWith('connected');
     });
+
+    test('should resume the previous session after reconnecting', () => {
+        wsManager.connect();
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connected', sessionId: 's1', resumeToken: 't1' })
+        });
+
+        // Reconnect: the open handler should send a resume request
+        wsManager.connect();
+        wsManager.ws.onopen();
+
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent).toMatchObject({ type: 'resume', sessionId: 's1', resumeToken: 't1' });
+
+        // The fresh session announced before the resume completes must not replace ours
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connected', sessionId: 's2', resumeToken: 't2' })
+        });
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'resumed', sessionId: 's1', resumeToken: 't1', replayedCount: 0 })
+        });
+
+        expect(wsManager.sessionId).toBe('s1');
+        expect(wsManager.resumeToken).toBe('t1');
+    });
+
+    test('should fall back to the fresh session when resuming fails', () => {
+        wsManager.sessionId = 's1';
+        wsManager.resumeToken = 't1';
+        wsManager.connect();
+        wsManager.ws.onopen();
+
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connected', sessionId: 's2', resumeToken: 't2' })
+        });
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'resume_failed', sessionId: 's2' })
+        });
+
+        expect(wsManager.sessionId).toBe('s2');
+        expect(wsManager.resumeToken).toBe('t2');
+        const lastSent = JSON.parse(wsManager.ws.send.mock.calls.pop()[0]);
+        expect(lastSent.type).toBe('connection');
+    });
+
+    test('should negotiate the protocol version in the handshake', () => {
+        wsManager.connect();
+        wsManager.ws.onopen();
+
+        const handshake = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(handshake.type).toBe('connection');
+        expect(handshake.protocolVersion).toBe(6);
+        expect(handshake.speechAudio).toBe(true);
+        expect(handshake.supportedVersions).toContain(2);
+        expect(handshake.detailLevel).toBe('step_by_step');
+        expect(handshake.language).toBe('en');
+
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connection_ack', protocolVersion: 2 })
+        });
+        expect(wsManager.protocolVersion).toBe(2);
+        expect(wsManager.supportsSpeechInput()).toBe(false);
+
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connection_ack', protocolVersion: 5, speechInput: { name: 'whisper' } })
+        });
+        expect(wsManager.supportsSpeechInput()).toBe(true);
+        expect(wsManager.supportsSpeechOutput()).toBe(false);
+
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connection_ack', protocolVersion: 6, speechOutput: { name: 'piper' } })
+        });
+        expect(wsManager.supportsSpeechOutput()).toBe(true);
+    });
+
+    test('should only ask for spoken responses while the voice is on', () => {
+        const getSettings = window.Config.getSettings;
+        window.Config.getSettings = () => ({ tts: { enabled: false } });
+        try {
+            expect(new WebSocketManager().speechAudio).toBe(false);
+        } finally {
+            window.Config.getSettings = getSettings;
+        }
+
+        wsManager.connect();
+        wsManager.isConnected = true;
+        wsManager.protocolVersion = 6;
+
+        wsManager.setSpeechAudio(false);
+        const handshake = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(handshake).toMatchObject({ type: 'connection', speechAudio: false });
+
+        // An unchanged setting sends nothing
+        expect(wsManager.setSpeechAudio(false)).toBeNull();
+        expect(wsManager.ws.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('updateLanguage() should resend the handshake with the configured language', () => {
+        expect(wsManager.updateLanguage()).toBeNull();
+
+        wsManager.connect();
+        wsManager.isConnected = true;
+        const getLanguage = jest.spyOn(window.Config, 'getLanguage').mockReturnValue('es');
+        wsManager.updateLanguage();
+        getLanguage.mockRestore();
+
+        const handshake = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(handshake).toMatchObject({ type: 'connection', language: 'es' });
+    });
+
+    test('should decode binary messages carrying spoken audio', () => {
+        const { encodeBinaryMessage } = require('../../../shared/protocol.js');
+        const callback = jest.fn();
+        wsManager.onMessage(callback);
+        wsManager.connect();
+
+        const payload = encodeBinaryMessage({
+            type: 'audio_chunk',
+            requestId: 'r1',
+            sequence: 0,
+            text: 'Click Save.',
+            mimeType: 'audio/wav',
+            audio: new Uint8Array([1, 2, 3])
+        });
+        wsManager.ws.onmessage({ data: payload.buffer });
+
+        const received = callback.mock.calls[0][0];
+        expect(received).toMatchObject({ type: 'audio_chunk', requestId: 'r1', text: 'Click Save.' });
+        expect(Array.from(received.audio)).toEqual([1, 2, 3]);
+    });
+
+    test('switchServer() should start a new session on the new backend', () => {
+        wsManager.connect();
+        const oldSocket = wsManager.ws;
+        wsManager.ws.onmessage({
+            data: JSON.stringify({ type: 'connected', sessionId: 's1', resumeToken: 't1' })
+        });
+
+        wsManager.switchServer();
+        expect(oldSocket.close).toHaveBeenCalled();
+        expect(wsManager.ws).not.toBe(oldSocket);
+
+        // The old socket closing must not trigger a reconnect
+        const attemptReconnect = jest.spyOn(wsManager, 'attemptReconnect');
+        oldSocket.onclose({ code: 1000, reason: '' });
+        expect(attemptReconnect).not.toHaveBeenCalled();
+
+        wsManager.ws.onopen();
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent.type).toBe('connection');
+    });
+
+    test('sendChatMessage() should refuse messages that violate the schema', () => {
+        wsManager.connect();
+        wsManager.isConnected = true;
+
+        expect(wsManager.sendChatMessage('')).toBeNull();
+        expect(wsManager.ws.send).not.toHaveBeenCalled();
+
+        const id = wsManager.sendChatMessage('Hello', 'base64data');
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent).toMatchObject({ id, type: 'chat', message: 'Hello', frameData: 'base64data' });
+    });
+
+    test('should send frames as binary once the server supports it', () => {
+        const { decodeBinaryMessage } = require('../../../shared/protocol.js');
+        wsManager.connect();
+        wsManager.isConnected = true;
+        wsManager.protocolVersion = 3;
+
+        wsManager.sendChatMessage('What next?', 'SGVsbG8=');
+
+        const sent = wsManager.ws.send.mock.calls[0][0];
+        expect(sent).toBeInstanceOf(Uint8Array);
+        const decoded = decodeBinaryMessage(sent);
+        expect(decoded).toMatchObject({ type: 'chat', message: 'What next?', mimeType: 'image/jpeg' });
+        expect(decoded.id).toEqual(expect.any(String));
+        expect(String.fromCharCode(...decoded.frameData)).toBe('Hello');
+    });
+
+    test('frames should carry the title of the captured window', () => {
+        const { decodeBinaryMessage } = require('../../../shared/protocol.js');
+        wsManager.connect();
+        wsManager.isConnected = true;
+        wsManager.protocolVersion = 3;
+
+        wsManager.sendFrame('SGVsbG8=', 'Bitwarden');
+        wsManager.sendFrame('SGVsbG8=');
+
+        expect(decodeBinaryMessage(wsManager.ws.send.mock.calls[0][0]).windowTitle).toBe('Bitwarden');
+        expect(decodeBinaryMessage(wsManager.ws.send.mock.calls[1][0]).windowTitle).toBeNull();
+    });
+
+    test('should fall back to base64 JSON for older servers', () => {
+        wsManager.connect();
+        wsManager.isConnected = true;
+        wsManager.protocolVersion = 2;
+
+        wsManager.sendFrame('SGVsbG8=');
+
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent).toMatchObject({ type: 'frame', data: 'SGVsbG8=' });
+    });
+
+    test('setWatchMode() should only be offered to servers that support it', () => {
+        wsManager.connect();
+        wsManager.isConnected = true;
+
+        wsManager.protocolVersion = 3;
+        expect(wsManager.supportsWatchMode()).toBe(false);
+
+        wsManager.protocolVersion = 4;
+        expect(wsManager.supportsWatchMode()).toBe(true);
+
+        wsManager.setWatchMode(true);
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent).toMatchObject({ type: 'set_watch_mode', enabled: true });
+    });
+
+    test('setDetailLevel() should send the level to servers that support it', () => {
+        wsManager.connect();
+        wsManager.isConnected = true;
+
+        wsManager.protocolVersion = 4;
+        expect(wsManager.setDetailLevel('teach_me')).toBeNull();
+        expect(wsManager.ws.send).not.toHaveBeenCalled();
+        expect(wsManager.detailLevel).toBe('teach_me');
+
+        wsManager.protocolVersion = 5;
+        wsManager.setDetailLevel('quick_tip');
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent).toMatchObject({ type: 'set_detail_level', detailLevel: 'quick_tip' });
+
+        expect(wsManager.setDetailLevel('essay')).toBeNull();
+        expect(wsManager.detailLevel).toBe('quick_tip');
+    });
+
+    test('updateMetadata() should send the metadata', () => {
+        wsManager.connect();
+        wsManager.isConnected = true;
+
+        const regions = [{ x: 0, y: 0, width: 1, height: 0.1 }];
+        wsManager.updateMetadata({ redactRegions: regions });
+
+        const sent = JSON.parse(wsManager.ws.send.mock.calls[0][0]);
+        expect(sent).toMatchObject({ type: 'update_metadata', metadata: { redactRegions: regions } });
+    });
+
+    describe('pending requests', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            wsManager.connect();
+            wsManager.isConnected = true;
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should settle a request when its final reply arrives', () => {
+            const id = wsManager.sendChatMessage('Hello');
+            expect(wsManager.pendingRequests.has(id)).toBe(true);
+
+            wsManager.ws.onmessage({
+                data: JSON.stringify({ type: 'response_end', requestId: id, message: 'Hi' })
+            });
+            expect(wsManager.pendingRequests.size).toBe(0);
+        });
+
+        test('should report a timeout when no reply arrives', () => {
+            const callback = jest.fn();
+            wsManager.onMessage(callback);
+            const id = wsManager.sendChatMessage('Hello');
+
+            // Progress from the server restarts the timer
+            jest.advanceTimersByTime(wsManager.requestTimeout - 1000);
+            wsManager.ws.onmessage({
+                data: JSON.stringify({ type: 'status', requestId: id })
+            });
+            jest.advanceTimersByTime(wsManager.requestTimeout - 1000);
+            expect(wsManager.pendingRequests.has(id)).toBe(true);
+
+            jest.advanceTimersByTime(1000);
+            expect(wsManager.pendingRequests.size).toBe(0);
+            expect(callback).toHaveBeenLastCalledWith(
+                expect.objectContaining({ type: 'error', code: 'request_timeout', requestId: id })
+            );
+        });
+
+        test('should settle requests dropped by a cancel', () => {
+            const id = wsManager.sendChatMessage('Hello');
+            wsManager.ws.onmessage({
+                data: JSON.stringify({ type: 'cancelled', cancelledRequestIds: [id] })
+            });
+            expect(wsManager.pendingRequests.size).toBe(0);
+        });
+    });
 });
@@ -5,12 +5,24 @@
 // Rely on global 'jest' provided by the test runner
 // const { jest } = require('@jest/globals');
 
+// jsdom does not provide TextEncoder/TextDecoder (used by the shared protocol)
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
 // Mock Config
 window.Config = {
     getWebSocketURL: () => 'ws://localhost:5000/ws',
-    getBackendURL: () => 'http://localhost:5000'
+    getBackendURL: () => 'http://localhost:5000',
+    getFrameRate: () => 1,
+    getRedactionRegions: () => [],
+    getLanguage: () => 'en',
+    getSettings: () => null
 };
 
+// Real message catalogs, so tests see the English text
+window.I18n = require('../renderer/i18n.js');
+
 // Mock Electron
 jest.mock('electron', () => ({
     desktopCapturer: {
@@ -0,0 +1,419 @@
+// Realtime WebSocket protocol shared by the backend and the desktop app
+// Defines message types, protocol versions and per-message schemas so both sides stay in sync
+
+// Current protocol version spoken by this build
+const PROTOCOL_VERSION = 6;
+
+// Version 1 is the original unversioned protocol with legacy field aliases
+const SUPPORTED_VERSIONS = [1, 2, 3, 4, 5, 6];
+
+// First version in which clients may send screen images as binary messages
+const BINARY_FRAMES_VERSION = 3;
+
+// First version in which the server understands "set_watch_mode"
+const WATCH_MODE_VERSION = 4;
+
+// First version in which the server understands "set_detail_level"
+const DETAIL_LEVEL_VERSION = 5;
+
+// First version in which the server can speak responses itself, sending "audio_chunk" messages
+const SPEECH_AUDIO_VERSION = 6;
+
+// How much guidance explains: a terse hint, one step at a time, or the step and why it matters
+const DETAIL_LEVELS = ["quick_tip", "step_by_step", "teach_me"];
+const DEFAULT_DETAIL_LEVEL = "step_by_step";
+
+// Language guidance is given in unless the handshake asks for another (a BCP 47 tag)
+const DEFAULT_LANGUAGE = "en";
+
+// Layout version of binary messages (see encodeBinaryMessage)
+const BINARY_FORMAT_VERSION = 1;
+
+// Messages sent by the client
+const ClientMessageTypes = {
+  CONNECTION: "connection",
+  RESUME: "resume",
+  FRAME: "frame",
+  CHAT: "chat",
+  SET_GOAL: "set_goal",
+  UPDATE_METADATA: "update_metadata",
+  SET_WATCH_MODE: "set_watch_mode",
+  SET_DETAIL_LEVEL: "set_detail_level",
+  GET_HISTORY: "get_history",
+  CANCEL: "cancel",
+  PING: "ping",
+};
+
+// Messages sent by the server
+const ServerMessageTypes = {
+  CONNECTED: "connected",
+  CONNECTION_ACK: "connection_ack",
+  RESUMED: "resumed",
+  RESUME_FAILED: "resume_failed",
+  STATUS: "status",
+  RESPONSE: "response",
+  RESPONSE_CHUNK: "response_chunk",
+  RESPONSE_END: "response_end",
+  HISTORY: "history",
+  CANCELLED: "cancelled",
+  WATCH_STATUS: "watch_status",
+  PLAN: "plan",
+  STEP_STARTED: "step_started",
+  STEP_COMPLETED: "step_completed",
+  PLAN_REVISED: "plan_revised",
+  HIGHLIGHT: "highlight", // Normalized bounding box of the element the guidance points at
+  REDACTION_PREVIEW: "redaction_preview", // What was masked before frames reached the model
+  PROVIDER_DEGRADED: "provider_degraded", // The AI provider is failing and calls are retried or refused
+  PROVIDER_RECOVERED: "provider_recovered", // The AI provider answers again
+  AUDIO_CHUNK: "audio_chunk", // One spoken sentence of a response, sent as binary
+  PONG: "pong",
+  ERROR: "error",
+};
+
+// Machine-readable codes carried by every "error" message
+const ErrorCodes = {
+  INVALID_JSON: "invalid_json",
+  INVALID_MESSAGE: "invalid_message",
+  UNKNOWN_TYPE: "unknown_type",
+  MISSING_FIELD: "missing_field",
+  INVALID_FIELD: "invalid_field",
+  UNSUPPORTED_VERSION: "unsupported_version",
+  INVALID_FRAME: "invalid_frame",
+  AI_AUTH_FAILED: "ai_auth_failed",
+  AI_RATE_LIMITED: "ai_rate_limited",
+  AI_TIMEOUT: "ai_timeout",
+  AI_UNAVAILABLE: "ai_unavailable", // Provider is down, or its circuit breaker is failing fast
+  AI_ERROR: "ai_error",
+  RATE_LIMITED: "rate_limited", // The client is over its request rate or daily quota
+  INTERNAL_ERROR: "internal_error",
+  REQUEST_TIMEOUT: "request_timeout", // Raised by the client when no reply arrives in time
+  SESSION_EXPIRED: "session_expired", // Raised by the client for requests lost with an expired session
+};
+
+// Fields every client message may carry
+const COMMON_FIELDS = {
+  id: { type: "string" }, // Client-generated message ID, echoed back as "requestId"
+  timestamp: { type: "string" }, // ISO timestamp
+};
+
+// Field schemas for each client message type
+// Image fields accept a base64 string (JSON messages) or raw bytes (binary messages),
+// fields with "values" only accept one of them
+const MessageSchemas = {
+  [ClientMessageTypes.CONNECTION]: {
+    protocolVersion: { type: "number" },
+    supportedVersions: { type: "array" },
+    message: { type: "string" },
+    provider: { type: "string" }, // AI provider to use instead of the server's default
+    userId: { type: ["string", "number"] }, // Signed-in user, for per-user rate limits and quotas
+    detailLevel: { type: "string", values: DETAIL_LEVELS }, // How much guidance explains
+    language: { type: "string" }, // BCP 47 tag of the language to answer in, e.g. "es" or "pt-BR"
+    speechAudio: { type: "boolean" }, // Whether the client wants responses spoken by the server
+  },
+  [ClientMessageTypes.RESUME]: {
+    sessionId: { type: "string", required: true },
+    resumeToken: { type: "string", required: true },
+  },
+  [ClientMessageTypes.FRAME]: {
+    data: { type: ["string", "bytes"], required: true },
+    mimeType: { type: "string" },
+    windowTitle: { type: "string" }, // Captured window, null while a whole screen is shared
+  },
+  [ClientMessageTypes.CHAT]: {
+    message: { type: "string", required: true },
+    frameData: { type: ["string", "bytes"] },
+    mimeType: { type: "string" },
+    windowTitle: { type: "string" }, // Captured window, null while a whole screen is shared
+  },
+  [ClientMessageTypes.SET_GOAL]: {
+    goal: { type: "string", required: true },
+  },
+  [ClientMessageTypes.UPDATE_METADATA]: {
+    metadata: { type: "object", required: true },
+  },
+  [ClientMessageTypes.SET_WATCH_MODE]: {
+    enabled: { type: "boolean", required: true },
+  },
+  [ClientMessageTypes.SET_DETAIL_LEVEL]: {
+    detailLevel: { type: "string", required: true, values: DETAIL_LEVELS },
+  },
+  [ClientMessageTypes.GET_HISTORY]: {},
+  [ClientMessageTypes.CANCEL]: {},
+  [ClientMessageTypes.PING]: {},
+};
+
+// Message types that can be sent in binary form, and the field holding their bytes
+// (screen images from the client, speech audio from the server)
+const BINARY_FIELDS = {
+  [ClientMessageTypes.FRAME]: "data",
+  [ClientMessageTypes.CHAT]: "frameData",
+  [ServerMessageTypes.AUDIO_CHUNK]: "audio",
+};
+
+// Version 1 aliases, mapped onto their current names
+const LEGACY_TYPE_ALIASES = {
+  screen_frame: ClientMessageTypes.FRAME,
+  chat_message: ClientMessageTypes.CHAT,
+};
+
+const LEGACY_FIELD_ALIASES = {
+  [ClientMessageTypes.FRAME]: { frame: "data" },
+  [ClientMessageTypes.CHAT]: { content: "message" },
+};
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Any value
+ * @returns {string} - "array", "bytes", "object", "null" or the typeof result
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Uint8Array) return "bytes";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Validate a client message against its schema
+ * @param {Object} message - Parsed message
+ * @returns {{valid: boolean, code?: string, error?: string, field?: string}}
+ */
+function validateMessage(message) {
+  if (typeOf(message) !== "object") {
+    return {
+      valid: false,
+      code: ErrorCodes.INVALID_MESSAGE,
+      error: "Message must be a JSON object",
+    };
+  }
+
+  if (typeof message.type !== "string" || !message.type) {
+    return {
+      valid: false,
+      code: ErrorCodes.INVALID_MESSAGE,
+      error: "Message must have a 'type' field",
+      field: "type",
+    };
+  }
+
+  const schema = MessageSchemas[message.type];
+  if (!schema) {
+    return {
+      valid: false,
+      code: ErrorCodes.UNKNOWN_TYPE,
+      error: `Unknown message type: ${message.type}`,
+      field: "type",
+    };
+  }
+
+  const fields = { ...COMMON_FIELDS, ...schema };
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const value = message[field];
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) {
+        return {
+          valid: false,
+          code: ErrorCodes.MISSING_FIELD,
+          error: `'${field}' is required for ${message.type} messages`,
+          field,
+        };
+      }
+      continue;
+    }
+
+    const allowedTypes = [].concat(rule.type);
+    if (!allowedTypes.includes(typeOf(value))) {
+      return {
+        valid: false,
+        code: ErrorCodes.INVALID_FIELD,
+        error: `'${field}' must be of type ${allowedTypes.join(" or ")}`,
+        field,
+      };
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+      return {
+        valid: false,
+        code: ErrorCodes.INVALID_FIELD,
+        error: `'${field}' must be one of ${rule.values.join(", ")}`,
+        field,
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Rewrite a version 1 message that uses legacy type or field aliases
+ * @param {Object} message - Parsed message
+ * @returns {Object} - Message using current names
+ */
+function upgradeLegacyMessage(message) {
+  if (typeOf(message) !== "object") return message;
+
+  const type = LEGACY_TYPE_ALIASES[message.type] || message.type;
+  const upgraded = { ...message, type };
+
+  const aliases = LEGACY_FIELD_ALIASES[type] || {};
+  for (const [legacyField, field] of Object.entries(aliases)) {
+    if (upgraded[field] === undefined && upgraded[legacyField] !== undefined) {
+      upgraded[field] = upgraded[legacyField];
+    }
+    delete upgraded[legacyField];
+  }
+
+  return upgraded;
+}
+
+/**
+ * Pick the highest protocol version both sides support
+ * @param {Object} handshake - Client "connection" message
+ * @returns {number|null} - Negotiated version, or null if there is none
+ */
+function negotiateVersion(handshake) {
+  const requested = Array.isArray(handshake.supportedVersions)
+    ? handshake.supportedVersions
+    : [handshake.protocolVersion || 1];
+
+  const common = requested.filter((version) =>
+    SUPPORTED_VERSIONS.includes(version)
+  );
+
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Build a client message and check it against its schema
+ * @param {string} type - Client message type
+ * @param {Object} fields - Message fields
+ * @returns {Object} - Message ready to be sent
+ * @throws {Error} - If the message does not match its schema
+ */
+function createMessage(type, fields = {}) {
+  const message = {
+    type,
+    ...fields,
+    timestamp: new Date().toISOString(),
+  };
+
+  const result = validateMessage(message);
+  if (!result.valid) {
+    throw new Error(`Invalid ${type} message: ${result.error}`);
+  }
+
+  return message;
+}
+
+/**
+ * Encode a message with an image or audio as a binary WebSocket message
+ *
+ * Layout:
+ *   byte 0       binary format version
+ *   bytes 1-4    header length (uint32, big endian)
+ *   header       UTF-8 JSON with every field except the bytes (type, id, mimeType, ...)
+ *   remainder    raw image or audio bytes
+ *
+ * @param {Object} message - Message whose binary field holds a Uint8Array
+ * @returns {Uint8Array} - Encoded message
+ */
+function encodeBinaryMessage(message) {
+  const binaryField = BINARY_FIELDS[message.type];
+  if (!binaryField || !(message[binaryField] instanceof Uint8Array)) {
+    throw new Error(`${message.type} messages cannot be sent as binary`);
+  }
+
+  const { [binaryField]: bytes, ...header } = message;
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+  const encoded = new Uint8Array(5 + headerBytes.length + bytes.length);
+  const view = new DataView(encoded.buffer);
+  view.setUint8(0, BINARY_FORMAT_VERSION);
+  view.setUint32(1, headerBytes.length);
+  encoded.set(headerBytes, 5);
+  encoded.set(bytes, 5 + headerBytes.length);
+
+  return encoded;
+}
+
+/**
+ * Decode a binary WebSocket message created by encodeBinaryMessage
+ * @param {Uint8Array} data - Received bytes (a Node Buffer works too)
+ * @returns {Object} - Message with the raw bytes in its binary field
+ * @throws {Error} - If the data is not a valid binary message
+ */
+function decodeBinaryMessage(data) {
+  if (data.length < 5) {
+    throw new Error("Binary message is too short");
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const formatVersion = view.getUint8(0);
+  if (formatVersion !== BINARY_FORMAT_VERSION) {
+    throw new Error(`Unsupported binary format version: ${formatVersion}`);
+  }
+
+  const headerLength = view.getUint32(1);
+  if (5 + headerLength > data.length) {
+    throw new Error("Binary message header is truncated");
+  }
+
+  const header = JSON.parse(
+    new TextDecoder().decode(data.subarray(5, 5 + headerLength))
+  );
+
+  const binaryField = BINARY_FIELDS[header.type];
+  if (!binaryField) {
+    throw new Error(`${header.type} messages cannot be sent as binary`);
+  }
+
+  return { ...header, [binaryField]: data.subarray(5 + headerLength) };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    BINARY_FRAMES_VERSION,
+    WATCH_MODE_VERSION,
+    DETAIL_LEVEL_VERSION,
+    SPEECH_AUDIO_VERSION,
+    DETAIL_LEVELS,
+    DEFAULT_DETAIL_LEVEL,
+    DEFAULT_LANGUAGE,
+    ClientMessageTypes,
+    ServerMessageTypes,
+    ErrorCodes,
+    MessageSchemas,
+    validateMessage,
+    upgradeLegacyMessage,
+    negotiateVersion,
+    createMessage,
+    encodeBinaryMessage,
+    decodeBinaryMessage,
+  };
+} else {
+  window.Protocol = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    BINARY_FRAMES_VERSION,
+    WATCH_MODE_VERSION,
+    DETAIL_LEVEL_VERSION,
+    SPEECH_AUDIO_VERSION,
+    DETAIL_LEVELS,
+    DEFAULT_DETAIL_LEVEL,
+    DEFAULT_LANGUAGE,
+    ClientMessageTypes,
+    ServerMessageTypes,
+    ErrorCodes,
+    MessageSchemas,
+    validateMessage,
+    upgradeLegacyMessage,
+    negotiateVersion,
+    createMessage,
+    encodeBinaryMessage,
+    decodeBinaryMessage,
+  };
+}
@@ -0,0 +1,224 @@
+// Response rendering shared by the backend and the desktop app
+// Turns an AI answer into the text shown in the chat and the text (or SSML) read out loud
+
+// Words read out for abbreviated key names, by lower-case key
+const KEY_NAMES = {
+  ctrl: "Control",
+  control: "Control",
+  cmd: "Command",
+  command: "Command",
+  opt: "Option",
+  option: "Option",
+  alt: "Alt",
+  shift: "Shift",
+  win: "Windows",
+  windows: "Windows",
+  super: "Super",
+  meta: "Meta",
+  fn: "Function",
+  esc: "Escape",
+  del: "Delete",
+  ins: "Insert",
+  bksp: "Backspace",
+  pgup: "Page Up",
+  pgdn: "Page Down",
+  prtsc: "Print Screen",
+  "+": "Plus",
+  "-": "Minus",
+  "=": "Equals",
+  "/": "Slash",
+  "\\": "Backslash",
+  ".": "Period",
+  ",": "Comma",
+  ";": "Semicolon",
+  "`": "Backtick",
+};
+
+// A modifier key followed by one or more "+Key" parts, as in "Ctrl+Shift+T" or "Cmd + ,"
+const SHORTCUT =
+  /\b(?:ctrl|control|cmd|command|opt|option|alt|shift|win|windows|super|meta|fn)(?:\s*\+\s*(?:[a-z]+\d*|\d+|[+\-=/\\.,;`](?![\w/\\])))+/gi;
+
+// Web addresses, with or without a scheme
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'()]+/gi;
+
+// Windows paths ("C:\Users\me\notes.txt", "\\server\share") and Unix paths with at least two parts
+const WINDOWS_PATH = /(?:\b[a-z]:\\|\\\\)[^\s<>"'|]*/gi;
+const UNIX_PATH = /(?<![\w.:/])(?:~|\.{1,2})?(?:\/[\w.-]+){2,}\/?/g;
+
+// Punctuation that ends a sentence rather than a web address or path
+const TRAILING_PUNCTUATION = /[.,;:!?)\]]+$/;
+
+/**
+ * Remove Markdown formatting, keeping the text it wraps
+ * @param {string} text - Markdown text
+ * @param {Function} formatLink - Called with (label, url) for each [label](url) link
+ * @returns {string} - Plain text, one line per Markdown line
+ */
+function stripMarkdown(text, formatLink) {
+  return text
+    .replace(/^\s*(?:```|~~~).*$/gm, "") // Code fence lines
+    .replace(/^\s*([-*_])(?:\s*\1){2,}\s*$/gm, "") // Horizontal rules
+    .replace(/^(\s*)[*+]\s+/gm, "$1- ") // "*" and "+" list items, before "*" is read as emphasis
+    .replace(/^\s{0,3}#{1,6}\s+/gm, "") // Headings
+    .replace(/^\s{0,3}>\s?/gm, "") // Block quotes
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (match, label, url) => formatLink(label, url))
+    .replace(/`([^`\n]+)`/g, "$1") // Inline code
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, "$1") // Bold
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, "$1$2") // Italics, not "2 * 3 * 4"
+    // Underscores only around words, so snake_case and __init__.py stay as they are
+    .replace(/(^|[^\w])(__?)(?=[^\s_])([^\n]*?[^\s_])\2(?!\w|\.\w)/g, "$1$3")
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, "$1") // Strikethrough
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Replace each match of a pattern, leaving sentence punctuation after it in place
+ * @param {string} text - Text to change
+ * @param {RegExp} pattern - Global pattern
+ * @param {Function} replace - Called with the match, returns its replacement
+ * @returns {string} - Changed text
+ */
+function replaceTrimmed(text, pattern, replace) {
+  return text.replace(pattern, (match) => {
+    const trailing = match.match(TRAILING_PUNCTUATION)?.[0] || "";
+    const value = match.slice(0, match.length - trailing.length);
+    return value ? replace(value) + trailing : match;
+  });
+}
+
+/**
+ * Read web addresses as their site name ("https://www.github.com/x/y?z=1" becomes "github.com")
+ * @param {string} text - Text to change
+ * @returns {string} - Changed text
+ */
+function shortenUrls(text) {
+  return replaceTrimmed(text, URL_PATTERN, (url) =>
+    url.replace(/^https?:\/\//i, "").replace(/^www\./i, "").split(/[/?#]/)[0]
+  );
+}
+
+/**
+ * Read file paths as the file or folder they point to ("C:\Users\me\notes.txt" becomes "notes.txt")
+ * @param {string} text - Text to change
+ * @returns {string} - Changed text
+ */
+function shortenPaths(text) {
+  const lastPart = (filePath) => {
+    const parts = filePath.split(/[\\/]/).filter(Boolean);
+    return parts.length > 0 ? parts[parts.length - 1] : filePath;
+  };
+
+  return replaceTrimmed(replaceTrimmed(text, WINDOWS_PATH, lastPart), UNIX_PATH, lastPart);
+}
+
+/**
+ * Spell out keyboard shortcuts ("Ctrl+Shift+T" becomes "Control Shift T")
+ * @param {string} text - Text to change
+ * @returns {string} - Changed text
+ */
+function expandShortcuts(text) {
+  return text.replace(SHORTCUT, (shortcut) =>
+    shortcut
+      .split(/\s*\+\s*(?=.)/)
+      .map((key) => {
+        const name = KEY_NAMES[key.toLowerCase()];
+        if (name) return name;
+        return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+      })
+      .join(" ")
+  );
+}
+
+/**
+ * Read menu paths and arrows as pauses ("File > Save As" becomes "File, Save As")
+ * @param {string} text - Text to change
+ * @returns {string} - Changed text
+ */
+function speakSeparators(text) {
+  return text.replace(/\s+(?:>|→|->|»)\s+/g, ", ");
+}
+
+/**
+ * Join lines into sentences, so lists and headings get a pause instead of running together
+ * @param {string} text - Text to change
+ * @returns {string} - Single-line text
+ */
+function joinLines(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim().replace(/^(?:[-•]\s+)/, ""))
+    .filter(Boolean)
+    .map((line) => (/[.!?:;,]$/.test(line) ? line : `${line}.`))
+    .join(" ");
+}
+
+// Speech steps, run in order on text without Markdown; web addresses go before paths as they contain slashes
+const SPEECH_STEPS = [shortenUrls, shortenPaths, expandShortcuts, speakSeparators, joinLines];
+
+/**
+ * Text to show in the chat: Markdown formatting is removed, links keep their address
+ * @param {string} text - AI response
+ * @returns {string} - Display text
+ */
+function toDisplayText(text) {
+  return stripMarkdown(text, (label, url) => (label ? `${label} (${url})` : url));
+}
+
+/**
+ * Text to read out loud: no formatting, short web addresses and paths, spelled out shortcuts
+ * @param {string} text - AI response
+ * @returns {string} - Speech text
+ */
+function toSpeechText(text) {
+  let speech = stripMarkdown(text, (label, url) => label || url);
+  for (const step of SPEECH_STEPS) {
+    speech = step(speech);
+  }
+  return speech.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Escape text for use inside an XML document
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * SSML for synthesizers that support it: the speech text with one <s> element per sentence
+ * @param {string} text - AI response
+ * @param {string} [language] - BCP 47 language tag of the response
+ * @returns {string} - SSML document
+ */
+function toSsml(text, language) {
+  const sentences = toSpeechText(text)
+    .split(/(?<=[.!?])\s+/)
+    .filter(Boolean)
+    .map((sentence) => `<s>${escapeXml(sentence)}</s>`)
+    .join("");
+  const lang = language ? ` xml:lang="${escapeXml(language)}"` : "";
+
+  return `<speak${lang}>${sentences}</speak>`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    toDisplayText,
+    toSpeechText,
+    toSsml,
+  };
+} else {
+  window.Rendering = {
+    toDisplayText,
+    toSpeechText,
+    toSsml,
+  };
+}